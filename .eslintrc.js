@@ -199,6 +199,13 @@ module.exports = {
     GalaxyMap: "readonly",
     PlanetCard: "readonly",
     ConceptViewer: "readonly",
+    AchievementEngine: "readonly",
+    AuthClient: "readonly",
+    ClassroomClient: "readonly",
+    CurriculumGraph: "readonly",
+    OfflineManager: "readonly",
+    ProgressAnalytics: "readonly",
+    ProgressSync: "readonly",
 
     // Utility functions
     debounce: "readonly",
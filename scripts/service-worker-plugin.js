@@ -0,0 +1,98 @@
+// scripts/service-worker-plugin.js - Build-time Service Worker Generation
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { Compilation, sources } = require("webpack");
+
+const PLUGIN_NAME = "ServiceWorkerPlugin";
+const CONCEPT_MODULE = /[\\/]src[\\/]concepts[\\/]([^\\/]+)[\\/]/;
+
+/**
+ * ServiceWorkerPlugin - Emits sw.js from the service worker template with
+ * the build's asset list prepended as self.__JSV_BUILD:
+ * - version: hash of every emitted asset, so each build installs fresh caches
+ * - precache: the app shell, images, fonts, icons and sounds
+ * - planets: planet id -> chunk files that only hold that planet's concepts,
+ *   left out of the precache and cached per planet at runtime
+ */
+class ServiceWorkerPlugin {
+  constructor(options = {}) {
+    this.template = options.template;
+    this.filename = options.filename || "sw.js";
+    this.exclude = options.exclude || [/\.map$/, /\.LICENSE\.txt$/];
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      compilation.hooks.processAssets.tap(
+        {
+          name: PLUGIN_NAME,
+          // After HtmlWebpackPlugin and CopyWebpackPlugin have added their files
+          stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_TRANSFER,
+        },
+        () => {
+          const planets = this.getPlanetFiles(compilation);
+          const planetFiles = new Set(Object.values(planets).flat());
+
+          const files = Object.keys(compilation.assets)
+            .filter((file) => file !== this.filename)
+            .filter((file) => !this.exclude.some((pattern) => pattern.test(file)))
+            .sort();
+
+          const build = {
+            version: this.getVersion(compilation, files),
+            precache: files.filter((file) => !planetFiles.has(file)),
+            planets,
+          };
+
+          const template = fs.readFileSync(this.template, "utf8");
+          const source = `self.__JSV_BUILD = ${JSON.stringify(build, null, 2)};\n\n${template}`;
+          compilation.emitAsset(this.filename, new sources.RawSource(source));
+        }
+      );
+    });
+  }
+
+  /**
+   * Group the JS files of chunks made only of src/concepts/<planet> modules
+   */
+  getPlanetFiles(compilation) {
+    const planets = {};
+
+    for (const chunk of compilation.chunks) {
+      const planetIds = new Set();
+      let onlyConcepts = true;
+
+      for (const module of compilation.chunkGraph.getChunkModulesIterable(chunk)) {
+        const resource = module.resource || (module.rootModule && module.rootModule.resource);
+        if (!resource || resource.includes("node_modules")) continue;
+
+        const match = resource.match(CONCEPT_MODULE);
+        if (match) {
+          planetIds.add(match[1]);
+        } else {
+          onlyConcepts = false;
+        }
+      }
+
+      if (onlyConcepts && planetIds.size === 1) {
+        const [planetId] = planetIds;
+        const files = [...chunk.files].filter((file) => file.endsWith(".js"));
+        planets[planetId] = [...(planets[planetId] || []), ...files].sort();
+      }
+    }
+
+    return planets;
+  }
+
+  getVersion(compilation, files) {
+    const hash = crypto.createHash("sha256");
+    files.forEach((file) => {
+      hash.update(file);
+      hash.update(compilation.assets[file].source());
+    });
+    return hash.digest("hex").slice(0, 12);
+  }
+}
+
+module.exports = ServiceWorkerPlugin;
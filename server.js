@@ -2,21 +2,58 @@
 
 const path = require('path');
 const express = require('express');
+const ProgressStore = require('./server/progressStore');
+const createProgressApi = require('./server/progressApi');
+const AccountStore = require('./server/accountStore');
+const createAuthApi = require('./server/authApi');
+const ClassroomStore = require('./server/classroomStore');
+const createClassroomApi = require('./server/classroomApi');
 const app = express();
 
 const PORT = process.env.PORT || 3000;
 const BUILD_DIR = process.env.NODE_ENV === 'production' ? 'dist' : 'public';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Session cookies are HTTPS-only in production unless SECURE_COOKIES=false
+const SECURE_COOKIES = process.env.SECURE_COOKIES
+  ? process.env.SECURE_COOKIES === 'true'
+  : process.env.NODE_ENV === 'production';
 
-// Serve static files
-app.use(express.static(path.join(__dirname, BUILD_DIR)));
+// Learner accounts (see server/authApi.js)
+app.locals.accountStore = new AccountStore(path.join(DATA_DIR, 'accounts.json'));
+app.use('/api/auth', createAuthApi({ store: app.locals.accountStore, secureCookies: SECURE_COOKIES }));
+
+// Classroom API (see server/classroomApi.js). These routers are mounted
+// before the progress API because that one answers unknown /api paths with
+// a 404
+app.locals.classroomStore = new ClassroomStore(path.join(DATA_DIR, 'classrooms.json'));
+app.use('/api/classes', createClassroomApi({ store: app.locals.classroomStore }));
+
+// Progress sync API (see server/progressApi.js)
+app.locals.progressStore = new ProgressStore(path.join(DATA_DIR, 'progress.json'));
+app.use('/api', createProgressApi({ store: app.locals.progressStore, accountStore: app.locals.accountStore }));
+
+// Serve static files. The service worker must never come from the HTTP
+// cache, or browsers keep running an old version.
+app.use(express.static(path.join(__dirname, BUILD_DIR), {
+  setHeaders: (res, filePath) => {
+    if (path.basename(filePath) === 'sw.js') {
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+  }
+}));
 
 // Serve index.html for all routes (SPA)
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, BUILD_DIR, 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 JSVerseHub server running at http://localhost:${PORT}`);
-  console.log(`📁 Serving files from: ${BUILD_DIR}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 JSVerseHub server running at http://localhost:${PORT}`);
+    console.log(`📁 Serving files from: ${BUILD_DIR}`);
+    console.log(`💾 Saving accounts, synced progress and classes to: ${DATA_DIR}`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,134 @@
+// server/accountStore.js - JSON File Store for Learner Accounts
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const JsonFileStore = require('./jsonFileStore');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * AccountStore - Learner accounts and their sign-in sessions.
+ * Passwords are hashed with scrypt and a per-account random salt; session
+ * tokens are random and only their SHA-256 hashes are stored, so a leaked
+ * file gives away neither.
+ *
+ * File shape: {
+ *   accounts: { username: { name, salt, passwordHash, createdAt } },
+ *   sessions: { tokenHash: { username, createdAt, expiresAt } }
+ * }
+ */
+class AccountStore extends JsonFileStore {
+  constructor(filePath, { sessionMaxAge = SESSION_MAX_AGE } = {}) {
+    super(filePath, ['accounts', 'sessions']);
+    this.sessionMaxAge = sessionMaxAge;
+  }
+
+  /**
+   * Create an account; usernames are case-insensitive
+   * @returns {Promise<Object|null>} The account, or null if the name is taken
+   */
+  async createAccount({ username, password, name }) {
+    const { accounts } = await this.load();
+    const key = username.toLowerCase();
+    if (accounts[key]) return null;
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const passwordHash = await this.hashPassword(password, salt);
+    // Another request may have taken the name while we were hashing
+    if (accounts[key]) return null;
+
+    accounts[key] = { name, salt, passwordHash, createdAt: new Date().toISOString() };
+    await this.persist();
+    return this.describeAccount(key, accounts[key]);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The account if the password matches
+   */
+  async verifyPassword(username, password) {
+    const { accounts } = await this.load();
+    const key = username.toLowerCase();
+    const account = accounts[key];
+
+    // Hash even for unknown names so response times do not reveal which exist
+    const salt = account ? account.salt : '00'.repeat(16);
+    const hash = await this.hashPassword(password, salt);
+    if (!account || !crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(account.passwordHash, 'hex'))) {
+      return null;
+    }
+    return this.describeAccount(key, account);
+  }
+
+  async getAccount(username) {
+    const { accounts } = await this.load();
+    const key = username.toLowerCase();
+    return accounts[key] ? this.describeAccount(key, accounts[key]) : null;
+  }
+
+  /**
+   * Start a session, dropping expired ones
+   * @returns {Promise<Object>} {token, expiresAt}
+   */
+  async createSession(username) {
+    const { sessions } = await this.load();
+    const now = Date.now();
+
+    Object.entries(sessions).forEach(([tokenHash, session]) => {
+      if (Date.parse(session.expiresAt) <= now) {
+        delete sessions[tokenHash];
+      }
+    });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now + this.sessionMaxAge).toISOString();
+    sessions[this.hashToken(token)] = {
+      username: username.toLowerCase(),
+      createdAt: new Date(now).toISOString(),
+      expiresAt
+    };
+
+    await this.persist();
+    return { token, expiresAt };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The signed-in account for a session token
+   */
+  async getSessionAccount(token) {
+    if (!token) return null;
+
+    const { accounts, sessions } = await this.load();
+    const session = sessions[this.hashToken(token)];
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+
+    const account = accounts[session.username];
+    return account ? this.describeAccount(session.username, account) : null;
+  }
+
+  async deleteSession(token) {
+    const { sessions } = await this.load();
+    const tokenHash = this.hashToken(token);
+    if (!sessions[tokenHash]) return false;
+
+    delete sessions[tokenHash];
+    await this.persist();
+    return true;
+  }
+
+  describeAccount(username, account) {
+    return { username, name: account.name, createdAt: account.createdAt };
+  }
+
+  async hashPassword(password, salt) {
+    const key = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+    return key.toString('hex');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = AccountStore;
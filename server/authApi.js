@@ -0,0 +1,169 @@
+// server/authApi.js - Learner Account REST API
+
+const express = require('express');
+const jsonErrors = require('./jsonErrors');
+const { SESSION_COOKIE, readSessionToken } = require('./sessions');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+const MAX_FAILED_SIGN_INS = 5;
+const FAILED_SIGN_IN_WINDOW = 15 * 60 * 1000; // 15 minutes
+const MAX_TRACKED_USERNAMES = 10000; // usernames with recent failures kept in memory
+
+/**
+ * Account endpoints, mounted under /api/auth:
+ *
+ *   POST /signup   Create an account and sign in ({username, password, name})
+ *   POST /signin   Sign in ({username, password})
+ *   POST /signout  End the session
+ *   GET  /session  The signed-in account, or 401
+ *
+ * Sessions live in an HttpOnly, SameSite=Strict cookie, so page scripts
+ * cannot read the token and other sites cannot send it. Repeated wrong
+ * passwords for a username are slowed down with 429 responses; at most
+ * maxTrackedUsernames usernames are tracked, least recently failed dropped
+ * first.
+ */
+function createAuthApi({ store, secureCookies = false, maxTrackedUsernames = MAX_TRACKED_USERNAMES }) {
+  const router = express.Router();
+  // username -> timestamps of recent failures, ordered by the last failure
+  const failedSignIns = new Map();
+
+  router.use(express.json({ limit: '10kb' }));
+
+  router.post('/signup', async (req, res, next) => {
+    const { username, password, name: displayName } = req.body || {};
+    const name = typeof displayName === 'string' && displayName.trim() ? displayName.trim() : username;
+
+    const problem = validateCredentials(username, password) || (name.length > 80 ? 'Names are at most 80 characters' : null);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    try {
+      const account = await store.createAccount({ username, password, name });
+      if (!account) {
+        return res.status(409).json({ error: 'That username is taken' });
+      }
+      await startSession(res, account);
+      res.status(201).json({ user: account });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/signin', async (req, res, next) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Expected {username, password}' });
+    }
+
+    const key = username.toLowerCase();
+    const retryAfter = getLockout(key);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed sign-ins, try again in a few minutes' });
+    }
+
+    try {
+      const account = await store.verifyPassword(username, password);
+      if (!account) {
+        recordFailure(key);
+        // Same answer for unknown users and wrong passwords
+        return res.status(401).json({ error: 'Wrong username or password' });
+      }
+
+      failedSignIns.delete(key);
+      await startSession(res, account);
+      res.json({ user: account });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/signout', async (req, res, next) => {
+    try {
+      const token = readSessionToken(req);
+      if (token) {
+        await store.deleteSession(token);
+      }
+      res.clearCookie(SESSION_COOKIE, cookieOptions());
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/session', async (req, res, next) => {
+    try {
+      const account = await store.getSessionAccount(readSessionToken(req));
+      res.set('Cache-Control', 'no-store');
+      if (!account) {
+        return res.status(401).json({ error: 'Not signed in' });
+      }
+      res.json({ user: account });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.use(jsonErrors('Auth API', 'Could not access accounts'));
+
+  async function startSession(res, account) {
+    const { token, expiresAt } = await store.createSession(account.username);
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions(), expires: new Date(expiresAt) });
+  }
+
+  function cookieOptions() {
+    return { httpOnly: true, sameSite: 'strict', secure: secureCookies, path: '/' };
+  }
+
+  /**
+   * Seconds until a locked-out username may try again, or 0
+   */
+  function getLockout(key) {
+    const now = Date.now();
+    const recent = (failedSignIns.get(key) || []).filter((time) => now - time < FAILED_SIGN_IN_WINDOW);
+    if (recent.length === 0) {
+      failedSignIns.delete(key);
+      return 0;
+    }
+
+    failedSignIns.set(key, recent);
+    return recent.length >= MAX_FAILED_SIGN_INS ? Math.ceil((recent[0] + FAILED_SIGN_IN_WINDOW - now) / 1000) : 0;
+  }
+
+  function recordFailure(key) {
+    const now = Date.now();
+    const recent = (failedSignIns.get(key) || []).filter((time) => now - time < FAILED_SIGN_IN_WINDOW);
+    failedSignIns.delete(key);
+    failedSignIns.set(key, [...recent, now]);
+    forgetFailures(now);
+  }
+
+  /**
+   * Drop usernames whose last failure is outside the window, then the least
+   * recently failed ones over the limit, so sign-ins with made-up usernames
+   * cannot grow the map without bound
+   */
+  function forgetFailures(now) {
+    for (const [key, times] of failedSignIns) {
+      const expired = now - times[times.length - 1] >= FAILED_SIGN_IN_WINDOW;
+      if (!expired && failedSignIns.size <= maxTrackedUsernames) break;
+      failedSignIns.delete(key);
+    }
+  }
+
+  return router;
+}
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Usernames are 3-32 letters, digits, "-" or "_"';
+  }
+  if (typeof password !== 'string' || password.length < 8 || password.length > 128) {
+    return 'Passwords need 8-128 characters';
+  }
+  return null;
+}
+
+module.exports = createAuthApi;
@@ -0,0 +1,228 @@
+// server/classroomApi.js - Classroom REST API
+
+const express = require('express');
+const jsonErrors = require('./jsonErrors');
+const ClassroomStore = require('./classroomStore');
+
+const LEARNER_ID_PATTERN = /^[0-9a-f]{12}$/;
+const MAX_EVENTS_PER_REPORT = 500;
+const MAX_PLANETS = 100;
+// Ids the store uses as keys must not name Object.prototype members
+const RESERVED_IDS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Classroom endpoints, mounted under /api/classes:
+ *
+ *   POST   /                                   Create a class ({name})
+ *   POST   /:code/learners                     Join a class ({name})
+ *   DELETE /:code/learners/:learnerId          Leave (learner) or remove (instructor)
+ *   POST   /:code/learners/:learnerId/reports  Report StateManager events
+ *   GET    /:code/dashboard?inactiveDays=7     Instructor dashboard
+ *
+ * Creating a class returns an instructor token and joining returns a learner
+ * token; the other endpoints expect it as "Authorization: Bearer <token>".
+ */
+function createClassroomApi({ store }) {
+  const router = express.Router();
+
+  router.use(express.json({ limit: '1mb' }));
+
+  router.param('code', async (req, res, next, code) => {
+    const normalized = code.toUpperCase();
+    if (!ClassroomStore.CODE_PATTERN.test(normalized)) {
+      return res.status(400).json({ error: 'Class codes are 6 letters and digits' });
+    }
+
+    try {
+      req.classroom = await store.getClass(normalized);
+      if (!req.classroom) {
+        return res.status(404).json({ error: 'No class with that code' });
+      }
+      req.params.code = normalized;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.param('learnerId', (req, res, next, learnerId) => {
+    if (!LEARNER_ID_PATTERN.test(learnerId)) {
+      return res.status(400).json({ error: 'Invalid learner id' });
+    }
+    next();
+  });
+
+  router.post('/', async (req, res, next) => {
+    const name = readName(req.body);
+    if (!name) {
+      return res.status(400).json({ error: 'A class needs a name of 1-80 characters' });
+    }
+
+    try {
+      res.status(201).json(await store.createClass({ name }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:code/learners', async (req, res, next) => {
+    const name = readName(req.body);
+    if (!name) {
+      return res.status(400).json({ error: 'Learners need a name of 1-80 characters' });
+    }
+
+    try {
+      const learner = await store.joinClass(req.params.code, { name });
+      res.status(201).json({ ...learner, className: req.classroom.name });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:code/learners/:learnerId', async (req, res, next) => {
+    const token = readToken(req);
+    const { classroom } = req;
+    if (!store.isInstructor(classroom, token) && !store.isLearner(classroom, req.params.learnerId, token)) {
+      return res.status(401).json({ error: 'Not allowed to remove this learner' });
+    }
+
+    try {
+      if (!(await store.removeLearner(req.params.code, req.params.learnerId))) {
+        return res.status(404).json({ error: 'No such learner in this class' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:code/learners/:learnerId/reports', async (req, res, next) => {
+    if (!store.isLearner(req.classroom, req.params.learnerId, readToken(req))) {
+      return res.status(401).json({ error: 'Unknown learner or token' });
+    }
+
+    const report = readReport(req.body);
+    if (!report) {
+      return res.status(400).json({ error: 'Expected {events: [{type, data, timestamp}], planets}' });
+    }
+
+    try {
+      await store.recordReport(req.params.code, req.params.learnerId, report);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:code/dashboard', async (req, res, next) => {
+    if (!store.isInstructor(req.classroom, readToken(req))) {
+      return res.status(401).json({ error: 'Only the class instructor can see the dashboard' });
+    }
+
+    const inactiveDays = req.query.inactiveDays === undefined ? 7 : Number(req.query.inactiveDays);
+    if (!Number.isInteger(inactiveDays) || inactiveDays < 0 || inactiveDays > 365) {
+      return res.status(400).json({ error: 'inactiveDays must be a whole number of days (0-365)' });
+    }
+
+    try {
+      res.set('Cache-Control', 'no-store');
+      res.json(await store.getDashboard(req.params.code, { inactiveDays }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.use(jsonErrors('Classroom API', 'Could not access the class'));
+
+  return router;
+}
+
+function readName(body) {
+  const name = body && typeof body.name === 'string' ? body.name.trim() : '';
+  return name && name.length <= 80 ? name : null;
+}
+
+function readToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Validate a learner's report, keeping only the fields the store uses
+ * @returns {Object|null} {events, planets}, or null when malformed
+ */
+function readReport(body) {
+  const { events, planets = null } = body || {};
+  if (!Array.isArray(events) || events.length > MAX_EVENTS_PER_REPORT) return null;
+  if (planets !== null && !isPercentMap(planets)) return null;
+
+  const cleanEvents = [];
+  for (const event of events) {
+    if (!isPlainObject(event) || typeof event.type !== 'string' || typeof event.timestamp !== 'string') {
+      return null;
+    }
+    const data = isPlainObject(event.data) ? event.data : {};
+
+    if (event.type === 'questionsAnswered') {
+      if (!Array.isArray(data.answers) || !data.answers.every(isAnswer)) return null;
+      cleanEvents.push({
+        type: event.type,
+        timestamp: event.timestamp,
+        data: {
+          answers: data.answers.map((answer) => ({
+            questionId: answer.questionId,
+            planetId: answer.planetId,
+            credit: answer.credit,
+            correct: Boolean(answer.correct),
+            answered: answer.answered
+          }))
+        }
+      });
+    } else if (event.type === 'quizCompleted') {
+      if (!isId(data.planetId) || !isPercent(data.percentage)) return null;
+      cleanEvents.push({
+        type: event.type,
+        timestamp: event.timestamp,
+        data: { planetId: data.planetId, percentage: Math.round(data.percentage) }
+      });
+    } else {
+      // Other events only count as activity
+      cleanEvents.push({ type: event.type, timestamp: event.timestamp, data: {} });
+    }
+  }
+
+  return { events: cleanEvents, planets };
+}
+
+function isAnswer(answer) {
+  return (
+    isPlainObject(answer) &&
+    isId(answer.questionId) &&
+    answer.questionId.length <= 200 &&
+    isId(answer.planetId) &&
+    typeof answer.credit === 'number' &&
+    answer.credit >= 0 &&
+    answer.credit <= 1 &&
+    typeof answer.answered === 'boolean'
+  );
+}
+
+function isPercentMap(value) {
+  if (!isPlainObject(value)) return false;
+  const entries = Object.entries(value);
+  return entries.length <= MAX_PLANETS && entries.every(([planetId, percent]) => isId(planetId) && isPercent(percent));
+}
+
+function isId(value) {
+  return typeof value === 'string' && !RESERVED_IDS.includes(value);
+}
+
+function isPercent(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = createClassroomApi;
@@ -0,0 +1,298 @@
+// server/classroomStore.js - JSON File Store for Classrooms
+
+const crypto = require('crypto');
+const JsonFileStore = require('./jsonFileStore');
+
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I/L
+const CODE_LENGTH = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ClassroomStore - Classes, their learners and the progress learners
+ * report. Instructors and learners authenticate with random bearer tokens;
+ * only their SHA-256 hashes are stored. The maps keyed by ids from reports
+ * have no prototype, like the top-level collections (see JsonFileStore).
+ *
+ * File shape: {
+ *   classes: {
+ *     CODE: {
+ *       name, createdAt, instructorTokenHash,
+ *       learners: {
+ *         learnerId: {
+ *           name, tokenHash, joinedAt, lastActiveAt,
+ *           planets: { planetId: percentComplete },
+ *           quizzes: { planetId: { attempts, bestScore, lastScore } },
+ *           answers: { questionId: { planetId, credit, correct, answered, timestamp } }
+ *         }
+ *       }
+ *     }
+ *   }
+ * }
+ */
+class ClassroomStore extends JsonFileStore {
+  constructor(filePath) {
+    super(filePath, ['classes']);
+  }
+
+  async read() {
+    const data = await super.read();
+    Object.values(data.classes).forEach((classroom) => {
+      classroom.learners = JsonFileStore.createMap(classroom.learners);
+      Object.values(classroom.learners).forEach((learner) => {
+        learner.planets = JsonFileStore.createMap(learner.planets);
+        learner.quizzes = JsonFileStore.createMap(learner.quizzes);
+        learner.answers = JsonFileStore.createMap(learner.answers);
+      });
+    });
+    return data;
+  }
+
+  /**
+   * Create a class with a fresh code
+   * @returns {Promise<Object>} {code, name, createdAt, instructorToken}
+   */
+  async createClass({ name }) {
+    const { classes } = await this.load();
+
+    let code;
+    do {
+      code = this.createCode();
+    } while (classes[code]);
+
+    const instructorToken = this.createToken();
+    classes[code] = {
+      name,
+      createdAt: new Date().toISOString(),
+      instructorTokenHash: this.hashToken(instructorToken),
+      learners: JsonFileStore.createMap()
+    };
+
+    await this.persist();
+    return { code, name, createdAt: classes[code].createdAt, instructorToken };
+  }
+
+  async getClass(code) {
+    const { classes } = await this.load();
+    return classes[code] || null;
+  }
+
+  /**
+   * Add a learner to a class
+   * @returns {Promise<Object|null>} {learnerId, learnerToken}, or null for an
+   *   unknown class
+   */
+  async joinClass(code, { name }) {
+    const classroom = await this.getClass(code);
+    if (!classroom) return null;
+
+    let learnerId;
+    do {
+      learnerId = crypto.randomBytes(6).toString('hex');
+    } while (classroom.learners[learnerId]);
+
+    const learnerToken = this.createToken();
+    const now = new Date().toISOString();
+    classroom.learners[learnerId] = {
+      name,
+      tokenHash: this.hashToken(learnerToken),
+      joinedAt: now,
+      lastActiveAt: now,
+      planets: JsonFileStore.createMap(),
+      quizzes: JsonFileStore.createMap(),
+      answers: JsonFileStore.createMap()
+    };
+
+    await this.persist();
+    return { learnerId, learnerToken };
+  }
+
+  /**
+   * Remove a learner and everything they reported
+   * @returns {Promise<boolean>} Whether the learner existed
+   */
+  async removeLearner(code, learnerId) {
+    const classroom = await this.getClass(code);
+    if (!classroom || !classroom.learners[learnerId]) return false;
+
+    delete classroom.learners[learnerId];
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Apply a batch of StateManager events and the learner's current planet
+   * completion
+   * @param {Array} events - [{type, data, timestamp}]
+   * @param {Object|null} planets - {planetId: percentComplete}
+   */
+  async recordReport(code, learnerId, { events = [], planets = null }) {
+    const classroom = await this.getClass(code);
+    const learner = classroom && classroom.learners[learnerId];
+    if (!learner) return false;
+
+    const now = Date.now();
+    events.forEach((event) => {
+      // Reports may arrive late (offline), never from the future
+      const time = Math.min(Date.parse(event.timestamp) || now, now);
+      const timestamp = new Date(time).toISOString();
+      if (timestamp > learner.lastActiveAt) {
+        learner.lastActiveAt = timestamp;
+      }
+
+      if (event.type === 'questionsAnswered') {
+        event.data.answers.forEach((answer) => {
+          const previous = learner.answers[answer.questionId];
+          if (!previous || previous.timestamp <= timestamp) {
+            learner.answers[answer.questionId] = {
+              planetId: answer.planetId,
+              credit: answer.credit,
+              correct: answer.correct,
+              answered: answer.answered,
+              timestamp
+            };
+          }
+        });
+      } else if (event.type === 'quizCompleted') {
+        const quiz = learner.quizzes[event.data.planetId] || { attempts: 0, bestScore: 0, lastScore: null };
+        quiz.attempts++;
+        quiz.bestScore = Math.max(quiz.bestScore, event.data.percentage);
+        quiz.lastScore = event.data.percentage;
+        learner.quizzes[event.data.planetId] = quiz;
+      }
+    });
+
+    if (planets) {
+      learner.planets = JsonFileStore.createMap(planets);
+    }
+
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Everything the instructor dashboard shows for a class
+   * @param {number} inactiveDays - Learners idle this long are listed as inactive
+   */
+  async getDashboard(code, { inactiveDays = 7, now = Date.now() } = {}) {
+    const classroom = await this.getClass(code);
+    if (!classroom) return null;
+
+    const learners = Object.entries(classroom.learners).map(([learnerId, learner]) => ({
+      learnerId,
+      name: learner.name,
+      joinedAt: learner.joinedAt,
+      lastActiveAt: learner.lastActiveAt,
+      planets: learner.planets,
+      quizzes: learner.quizzes
+    }));
+
+    const planets = [];
+    learners.forEach((learner) => {
+      Object.keys(learner.planets).forEach((planetId) => {
+        if (!planets.includes(planetId)) planets.push(planetId);
+      });
+    });
+
+    const inactive = learners
+      .map((learner) => ({
+        learnerId: learner.learnerId,
+        name: learner.name,
+        lastActiveAt: learner.lastActiveAt,
+        daysInactive: Math.floor((now - Date.parse(learner.lastActiveAt)) / DAY_MS)
+      }))
+      .filter((learner) => learner.daysInactive >= inactiveDays)
+      .sort((a, b) => b.daysInactive - a.daysInactive);
+
+    return {
+      code,
+      name: classroom.name,
+      createdAt: classroom.createdAt,
+      inactiveDays,
+      planets,
+      learners,
+      questions: this.getQuestionDistributions(Object.values(classroom.learners)),
+      inactive
+    };
+  }
+
+  /**
+   * How the class did on each question (each learner's latest answer),
+   * hardest first
+   */
+  getQuestionDistributions(learners) {
+    const questions = new Map();
+
+    learners.forEach((learner) => {
+      Object.entries(learner.answers).forEach(([questionId, answer]) => {
+        if (!questions.has(questionId)) {
+          questions.set(questionId, {
+            questionId,
+            planetId: answer.planetId,
+            correct: 0,
+            partial: 0,
+            incorrect: 0,
+            unanswered: 0,
+            totalCredit: 0
+          });
+        }
+
+        const question = questions.get(questionId);
+        if (!answer.answered) {
+          question.unanswered++;
+        } else if (answer.credit >= 1) {
+          question.correct++;
+        } else if (answer.credit > 0) {
+          question.partial++;
+        } else {
+          question.incorrect++;
+        }
+        question.totalCredit += answer.credit;
+      });
+    });
+
+    return Array.from(questions.values())
+      .map(({ totalCredit, ...question }) => {
+        const learnersAnswered = question.correct + question.partial + question.incorrect + question.unanswered;
+        return {
+          ...question,
+          learners: learnersAnswered,
+          averageCredit: Math.round((totalCredit / learnersAnswered) * 100) / 100
+        };
+      })
+      .sort((a, b) => a.averageCredit - b.averageCredit || a.questionId.localeCompare(b.questionId));
+  }
+
+  isInstructor(classroom, token) {
+    return this.matchesToken(classroom.instructorTokenHash, token);
+  }
+
+  isLearner(classroom, learnerId, token) {
+    const learner = classroom.learners[learnerId];
+    return Boolean(learner) && this.matchesToken(learner.tokenHash, token);
+  }
+
+  matchesToken(hash, token) {
+    if (!token) return false;
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(this.hashToken(token), 'hex'));
+  }
+
+  createCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  createToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+ClassroomStore.CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+
+module.exports = ClassroomStore;
@@ -0,0 +1,20 @@
+// server/jsonErrors.js - JSON Error Responses for API Routers
+
+/**
+ * Error handler for an API router: JSON errors instead of Express's HTML
+ * error page. Malformed or oversized bodies keep their 4xx status; anything
+ * else is logged and answered with a generic 500.
+ * @param {string} label - Names the API in the server log
+ * @param {string} message - Error sent to the client for a 500
+ */
+function jsonErrors(label, message) {
+  return (error, req, res, _next) => {
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`❌ ${label} error:`, error);
+    res.status(500).json({ error: message });
+  };
+}
+
+module.exports = jsonErrors;
@@ -0,0 +1,79 @@
+// server/jsonFileStore.js - Base Class for JSON File Stores
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JsonFileStore - Keeps a store's data in one JSON file. The file is read
+ * once and rewritten atomically (temp file + rename) after each change;
+ * writes are serialized so concurrent requests cannot interleave.
+ * Subclasses pass the top-level collections the file holds. Collections
+ * have no prototype, so ids from requests such as "constructor" or
+ * "__proto__" are ordinary keys.
+ */
+class JsonFileStore {
+  constructor(filePath, collections) {
+    this.filePath = filePath;
+    this.collections = collections;
+    this.data = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Read the file on first use; a missing file is an empty store. Requests
+   * arriving during the first read share it, so all of them change the
+   * same data.
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.read().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async read() {
+    let parsed = {};
+    try {
+      parsed = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot read ${this.filePath}: ${error.message}`);
+      }
+    }
+
+    this.data = {};
+    this.collections.forEach((name) => {
+      this.data[name] = JsonFileStore.createMap(parsed[name]);
+    });
+    return this.data;
+  }
+
+  /**
+   * Write the whole store after the previous write has finished
+   */
+  persist() {
+    const snapshot = JSON.stringify(this.data, null, 2);
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, snapshot);
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+    return this.writeQueue;
+  }
+}
+
+/**
+ * A prototype-less copy of a parsed JSON object, for maps keyed by ids
+ * from requests
+ */
+JsonFileStore.createMap = (entries = {}) => Object.assign(Object.create(null), entries);
+
+module.exports = JsonFileStore;
@@ -0,0 +1,147 @@
+// server/progressApi.js - Progress Sync REST API
+
+const express = require('express');
+const jsonErrors = require('./jsonErrors');
+const { readSessionToken } = require('./sessions');
+
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Progress sync endpoints, mounted under /api:
+ *
+ *   GET  /profiles/:userId         One learner's profile
+ *   PUT  /profiles/:userId         Create or rename a profile ({name})
+ *   GET  /progress/:userId         Saved state, with an ETag
+ *   PUT  /progress/:userId         Save state ({state, changedAt})
+ *
+ * Every endpoint needs the session cookie of the account named by :userId
+ * (see authApi.js); other accounts get 403.
+ *
+ * Saving uses optimistic concurrency: send If-Match with the ETag you last
+ * read, or If-None-Match: * for a learner with no saved progress. A stale
+ * ETag gets 412 with the current progress so the client can merge and retry.
+ */
+function createProgressApi({ store, accountStore }) {
+  const router = express.Router();
+
+  router.use(express.json({ limit: '5mb' }));
+
+  router.param('userId', async (req, res, next, userId) => {
+    if (!USER_ID_PATTERN.test(userId)) {
+      return res.status(400).json({ error: 'User id may only contain letters, digits, "-" and "_" (max 64)' });
+    }
+
+    try {
+      const account = await accountStore.getSessionAccount(readSessionToken(req));
+      if (!account) {
+        return res.status(401).json({ error: 'Sign in to sync progress' });
+      }
+      if (account.username !== userId) {
+        return res.status(403).json({ error: 'Progress of other accounts is private' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/profiles/:userId', async (req, res, next) => {
+    try {
+      const profile = await store.getProfile(req.params.userId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      res.json(profile);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/profiles/:userId', async (req, res, next) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 80) {
+      return res.status(400).json({ error: 'A profile needs a name of 1-80 characters' });
+    }
+
+    try {
+      res.json(await store.saveProfile(req.params.userId, { name }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/progress/:userId', async (req, res, next) => {
+    try {
+      const record = await store.getProgress(req.params.userId);
+      if (!record) {
+        return res.status(404).json({ error: 'No saved progress' });
+      }
+
+      res.set('ETag', record.etag);
+      res.set('Cache-Control', 'no-cache');
+      if (req.get('If-None-Match') === record.etag) {
+        return res.status(304).end();
+      }
+      res.json(toResponse(record));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/progress/:userId', async (req, res, next) => {
+    const { state, changedAt = {} } = req.body || {};
+    if (!isPlainObject(state) || !isPlainObject(state.progress) || !isPlainObject(changedAt)) {
+      return res.status(400).json({ error: 'Expected {state, changedAt} with a saved StateManager state' });
+    }
+
+    const ifMatch = req.get('If-Match');
+    const ifNoneMatch = req.get('If-None-Match');
+
+    try {
+      let expectedEtag;
+      if (ifMatch) {
+        expectedEtag = ifMatch;
+      } else if (ifNoneMatch === '*') {
+        expectedEtag = null;
+      } else if (await store.getProgress(req.params.userId)) {
+        return res.status(428).json({ error: 'Send If-Match with the ETag of the progress you last read' });
+      } else {
+        expectedEtag = null;
+      }
+
+      const result = await store.putProgress(req.params.userId, { state, changedAt }, expectedEtag);
+      if (!result.ok) {
+        if (result.record) {
+          res.set('ETag', result.record.etag);
+        }
+        return res.status(412).json({
+          error: 'Progress changed on the server',
+          current: result.record ? toResponse(result.record) : null
+        });
+      }
+
+      res.set('ETag', result.record.etag);
+      res.status(result.created ? 201 : 200).json({ updatedAt: result.record.updatedAt });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Unknown API endpoint' });
+  });
+
+  router.use(jsonErrors('Progress API', 'Could not access saved progress'));
+
+  return router;
+}
+
+function toResponse(record) {
+  return { state: record.state, changedAt: record.changedAt, updatedAt: record.updatedAt };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = createProgressApi;
@@ -0,0 +1,107 @@
+// server/progressStore.js - JSON File Store for Synced Progress
+
+const crypto = require('crypto');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * ProgressStore - Keeps learner profiles and progress in one JSON file
+ * (see JsonFileStore for how it is read and written). User ids are account
+ * usernames.
+ *
+ * File shape: {
+ *   profiles: { userId: { name, createdAt, updatedAt } },
+ *   progress: { userId: { state, changedAt, etag, updatedAt } }
+ * }
+ */
+class ProgressStore extends JsonFileStore {
+  constructor(filePath) {
+    super(filePath, ['profiles', 'progress']);
+  }
+
+  async getProfile(userId) {
+    const { profiles, progress } = await this.load();
+    const profile = profiles[userId];
+    return profile ? this.describeProfile(userId, profile, progress[userId]) : null;
+  }
+
+  /**
+   * Create or rename a profile
+   */
+  async saveProfile(userId, { name }) {
+    const { profiles, progress } = await this.load();
+    const now = new Date().toISOString();
+    profiles[userId] = {
+      createdAt: now,
+      ...profiles[userId],
+      name,
+      updatedAt: now
+    };
+    await this.persist();
+    return this.describeProfile(userId, profiles[userId], progress[userId]);
+  }
+
+  describeProfile(userId, profile, record) {
+    const user = record ? record.state.user || {} : {};
+    return {
+      userId,
+      name: profile.name,
+      level: user.level || 1,
+      totalXP: user.totalXP || 0,
+      createdAt: profile.createdAt,
+      updatedAt: record ? record.updatedAt : profile.updatedAt
+    };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} {state, changedAt, etag, updatedAt}
+   */
+  async getProgress(userId) {
+    const { progress } = await this.load();
+    return progress[userId] || null;
+  }
+
+  /**
+   * Replace a learner's progress if `expectedEtag` still matches.
+   * `expectedEtag` is null when the caller expects no saved progress.
+   * @returns {Promise<{ok: boolean, record: Object|null}>} The saved record,
+   *   or the current one when the ETag did not match
+   */
+  async putProgress(userId, { state, changedAt = {} }, expectedEtag) {
+    const data = await this.load();
+    const current = data.progress[userId] || null;
+    const currentEtag = current ? current.etag : null;
+
+    if (expectedEtag !== undefined && expectedEtag !== currentEtag) {
+      return { ok: false, record: current };
+    }
+
+    const record = {
+      state,
+      changedAt,
+      etag: this.createEtag(state, changedAt),
+      updatedAt: new Date().toISOString()
+    };
+    data.progress[userId] = record;
+
+    if (!data.profiles[userId]) {
+      data.profiles[userId] = {
+        name: (state.user && state.user.name) || userId,
+        createdAt: record.updatedAt,
+        updatedAt: record.updatedAt
+      };
+    }
+
+    await this.persist();
+    return { ok: true, record, created: !current };
+  }
+
+  /**
+   * Strong ETag from the stored content
+   */
+  createEtag(state, changedAt) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify({ state, changedAt })).digest('hex');
+    return `"${hash.slice(0, 20)}"`;
+  }
+}
+
+module.exports = ProgressStore;
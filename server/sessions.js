@@ -0,0 +1,28 @@
+// server/sessions.js - Session Cookie
+
+/**
+ * The cookie authApi.js keeps a learner's session token in, read by the
+ * routers that need the signed-in account
+ */
+const SESSION_COOKIE = 'jsverse_session';
+
+/**
+ * The session token from the Cookie header (no cookie-parser needed). A
+ * cookie that is not valid percent-encoding reads as no session.
+ */
+function readSessionToken(req) {
+  const header = req.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { SESSION_COOKIE, readSessionToken };
@@ -0,0 +1,561 @@
+// src/components/AchievementGallery.js - Achievements Gallery View
+
+/**
+ * AchievementGallery - Every achievement for the /achievements route
+ * Lists all AchievementEngine rules: earned ones with their date and XP
+ * reward, locked ones as silhouettes with a hint, and progress bars for
+ * counter rules. Earned achievements can be exported as a PNG badge.
+ */
+
+class AchievementGallery {
+    constructor() {
+        this.container = null;
+        this.activeCategory = 'all';
+        this.renderTimeout = null;
+        this.badgeSize = 512;
+
+        this.categories = {
+            planet: { label: 'Planets', icon: '🪐', color: '#4ecdc4' },
+            quiz: { label: 'Quizzes', icon: '🧠', color: '#ffe66d' },
+            exercise: { label: 'Exercises', icon: '🎯', color: '#ff6b6b' },
+            streak: { label: 'Streaks', icon: '🔥', color: '#ff9f43' },
+            level: { label: 'Levels', icon: '⭐', color: '#00d4ff' },
+            general: { label: 'General', icon: '🏆', color: '#a29bfe' }
+        };
+
+        this.handleClick = this.handleClick.bind(this);
+
+        StateManager.addListener(event => {
+            if (['achievementEarned', 'achievementProgress', 'dataImported', 'progressReset', 'userChanged'].includes(event)) {
+                this.scheduleRender();
+            }
+        });
+    }
+
+    /**
+     * Render the gallery into its view container
+     */
+    show(container) {
+        if (this.container !== container) {
+            if (this.container) {
+                this.container.removeEventListener('click', this.handleClick);
+            }
+            this.container = container;
+            this.container.addEventListener('click', this.handleClick);
+        }
+        this.render();
+    }
+
+    /**
+     * Re-render after achievement changes while the gallery is on screen
+     */
+    scheduleRender() {
+        if (!this.container || !this.container.isConnected || this.container.classList.contains('hidden')) return;
+
+        clearTimeout(this.renderTimeout);
+        this.renderTimeout = setTimeout(() => this.render(), 250);
+    }
+
+    /**
+     * Every rule merged with its earned record and progress
+     */
+    getEntries() {
+        const earned = new Map(StateManager.getAchievements().map(achievement => [achievement.id, achievement]));
+
+        return AchievementEngine.getRules().map(rule => ({
+            rule,
+            category: this.categories[rule.category] ? rule.category : 'general',
+            earned: earned.get(rule.id) || null,
+            progress: AchievementEngine.getProgress(rule.id)
+        }));
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const entries = this.getEntries();
+        const categories = Object.keys(this.categories)
+            .filter(category => entries.some(entry => entry.category === category));
+        if (this.activeCategory !== 'all' && !categories.includes(this.activeCategory)) {
+            this.activeCategory = 'all';
+        }
+
+        const visible = entries
+            .filter(entry => this.activeCategory === 'all' || entry.category === this.activeCategory)
+            .sort((a, b) => Number(Boolean(b.earned)) - Number(Boolean(a.earned)));
+        const earnedCount = entries.filter(entry => entry.earned).length;
+
+        this.container.innerHTML = `
+            <div class="achievement-gallery">
+                <header class="gallery-header">
+                    <div>
+                        <h2>🏆 Achievements</h2>
+                        <p class="gallery-summary">${earnedCount} of ${entries.length} earned</p>
+                    </div>
+                    <a href="/" class="btn btn-secondary">← Back to Galaxy</a>
+                </header>
+
+                <div class="gallery-filters" role="tablist" aria-label="Achievement categories">
+                    ${this.generateFilterHTML('all', '✨ All', entries)}
+                    ${categories.map(category => this.generateCategoryFilterHTML(category, entries)).join('')}
+                </div>
+
+                ${visible.length > 0 ? `
+                    <div class="gallery-grid">
+                        ${visible.map(entry => this.generateCardHTML(entry)).join('')}
+                    </div>
+                ` : '<p class="gallery-empty">No achievements to show yet.</p>'}
+            </div>
+        `;
+    }
+
+    generateCategoryFilterHTML(category, entries) {
+        const { icon, label } = this.categories[category];
+        return this.generateFilterHTML(category, `${icon} ${label}`, entries.filter(entry => entry.category === category));
+    }
+
+    generateFilterHTML(category, label, entries) {
+        const isActive = this.activeCategory === category;
+        const earned = entries.filter(entry => entry.earned).length;
+
+        return `
+            <button class="gallery-filter ${isActive ? 'active' : ''}" role="tab"
+                    aria-selected="${isActive}" data-category="${category}">
+                ${label} <span class="filter-count">${earned}/${entries.length}</span>
+            </button>
+        `;
+    }
+
+    generateCardHTML({ rule, category, earned, progress }) {
+        const { color } = this.categories[category];
+        const showProgress = !earned && rule.progress && progress;
+
+        return `
+            <article class="achievement-card ${earned ? 'earned' : 'locked'}" style="--category-color: ${color}"
+                     data-achievement-id="${rule.id}">
+                <div class="achievement-badge" aria-hidden="true">${rule.icon || '🏆'}</div>
+                <div class="achievement-info">
+                    <h3 class="achievement-name">${this.getDisplayTitle(rule)}</h3>
+                    ${earned ? `
+                        <p class="achievement-description">${earned.description || rule.description || ''}</p>
+                        <p class="achievement-meta">
+                            Earned ${this.formatDate(earned.timestamp)}
+                            ${earned.xpReward > 0 ? `<span class="achievement-xp">+${earned.xpReward} XP</span>` : ''}
+                        </p>
+                        <button class="btn btn-secondary btn-small" data-badge="${rule.id}">📸 Share badge</button>
+                    ` : `
+                        <p class="achievement-hint">🔒 ${rule.hint || rule.description || 'Keep exploring to unlock'}</p>
+                        ${showProgress ? `
+                            <div class="achievement-progress" role="progressbar" aria-valuemin="0"
+                                 aria-valuemax="${progress.target}" aria-valuenow="${progress.current}">
+                                <div class="achievement-progress-bar">
+                                    <div class="achievement-progress-fill" style="width: ${progress.progress}%"></div>
+                                </div>
+                                <span class="achievement-progress-label">${progress.label}</span>
+                            </div>
+                        ` : ''}
+                        ${rule.xpReward > 0 ? `<p class="achievement-meta"><span class="achievement-xp">+${rule.xpReward} XP</span></p>` : ''}
+                    `}
+                </div>
+            </article>
+        `;
+    }
+
+    handleClick(event) {
+        const filter = event.target.closest('[data-category]');
+        if (filter) {
+            this.activeCategory = filter.dataset.category;
+            this.render();
+            return;
+        }
+
+        const badgeButton = event.target.closest('[data-badge]');
+        if (badgeButton) {
+            this.showBadge(badgeButton.dataset.badge);
+        }
+    }
+
+    /**
+     * Preview an earned achievement's badge with download and share actions
+     */
+    showBadge(achievementId) {
+        const entry = this.getEntries().find(candidate => candidate.rule.id === achievementId);
+        if (!entry || !entry.earned) return;
+
+        const canvas = this.renderBadge(entry);
+        if (!canvas) {
+            Modal.alert('Badge unavailable', 'Your browser cannot draw badge images.');
+            return;
+        }
+
+        const preview = document.createElement('div');
+        preview.className = 'badge-preview';
+        preview.appendChild(canvas);
+
+        const filename = `jsversehub-${achievementId}.png`;
+        const modal = new Modal({
+            title: this.getDisplayTitle(entry.rule),
+            content: preview,
+            size: 'small',
+            className: 'badge-modal',
+            onHide: () => setTimeout(() => modal.destroy(), 300)
+        });
+
+        const buttons = [
+            { text: '⬇️ Download PNG', className: 'btn-primary', close: false, handler: () => this.downloadBadge(canvas, filename) }
+        ];
+        if (navigator.share && navigator.canShare) {
+            buttons.push({ text: '🔗 Share', close: false, handler: () => this.shareBadge(canvas, filename, entry) });
+        }
+        buttons.push({ text: 'Close' });
+
+        modal.setFooter(buttons);
+        modal.show();
+    }
+
+    /**
+     * Draw a badge for an earned achievement. Returns null where canvas
+     * is not supported.
+     */
+    renderBadge({ rule, category, earned }) {
+        const size = this.badgeSize;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        canvas.className = 'badge-canvas';
+
+        const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!ctx) return null;
+
+        const { color } = this.categories[category];
+        const center = size / 2;
+
+        // Space background
+        const background = ctx.createRadialGradient(center, center * 0.8, 20, center, center, size * 0.75);
+        background.addColorStop(0, '#1a1a2e');
+        background.addColorStop(1, '#0c0c1d');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, size, size);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.getStarPositions(rule.id, 40).forEach(([x, y, radius]) => {
+            ctx.beginPath();
+            ctx.arc(x * size, y * size, radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Medal
+        ctx.lineWidth = 8;
+        ctx.strokeStyle = color;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 24;
+        ctx.beginPath();
+        ctx.arc(center, 190, 110, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '110px sans-serif';
+        ctx.fillText(rule.icon || '🏆', center, 195);
+
+        // Text
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 34px sans-serif';
+        ctx.fillText(this.getDisplayTitle(rule), center, 350, size - 48);
+
+        ctx.fillStyle = '#b8b8b8';
+        ctx.font = '20px sans-serif';
+        ctx.fillText(earned.description || rule.description || '', center, 392, size - 48);
+
+        ctx.fillStyle = color;
+        ctx.font = '18px sans-serif';
+        const reward = earned.xpReward > 0 ? ` · +${earned.xpReward} XP` : '';
+        ctx.fillText(`Earned ${this.formatDate(earned.timestamp)}${reward}`, center, 432, size - 48);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '16px sans-serif';
+        ctx.fillText('JSVerseHub', center, size - 32);
+
+        return canvas;
+    }
+
+    /**
+     * Save the badge canvas as a PNG file
+     */
+    downloadBadge(canvas, filename) {
+        const save = (href, revoke) => {
+            const link = document.createElement('a');
+            link.href = href;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            if (revoke) URL.revokeObjectURL(href);
+        };
+
+        if (canvas.toBlob) {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    save(URL.createObjectURL(blob), true);
+                } else {
+                    save(canvas.toDataURL('image/png'), false);
+                }
+            }, 'image/png');
+        } else {
+            save(canvas.toDataURL('image/png'), false);
+        }
+
+        JSVLogger.info(`📸 Badge downloaded: ${filename}`);
+    }
+
+    /**
+     * Share the badge through the Web Share API
+     */
+    shareBadge(canvas, filename, { rule }) {
+        canvas.toBlob(async blob => {
+            const file = new File([blob], filename, { type: 'image/png' });
+            const shareData = {
+                files: [file],
+                title: this.getDisplayTitle(rule),
+                text: `I earned "${this.getDisplayTitle(rule)}" on JSVerseHub!`
+            };
+
+            if (!navigator.canShare(shareData)) {
+                this.downloadBadge(canvas, filename);
+                return;
+            }
+
+            try {
+                await navigator.share(shareData);
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    JSVLogger.warn('⚠️ Badge sharing failed:', error);
+                }
+            }
+        }, 'image/png');
+    }
+
+    // Utility methods
+
+    /**
+     * Rule titles start with their icon, which the badge already shows
+     */
+    getDisplayTitle(rule) {
+        const title = rule.title || '';
+        return rule.icon && title.startsWith(rule.icon) ? title.slice(rule.icon.length).trim() : title;
+    }
+
+    /**
+     * Fixed star field per achievement so a badge looks the same every time
+     */
+    getStarPositions(seedText, count) {
+        let seed = [...seedText].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+        const random = () => {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            return seed / 4294967296;
+        };
+
+        return Array.from({ length: count }, () => [random(), random(), random() * 1.5 + 0.5]);
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Get singleton instance
+     */
+    static getInstance() {
+        if (!AchievementGallery.instance) {
+            AchievementGallery.instance = new AchievementGallery();
+        }
+        return AchievementGallery.instance;
+    }
+}
+
+// CSS styles for AchievementGallery
+const achievementGalleryStyles = document.createElement('style');
+achievementGalleryStyles.textContent = `
+    .gallery-view {
+        position: relative;
+        z-index: 10;
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 2rem 1.5rem 4rem;
+    }
+
+    .gallery-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 1.5rem;
+    }
+
+    .gallery-summary {
+        margin: 0.25rem 0 0;
+        color: var(--text-secondary);
+    }
+
+    .gallery-filters {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-bottom: 1.5rem;
+    }
+
+    .gallery-filter {
+        padding: 0.5rem 1rem;
+        background: rgba(26, 26, 46, 0.85);
+        border: 1px solid rgba(0, 212, 255, 0.2);
+        border-radius: 20px;
+        color: var(--text-primary);
+        cursor: pointer;
+        transition: all 0.2s ease;
+    }
+
+    .gallery-filter:hover,
+    .gallery-filter.active {
+        border-color: var(--accent-color);
+        background: rgba(0, 212, 255, 0.15);
+    }
+
+    .filter-count {
+        margin-left: 0.25rem;
+        color: var(--text-muted);
+        font-size: 0.8rem;
+    }
+
+    .gallery-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+        gap: 1rem;
+    }
+
+    .achievement-card {
+        display: flex;
+        gap: 1rem;
+        padding: 1.25rem;
+        background: rgba(26, 26, 46, 0.85);
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        border-radius: 12px;
+    }
+
+    .achievement-card.earned {
+        border-color: var(--category-color);
+        box-shadow: 0 0 16px rgba(0, 0, 0, 0.3), inset 0 0 24px rgba(255, 255, 255, 0.03);
+    }
+
+    .achievement-badge {
+        flex-shrink: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 64px;
+        height: 64px;
+        font-size: 2rem;
+        border: 3px solid var(--category-color);
+        border-radius: 50%;
+    }
+
+    .achievement-card.locked .achievement-badge {
+        border-color: rgba(255, 255, 255, 0.15);
+        filter: grayscale(1) brightness(0);
+        opacity: 0.35;
+    }
+
+    .achievement-info {
+        flex: 1;
+        min-width: 0;
+    }
+
+    .achievement-name {
+        margin: 0 0 0.35rem;
+        font-size: 1.05rem;
+    }
+
+    .achievement-card.locked .achievement-name {
+        color: var(--text-secondary);
+    }
+
+    .achievement-description,
+    .achievement-hint {
+        margin: 0 0 0.5rem;
+        color: var(--text-secondary);
+        font-size: 0.9rem;
+    }
+
+    .achievement-hint {
+        color: var(--text-muted);
+        font-style: italic;
+    }
+
+    .achievement-meta {
+        margin: 0 0 0.5rem;
+        color: var(--text-muted);
+        font-size: 0.8rem;
+    }
+
+    .achievement-xp {
+        margin-left: 0.25rem;
+        color: var(--warning-color);
+        font-weight: 600;
+    }
+
+    .achievement-progress {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 0.5rem;
+    }
+
+    .achievement-progress-bar {
+        flex: 1;
+        height: 6px;
+        background: rgba(255, 255, 255, 0.1);
+        border-radius: 3px;
+        overflow: hidden;
+    }
+
+    .achievement-progress-fill {
+        height: 100%;
+        background: var(--category-color);
+    }
+
+    .achievement-progress-label {
+        color: var(--text-secondary);
+        font-size: 0.8rem;
+    }
+
+    .gallery-empty {
+        color: var(--text-muted);
+        font-style: italic;
+    }
+
+    .badge-preview {
+        display: flex;
+        justify-content: center;
+    }
+
+    .badge-canvas {
+        width: 100%;
+        max-width: 320px;
+        height: auto;
+        border-radius: 12px;
+    }
+
+    @media (max-width: 768px) {
+        .gallery-grid {
+            grid-template-columns: 1fr;
+        }
+    }
+`;
+document.head.appendChild(achievementGalleryStyles);
+
+// Create singleton instance
+const achievementGalleryInstance = AchievementGallery.getInstance();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.AchievementGallery = achievementGalleryInstance;
+}
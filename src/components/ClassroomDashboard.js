@@ -0,0 +1,586 @@
+// src/components/ClassroomDashboard.js - Classroom View
+
+/**
+ * ClassroomDashboard - The /classroom and /classroom/:code routes
+ * /classroom lets a learner join or leave a class and an instructor create
+ * classes. /classroom/:code is the instructor dashboard for a class created
+ * in this browser: a learner × planet completion matrix, how the class
+ * answered each quiz question, and learners inactive for N days.
+ */
+
+class ClassroomDashboard {
+    constructor() {
+        this.container = null;
+        this.code = null;
+        this.inactiveDays = 7;
+        this.dashboard = null;
+        this.error = null;
+        this.requestId = 0;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+    }
+
+    /**
+     * Render the class overview, or a class's dashboard when given its code
+     */
+    show(container, code = null) {
+        if (this.container !== container) {
+            if (this.container) {
+                this.container.removeEventListener('click', this.handleClick);
+                this.container.removeEventListener('submit', this.handleSubmit);
+                this.container.removeEventListener('change', this.handleChange);
+            }
+            this.container = container;
+            this.container.addEventListener('click', this.handleClick);
+            this.container.addEventListener('submit', this.handleSubmit);
+            this.container.addEventListener('change', this.handleChange);
+        }
+
+        this.code = code ? code.toUpperCase() : null;
+        this.dashboard = null;
+        this.error = null;
+        if (this.code) {
+            this.loadDashboard();
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Fetch the dashboard; responses for a class we left are dropped
+     */
+    async loadDashboard() {
+        const requestId = ++this.requestId;
+        this.render();
+
+        try {
+            const dashboard = await ClassroomClient.getDashboard(this.code, this.inactiveDays);
+            if (requestId !== this.requestId) return;
+            this.dashboard = dashboard;
+            this.error = null;
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            this.error = error.message;
+        }
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="classroom-page">
+                ${this.code ? this.generateDashboardHTML() : this.generateOverviewHTML()}
+            </div>
+        `;
+    }
+
+    generateOverviewHTML() {
+        const membership = ClassroomClient.getMembership();
+        const classes = ClassroomClient.getInstructorClasses();
+
+        return `
+            <header class="classroom-header">
+                <h2>🏫 Classroom</h2>
+                <a href="/" class="btn btn-secondary">← Back to Galaxy</a>
+            </header>
+
+            <section class="classroom-section">
+                <h3>🎒 Learner</h3>
+                ${membership ? `
+                    <div class="classroom-row">
+                        <p>You are in <strong>${this.escapeHtml(membership.className)}</strong> (${membership.code}).
+                           Your instructor sees your planet progress and quiz answers.</p>
+                        <button type="button" class="btn btn-secondary" data-action="leave">Leave class</button>
+                    </div>
+                ` : `
+                    <form class="classroom-form" data-form="join">
+                        <input type="text" class="classroom-input" name="code" placeholder="Class code"
+                               maxlength="6" autocomplete="off" required aria-label="Class code">
+                        <input type="text" class="classroom-input" name="name" placeholder="Your name"
+                               maxlength="80" value="${this.escapeHtml(StateManager.getState().user.name || '')}"
+                               required aria-label="Your name">
+                        <button type="submit" class="btn btn-primary">Join class</button>
+                    </form>
+                `}
+            </section>
+
+            <section class="classroom-section">
+                <h3>🧑‍🏫 Instructor</h3>
+                <form class="classroom-form" data-form="create">
+                    <input type="text" class="classroom-input" name="name" placeholder="Class name"
+                           maxlength="80" required aria-label="Class name">
+                    <button type="submit" class="btn btn-primary">Create class</button>
+                </form>
+                ${classes.length > 0 ? `
+                    <ul class="classroom-list">
+                        ${classes.map(entry => `
+                            <li>
+                                <a href="/classroom/${entry.code}">${this.escapeHtml(entry.name)}</a>
+                                <code>${entry.code}</code>
+                                <button type="button" class="btn btn-secondary" data-action="forget" data-code="${entry.code}">Forget</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="classroom-empty">Classes you create are listed here.</p>'}
+            </section>
+        `;
+    }
+
+    generateDashboardHTML() {
+        const entry = ClassroomClient.getInstructorClasses().find(item => item.code === this.code);
+        let title = entry ? entry.name : this.code;
+        if (this.dashboard) {
+            title = this.dashboard.name;
+        }
+
+        let body = '<p class="classroom-empty">Loading class…</p>';
+        if (this.error) {
+            body = `<p class="classroom-empty error">${this.escapeHtml(this.error)}</p>`;
+        } else if (this.dashboard) {
+            body = `
+                ${this.generateMatrixHTML()}
+                ${this.generateInactiveHTML()}
+                ${this.generateQuestionsHTML()}
+            `;
+        }
+
+        return `
+            <header class="classroom-header">
+                <div>
+                    <h2>🏫 ${this.escapeHtml(title)}</h2>
+                    <p class="classroom-summary">Learners join with code <code>${this.code}</code></p>
+                </div>
+                <div class="classroom-actions">
+                    <button type="button" class="btn btn-secondary" data-action="refresh">🔄 Refresh</button>
+                    <a href="/classroom" class="btn btn-secondary">← Classes</a>
+                </div>
+            </header>
+            ${body}
+        `;
+    }
+
+    generateMatrixHTML() {
+        const { learners } = this.dashboard;
+        const planets = this.getPlanetOrder();
+
+        if (learners.length === 0) {
+            return `
+                <section class="classroom-section">
+                    <h3>🪐 Planet completion</h3>
+                    <p class="classroom-empty">No learners have joined yet.</p>
+                </section>
+            `;
+        }
+
+        return `
+            <section class="classroom-section">
+                <h3>🪐 Planet completion</h3>
+                <div class="classroom-table-wrapper">
+                    <table class="classroom-matrix">
+                        <thead>
+                            <tr>
+                                <th scope="col">Learner</th>
+                                ${planets.map(planetId => `<th scope="col">${this.escapeHtml(this.getPlanetTitle(planetId))}</th>`).join('')}
+                                <th scope="col">Last active</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${learners.map(learner => `
+                                <tr>
+                                    <th scope="row">${this.escapeHtml(learner.name)}</th>
+                                    ${planets.map(planetId => this.generateCellHTML(learner.planets[planetId])).join('')}
+                                    <td>${this.formatDate(learner.lastActiveAt)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </section>
+        `;
+    }
+
+    generateCellHTML(percent) {
+        if (percent === undefined) {
+            return '<td class="matrix-cell">–</td>';
+        }
+        return `<td class="matrix-cell" style="--completion: ${percent / 100}">${percent}%</td>`;
+    }
+
+    generateInactiveHTML() {
+        const { inactive } = this.dashboard;
+
+        return `
+            <section class="classroom-section">
+                <h3>💤 Inactive learners</h3>
+                <label class="classroom-inline">
+                    No activity for at least
+                    <input type="number" class="classroom-input classroom-days" data-inactive-days
+                           min="0" max="365" value="${this.inactiveDays}">
+                    days
+                </label>
+                ${inactive.length > 0 ? `
+                    <ul class="classroom-list">
+                        ${inactive.map(learner => `
+                            <li>
+                                <strong>${this.escapeHtml(learner.name)}</strong>
+                                <span>${learner.daysInactive} days, last active ${this.formatDate(learner.lastActiveAt)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="classroom-empty">Everyone has been active recently.</p>'}
+            </section>
+        `;
+    }
+
+    generateQuestionsHTML() {
+        const { questions } = this.dashboard;
+
+        return `
+            <section class="classroom-section">
+                <h3>🧠 Quiz questions</h3>
+                ${questions.length > 0 ? `
+                    <p class="classroom-summary">Each learner's latest answer, hardest questions first</p>
+                    <ul class="question-distributions">
+                        ${questions.map(question => `
+                            <li class="question-distribution">
+                                <div class="question-label">
+                                    <span>${this.escapeHtml(this.getPlanetTitle(question.planetId))} · ${this.escapeHtml(question.questionId)}</span>
+                                    <span>${Math.round(question.averageCredit * 100)}% average</span>
+                                </div>
+                                <div class="distribution-bar" role="img"
+                                     aria-label="${question.correct} correct, ${question.partial} partly correct, ${question.incorrect} wrong, ${question.unanswered} unanswered">
+                                    ${this.generateDistributionHTML(question)}
+                                </div>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="classroom-empty">No quiz answers reported yet.</p>'}
+            </section>
+        `;
+    }
+
+    /**
+     * One bar segment per answer outcome, sized by its number of learners
+     */
+    generateDistributionHTML(question) {
+        return ['correct', 'partial', 'incorrect', 'unanswered']
+            .filter(outcome => question[outcome] > 0)
+            .map(outcome => `<span class="distribution-${outcome}" style="flex: ${question[outcome]}">${question[outcome]}</span>`)
+            .join('');
+    }
+
+    /**
+     * Dashboard planets in curriculum order
+     */
+    getPlanetOrder() {
+        const { planets } = this.dashboard;
+        if (typeof window.CurriculumGraph === 'undefined') return planets;
+
+        const order = CurriculumGraph.getTopologicalOrder();
+        const rank = planetId => (order.includes(planetId) ? order.indexOf(planetId) : order.length);
+        return [...planets].sort((a, b) => rank(a) - rank(b));
+    }
+
+    getPlanetTitle(planetId) {
+        if (typeof window.ProgressAnalytics !== 'undefined') {
+            return ProgressAnalytics.getPlanetInfo(planetId).title;
+        }
+        return planetId;
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'leave':
+                this.leaveClass();
+                break;
+            case 'forget':
+                this.forgetClass(button.dataset.code);
+                break;
+            case 'refresh':
+                this.loadDashboard();
+                break;
+        }
+    }
+
+    handleSubmit(event) {
+        const form = event.target.closest('[data-form]');
+        if (!form) return;
+        event.preventDefault();
+
+        if (form.dataset.form === 'join') {
+            this.joinClass(form.elements.code.value, form.elements.name.value);
+        } else if (form.dataset.form === 'create') {
+            this.createClass(form.elements.name.value);
+        }
+    }
+
+    handleChange(event) {
+        if (!event.target.matches('[data-inactive-days]')) return;
+
+        const days = Number(event.target.value);
+        if (Number.isInteger(days) && days >= 0 && days <= 365) {
+            this.inactiveDays = days;
+            this.loadDashboard();
+        }
+    }
+
+    async joinClass(code, name) {
+        try {
+            const membership = await ClassroomClient.join(code, name);
+            this.render();
+            Modal.alert('Joined class', `Welcome to <strong>${this.escapeHtml(membership.className)}</strong>!`);
+        } catch (error) {
+            Modal.alert('Cannot join class', this.escapeHtml(error.message));
+        }
+    }
+
+    async leaveClass() {
+        const confirmed = await Modal.confirm(
+            'Leave class',
+            'Your instructor will no longer see your progress. Your own progress is kept.',
+            { confirmText: 'Leave' }
+        );
+        if (!confirmed) return;
+
+        await ClassroomClient.leave();
+        this.render();
+    }
+
+    async createClass(name) {
+        try {
+            const created = await ClassroomClient.createClass(name);
+            Modal.alert(
+                'Class created',
+                `Learners join <strong>${this.escapeHtml(created.name)}</strong> with code <code>${created.code}</code>.`
+            );
+            this.render();
+        } catch (error) {
+            Modal.alert('Cannot create class', this.escapeHtml(error.message));
+        }
+    }
+
+    async forgetClass(code) {
+        const confirmed = await Modal.confirm(
+            'Forget class',
+            `Remove ${code} from this browser? The class keeps running, but this browser can no longer open its dashboard.`,
+            { confirmText: 'Forget' }
+        );
+        if (!confirmed) return;
+
+        ClassroomClient.forgetClass(code);
+        this.render();
+    }
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Escape text for element content and quoted attribute values
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Get singleton instance
+     */
+    static getInstance() {
+        if (!ClassroomDashboard.instance) {
+            ClassroomDashboard.instance = new ClassroomDashboard();
+        }
+        return ClassroomDashboard.instance;
+    }
+}
+
+// CSS styles for ClassroomDashboard
+const classroomDashboardStyles = document.createElement('style');
+classroomDashboardStyles.textContent = `
+    .classroom-view {
+        position: relative;
+        z-index: 10;
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 2rem 1.5rem 4rem;
+    }
+
+    .classroom-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 1rem;
+        margin-bottom: 1.5rem;
+    }
+
+    .classroom-actions,
+    .classroom-form,
+    .classroom-row {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+    }
+
+    .classroom-row {
+        justify-content: space-between;
+    }
+
+    .classroom-summary,
+    .classroom-empty {
+        margin: 0.25rem 0 0.75rem;
+        color: var(--text-muted);
+        font-size: 0.9rem;
+    }
+
+    .classroom-empty.error {
+        color: var(--danger-color);
+    }
+
+    .classroom-section {
+        margin: 0 0 1.5rem;
+        padding: 1.25rem;
+        background: rgba(26, 26, 46, 0.85);
+        border: 1px solid rgba(0, 212, 255, 0.2);
+        border-radius: 12px;
+    }
+
+    .classroom-section h3 {
+        margin: 0 0 0.75rem;
+        color: var(--accent-color);
+        font-size: 1.05rem;
+    }
+
+    .classroom-input {
+        padding: 0.5rem 0.75rem;
+        background: var(--primary-bg);
+        border: 1px solid rgba(0, 212, 255, 0.3);
+        border-radius: 8px;
+        color: var(--text-primary);
+        font-family: inherit;
+    }
+
+    .classroom-input:focus-visible {
+        outline: 2px solid var(--accent-color);
+        outline-offset: 2px;
+    }
+
+    .classroom-days {
+        width: 5rem;
+        margin: 0 0.25rem;
+    }
+
+    .classroom-inline {
+        display: block;
+        margin-bottom: 0.75rem;
+        color: var(--text-secondary);
+    }
+
+    .classroom-list {
+        margin: 0.75rem 0 0;
+        padding: 0;
+        list-style: none;
+    }
+
+    .classroom-list li {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.5rem 0;
+        border-bottom: 1px solid rgba(0, 212, 255, 0.1);
+    }
+
+    .classroom-list li:last-child {
+        border-bottom: none;
+    }
+
+    .classroom-list a {
+        color: var(--text-primary);
+        font-weight: 600;
+    }
+
+    .classroom-list .btn {
+        margin-left: auto;
+    }
+
+    .classroom-table-wrapper {
+        overflow-x: auto;
+    }
+
+    .classroom-matrix {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.9rem;
+    }
+
+    .classroom-matrix th,
+    .classroom-matrix td {
+        padding: 0.5rem 0.75rem;
+        border-bottom: 1px solid rgba(0, 212, 255, 0.1);
+        text-align: center;
+        white-space: nowrap;
+    }
+
+    .classroom-matrix th[scope="row"] {
+        text-align: left;
+    }
+
+    .matrix-cell {
+        background: rgba(78, 205, 196, calc(var(--completion, 0) * 0.6));
+        color: var(--text-primary);
+    }
+
+    .question-distributions {
+        margin: 0;
+        padding: 0;
+        list-style: none;
+    }
+
+    .question-distribution {
+        margin-bottom: 0.75rem;
+    }
+
+    .question-label {
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 0.25rem;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .distribution-bar {
+        display: flex;
+        height: 1.25rem;
+        overflow: hidden;
+        border-radius: 6px;
+        background: rgba(255, 255, 255, 0.05);
+        font-size: 0.75rem;
+        line-height: 1.25rem;
+        text-align: center;
+    }
+
+    .distribution-bar span {
+        color: var(--primary-bg);
+    }
+
+    .distribution-correct { background: #4ecdc4; }
+    .distribution-partial { background: #ffe66d; }
+    .distribution-incorrect { background: #ff6b6b; }
+    .distribution-unanswered { background: #8a8aa3; }
+`;
+document.head.appendChild(classroomDashboardStyles);
+
+// Create singleton instance
+const classroomDashboardInstance = ClassroomDashboard.getInstance();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ClassroomDashboard = classroomDashboardInstance;
+}
@@ -0,0 +1,565 @@
+// src/components/CodeEditor.js - Lightweight Code Editor Component
+
+/**
+ * CodeEditor - Editable JavaScript editor for exercise workspaces
+ * A transparent textarea layered over a syntax-highlighted <pre>, with a line
+ * number gutter, auto-indent, tab handling and bracket matching
+ */
+
+class CodeEditor {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            value: options.value || '',
+            tabSize: options.tabSize || 2,
+            label: options.label || 'Code editor',
+            onChange: options.onChange || null,
+            ...options
+        };
+
+        this.indentUnit = ' '.repeat(this.options.tabSize);
+        this.element = null;
+        this.textarea = null;
+        this.highlightLayer = null;
+        this.gutter = null;
+        this.lineCount = 0;
+
+        this.render();
+        this.setupEventListeners();
+        this.setValue(this.options.value, { silent: true });
+    }
+
+    /**
+     * Build the editor DOM inside the container
+     */
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'code-editor';
+        this.element.innerHTML = `
+            <div class="code-editor-gutter" aria-hidden="true"></div>
+            <div class="code-editor-body">
+                <pre class="code-editor-highlight" aria-hidden="true"><code class="language-javascript"></code></pre>
+                <textarea class="code-editor-input"
+                          spellcheck="false"
+                          autocomplete="off"
+                          autocorrect="off"
+                          autocapitalize="off"
+                          wrap="off"
+                          aria-label="${this.options.label}"></textarea>
+            </div>
+        `;
+
+        this.gutter = this.element.querySelector('.code-editor-gutter');
+        this.highlightLayer = this.element.querySelector('.code-editor-highlight');
+        this.textarea = this.element.querySelector('.code-editor-input');
+
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Setup editor event listeners
+     */
+    setupEventListeners() {
+        this.textarea.addEventListener('input', () => this.handleInput());
+        this.textarea.addEventListener('keydown', e => this.handleKeydown(e));
+        this.textarea.addEventListener('scroll', () => this.syncScroll());
+
+        // Caret moves change which brackets are matched
+        ['keyup', 'click', 'select', 'focus'].forEach(eventName => {
+            this.textarea.addEventListener(eventName, () => this.updateHighlight());
+        });
+        this.textarea.addEventListener('blur', () => this.updateHighlight(false));
+    }
+
+    /**
+     * Get the current code
+     */
+    getValue() {
+        return this.textarea.value;
+    }
+
+    /**
+     * Replace the code, optionally without notifying onChange
+     */
+    setValue(value, options = {}) {
+        this.textarea.value = value || '';
+        this.refresh();
+        if (!options.silent) {
+            this.emitChange();
+        }
+    }
+
+    /**
+     * Focus the editor
+     */
+    focus() {
+        this.textarea.focus();
+    }
+
+    /**
+     * Remove the editor from the DOM
+     */
+    destroy() {
+        this.element?.remove();
+        this.element = null;
+    }
+
+    handleInput() {
+        this.refresh();
+        this.emitChange();
+    }
+
+    emitChange() {
+        if (this.options.onChange) {
+            this.options.onChange(this.getValue());
+        }
+    }
+
+    /**
+     * Redraw highlighting and line numbers
+     */
+    refresh() {
+        this.updateHighlight();
+        this.updateGutter();
+        this.syncScroll();
+    }
+
+    /**
+     * Handle editing keys: Tab, Shift+Tab, Enter, closing braces and Escape
+     */
+    handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        switch (e.key) {
+            case 'Tab':
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.outdentSelection();
+                } else {
+                    this.indentSelection();
+                }
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.insertNewline();
+                break;
+            case '}':
+            case ']':
+            case ')':
+                if (this.insertCloser(e.key)) {
+                    e.preventDefault();
+                }
+                break;
+            case 'Escape':
+                // Let keyboard users leave the editor, since Tab is captured
+                this.textarea.blur();
+                break;
+        }
+    }
+
+    /**
+     * Insert an indent at the caret, or indent every selected line
+     */
+    indentSelection() {
+        const { value, selectionStart, selectionEnd } = this.textarea;
+        const selected = value.slice(selectionStart, selectionEnd);
+
+        if (!selected.includes('\n')) {
+            this.replaceRange(selectionStart, selectionEnd, this.indentUnit);
+            return;
+        }
+
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const lines = value.slice(lineStart, selectionEnd).split('\n');
+        const indented = lines.map(line => this.indentUnit + line).join('\n');
+
+        this.replaceRange(
+            lineStart,
+            selectionEnd,
+            indented,
+            selectionStart + this.indentUnit.length,
+            selectionEnd + this.indentUnit.length * lines.length
+        );
+    }
+
+    /**
+     * Remove one indent level from the caret line or every selected line
+     */
+    outdentSelection() {
+        const { value, selectionStart, selectionEnd } = this.textarea;
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const lines = value.slice(lineStart, selectionEnd).split('\n');
+
+        let removedFirst = 0;
+        let removedTotal = 0;
+        const outdented = lines.map((line, index) => {
+            const removed = line.match(new RegExp(`^ {1,${this.options.tabSize}}|^\\t`))?.[0].length || 0;
+            if (index === 0) removedFirst = removed;
+            removedTotal += removed;
+            return line.slice(removed);
+        }).join('\n');
+
+        if (removedTotal === 0) return;
+
+        this.replaceRange(
+            lineStart,
+            selectionEnd,
+            outdented,
+            Math.max(lineStart, selectionStart - removedFirst),
+            selectionEnd - removedTotal
+        );
+    }
+
+    /**
+     * Insert a newline that keeps the current indentation, indenting one
+     * level further after an opening bracket
+     */
+    insertNewline() {
+        const { value, selectionStart, selectionEnd } = this.textarea;
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const indent = value.slice(lineStart).match(/^[ \t]*/)[0]
+            .slice(0, Math.max(0, selectionStart - lineStart));
+        const before = value[selectionStart - 1];
+        const after = value[selectionEnd];
+
+        if (CodeEditor.BRACKET_PAIRS[before]) {
+            const inner = `\n${indent}${this.indentUnit}`;
+            // Put a closing bracket right after the caret on its own line
+            const text = after === CodeEditor.BRACKET_PAIRS[before]
+                ? `${inner}\n${indent}`
+                : inner;
+            const caret = selectionStart + inner.length;
+            this.replaceRange(selectionStart, selectionEnd, text, caret, caret);
+            return;
+        }
+
+        this.replaceRange(selectionStart, selectionEnd, `\n${indent}`);
+    }
+
+    /**
+     * Outdent a closing bracket typed on an otherwise blank line
+     * @returns {boolean} Whether the key was handled
+     */
+    insertCloser(closer) {
+        const { value, selectionStart, selectionEnd } = this.textarea;
+        if (selectionStart !== selectionEnd) return false;
+
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const beforeCaret = value.slice(lineStart, selectionStart);
+        if (!/^[ \t]+$/.test(beforeCaret)) return false;
+
+        const outdented = beforeCaret.slice(0, Math.max(0, beforeCaret.length - this.indentUnit.length));
+        this.replaceRange(lineStart, selectionStart, outdented + closer);
+        return true;
+    }
+
+    /**
+     * Replace a range of text and place the selection afterwards.
+     * Uses insertText where available so the browser undo stack keeps working.
+     */
+    replaceRange(start, end, text, selectionStart = null, selectionEnd = null) {
+        const { textarea } = this;
+        const caret = start + text.length;
+
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+
+        const inserted = typeof document.execCommand === 'function'
+            && document.execCommand('insertText', false, text);
+        if (!inserted) {
+            textarea.setRangeText(text, start, end, 'end');
+        }
+
+        const newStart = selectionStart === null ? caret : selectionStart;
+        textarea.setSelectionRange(newStart, selectionEnd === null ? newStart : selectionEnd);
+
+        // insertText fires its own input event
+        if (!inserted) {
+            this.handleInput();
+        } else {
+            this.updateHighlight();
+        }
+    }
+
+    /**
+     * Re-render the highlight layer, marking the bracket pair at the caret
+     */
+    updateHighlight(showMatch = true) {
+        const code = this.getValue();
+        let marked = [];
+
+        if (showMatch && document.activeElement === this.textarea) {
+            const caret = this.textarea.selectionStart;
+            const candidates = [caret - 1, caret];
+            for (const index of candidates) {
+                const match = CodeEditor.findMatchingBracket(code, index);
+                if (match !== -1) {
+                    marked = [index, match];
+                    break;
+                }
+            }
+        }
+
+        // A trailing newline needs a placeholder so the layers stay aligned
+        const placeholder = code.endsWith('\n') || code === '' ? ' ' : '';
+        this.highlightLayer.firstElementChild.innerHTML = CodeEditor.highlight(code, marked) + placeholder;
+    }
+
+    /**
+     * Render line numbers for the current line count
+     */
+    updateGutter() {
+        const count = this.getValue().split('\n').length;
+        if (count === this.lineCount) return;
+
+        this.lineCount = count;
+        this.gutter.innerHTML = Array.from(
+            { length: count },
+            (_, index) => `<span class="code-editor-line-number">${index + 1}</span>`
+        ).join('');
+    }
+
+    /**
+     * Keep the highlight layer and gutter aligned with the textarea scroll
+     */
+    syncScroll() {
+        const { scrollTop, scrollLeft } = this.textarea;
+        this.highlightLayer.scrollTop = scrollTop;
+        this.highlightLayer.scrollLeft = scrollLeft;
+        this.gutter.scrollTop = scrollTop;
+    }
+
+    /**
+     * Split code into comment, string, number, word, bracket and plain tokens
+     * @returns {Array<{type: string, value: string, start: number}>}
+     */
+    static tokenize(code) {
+        const tokens = [];
+        let lastIndex = 0;
+
+        for (const match of code.matchAll(CodeEditor.TOKEN_PATTERN)) {
+            const [value] = match;
+            const { index, groups } = match;
+            if (index > lastIndex) {
+                tokens.push({ type: 'plain', value: code.slice(lastIndex, index), start: lastIndex });
+            }
+
+            const type = Object.keys(groups).find(name => groups[name] !== undefined);
+            tokens.push({
+                type: type === 'word' ? CodeEditor.classifyWord(value, code, index + value.length) : type,
+                value,
+                start: index
+            });
+            lastIndex = index + value.length;
+        }
+
+        if (lastIndex < code.length) {
+            tokens.push({ type: 'plain', value: code.slice(lastIndex), start: lastIndex });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Classify an identifier as keyword, literal, function name or plain word
+     */
+    static classifyWord(word, code, end) {
+        if (CodeEditor.KEYWORDS.has(word)) return 'keyword';
+        if (CodeEditor.LITERALS.has(word)) return 'literal';
+        if (/^\s*\(/.test(code.slice(end, end + 20))) return 'function';
+        return 'plain';
+    }
+
+    /**
+     * Highlight code as HTML. Brackets at the given indices are marked as a
+     * matched pair.
+     */
+    static highlight(code, markedIndices = []) {
+        return CodeEditor.tokenize(code).map(token => {
+            const html = CodeEditor.escapeHtml(token.value);
+            if (token.type === 'bracket' && markedIndices.includes(token.start)) {
+                return `<span class="tok-bracket tok-bracket-match">${html}</span>`;
+            }
+            return token.type === 'plain' ? html : `<span class="tok-${token.type}">${html}</span>`;
+        }).join('');
+    }
+
+    /**
+     * Find the bracket matching the one at index, ignoring brackets inside
+     * strings and comments
+     * @returns {number} Index of the matching bracket, or -1
+     */
+    static findMatchingBracket(code, index) {
+        const brackets = CodeEditor.tokenize(code).filter(token => token.type === 'bracket');
+        const position = brackets.findIndex(token => token.start === index);
+        if (position === -1) return -1;
+
+        const { value: bracket } = brackets[position];
+        const isOpener = Boolean(CodeEditor.BRACKET_PAIRS[bracket]);
+        const step = isOpener ? 1 : -1;
+        let depth = 0;
+
+        for (let i = position; i >= 0 && i < brackets.length; i += step) {
+            const { value } = brackets[i];
+            if (Boolean(CodeEditor.BRACKET_PAIRS[value]) === isOpener) {
+                depth++;
+            } else {
+                depth--;
+                if (depth === 0) {
+                    const [opener, closer] = isOpener
+                        ? [bracket, value]
+                        : [value, bracket];
+                    return CodeEditor.BRACKET_PAIRS[opener] === closer ? brackets[i].start : -1;
+                }
+            }
+        }
+
+        return -1;
+    }
+
+    static escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+CodeEditor.BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+
+CodeEditor.KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends',
+    'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let',
+    'new', 'of', 'return', 'static', 'super', 'switch', 'throw', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+CodeEditor.LITERALS = new Set([
+    'true', 'false', 'null', 'undefined', 'NaN', 'Infinity', 'this'
+]);
+
+// Token types tokenize() recognises, tried in this order. Words are
+// classified further by classifyWord().
+CodeEditor.TOKEN_PATTERNS = {
+    comment: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/,
+    string: /"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?|`(?:\\[\s\S]|[^`\\])*`?/,
+    number: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/,
+    word: /[A-Za-z_$][\w$]*/,
+    bracket: /[()[\]{}]/
+};
+
+CodeEditor.TOKEN_PATTERN = new RegExp(
+    Object.entries(CodeEditor.TOKEN_PATTERNS).map(([type, pattern]) => `(?<${type}>${pattern.source})`).join('|'),
+    'g'
+);
+
+// CSS styles for CodeEditor
+const codeEditorStyles = document.createElement('style');
+codeEditorStyles.textContent = `
+    .code-editor {
+        display: flex;
+        position: relative;
+        height: 280px;
+        min-height: 160px;
+        resize: vertical;
+        overflow: hidden;
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid rgba(0, 212, 255, 0.2);
+        border-radius: 8px;
+        margin-bottom: 1rem;
+        font-family: 'Fira Code', monospace;
+        font-size: 0.9rem;
+        line-height: 1.5;
+    }
+
+    .code-editor:focus-within {
+        border-color: var(--accent-color);
+    }
+
+    .code-editor-gutter {
+        flex-shrink: 0;
+        overflow: hidden;
+        padding: 1rem 0.5rem 1rem 0.75rem;
+        background: rgba(255, 255, 255, 0.03);
+        border-right: 1px solid rgba(0, 212, 255, 0.2);
+        color: var(--text-muted);
+        text-align: right;
+        user-select: none;
+    }
+
+    .code-editor-line-number {
+        display: block;
+        min-width: 2ch;
+    }
+
+    .code-editor-body {
+        position: relative;
+        flex: 1;
+        min-width: 0;
+    }
+
+    .code-editor-highlight,
+    .code-editor-input {
+        position: absolute;
+        inset: 0;
+        margin: 0;
+        padding: 1rem;
+        border: none;
+        font: inherit;
+        line-height: inherit;
+        letter-spacing: normal;
+        tab-size: 2;
+        white-space: pre;
+        overflow: auto;
+        box-sizing: border-box;
+    }
+
+    .code-editor-highlight {
+        pointer-events: none;
+        background: transparent;
+        color: var(--text-primary);
+        overflow: hidden;
+    }
+
+    .code-editor-highlight code {
+        font: inherit;
+        background: none;
+        padding: 0;
+    }
+
+    .code-editor-input {
+        width: 100%;
+        height: 100%;
+        resize: none;
+        outline: none;
+        background: transparent;
+        color: transparent;
+        caret-color: var(--text-primary);
+    }
+
+    .code-editor-input::selection {
+        background: rgba(100, 181, 246, 0.3);
+    }
+
+    .tok-comment { color: #6a9955; font-style: italic; }
+    .tok-string { color: #ce9178; }
+    .tok-number { color: #b5cea8; }
+    .tok-keyword { color: #c586c0; }
+    .tok-literal { color: #569cd6; }
+    .tok-function { color: #dcdcaa; }
+    .tok-bracket { color: #ffd700; }
+
+    .tok-bracket-match {
+        outline: 1px solid rgba(255, 215, 0, 0.7);
+        border-radius: 2px;
+        background: rgba(255, 215, 0, 0.15);
+    }
+`;
+
+document.head.appendChild(codeEditorStyles);
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CodeEditor = CodeEditor;
+}
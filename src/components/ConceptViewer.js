@@ -17,9 +17,14 @@ class ConceptViewer {
 
         this.currentConcept = null;
         this.currentSection = 0;
-        this.currentExercise = 0;
+        this.currentExercise = null;
         this.currentQuiz = null;
-        this.bookmarks = [];
+        this.drawnQuiz = null; // the attempt the quiz tab describes
+        this.tabs = ['content', 'exercises', 'quiz', 'notes'];
+        this.restoringLocation = false;
+        this.exerciseActivity = {};
+        this.codeEditors = {};
+        this.codeDraftTimeouts = {};
         this.isInitialized = false;
         this.modal = null;
 
@@ -30,7 +35,6 @@ class ConceptViewer {
      * Initialize the concept viewer
      */
     init() {
-        this.loadBookmarks();
         this.isInitialized = true;
 
         // Listen for state changes
@@ -55,6 +59,8 @@ class ConceptViewer {
             const conceptData = await ConceptLoader.loadConcept(conceptId);
             this.currentConcept = conceptData;
             this.currentSection = 0;
+            this.currentExercise = null;
+            this.exerciseActivity = {};
 
             // Hide loading modal
             loadingModal.hide();
@@ -73,9 +79,11 @@ class ConceptViewer {
 
             this.modal.setFooter(this.generateConceptFooter(conceptData));
             this.modal.show();
+            this.applyViewerSettings();
 
             // Initialize concept features
             this.initializeConceptFeatures();
+            this.syncLocation();
 
             JSVLogger.success(`Concept loaded: ${conceptId}`);
 
@@ -85,6 +93,109 @@ class ConceptViewer {
         }
     }
 
+    /**
+     * Open a concept at a deep-linked place. An open concept is reused, so
+     * browser back/forward only moves between its tabs and sections.
+     * @param {Object} location - {tab, section, exerciseId, question}, indexes are 0-based
+     */
+    async openConcept(conceptId, location = {}) {
+        const isOpen = Boolean(this.modal && this.currentConcept && this.currentConcept.id === conceptId);
+
+        this.restoringLocation = true;
+        try {
+            if (!isOpen) {
+                if (this.modal) {
+                    this.modal.hide();
+                }
+                await this.showConcept(conceptId);
+            }
+
+            if (this.currentConcept && this.currentConcept.id === conceptId) {
+                this.applyLocation(location, !isOpen);
+            }
+        } finally {
+            this.restoringLocation = false;
+        }
+    }
+
+    /**
+     * Show the tab, section, exercise or quiz question a location points to
+     */
+    applyLocation({ tab, section = null, exerciseId = null, question = null } = {}, isNewlyOpened = false) {
+        const tabName = this.tabs.includes(tab) ? tab : 'content';
+        this.activateTab(tabName);
+
+        if (tabName === 'content') {
+            const sectionIndex = section !== null && section < this.currentConcept.sections.length ? section : 0;
+            if (sectionIndex !== this.currentSection) {
+                this.navigateToSection(sectionIndex);
+            }
+        }
+
+        if (tabName === 'exercises' && exerciseId !== null) {
+            const exerciseIndex = this.currentConcept.exercises.findIndex(exercise => exercise.id === exerciseId);
+            if (exerciseIndex === -1) {
+                JSVLogger.warn(`Exercise not found: ${exerciseId}`);
+            } else {
+                this.setCurrentExercise(exerciseIndex);
+                this.modal.element.querySelector(`.exercise-card[data-exercise="${exerciseIndex}"]`)
+                    .scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+            }
+        }
+
+        if (tabName === 'quiz' && question !== null) {
+            // A shared question link starts the quiz; back/forward never restarts one
+            if (!this.isQuizInProgress() && isNewlyOpened && this.currentConcept.quiz.questions.length > 0) {
+                this.startQuiz();
+            }
+            if (this.isQuizInProgress()) {
+                this.goToQuizQuestion(question);
+            }
+        }
+    }
+
+    /**
+     * Describe where the learner is in the open concept
+     */
+    getLocation() {
+        const activeTab = this.modal.element.querySelector('.nav-tab.active');
+        const tab = activeTab ? activeTab.dataset.tab : 'content';
+        const exercise = this.currentExercise !== null ? this.currentConcept.exercises[this.currentExercise] : null;
+
+        return {
+            conceptId: this.currentConcept.id,
+            tab,
+            section: this.currentSection,
+            exerciseId: tab === 'exercises' && exercise ? exercise.id : null,
+            question: tab === 'quiz' && this.isQuizInProgress() ? this.currentQuiz.questionIndex : null
+        };
+    }
+
+    /**
+     * Push the learner's current place in the concept to the URL
+     */
+    syncLocation() {
+        this.trackTimeContext();
+        if (this.restoringLocation || !this.modal || !this.currentConcept || !window.Navigation) return;
+
+        const path = Navigation.buildConceptPath(this.getLocation());
+        if (path !== Navigation.getCurrentPath()) {
+            Navigation.navigateTo(path);
+        }
+    }
+
+    /**
+     * Attribute active learning time (sessionTracker.js) to the planet and
+     * the section or exercise on screen
+     */
+    trackTimeContext() {
+        if (!window.SessionTracker || !this.modal || !this.currentConcept) return;
+
+        const { conceptId, tab, exerciseId } = this.getLocation();
+        const focusId = tab === 'content' ? `${conceptId}-section-${this.currentSection}` : exerciseId;
+        SessionTracker.setContext(conceptId, focusId);
+    }
+
     /**
      * Generate concept content HTML
      */
@@ -219,7 +330,7 @@ class ConceptViewer {
                         🎯 Exercises (${conceptData.exercises.length})
                     </button>
                     <button class="nav-tab" data-tab="quiz">
-                        🧠 Quiz (${conceptData.quiz.questions.length})
+                        🧠 Quiz (${this.getQuizLength(conceptData.quiz)})
                     </button>
                     <button class="nav-tab" data-tab="notes">
                         📝 Notes
@@ -301,19 +412,21 @@ class ConceptViewer {
                 
                 <div class="section-body">
                     <div class="section-description">
-                        <p>${section.content.description}</p>
+                        <p>${this.escapeHtml(section.content.description)}</p>
                     </div>
                     
                     ${this.generateCodeExamples(section.content.examples)}
                     
-                    <div class="key-points">
-                        <h4>🔑 Key Points</h4>
-                        <ul class="key-points-list">
-                            ${section.keyPoints.map(point => `
-                                <li class="key-point">${point}</li>
-                            `).join('')}
-                        </ul>
-                    </div>
+                    ${section.keyPoints.length > 0 ? `
+                        <div class="key-points">
+                            <h4>🔑 Key Points</h4>
+                            <ul class="key-points-list">
+                                ${section.keyPoints.map(point => `
+                                    <li class="key-point">${this.escapeHtml(point)}</li>
+                                `).join('')}
+                            </ul>
+                        </div>
+                    ` : ''}
                     
                     <div class="section-completion">
                         <button class="btn btn-success complete-section-btn" 
@@ -376,11 +489,16 @@ class ConceptViewer {
                     <p>Apply your knowledge with these hands-on exercises.</p>
                 </div>
                 <div class="exercises-list">
-                    ${conceptData.exercises.map((exercise, index) => `
-                        <div class="exercise-card">
+                    ${conceptData.exercises.map((exercise, index) => {
+                        const hintsUpFront = this.getHintsUpFront(conceptData.id, exercise);
+                        return `
+                        <div class="exercise-card ${this.isExerciseCompleted(exercise) ? 'completed' : ''}" data-exercise="${index}">
                             <div class="exercise-header">
                                 <h4 class="exercise-title">${exercise.title}</h4>
                                 <div class="exercise-meta">
+                                    ${this.isExerciseCompleted(exercise) ? `
+                                        <span class="exercise-status completed">✓ Completed</span>
+                                    ` : ''}
                                     <span class="difficulty-badge ${exercise.difficulty}">
                                         ${exercise.difficulty}
                                     </span>
@@ -393,11 +511,18 @@ class ConceptViewer {
                                     <h5>📋 Instructions</h5>
                                     <p>${exercise.instructions}</p>
                                 </div>
+                                ${hintsUpFront > 0 ? `
+                                    <div class="exercise-hints-up-front">
+                                        ${exercise.hints.slice(0, hintsUpFront).map(hint => `
+                                            <p class="hint-up-front">💡 ${hint}</p>
+                                        `).join('')}
+                                    </div>
+                                ` : ''}
                                 
                                 <div class="exercise-workspace">
                                     <div class="workspace-tabs">
                                         <button class="workspace-tab active" data-workspace="starter">
-                                            🏗️ Starter Code
+                                            ✏️ Your Code
                                         </button>
                                         <button class="workspace-tab" data-workspace="solution">
                                             ✅ Solution
@@ -409,11 +534,14 @@ class ConceptViewer {
                                     
                                     <div class="workspace-content">
                                         <div class="workspace-panel active" data-workspace="starter">
-                                            <pre><code class="language-javascript">${this.escapeHtml(exercise.starterCode)}</code></pre>
-                                            <button class="btn btn-primary run-exercise-btn" 
-                                                    data-exercise="${index}">
-                                                ▶️ Run Code
-                                            </button>
+                                            <div class="exercise-editor" data-exercise="${index}"></div>
+                                            <div class="exercise-editor-footer">
+                                                <button class="btn btn-primary run-exercise-btn" 
+                                                        data-exercise="${index}">
+                                                    ▶️ Run Code
+                                                </button>
+                                                <span class="code-draft-status" data-exercise="${index}"></span>
+                                            </div>
                                         </div>
                                         
                                         <div class="workspace-panel" data-workspace="solution">
@@ -438,10 +566,12 @@ class ConceptViewer {
                                     </div>
                                 </div>
                                 
+                                <div class="exercise-grade-result"></div>
+                                
                                 <div class="exercise-actions">
-                                    <button class="btn btn-success complete-exercise-btn" 
+                                    <button class="btn btn-success submit-exercise-btn" 
                                             data-exercise="${index}">
-                                        Mark as Complete
+                                        🧪 Submit Solution
                                     </button>
                                     <button class="btn btn-secondary reset-exercise-btn" 
                                             data-exercise="${index}">
@@ -450,7 +580,8 @@ class ConceptViewer {
                                 </div>
                             </div>
                         </div>
-                    `).join('')}
+                    `;
+                    }).join('')}
                 </div>
             </div>
         `;
@@ -460,13 +591,27 @@ class ConceptViewer {
      * Generate quiz tab
      */
     generateQuizTab(conceptData) {
+        if (conceptData.quiz.questions.length === 0) {
+            return `
+                <div class="tab-content" data-tab="quiz">
+                    <div class="quiz-header">
+                        <h3>🧠 Knowledge Quiz</h3>
+                        <p>There is no quiz for ${conceptData.overview.title} yet. Keep exploring the sections and exercises!</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        // Describe the questions the learner will get, not the whole bank
+        const quiz = this.drawnQuiz = this.drawQuiz();
+
         return `
             <div class="tab-content" data-tab="quiz">
                 <div class="quiz-header">
                     <h3>🧠 Knowledge Quiz</h3>
                     <p>Test your understanding of ${conceptData.overview.title}</p>
                     <div class="quiz-info">
-                        <span class="quiz-stat">📊 ${conceptData.quiz.questions.length} questions</span>
+                        <span class="quiz-stat">📊 ${quiz.questions.length} questions</span>
                         <span class="quiz-stat">⏱️ ${Math.floor(conceptData.quiz.timeLimit / 60)} minutes</span>
                         <span class="quiz-stat">🎯 ${conceptData.quiz.passingScore}% to pass</span>
                     </div>
@@ -479,13 +624,19 @@ class ConceptViewer {
                             <ul>
                                 <li>Answer all questions to the best of your ability</li>
                                 <li>You can review and change your answers before submitting</li>
-                                <li>Each question is worth ${Math.round(conceptData.quiz.totalPoints / conceptData.quiz.questions.length)} points</li>
+                                <li>${this.describeQuizPoints(quiz)}</li>
                                 <li>You need ${conceptData.quiz.passingScore}% to pass this quiz</li>
+                                <li>${this.getDifficultyNote()}</li>
                             </ul>
                         </div>
                         <button class="btn btn-primary btn-large start-quiz-btn">
                             🚀 Start Quiz
                         </button>
+                        ${this.canReviewLastAttempt(conceptData.id) ? `
+                            <button class="btn btn-secondary review-last-attempt-btn">
+                                🔍 Review Last Attempt
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
             </div>
@@ -655,28 +806,28 @@ class ConceptViewer {
      */
     setupTabNavigation() {
         const tabButtons = this.modal.element.querySelectorAll('.nav-tab');
-        const tabContents = this.modal.element.querySelectorAll('.tab-content');
 
         tabButtons.forEach(button => {
             button.addEventListener('click', (e) => {
                 const tabName = button.dataset.tab;
-                
-                // Update active tab
-                tabButtons.forEach(btn => btn.classList.remove('active'));
-                tabContents.forEach(content => content.classList.remove('active'));
-                
-                button.classList.add('active');
-                const targetContent = this.modal.element.querySelector(`[data-tab="${tabName}"]`);
-                if (targetContent) {
-                    targetContent.classList.add('active');
-                }
+                this.activateTab(tabName);
 
                 // Track tab usage
                 this.trackTabUsage(tabName);
+                this.syncLocation();
             });
         });
     }
 
+    activateTab(tabName) {
+        this.modal.element.querySelectorAll('.nav-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tabName);
+        });
+        this.modal.element.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.toggle('active', content.dataset.tab === tabName);
+        });
+    }
+
     /**
      * Setup section navigation
      */
@@ -726,7 +877,7 @@ class ConceptViewer {
         runBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const code = btn.dataset.code;
-                this.runCode(code);
+                this.runCode(code, btn.closest('.code-example'), btn);
             });
         });
     }
@@ -735,6 +886,8 @@ class ConceptViewer {
      * Setup exercise interactions
      */
     setupExerciseInteractions() {
+        this.setupCodeEditors();
+
         // Workspace tab navigation
         const workspaceTabs = this.modal.element.querySelectorAll('.workspace-tab');
         workspaceTabs.forEach(tab => {
@@ -757,20 +910,112 @@ class ConceptViewer {
             toggle.addEventListener('click', (e) => {
                 const hintContent = toggle.nextElementSibling;
                 hintContent.classList.toggle('hidden');
+                const card = toggle.closest('.exercise-card');
+                if (card && !hintContent.classList.contains('hidden')) {
+                    this.getExerciseActivity(parseInt(card.dataset.exercise)).hintsUsed.add(toggle.dataset.hint);
+                }
                 toggle.textContent = hintContent.classList.contains('hidden') 
                     ? toggle.textContent.replace('🔽', '💡')
                     : toggle.textContent.replace('💡', '🔽');
             });
         });
 
-        // Exercise completion
-        const completeExerciseBtns = this.modal.element.querySelectorAll('.complete-exercise-btn');
-        completeExerciseBtns.forEach(btn => {
+        // Run exercise code in the sandbox
+        const runExerciseBtns = this.modal.element.querySelectorAll('.run-exercise-btn');
+        runExerciseBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const exerciseIndex = parseInt(btn.dataset.exercise);
-                this.completeExercise(exerciseIndex);
+                const code = this.getExerciseCode(exerciseIndex);
+                this.getExerciseActivity(exerciseIndex);
+                this.runCode(code, btn.closest('.workspace-panel'), btn);
             });
         });
+
+        // Exercise grading
+        const submitExerciseBtns = this.modal.element.querySelectorAll('.submit-exercise-btn');
+        submitExerciseBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const exerciseIndex = parseInt(btn.dataset.exercise);
+                this.submitExercise(exerciseIndex, btn);
+            });
+        });
+
+        // Remember the exercise being worked on for the URL
+        const exerciseCards = this.modal.element.querySelectorAll('.exercise-card');
+        exerciseCards.forEach(card => {
+            card.addEventListener('focusin', () => {
+                const exerciseIndex = parseInt(card.dataset.exercise);
+                if (exerciseIndex !== this.currentExercise) {
+                    this.setCurrentExercise(exerciseIndex);
+                    this.syncLocation();
+                }
+            });
+        });
+
+        // Restore starter code
+        const resetExerciseBtns = this.modal.element.querySelectorAll('.reset-exercise-btn');
+        resetExerciseBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const exerciseIndex = parseInt(btn.dataset.exercise);
+                this.resetExerciseCode(exerciseIndex);
+            });
+        });
+    }
+
+    setCurrentExercise(exerciseIndex) {
+        this.currentExercise = exerciseIndex;
+        this.modal.element.querySelectorAll('.exercise-card').forEach(card => {
+            card.classList.toggle('targeted', parseInt(card.dataset.exercise) === exerciseIndex);
+        });
+    }
+
+    /**
+     * Mount a code editor in each exercise workspace, restoring saved drafts
+     */
+    setupCodeEditors() {
+        this.codeEditors = {};
+
+        const editorContainers = this.modal.element.querySelectorAll('.exercise-editor');
+        editorContainers.forEach(container => {
+            const exerciseIndex = parseInt(container.dataset.exercise);
+            const exercise = this.currentConcept.exercises[exerciseIndex];
+            if (!exercise) return;
+
+            const draft = this.getCodeDraft(exercise.id);
+            this.codeEditors[exerciseIndex] = new CodeEditor(container, {
+                value: draft !== null ? draft : exercise.starterCode,
+                label: `Code for ${exercise.title}`,
+                onChange: (code) => {
+                    this.getExerciseActivity(exerciseIndex);
+                    this.autoSaveCodeDraft(exerciseIndex, code);
+                }
+            });
+
+            if (draft !== null) {
+                this.showCodeDraftStatus(exerciseIndex, 'Restored your saved code');
+            }
+        });
+    }
+
+    /**
+     * Replace the learner's code with the exercise starter code
+     */
+    async resetExerciseCode(exerciseIndex) {
+        const exercise = this.currentConcept.exercises[exerciseIndex];
+        const editor = this.codeEditors[exerciseIndex];
+        if (!exercise || !editor || editor.getValue() === exercise.starterCode) return;
+
+        const confirmed = await Modal.confirm(
+            'Reset Code',
+            'Replace your code with the starter code? Your current changes will be lost.',
+            { confirmText: 'Reset' }
+        );
+        if (!confirmed) return;
+
+        clearTimeout(this.codeDraftTimeouts[exerciseIndex]);
+        editor.setValue(exercise.starterCode, { silent: true });
+        this.clearCodeDraft(exercise.id);
+        this.showCodeDraftStatus(exerciseIndex, 'Starter code restored');
     }
 
     /**
@@ -781,6 +1026,11 @@ class ConceptViewer {
         startQuizBtn?.addEventListener('click', () => {
             this.startQuiz();
         });
+
+        const reviewLastBtn = this.modal.element.querySelector('.review-last-attempt-btn');
+        reviewLastBtn?.addEventListener('click', () => {
+            this.reviewLastAttempt();
+        });
     }
 
     /**
@@ -828,10 +1078,33 @@ class ConceptViewer {
      */
     initializeAutoSave() {
         this.autoSaveInterval = setInterval(() => {
-            this.autoSaveProgress();
+            if (this.isAutoSaveEnabled()) {
+                this.autoSaveProgress();
+            }
         }, 30000); // Auto-save every 30 seconds
     }
 
+    isAutoSaveEnabled() {
+        return StateManager.getState().settings.autoSave !== false;
+    }
+
+    /**
+     * Apply learning settings to the open concept
+     */
+    applyViewerSettings() {
+        if (!this.modal || !this.modal.element) return;
+
+        const showHints = StateManager.getState().settings.showHints !== false;
+        this.modal.element.classList.toggle('hints-hidden', !showHints);
+
+        // Leave a hidden hints tab for the learner's code
+        if (!showHints) {
+            this.modal.element.querySelectorAll('.workspace-tab.active[data-workspace="hints"]').forEach(tab => {
+                tab.closest('.exercise-workspace').querySelector('.workspace-tab[data-workspace="starter"]').click();
+            });
+        }
+    }
+
     // Navigation methods
     navigateSection(direction) {
         const newSection = this.currentSection + direction;
@@ -852,6 +1125,8 @@ class ConceptViewer {
         
         // Scroll to top
         sectionContent.scrollTop = 0;
+
+        this.syncLocation();
     }
 
     updateSectionNavigation() {
@@ -915,19 +1190,124 @@ class ConceptViewer {
         this.updateProgressDisplay();
     }
 
+    /**
+     * Grade the learner's code and record the submission
+     */
+    async submitExercise(exerciseIndex, button = null) {
+        const exercise = this.currentConcept.exercises[exerciseIndex];
+        if (!exercise) return;
+
+        const activity = this.getExerciseActivity(exerciseIndex);
+        const card = this.modal.element.querySelector(`.exercise-card[data-exercise="${exerciseIndex}"]`);
+        const originalLabel = button ? button.innerHTML : '';
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '⏳ Grading...';
+        }
+
+        try {
+            const submission = await ExerciseGrader.grade(exercise, this.getExerciseCode(exerciseIndex), {
+                startedAt: activity.startedAt,
+                hintsUsed: activity.hintsUsed.size
+            });
+            // Nothing to grade against: not an attempt, and never a pass
+            if (submission.testResults.total === 0) {
+                this.showUngradedResult(card);
+                return;
+            }
+            const isFirstPass = StateManager.recordSubmission(exercise.id, submission);
+
+            this.showGradeResult(submission, card);
+            if (isFirstPass) {
+                this.completeExercise(exerciseIndex);
+            }
+        } catch (error) {
+            JSVLogger.error('❌ Failed to grade exercise:', error);
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.innerHTML = originalLabel;
+            }
+        }
+    }
+
+    /**
+     * Get (and start tracking) a learner's activity on an exercise
+     */
+    getExerciseActivity(exerciseIndex) {
+        if (!this.exerciseActivity[exerciseIndex]) {
+            this.exerciseActivity[exerciseIndex] = {
+                startedAt: Date.now(),
+                hintsUsed: new Set()
+            };
+        }
+        return this.exerciseActivity[exerciseIndex];
+    }
+
+    /**
+     * Show per-test results of a graded submission inside its exercise card
+     */
+    showGradeResult(submission, card) {
+        const resultDiv = card?.querySelector('.exercise-grade-result');
+        if (!resultDiv) return;
+
+        const { testResults } = submission;
+        resultDiv.innerHTML = `
+            <div class="grade-summary ${submission.passed ? 'passed' : 'failed'}">
+                <span class="grade-icon">${submission.passed ? '🎉' : '🔧'}</span>
+                <span class="grade-text">
+                    ${testResults.passed} of ${testResults.total} tests passed (${submission.score}%)
+                </span>
+            </div>
+            <ul class="grade-details">
+                ${testResults.details.map(detail => `
+                    <li class="grade-detail ${detail.passed ? 'passed' : 'failed'}">
+                        <span class="grade-detail-icon">${detail.passed ? '✅' : '❌'}</span>
+                        <span class="grade-detail-description">${this.escapeHtml(detail.description)}</span>
+                        ${detail.error ? `
+                            <pre class="grade-error">${this.escapeHtml(detail.error)}</pre>
+                        ` : ''}
+                        ${detail.diff.length > 0 ? `
+                            <pre class="grade-diff">${detail.diff.map(line => {
+                                const prefix = line.type === 'removed' ? '- ' : (line.type === 'added' ? '+ ' : '  ');
+                                return `<span class="diff-line diff-${line.type}">${this.escapeHtml(prefix + line.value)}</span>`;
+                            }).join('\n')}</pre>
+                            <p class="grade-diff-legend">- expected &nbsp; + actual</p>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Explain that an exercise without tests cannot be submitted for credit
+     */
+    showUngradedResult(card) {
+        const resultDiv = card?.querySelector('.exercise-grade-result');
+        if (!resultDiv) return;
+
+        resultDiv.innerHTML = `
+            <div class="grade-summary ungraded">
+                <span class="grade-icon">📝</span>
+                <span class="grade-text">
+                    This exercise has no automatic tests yet. Run your code and compare it with the solution.
+                </span>
+            </div>
+        `;
+    }
+
+    /**
+     * Update the exercise card after its first passing submission
+     */
     completeExercise(exerciseIndex) {
-        const conceptId = this.currentConcept.id;
-        const exerciseKey = `${conceptId}-exercise-${exerciseIndex}`;
-        
-        // Mark exercise as completed
-        StateManager.completeConcept(exerciseKey);
-        
-        // Update UI
-        const btn = this.modal.element.querySelector(`[data-exercise="${exerciseIndex}"] .complete-exercise-btn`);
-        if (btn) {
-            btn.disabled = true;
-            btn.textContent = '✓ Completed';
-            btn.classList.add('completed');
+        const card = this.modal.element.querySelector(`.exercise-card[data-exercise="${exerciseIndex}"]`);
+        if (card && !card.classList.contains('completed')) {
+            card.classList.add('completed');
+            card.querySelector('.exercise-meta')?.insertAdjacentHTML(
+                'afterbegin',
+                '<span class="exercise-status completed">✓ Completed</span>'
+            );
         }
         
         // Show success message
@@ -937,21 +1317,119 @@ class ConceptViewer {
         this.updateProgressDisplay();
     }
 
-    startQuiz() {
+    /**
+     * Start a quiz: questions drawn from the concept's quiz or a review deck
+     */
+    startQuiz(quiz = this.takeDrawnQuiz()) {
         const quizContainer = this.modal.element.querySelector('#quiz-container');
         this.currentQuiz = {
+            quiz,
             questionIndex: 0,
-            answers: [],
+            // Ordering questions start out answered with the order shown
+            answers: quiz.questions.map(question =>
+                QuizScorer.getType(question) === 'ordering' ? question.items.map((item, index) => index) : undefined
+            ),
             startTime: Date.now(),
-            timeRemaining: this.currentConcept.quiz.timeLimit
+            timeRemaining: quiz.timeLimit * 1000 // timeLimit is in seconds
         };
         
         quizContainer.innerHTML = this.generateQuizInterface();
         this.initializeQuiz();
+        this.syncLocation();
     }
 
-    generateQuizInterface() {
+    /**
+     * Draw this attempt's questions from the concept's question bank
+     */
+    drawQuiz() {
         const quiz = this.currentConcept.quiz;
+        if (typeof window.QuizAssembler === 'undefined') {
+            return quiz;
+        }
+        return QuizAssembler.assemble(this.currentConcept.id, quiz);
+    }
+
+    /**
+     * The attempt the quiz tab introduced; retakes draw a new one
+     */
+    takeDrawnQuiz() {
+        const quiz = this.drawnQuiz || this.drawQuiz();
+        this.drawnQuiz = null;
+        return quiz;
+    }
+
+    /**
+     * Points line of the quiz instructions; questions are worth more the
+     * harder they are
+     */
+    describeQuizPoints(quiz) {
+        const points = [...new Set(quiz.questions.map(question => question.points || 0))];
+        if (points.length === 1) {
+            return `Each question is worth ${points[0]} points`;
+        }
+        return `Questions are worth ${Math.min(...points)}-${Math.max(...points)} points, ${quiz.totalPoints} in total`;
+    }
+
+    /**
+     * Show the planet's last quiz attempt with the learner's answers, as it
+     * was asked
+     */
+    reviewLastAttempt() {
+        const attempt = QuizAssembler.getLastAttempt(this.currentConcept.id);
+        const quiz = QuizAssembler.rebuild(this.currentConcept.quiz, attempt);
+        if (!quiz) {
+            JSVLogger.warn('⚠️ The last quiz attempt cannot be shown again');
+            return;
+        }
+
+        const answers = attempt.answers || [];
+        this.currentQuiz = {
+            quiz,
+            questionIndex: 0,
+            answers,
+            result: QuizScorer.scoreQuiz(quiz.questions, answers)
+        };
+        this.showAnswerReview();
+    }
+
+    canReviewLastAttempt(conceptId) {
+        return typeof window.QuizAssembler !== 'undefined' && Boolean(QuizAssembler.getLastAttempt(conceptId));
+    }
+
+    getQuizLength(quiz) {
+        return quiz.questionCount ?? quiz.questions.length;
+    }
+
+    /**
+     * Explain how the difficulty setting picks quiz questions
+     */
+    getDifficultyNote() {
+        const notes = {
+            easy: 'Easy difficulty: questions lean towards the basics',
+            normal: 'Questions cover every level of the topic',
+            hard: 'Hard difficulty: questions lean towards the advanced end',
+            adaptive: 'Adaptive difficulty: questions are picked for how you are doing on this planet'
+        };
+        const mode = typeof window.AdaptiveDifficulty !== 'undefined' ? AdaptiveDifficulty.getMode() : 'normal';
+        return notes[mode];
+    }
+
+    /**
+     * Number of an exercise's hints to show with its instructions
+     */
+    getHintsUpFront(conceptId, exercise) {
+        if (typeof window.AdaptiveDifficulty === 'undefined') {
+            return 0;
+        }
+        return AdaptiveDifficulty.getHintsUpFront(conceptId, exercise);
+    }
+
+    isQuizInProgress() {
+        return Boolean(this.currentQuiz && !this.currentQuiz.result && !this.currentQuiz.quiz.isReview);
+    }
+
+    generateQuizInterface() {
+        const quiz = this.currentQuiz.quiz;
         const question = quiz.questions[0];
         
         return `
@@ -989,18 +1467,16 @@ class ConceptViewer {
     }
 
     generateQuestionHTML(question, index) {
+        const type = QuizScorer.getType(question);
+
         return `
-            <div class="quiz-question">
-                <h4 class="question-text">${question.question}</h4>
-                <div class="question-options">
-                    ${question.options.map((option, optionIndex) => `
-                        <label class="quiz-option">
-                            <input type="radio" name="question-${index}" value="${optionIndex}"
-                                   ${this.currentQuiz.answers[index] === optionIndex ? 'checked' : ''}>
-                            <span class="option-text">${option}</span>
-                        </label>
-                    `).join('')}
-                </div>
+            <div class="quiz-question" data-question-type="${type}">
+                ${question.planetTitle ? `<span class="question-planet">🪐 ${this.escapeHtml(question.planetTitle)}</span>` : ''}
+                <h4 class="question-text">${this.escapeHtml(question.question)}</h4>
+                ${question.code && type !== 'fill-blank' ? `
+                    <pre class="question-code"><code class="language-javascript">${this.escapeHtml(question.code)}</code></pre>
+                ` : ''}
+                ${this.generateAnswerInputHTML(question, index, this.currentQuiz.answers[index])}
                 ${question.explanation ? `
                     <div class="question-explanation hidden">
                         <h5>💡 Explanation</h5>
@@ -1011,6 +1487,91 @@ class ConceptViewer {
         `;
     }
 
+    /**
+     * Generate the answer controls for a question type
+     */
+    generateAnswerInputHTML(question, index, answer) {
+        switch (QuizScorer.getType(question)) {
+            case 'true-false':
+                return `
+                    <div class="question-options question-options-inline">
+                        ${[true, false].map(value => `
+                            <label class="quiz-option">
+                                <input type="radio" name="question-${index}" value="${value}"
+                                       ${answer === value ? 'checked' : ''}>
+                                <span class="option-text">${value ? 'True' : 'False'}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                `;
+
+            case 'output':
+                return `
+                    <label class="quiz-text-answer">
+                        <span class="quiz-answer-label">Type the exact console output, one line per log</span>
+                        <textarea class="quiz-output-input" rows="4" spellcheck="false"
+                                  autocomplete="off">${this.escapeHtml(answer || '')}</textarea>
+                    </label>
+                `;
+
+            case 'multi-select':
+                return `
+                    <p class="quiz-answer-label">Select all that apply</p>
+                    <div class="question-options">
+                        ${question.options.map((option, optionIndex) => `
+                            <label class="quiz-option">
+                                <input type="checkbox" name="question-${index}" value="${optionIndex}"
+                                       ${Array.isArray(answer) && answer.includes(optionIndex) ? 'checked' : ''}>
+                                <span class="option-text">${this.escapeHtml(option)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                `;
+
+            case 'ordering':
+                return `
+                    <p class="quiz-answer-label">Move the steps into the right order</p>
+                    <ol class="quiz-ordering">
+                        ${answer.map((itemIndex, position) => `
+                            <li class="quiz-ordering-item">
+                                <span class="option-text">${this.escapeHtml(question.items[itemIndex])}</span>
+                                <span class="ordering-controls">
+                                    <button type="button" class="ordering-btn" data-move="${position}" data-direction="-1"
+                                            aria-label="Move up" ${position === 0 ? 'disabled' : ''}>▲</button>
+                                    <button type="button" class="ordering-btn" data-move="${position}" data-direction="1"
+                                            aria-label="Move down" ${position === answer.length - 1 ? 'disabled' : ''}>▼</button>
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                `;
+
+            case 'fill-blank':
+                return `
+                    <pre class="question-code quiz-fill-blank"><code class="language-javascript">${QuizScorer.splitBlanks(question.code).map((part, blankIndex) =>
+                        this.escapeHtml(part) + (blankIndex < question.correctAnswer.length
+                            ? `<input type="text" class="quiz-blank" data-blank="${blankIndex}" spellcheck="false"
+                                      autocomplete="off" aria-label="Blank ${blankIndex + 1}"
+                                      value="${this.escapeHtml((answer && answer[blankIndex]) || '').replace(/"/g, '&quot;')}">`
+                            : '')
+                    ).join('')}</code></pre>
+                `;
+
+            default:
+                return `
+                    <div class="question-options">
+                        ${question.options.map((option, optionIndex) => `
+                            <label class="quiz-option">
+                                <input type="radio" name="question-${index}" value="${optionIndex}"
+                                       ${answer === optionIndex ? 'checked' : ''}>
+                                <span class="option-text">${this.escapeHtml(option)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                `;
+        }
+    }
+
     initializeQuiz() {
         // Start timer
         this.quizTimer = setInterval(() => {
@@ -1026,42 +1587,103 @@ class ConceptViewer {
         nextBtn.addEventListener('click', () => this.navigateQuizQuestion(1));
         submitBtn.addEventListener('click', () => this.submitQuiz());
         
-        // Setup answer recording
-        const options = this.modal.element.querySelectorAll('input[type="radio"]');
-        options.forEach(option => {
-            option.addEventListener('change', (e) => {
-                const questionIndex = this.currentQuiz.questionIndex;
-                this.currentQuiz.answers[questionIndex] = parseInt(e.target.value);
-            });
+        // Setup answer recording. The container outlives question changes,
+        // so delegated listeners cover every question.
+        const questionContainer = this.modal.element.querySelector('.quiz-question-container');
+        questionContainer.addEventListener('change', () => this.recordQuizAnswer());
+        questionContainer.addEventListener('input', () => this.recordQuizAnswer());
+        questionContainer.addEventListener('click', (e) => {
+            const moveBtn = e.target.closest('[data-move]');
+            if (moveBtn) {
+                this.moveOrderingItem(parseInt(moveBtn.dataset.move), parseInt(moveBtn.dataset.direction));
+            }
         });
+
+        this.updateQuizNavigation();
+    }
+
+    /**
+     * Read the current question's inputs into the answers list
+     */
+    recordQuizAnswer() {
+        const index = this.currentQuiz.questionIndex;
+        const question = this.currentQuiz.quiz.questions[index];
+        const container = this.modal.element.querySelector('.quiz-question-container');
+
+        switch (QuizScorer.getType(question)) {
+            case 'true-false': {
+                const checked = container.querySelector('input[type="radio"]:checked');
+                if (checked) this.currentQuiz.answers[index] = checked.value === 'true';
+                break;
+            }
+            case 'output':
+                this.currentQuiz.answers[index] = container.querySelector('.quiz-output-input').value;
+                break;
+            case 'multi-select':
+                this.currentQuiz.answers[index] = Array.from(
+                    container.querySelectorAll('input[type="checkbox"]:checked')
+                ).map(input => parseInt(input.value));
+                break;
+            case 'fill-blank':
+                this.currentQuiz.answers[index] = Array.from(
+                    container.querySelectorAll('.quiz-blank')
+                ).map(input => input.value);
+                break;
+            case 'ordering':
+                // Updated by moveOrderingItem
+                break;
+            default: {
+                const checked = container.querySelector('input[type="radio"]:checked');
+                if (checked) this.currentQuiz.answers[index] = parseInt(checked.value);
+            }
+        }
+    }
+
+    /**
+     * Swap an ordering item with its neighbour and redraw the question
+     */
+    moveOrderingItem(position, direction) {
+        const order = [...this.currentQuiz.answers[this.currentQuiz.questionIndex]];
+        const target = position + direction;
+        if (target < 0 || target >= order.length) return;
+
+        [order[position], order[target]] = [order[target], order[position]];
+        this.currentQuiz.answers[this.currentQuiz.questionIndex] = order;
+        this.updateQuizQuestion();
+
+        const movedBtn = this.modal.element.querySelector(
+            `[data-move="${target}"][data-direction="${direction}"]:not([disabled])`
+        ) || this.modal.element.querySelector(`[data-move="${target}"]:not([disabled])`);
+        movedBtn?.focus();
     }
 
     navigateQuizQuestion(direction) {
         const newIndex = this.currentQuiz.questionIndex + direction;
-        const totalQuestions = this.currentConcept.quiz.questions.length;
+        const totalQuestions = this.currentQuiz.quiz.questions.length;
         
         if (newIndex >= 0 && newIndex < totalQuestions) {
-            this.currentQuiz.questionIndex = newIndex;
-            this.updateQuizQuestion();
+            this.goToQuizQuestion(newIndex);
+            this.syncLocation();
         }
     }
 
+    goToQuizQuestion(questionIndex) {
+        const lastIndex = this.currentQuiz.quiz.questions.length - 1;
+        const index = Math.max(0, Math.min(questionIndex, lastIndex));
+        if (index === this.currentQuiz.questionIndex) return;
+
+        this.currentQuiz.questionIndex = index;
+        this.updateQuizQuestion();
+    }
+
     updateQuizQuestion() {
         const questionContainer = this.modal.element.querySelector('.quiz-question-container');
-        const question = this.currentConcept.quiz.questions[this.currentQuiz.questionIndex];
+        const question = this.currentQuiz.quiz.questions[this.currentQuiz.questionIndex];
         
         questionContainer.innerHTML = this.generateQuestionHTML(question, this.currentQuiz.questionIndex);
         
         // Update navigation
         this.updateQuizNavigation();
-        
-        // Reattach event listeners
-        const options = questionContainer.querySelectorAll('input[type="radio"]');
-        options.forEach(option => {
-            option.addEventListener('change', (e) => {
-                this.currentQuiz.answers[this.currentQuiz.questionIndex] = parseInt(e.target.value);
-            });
-        });
     }
 
     updateQuizNavigation() {
@@ -1072,7 +1694,7 @@ class ConceptViewer {
         const progressFill = this.modal.element.querySelector('.quiz-progress-fill');
         
         const currentQ = this.currentQuiz.questionIndex + 1;
-        const totalQ = this.currentConcept.quiz.questions.length;
+        const totalQ = this.currentQuiz.quiz.questions.length;
         
         prevBtn.disabled = this.currentQuiz.questionIndex === 0;
         
@@ -1113,24 +1735,34 @@ class ConceptViewer {
     submitQuiz(timeExpired = false) {
         clearInterval(this.quizTimer);
         
-        // Calculate score
-        const quiz = this.currentConcept.quiz;
-        let correctAnswers = 0;
-        
-        quiz.questions.forEach((question, index) => {
-            if (this.currentQuiz.answers[index] === question.correctAnswer) {
-                correctAnswers++;
-            }
-        });
-        
-        const score = Math.round((correctAnswers / quiz.questions.length) * 100);
-        const passed = score >= quiz.passingScore;
-        
-        // Save quiz result
-        StateManager.completeQuiz(this.currentConcept.id, correctAnswers, quiz.questions.length);
+        // Calculate score, with partial credit per question
+        const quiz = this.currentQuiz.quiz;
+        const result = QuizScorer.scoreQuiz(quiz.questions, this.currentQuiz.answers);
+        const passed = result.percentage >= quiz.passingScore;
+        const shown = quiz.seed !== undefined ? {
+            seed: quiz.seed,
+            questionIds: quiz.questions.map(question => question.id),
+            answers: this.currentQuiz.answers
+        } : null;
+        this.currentQuiz.result = result;
+        
+        // Keep per-question history for spaced repetition
+        StateManager.recordQuestionAnswers(result.results.map((questionResult, index) => ({
+            ...questionResult,
+            planetId: quiz.questions[index].planetId || this.currentConcept.id
+        })), quiz.isReview ? 'review' : 'quiz');
+        
+        // Save quiz result (review decks do not count as quiz attempts)
+        if (!quiz.isReview) {
+            StateManager.completeQuiz(this.currentConcept.id, result.score, result.total, {
+                timeSpent: Math.round((Date.now() - this.currentQuiz.startTime) / 1000),
+                timeLimit: quiz.timeLimit
+            }, shown);
+        }
         
         // Show results
-        this.showQuizResults(score, correctAnswers, quiz.questions.length, passed, timeExpired);
+        this.showQuizResults(result.percentage, result.correctCount, result.total, passed, timeExpired);
+        this.syncLocation();
     }
 
     showQuizResults(score, correct, total, passed, timeExpired) {
@@ -1143,7 +1775,7 @@ class ConceptViewer {
                         ${passed ? '🎉' : '😔'}
                     </div>
                     <h3 class="results-title">
-                        ${timeExpired ? 'Time Expired!' : 'Quiz Completed!'}
+                        ${timeExpired ? 'Time Expired!' : this.currentQuiz.quiz.isReview ? 'Review Completed!' : 'Quiz Completed!'}
                     </h3>
                     <div class="results-score ${passed ? 'passed' : 'failed'}">
                         ${score}%
@@ -1157,7 +1789,7 @@ class ConceptViewer {
                     </div>
                     <div class="result-stat">
                         <span class="stat-label">Passing Score:</span>
-                        <span class="stat-value">${this.currentConcept.quiz.passingScore}%</span>
+                        <span class="stat-value">${this.currentQuiz.quiz.passingScore}%</span>
                     </div>
                     <div class="result-stat">
                         <span class="stat-label">Status:</span>
@@ -1170,7 +1802,7 @@ class ConceptViewer {
                 ${passed ? `
                     <div class="congratulations">
                         <h4>🎊 Congratulations!</h4>
-                        <p>You've successfully completed the ${this.currentConcept.overview.title} quiz!</p>
+                        <p>You've successfully completed ${this.currentQuiz.quiz.isReview ? "today's review" : `the ${this.currentConcept.overview.title} quiz`}!</p>
                     </div>
                 ` : `
                     <div class="encouragement">
@@ -1183,7 +1815,7 @@ class ConceptViewer {
                     <button class="btn btn-primary review-answers-btn">
                         🔍 Review Answers
                     </button>
-                    ${!passed ? `
+                    ${!passed && !this.currentQuiz.quiz.isReview ? `
                         <button class="btn btn-secondary retake-quiz-btn">
                             🔄 Retake Quiz
                         </button>
@@ -1206,12 +1838,18 @@ class ConceptViewer {
         
         reviewBtn?.addEventListener('click', () => this.showAnswerReview());
         retakeBtn?.addEventListener('click', () => this.startQuiz());
-        closeBtn?.addEventListener('click', () => this.switchToTab('content'));
+        closeBtn?.addEventListener('click', () => {
+            if (this.currentQuiz.quiz.isReview) {
+                this.modal.hide();
+            } else {
+                this.switchToTab('content');
+            }
+        });
     }
 
     showAnswerReview() {
         const quizContainer = this.modal.element.querySelector('#quiz-container');
-        const quiz = this.currentConcept.quiz;
+        const quiz = this.currentQuiz.quiz;
         
         quizContainer.innerHTML = `
             <div class="answer-review">
@@ -1223,33 +1861,39 @@ class ConceptViewer {
                 <div class="reviewed-questions">
                     ${quiz.questions.map((question, index) => {
                         const userAnswer = this.currentQuiz.answers[index];
-                        const isCorrect = userAnswer === question.correctAnswer;
+                        const { credit } = this.currentQuiz.result.results[index];
+                        const isCorrect = credit === 1;
+                        const status = isCorrect ? 'correct' : credit > 0 ? 'partial' : 'incorrect';
+                        const statusLabel = {
+                            correct: '✅ Correct',
+                            partial: `🟡 Partly correct (${Math.round(credit * 100)}%)`,
+                            incorrect: '❌ Incorrect'
+                        }[status];
                         
                         return `
-                            <div class="reviewed-question ${isCorrect ? 'correct' : 'incorrect'}">
+                            <div class="reviewed-question ${status}">
                                 <div class="question-header">
                                     <span class="question-number">Q${index + 1}</span>
-                                    <span class="question-result ${isCorrect ? 'correct' : 'incorrect'}">
-                                        ${isCorrect ? '✅ Correct' : '❌ Incorrect'}
+                                    <span class="question-result ${status}">
+                                        ${statusLabel}
                                     </span>
                                 </div>
                                 
-                                <h4 class="question-text">${question.question}</h4>
+                                <h4 class="question-text">${this.escapeHtml(question.question)}</h4>
+                                ${question.code ? `
+                                    <pre class="question-code"><code class="language-javascript">${this.escapeHtml(question.code)}</code></pre>
+                                ` : ''}
                                 
                                 <div class="answer-comparison">
                                     <div class="user-answer">
                                         <strong>Your Answer:</strong>
-                                        <span class="${isCorrect ? 'correct' : 'incorrect'}">
-                                            ${question.options[userAnswer] || 'Not answered'}
-                                        </span>
+                                        <span class="answer-value ${isCorrect ? 'correct' : 'incorrect'}">${this.escapeHtml(QuizScorer.formatAnswer(question, userAnswer) ?? 'Not answered')}</span>
                                     </div>
                                     
                                     ${!isCorrect ? `
                                         <div class="correct-answer">
                                             <strong>Correct Answer:</strong>
-                                            <span class="correct">
-                                                ${question.options[question.correctAnswer]}
-                                            </span>
+                                            <span class="answer-value correct">${this.escapeHtml(QuizScorer.formatCorrectAnswer(question))}</span>
                                         </div>
                                     ` : ''}
                                 </div>
@@ -1277,21 +1921,95 @@ class ConceptViewer {
         const backBtn = this.modal.element.querySelector('.back-to-results-btn');
         backBtn?.addEventListener('click', () => {
             // Regenerate results view
-            const score = Math.round((this.currentQuiz.answers.filter((answer, index) => 
-                answer === this.currentConcept.quiz.questions[index].correctAnswer
-            ).length / this.currentConcept.quiz.questions.length) * 100);
+            const { result } = this.currentQuiz;
             
-            this.showQuizResults(score, 
-                this.currentQuiz.answers.filter((answer, index) => 
-                    answer === this.currentConcept.quiz.questions[index].correctAnswer
-                ).length,
-                this.currentConcept.quiz.questions.length,
-                score >= this.currentConcept.quiz.passingScore,
+            this.showQuizResults(result.percentage,
+                result.correctCount,
+                result.total,
+                result.percentage >= this.currentQuiz.quiz.passingScore,
                 false
             );
         });
     }
 
+    /**
+     * Show today's spaced-repetition deck in the quiz UI
+     */
+    async showReview() {
+        try {
+            if (this.modal) {
+                this.modal.hide();
+            }
+
+            const loadingModal = Modal.loading('Building your review deck...');
+            const deck = await ReviewScheduler.buildDeck();
+            loadingModal.hide();
+
+            this.modal = new Modal({
+                title: '🔁 Daily Review',
+                content: `
+                    <div class="review-deck">
+                        <div class="quiz-container" id="quiz-container">
+                            ${this.generateReviewStartScreen(deck)}
+                        </div>
+                    </div>
+                `,
+                size: 'large',
+                className: 'concept-modal review-modal',
+                onHide: () => {
+                    this.onReviewClose();
+                }
+            });
+            this.modal.show();
+
+            const startBtn = this.modal.element.querySelector('.start-review-btn');
+            startBtn?.addEventListener('click', () => this.startQuiz(deck));
+
+            JSVLogger.info(`🔁 Review deck ready: ${deck.questions.length} cards`);
+        } catch (error) {
+            JSVLogger.error('Failed to build review deck:', error);
+            Modal.alert('Error', 'Failed to load your review deck. Please try again.');
+        }
+    }
+
+    generateReviewStartScreen(deck) {
+        if (deck.questions.length === 0) {
+            return `
+                <div class="quiz-start-screen review-empty">
+                    <h3>🎉 All caught up!</h3>
+                    <p>No questions are due for review today. Take quizzes on your planets and missed questions will come back here.</p>
+                </div>
+            `;
+        }
+
+        const planets = [...new Set(deck.questions.map(question => question.planetTitle))];
+
+        return `
+            <div class="quiz-start-screen">
+                <div class="quiz-instructions">
+                    <h4>🧠 ${deck.questions.length} question${deck.questions.length !== 1 ? 's' : ''} due today</h4>
+                    <ul>
+                        <li>From: ${planets.map(title => this.escapeHtml(title)).join(', ')}</li>
+                        <li>Questions you miss come back tomorrow</li>
+                        <li>Questions you remember come back after longer and longer breaks</li>
+                    </ul>
+                </div>
+                <button class="btn btn-primary btn-large start-review-btn">
+                    🚀 Start Review
+                </button>
+            </div>
+        `;
+    }
+
+    onReviewClose() {
+        if (this.quizTimer) {
+            clearInterval(this.quizTimer);
+        }
+
+        this.currentQuiz = null;
+        this.modal = null;
+    }
+
     // Utility methods
     switchToTab(tabName) {
         const tab = this.modal.element.querySelector(`[data-tab="${tabName}"]`);
@@ -1320,67 +2038,104 @@ class ConceptViewer {
         }
     }
 
-    runCode(code) {
-        // Create a safe execution environment
+    /**
+     * Get the code a learner is working on for an exercise
+     */
+    getExerciseCode(exerciseIndex) {
+        const editor = this.codeEditors[exerciseIndex];
+        if (editor) return editor.getValue();
+
+        const exercise = this.currentConcept.exercises[exerciseIndex];
+        return exercise ? exercise.starterCode : '';
+    }
+
+    /**
+     * Run code in the CodeRunner sandbox and show the result next to the container
+     */
+    async runCode(code, container = null, button = null) {
+        const originalLabel = button ? button.innerHTML : '';
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '⏳ Running...';
+        }
+
         try {
-            const result = new Function('console', `
-                const originalLog = console.log;
-                const logs = [];
-                console.log = (...args) => {
-                    logs.push(args.join(' '));
-                    originalLog(...args);
-                };
-                
-                try {
-                    ${code}
-                    return { success: true, logs, result: 'Code executed successfully' };
-                } catch (error) {
-                    return { success: false, logs, error: error.message };
-                }
-            `)(console);
-            
-            this.showCodeResult(result);
+            const result = await CodeRunner.run(code);
+            this.showCodeResult(result, container);
+            return result;
         } catch (error) {
-            this.showCodeResult({ success: false, error: error.message, logs: [] });
+            const result = {
+                success: false,
+                logs: [],
+                error: { name: error.name || 'Error', message: error.message },
+                timedOut: false,
+                truncated: false,
+                duration: 0
+            };
+            this.showCodeResult(result, container);
+            return result;
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.innerHTML = originalLabel;
+            }
         }
     }
 
-    showCodeResult(result) {
+    showCodeResult(result, container = null) {
         // Create or update result display
-        let resultDiv = this.modal.element.querySelector('.code-execution-result');
+        const scope = container || this.modal.element;
+        let resultDiv = scope.querySelector('.code-execution-result');
         if (!resultDiv) {
             resultDiv = document.createElement('div');
             resultDiv.className = 'code-execution-result';
-            // Find the last code example and insert after it
-            const lastCodeExample = this.modal.element.querySelector('.code-example:last-of-type');
-            if (lastCodeExample) {
-                lastCodeExample.insertAdjacentElement('afterend', resultDiv);
+            if (container) {
+                container.appendChild(resultDiv);
+            } else {
+                // Find the last code example and insert after it
+                const lastCodeExample = this.modal.element.querySelector('.code-example:last-of-type');
+                if (lastCodeExample) {
+                    lastCodeExample.insertAdjacentElement('afterend', resultDiv);
+                }
             }
         }
-        
+
+        const title = result.success ? 'Success' : (result.timedOut ? 'Timed Out' : 'Error');
+        resultDiv.style.opacity = '1';
         resultDiv.innerHTML = `
             <div class="result-header">
-                <span class="result-icon">${result.success ? '✅' : '❌'}</span>
-                <span class="result-title">${result.success ? 'Success' : 'Error'}</span>
+                <span class="result-icon">${result.success ? '✅' : (result.timedOut ? '⏱️' : '❌')}</span>
+                <span class="result-title">${title}</span>
+                ${typeof result.duration === 'number' ? `
+                    <span class="result-duration">${result.duration}ms</span>
+                ` : ''}
             </div>
             
             ${result.logs && result.logs.length > 0 ? `
                 <div class="result-logs">
                     <h5>📄 Console Output:</h5>
-                    <pre class="logs-content">${result.logs.join('\n')}</pre>
+                    <pre class="logs-content">${result.logs.map(log => `<span class="log-line log-${log.level}">${this.escapeHtml(log.message)}</span>`).join('\n')}</pre>
+                </div>
+            ` : ''}
+            
+            ${result.returnValue !== undefined ? `
+                <div class="result-return">
+                    <h5>↩️ Returned:</h5>
+                    <pre class="return-content">${this.escapeHtml(result.returnValue)}</pre>
                 </div>
             ` : ''}
             
             ${result.error ? `
                 <div class="result-error">
                     <h5>🚨 Error:</h5>
-                    <pre class="error-content">${result.error}</pre>
+                    <pre class="error-content">${this.escapeHtml(`${result.error.name}: ${result.error.message}`)}</pre>
                 </div>
             ` : ''}
         `;
         
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
+        // Fade after 5 seconds
+        clearTimeout(resultDiv.fadeTimer);
+        resultDiv.fadeTimer = setTimeout(() => {
             resultDiv.style.opacity = '0.5';
         }, 5000);
     }
@@ -1478,6 +2233,11 @@ class ConceptViewer {
         ).length;
     }
 
+    isExerciseCompleted(exercise) {
+        const progress = StateManager.getProgress();
+        return progress.completedConcepts.includes(exercise.id);
+    }
+
     isQuizCompleted(conceptId) {
         const progress = StateManager.getProgress();
         return progress.completedConcepts.includes(`${conceptId}-quiz`);
@@ -1528,70 +2288,127 @@ class ConceptViewer {
     }
 
     addBookmark(conceptId) {
-        if (!this.bookmarks.includes(conceptId)) {
-            this.bookmarks.push(conceptId);
-            this.saveBookmarks();
+        if (!this.isBookmarked(conceptId)) {
+            StateManager.setBookmarks([...StateManager.getBookmarks(), conceptId]);
             this.showTemporaryMessage('Concept bookmarked!', this.modal.element.querySelector('.bookmark-btn'));
         }
     }
 
     removeBookmark(conceptId) {
-        const index = this.bookmarks.indexOf(conceptId);
-        if (index > -1) {
-            this.bookmarks.splice(index, 1);
-            this.saveBookmarks();
+        if (this.isBookmarked(conceptId)) {
+            StateManager.setBookmarks(StateManager.getBookmarks().filter(id => id !== conceptId));
             this.showTemporaryMessage('Bookmark removed!', this.modal.element.querySelector('.bookmark-btn'));
         }
     }
 
     isBookmarked(conceptId) {
-        return this.bookmarks.includes(conceptId);
+        return StateManager.getBookmarks().includes(conceptId);
+    }
+
+    // Notes methods (saved with the rest of the state)
+    getUserNotes(conceptId) {
+        return StateManager.getNotes(conceptId);
+    }
+
+    saveUserNotes(conceptId, notes) {
+        StateManager.saveNotes(conceptId, notes);
+        this.showAutoSaveStatus('Notes saved');
+    }
+
+    autoSaveNotes() {
+        if (!this.currentConcept || !this.isAutoSaveEnabled()) return;
+        
+        const notesTextarea = this.modal.element.querySelector('.notes-textarea');
+        if (notesTextarea) {
+            clearTimeout(this.notesAutoSaveTimeout);
+            this.notesAutoSaveTimeout = setTimeout(() => {
+                this.saveUserNotes(this.currentConcept.id, notesTextarea.value);
+            }, 2000);
+        }
     }
 
-    saveBookmarks() {
-        localStorage.setItem('jsversehub-bookmarks', JSON.stringify(this.bookmarks));
+    // Code draft methods
+
+    /**
+     * Drafts are kept per account and profile, like the rest of the state
+     */
+    getCodeDraftKey(exerciseId) {
+        return StateManager.getUserKey(`jsversehub-code-${exerciseId}`);
     }
 
-    loadBookmarks() {
+    getCodeDraft(exerciseId) {
         try {
-            const stored = localStorage.getItem('jsversehub-bookmarks');
-            this.bookmarks = stored ? JSON.parse(stored) : [];
+            return localStorage.getItem(this.getCodeDraftKey(exerciseId));
         } catch (error) {
-            JSVLogger.warn('Failed to load bookmarks:', error);
-            this.bookmarks = [];
+            JSVLogger.warn('Failed to load code draft:', error);
+            return null;
         }
     }
 
-    // Notes methods
-    getUserNotes(conceptId) {
+    saveCodeDraft(exerciseId, code) {
         try {
-            const notes = localStorage.getItem(`jsversehub-notes-${conceptId}`);
-            return notes || '';
+            localStorage.setItem(this.getCodeDraftKey(exerciseId), code);
+            return true;
         } catch (error) {
-            JSVLogger.warn('Failed to load notes:', error);
-            return '';
+            JSVLogger.error('Failed to save code draft:', error);
+            return false;
         }
     }
 
-    saveUserNotes(conceptId, notes) {
+    clearCodeDraft(exerciseId) {
         try {
-            localStorage.setItem(`jsversehub-notes-${conceptId}`, notes);
-            this.showAutoSaveStatus('Notes saved');
+            localStorage.removeItem(this.getCodeDraftKey(exerciseId));
         } catch (error) {
-            JSVLogger.error('Failed to save notes:', error);
-            this.showAutoSaveStatus('Save failed', true);
+            JSVLogger.warn('Failed to clear code draft:', error);
         }
     }
 
-    autoSaveNotes() {
-        if (!this.currentConcept) return;
-        
-        const notesTextarea = this.modal.element.querySelector('.notes-textarea');
-        if (notesTextarea) {
-            clearTimeout(this.notesAutoSaveTimeout);
-            this.notesAutoSaveTimeout = setTimeout(() => {
-                this.saveUserNotes(this.currentConcept.id, notesTextarea.value);
-            }, 2000);
+    autoSaveCodeDraft(exerciseIndex, code) {
+        const exercise = this.currentConcept?.exercises[exerciseIndex];
+        if (!exercise || !this.isAutoSaveEnabled()) return;
+
+        clearTimeout(this.codeDraftTimeouts[exerciseIndex]);
+        this.codeDraftTimeouts[exerciseIndex] = setTimeout(() => {
+            delete this.codeDraftTimeouts[exerciseIndex];
+            this.storeCodeDraft(exercise, code, exerciseIndex);
+        }, 1000);
+    }
+
+    /**
+     * Persist a draft, dropping it when it matches the starter code again
+     */
+    storeCodeDraft(exercise, code, exerciseIndex = null) {
+        if (code === exercise.starterCode) {
+            this.clearCodeDraft(exercise.id);
+            return;
+        }
+
+        const saved = this.saveCodeDraft(exercise.id, code);
+        if (exerciseIndex !== null) {
+            this.showCodeDraftStatus(exerciseIndex, saved ? 'Draft saved' : 'Save failed', !saved);
+        }
+    }
+
+    /**
+     * Save drafts with pending auto-saves right away
+     */
+    flushCodeDrafts() {
+        Object.keys(this.codeDraftTimeouts).forEach(exerciseIndex => {
+            clearTimeout(this.codeDraftTimeouts[exerciseIndex]);
+            const exercise = this.currentConcept?.exercises[exerciseIndex];
+            const editor = this.codeEditors[exerciseIndex];
+            if (exercise && editor) {
+                this.storeCodeDraft(exercise, editor.getValue());
+            }
+        });
+        this.codeDraftTimeouts = {};
+    }
+
+    showCodeDraftStatus(exerciseIndex, message, isError = false) {
+        const statusEl = this.modal?.element.querySelector(`.code-draft-status[data-exercise="${exerciseIndex}"]`);
+        if (statusEl) {
+            statusEl.textContent = message;
+            statusEl.style.color = isError ? 'var(--danger-color)' : 'var(--text-muted)';
         }
     }
 
@@ -1725,6 +2542,8 @@ class ConceptViewer {
     handleStateChange(event, data) {
         if (event === 'conceptCompleted') {
             this.updateProgressDisplay();
+        } else if (event === 'settingsUpdated') {
+            this.applyViewerSettings();
         }
     }
 
@@ -1737,29 +2556,34 @@ class ConceptViewer {
         if (this.autoSaveInterval) {
             clearInterval(this.autoSaveInterval);
         }
+
+        // Stop learner code that is still running in the sandbox
+        CodeRunner.cancelAll();
+
+        // Keep unsaved exercise code
+        this.flushCodeDrafts();
+        this.codeEditors = {};
         
         // Save final progress
         this.autoSaveProgress();
+
+        // Leave the concept's URL, unless the route already moved on
+        const route = window.Navigation ? Navigation.getCurrentRoute() : null;
+        const routeConceptId = route && (route.params.conceptId || route.params.planetId);
+        if (this.currentConcept && routeConceptId === this.currentConcept.id) {
+            Navigation.navigateTo('/');
+        }
+
+        // Time from here on is no longer spent on this concept
+        if (window.SessionTracker) {
+            SessionTracker.clearContext();
+        }
         
         this.currentConcept = null;
+        this.drawnQuiz = null;
         this.modal = null;
     }
 
-    // Static methods
-    static showExercise(conceptId, exerciseId) {
-        const viewer = new ConceptViewer();
-        viewer.showConcept(conceptId).then(() => {
-            viewer.switchToTab('exercises');
-        });
-    }
-
-    static showQuiz(conceptId) {
-        const viewer = new ConceptViewer();
-        viewer.showConcept(conceptId).then(() => {
-            viewer.switchToTab('quiz');
-        });
-    }
-
     /**
      * Get singleton instance
      */
@@ -2152,6 +2976,11 @@ conceptViewerStyles.textContent = `
         border: 1px solid rgba(255, 230, 109, 0.2);
     }
 
+    .exercise-card.targeted {
+        border-color: var(--accent-color);
+        box-shadow: 0 0 0 1px var(--accent-color);
+    }
+
     .exercise-header {
         display: flex;
         justify-content: space-between;
@@ -2215,10 +3044,38 @@ conceptViewerStyles.textContent = `
         display: block;
     }
 
+    .concept-modal.hints-hidden [data-workspace="hints"],
+    .concept-modal.hints-hidden .exercise-hints-up-front {
+        display: none;
+    }
+
+    .exercise-editor-footer {
+        display: flex;
+        align-items: center;
+        gap: 1rem;
+    }
+
+    .code-draft-status {
+        font-size: 0.8rem;
+        color: var(--text-muted);
+    }
+
     .hints-list {
         padding: 1rem;
     }
 
+    .exercise-hints-up-front {
+        margin: 0.75rem 0;
+        padding: 0.5rem 1rem;
+        border-left: 3px solid var(--warning-color);
+        background: rgba(255, 230, 109, 0.1);
+        border-radius: 4px;
+    }
+
+    .hint-up-front {
+        margin: 0.25rem 0;
+    }
+
     .hint-item {
         margin: 0.5rem 0;
     }
@@ -2250,6 +3107,117 @@ conceptViewerStyles.textContent = `
         display: none;
     }
 
+    /* Exercise grading */
+    .exercise-status.completed {
+        color: var(--success-color);
+        font-weight: 600;
+    }
+
+    .exercise-grade-result:empty {
+        display: none;
+    }
+
+    .exercise-grade-result {
+        margin: 1rem 0;
+        padding: 1rem;
+        background: rgba(0, 0, 0, 0.2);
+        border-radius: 8px;
+    }
+
+    .grade-summary {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        font-weight: 600;
+        margin-bottom: 0.75rem;
+    }
+
+    .grade-summary.passed {
+        color: var(--success-color);
+    }
+
+    .grade-summary.failed {
+        color: var(--warning-color);
+    }
+
+    .grade-details {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+    }
+
+    .grade-detail {
+        padding: 0.4rem 0;
+    }
+
+    .grade-diff,
+    .grade-error {
+        margin: 0.5rem 0 0 1.75rem;
+        padding: 0.5rem;
+        background: rgba(0, 0, 0, 0.3);
+        border-radius: 6px;
+        white-space: pre-wrap;
+    }
+
+    .grade-error,
+    .diff-line.diff-removed {
+        color: var(--danger-color);
+    }
+
+    .diff-line.diff-added {
+        color: var(--success-color);
+    }
+
+    .grade-diff-legend {
+        margin: 0.25rem 0 0 1.75rem;
+        font-size: 0.75rem;
+        color: var(--text-muted);
+    }
+
+    /* Code execution results */
+    .code-execution-result {
+        margin-top: 1rem;
+        padding: 1rem;
+        background: rgba(0, 0, 0, 0.3);
+        border-radius: 8px;
+        transition: opacity 0.3s ease;
+    }
+
+    .code-execution-result .result-header {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 0.5rem;
+        font-weight: 600;
+    }
+
+    .code-execution-result .result-duration {
+        margin-left: auto;
+        font-size: 0.8rem;
+        color: var(--text-muted);
+    }
+
+    .code-execution-result pre {
+        max-height: 240px;
+        overflow: auto;
+        white-space: pre-wrap;
+        word-break: break-word;
+    }
+
+    .log-line.log-warn {
+        color: var(--warning-color);
+    }
+
+    .log-line.log-error,
+    .error-content {
+        color: var(--danger-color);
+    }
+
+    .log-line.log-info,
+    .log-line.log-debug {
+        color: var(--text-secondary);
+    }
+
     /* Quiz styles */
     .quiz-interface {
         background: rgba(0, 0, 0, 0.1);
@@ -2302,6 +3270,17 @@ conceptViewerStyles.textContent = `
         margin: 2rem 0;
     }
 
+    .question-planet {
+        display: inline-block;
+        margin-bottom: 0.5rem;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .review-empty {
+        text-align: center;
+    }
+
     .question-text {
         font-size: 1.2rem;
         margin-bottom: 1.5rem;
@@ -2331,11 +3310,102 @@ conceptViewerStyles.textContent = `
         border-color: var(--accent-color);
     }
 
-    .quiz-option input[type="radio"] {
+    .quiz-option input[type="radio"],
+    .quiz-option input[type="checkbox"] {
         width: 20px;
         height: 20px;
     }
 
+    .question-options-inline {
+        flex-direction: row;
+    }
+
+    .question-options-inline .quiz-option {
+        flex: 1;
+    }
+
+    .question-code {
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid rgba(0, 212, 255, 0.2);
+        border-radius: 8px;
+        padding: 1rem;
+        margin: 0 0 1.5rem;
+        overflow-x: auto;
+        font-family: 'Courier New', monospace;
+        line-height: 1.6;
+    }
+
+    .quiz-answer-label {
+        display: block;
+        color: var(--text-secondary);
+        font-size: 0.9rem;
+        margin-bottom: 0.75rem;
+    }
+
+    .quiz-output-input,
+    .quiz-blank {
+        background: rgba(0, 0, 0, 0.3);
+        color: var(--text-primary);
+        border: 2px solid rgba(0, 212, 255, 0.2);
+        border-radius: 6px;
+        font-family: 'Courier New', monospace;
+    }
+
+    .quiz-output-input {
+        width: 100%;
+        padding: 0.75rem;
+        resize: vertical;
+    }
+
+    .quiz-blank {
+        width: 12ch;
+        padding: 0 0.4rem;
+        font-size: inherit;
+    }
+
+    .quiz-output-input:focus,
+    .quiz-blank:focus {
+        outline: none;
+        border-color: var(--accent-color);
+    }
+
+    .quiz-ordering {
+        display: flex;
+        flex-direction: column;
+        gap: 0.75rem;
+        padding-left: 1.5rem;
+    }
+
+    .quiz-ordering-item {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 1rem;
+        padding: 0.75rem 1rem;
+        background: rgba(0, 0, 0, 0.2);
+        border: 2px solid rgba(0, 212, 255, 0.2);
+        border-radius: 8px;
+    }
+
+    .ordering-controls {
+        display: flex;
+        gap: 0.25rem;
+    }
+
+    .ordering-btn {
+        background: rgba(0, 212, 255, 0.1);
+        color: var(--text-primary);
+        border: 1px solid rgba(0, 212, 255, 0.3);
+        border-radius: 4px;
+        padding: 0.25rem 0.5rem;
+        cursor: pointer;
+    }
+
+    .ordering-btn:disabled {
+        opacity: 0.3;
+        cursor: default;
+    }
+
     .quiz-navigation {
         display: flex;
         justify-content: space-between;
@@ -2411,6 +3481,10 @@ conceptViewerStyles.textContent = `
         border-left-color: var(--danger-color);
     }
 
+    .reviewed-question.partial {
+        border-left-color: var(--warning-color);
+    }
+
     .question-header {
         display: flex;
         justify-content: space-between;
@@ -2426,6 +3500,14 @@ conceptViewerStyles.textContent = `
         color: var(--danger-color);
     }
 
+    .question-result.partial {
+        color: var(--warning-color);
+    }
+
+    .answer-value {
+        white-space: pre-wrap;
+    }
+
     .answer-comparison {
         margin: 1rem 0;
         padding: 1rem;
@@ -0,0 +1,299 @@
+// src/components/LoginView.js - Sign In View
+
+/**
+ * LoginView - Sign-in and sign-up forms for the /login route
+ * Pages with requiresAuth send learners here with ?redirect=<path> and
+ * they continue there after signing in. Signed-in learners see their
+ * account and can sign out, which returns the browser to the guest state.
+ */
+
+class LoginView {
+    constructor() {
+        this.container = null;
+        this.redirect = '/';
+        this.mode = 'signin';
+        this.error = null;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+    }
+
+    /**
+     * Render the forms into the view container
+     * @param {string} redirect - Where to go after signing in
+     */
+    show(container, redirect = '/') {
+        if (this.container !== container) {
+            if (this.container) {
+                this.container.removeEventListener('click', this.handleClick);
+                this.container.removeEventListener('submit', this.handleSubmit);
+            }
+            this.container = container;
+            this.container.addEventListener('click', this.handleClick);
+            this.container.addEventListener('submit', this.handleSubmit);
+        }
+
+        this.redirect = this.getSafeRedirect(redirect);
+        this.error = null;
+        this.render();
+    }
+
+    /**
+     * Only follow redirects to paths inside the app
+     */
+    getSafeRedirect(redirect) {
+        const path = String(redirect || '');
+        if (!/^\/(?![/\\])/.test(path) || path.startsWith('/login')) {
+            return '/';
+        }
+        return path;
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const user = AuthClient.getUser();
+        let heading = this.mode === 'signin' ? 'Sign In' : 'Create Account';
+        if (user) {
+            heading = 'Your Account';
+        }
+
+        this.container.innerHTML = `
+            <div class="login-page">
+                <header class="login-header">
+                    <h2>👤 ${heading}</h2>
+                    <a href="/" class="btn btn-secondary">← Back to Galaxy</a>
+                </header>
+                <section class="login-card">
+                    ${user ? this.generateAccountHTML(user) : this.generateFormHTML()}
+                </section>
+            </div>
+        `;
+
+        const firstInput = this.container.querySelector('input');
+        if (firstInput) {
+            firstInput.focus();
+        }
+    }
+
+    generateAccountHTML(user) {
+        return `
+            <p>Signed in as <strong>${this.escapeHtml(user.name)}</strong> (${this.escapeHtml(user.username)}).</p>
+            <p class="login-hint">Your progress, notes and bookmarks are saved under this account on this browser.</p>
+            <div class="login-actions">
+                <a href="${this.escapeHtml(this.redirect)}" class="btn btn-primary">Continue</a>
+                <button type="button" class="btn btn-secondary" data-action="signout">Sign out</button>
+            </div>
+        `;
+    }
+
+    generateFormHTML() {
+        const isSignUp = this.mode === 'signup';
+
+        if (AuthClient.available === false) {
+            return `
+                <p class="login-hint">Accounts need the JSVerseHub server. Start it with <code>npm start</code>,
+                   or keep learning as a guest.</p>
+            `;
+        }
+
+        return `
+            <form class="login-form" data-form="${this.mode}" novalidate>
+                <label class="login-field">
+                    <span>Username</span>
+                    <input type="text" name="username" autocomplete="username" required
+                           minlength="3" maxlength="32" pattern="[A-Za-z0-9_\\-]+">
+                </label>
+                ${isSignUp ? `
+                    <label class="login-field">
+                        <span>Display name</span>
+                        <input type="text" name="name" autocomplete="nickname" maxlength="80">
+                    </label>
+                ` : ''}
+                <label class="login-field">
+                    <span>Password</span>
+                    <input type="password" name="password" autocomplete="${isSignUp ? 'new-password' : 'current-password'}"
+                           required minlength="${isSignUp ? 8 : 1}" maxlength="128">
+                </label>
+                ${isSignUp ? `
+                    <label class="login-field">
+                        <span>Confirm password</span>
+                        <input type="password" name="confirm" autocomplete="new-password" required
+                               maxlength="128">
+                    </label>
+                    <p class="login-hint">At least 8 characters. Progress made as a guest is copied into your new account.</p>
+                ` : ''}
+                <p class="login-error" role="alert">${this.error ? this.escapeHtml(this.error) : ''}</p>
+                <div class="login-actions">
+                    <button type="submit" class="btn btn-primary">
+                        ${isSignUp ? 'Create account' : 'Sign in'}
+                    </button>
+                    <button type="button" class="btn btn-secondary" data-action="toggle-mode">
+                        ${isSignUp ? 'I have an account' : 'Create an account'}
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'toggle-mode':
+                this.mode = this.mode === 'signin' ? 'signup' : 'signin';
+                this.error = null;
+                this.render();
+                break;
+            case 'signout':
+                this.signOut();
+                break;
+        }
+    }
+
+    handleSubmit(event) {
+        const form = event.target.closest('[data-form]');
+        if (!form) return;
+        event.preventDefault();
+
+        const { username, password, name, confirm } = form.elements;
+        if (form.dataset.form === 'signup' && password.value !== confirm.value) {
+            this.showError(form, 'The passwords do not match');
+            return;
+        }
+
+        this.submit(form, () => {
+            if (form.dataset.form === 'signup') {
+                return AuthClient.signUp(username.value.trim(), password.value, name.value.trim());
+            }
+            return AuthClient.signIn(username.value.trim(), password.value);
+        });
+    }
+
+    /**
+     * Run a sign-in or sign-up with the form disabled, keeping what was
+     * typed when it fails
+     */
+    async submit(form, action) {
+        const controls = [...form.elements];
+        controls.forEach(control => { control.disabled = true; });
+        this.showError(form, '');
+
+        try {
+            await action();
+            Navigation.navigateTo(this.redirect, true, { replace: true });
+        } catch (error) {
+            controls.forEach(control => { control.disabled = false; });
+            this.showError(form, error.message);
+            form.elements.password.focus();
+        }
+    }
+
+    showError(form, message) {
+        this.error = message || null;
+        form.querySelector('.login-error').textContent = message;
+    }
+
+    async signOut() {
+        await AuthClient.signOut();
+        this.mode = 'signin';
+        this.render();
+    }
+
+    /**
+     * Escape text for element content and quoted attribute values
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Get singleton instance
+     */
+    static getInstance() {
+        if (!LoginView.instance) {
+            LoginView.instance = new LoginView();
+        }
+        return LoginView.instance;
+    }
+}
+
+// CSS styles for LoginView
+const loginViewStyles = document.createElement('style');
+loginViewStyles.textContent = `
+    .login-view {
+        position: relative;
+        z-index: 10;
+        max-width: 480px;
+        margin: 0 auto;
+        padding: 2rem 1.5rem 4rem;
+    }
+
+    .login-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 1.5rem;
+    }
+
+    .login-card {
+        padding: 1.5rem;
+        background: rgba(26, 26, 46, 0.85);
+        border: 1px solid rgba(0, 212, 255, 0.2);
+        border-radius: 12px;
+    }
+
+    .login-field {
+        display: flex;
+        flex-direction: column;
+        gap: 0.35rem;
+        margin-bottom: 1rem;
+        color: var(--text-primary);
+        font-weight: 500;
+    }
+
+    .login-field input {
+        padding: 0.6rem 0.75rem;
+        background: var(--primary-bg);
+        border: 1px solid rgba(0, 212, 255, 0.3);
+        border-radius: 8px;
+        color: var(--text-primary);
+        font-family: inherit;
+    }
+
+    .login-field input:focus-visible {
+        outline: 2px solid var(--accent-color);
+        outline-offset: 2px;
+    }
+
+    .login-hint {
+        margin: 0 0 1rem;
+        color: var(--text-muted);
+        font-size: 0.85rem;
+    }
+
+    .login-error {
+        min-height: 1.2em;
+        margin: 0 0 0.75rem;
+        color: var(--danger-color);
+        font-size: 0.9rem;
+    }
+
+    .login-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+    }
+`;
+document.head.appendChild(loginViewStyles);
+
+// Create singleton instance
+const loginViewInstance = LoginView.getInstance();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LoginView = loginViewInstance;
+}
@@ -692,7 +692,7 @@ class Modal {
                                         <div class="code-examples">
                                             ${section.content.examples.map(example => `
                                                 <div class="code-example">
-                                                    <pre><code>${example}</code></pre>
+                                                    <pre><code>${example.code || example}</code></pre>
                                                 </div>
                                             `).join('')}
                                         </div>
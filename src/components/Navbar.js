@@ -27,6 +27,9 @@ class Navbar {
     this.findElements();
     this.setupEventListeners();
     this.updateProgressDisplay();
+    this.updateReviewCount();
+    this.updateAccount();
+    this.updateProfiles();
     this.isInitialized = true;
 
     // Listen for state changes
@@ -34,6 +37,33 @@ class Navbar {
       this.handleStateChange(event, data);
     });
 
+    // Explain why a route could not be opened
+    Navigation.addNavigationListener((event, data) => {
+      if ((event === "blocked" || event === "redirected") && data.reason) {
+        this.showAchievementToast(data.reason);
+      }
+    });
+
+    // Signed-in account
+    if (window.AuthClient) {
+      window.AuthClient.addListener(() => {
+        this.updateAccount();
+        this.updateProfiles();
+      });
+    }
+
+    // Local learner profiles
+    if (window.ProfileManager) {
+      window.ProfileManager.addListener(() => this.updateProfiles());
+    }
+
+    // Offline downloads and new versions
+    if (window.OfflineManager) {
+      window.OfflineManager.addListener((event, data) => {
+        this.handleOfflineEvent(event, data);
+      });
+    }
+
     JSVLogger.info("🧭 Navbar component initialized");
   }
 
@@ -44,6 +74,13 @@ class Navbar {
     this.navbar = document.getElementById("navbar");
     this.progressValue = document.getElementById("progress-value");
     this.themeToggle = document.getElementById("theme-toggle");
+    this.reviewCount = document.getElementById("review-count");
+    this.accountName = document.getElementById("account-name");
+    this.profileSwitcher = document.getElementById("profile-switcher");
+    this.profileButton = document.getElementById("profile-button");
+    this.profileMenu = document.getElementById("profile-menu");
+    this.profileAvatar = document.getElementById("profile-avatar");
+    this.profileName = document.getElementById("profile-name");
     this.planetsExplored = document.getElementById("planets-explored");
     this.conceptsCompleted = document.getElementById("concepts-mastered");
     this.badgesEarned = document.getElementById("badges-earned");
@@ -77,6 +114,25 @@ class Navbar {
       });
     }
 
+    // Profile switcher
+    if (this.profileButton && this.profileMenu) {
+      this.profileButton.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.toggleProfileMenu();
+      });
+      this.profileMenu.addEventListener("click", (e) => {
+        const button = e.target.closest("[data-profile-action]");
+        if (button) {
+          this.handleProfileAction(button.dataset.profileAction, button.dataset.profileId);
+        }
+      });
+      document.addEventListener("click", (e) => {
+        if (!this.profileSwitcher.contains(e.target)) {
+          this.toggleProfileMenu(false);
+        }
+      });
+    }
+
     // Progress click - show detailed progress
     if (this.progressValue) {
       this.progressValue.addEventListener("click", (e) => {
@@ -136,6 +192,12 @@ class Navbar {
    * Handle keyboard shortcuts
    */
   handleKeyboardShortcuts(event) {
+    // Escape - Close the profile menu
+    if (event.key === "Escape" && this.isProfileMenuOpen()) {
+      this.toggleProfileMenu(false);
+      this.profileButton.focus();
+    }
+
     // Alt + H - Go home
     if (event.altKey && event.key.toLowerCase() === "h") {
       event.preventDefault();
@@ -216,6 +278,16 @@ class Navbar {
       case "levelUp":
         this.showAchievementToast(`⭐ Level ${data} Reached!`);
         break;
+      case "reviewScheduleUpdated":
+      case "dataImported":
+      case "progressReset":
+        this.updateReviewCount();
+        break;
+      case "userChanged":
+        this.updateUserStats();
+        this.updateProgressDisplay();
+        this.updateReviewCount();
+        break;
     }
   }
 
@@ -229,7 +301,9 @@ class Navbar {
       const percentage = progress.overallProgress || 0;
       this.progressValue.textContent = `${percentage}%`;
 
-      // Add visual feedback for progress milestones
+      // Add visual feedback for progress milestones; another profile may
+      // have less progress than the last one
+      this.progressValue.classList.remove("completed", "high-progress", "medium-progress");
       if (percentage >= 100) {
         this.progressValue.classList.add("completed");
       } else if (percentage >= 75) {
@@ -243,6 +317,163 @@ class Navbar {
     this.updatePageTitle();
   }
 
+  /**
+   * Show how many review cards are due today
+   */
+  updateReviewCount() {
+    if (!this.reviewCount || !window.ReviewScheduler) return;
+
+    const dueCount = window.ReviewScheduler.getDueCount();
+    this.reviewCount.textContent = dueCount;
+    this.reviewCount.classList.toggle("hidden", dueCount === 0);
+  }
+
+  /**
+   * Show who is signed in
+   */
+  updateAccount() {
+    if (!this.accountName || !window.AuthClient) return;
+
+    const user = window.AuthClient.getUser();
+    this.accountName.textContent = user ? user.name : "Sign in";
+  }
+
+  /**
+   * Show the active profile and list the others in the switcher
+   */
+  updateProfiles() {
+    if (!this.profileButton || !window.ProfileManager) return;
+
+    const profiles = window.ProfileManager.getProfiles();
+    const active = window.ProfileManager.getActiveProfile();
+    if (!active) return;
+
+    // While an account is signed in, no profile's state is on screen
+    const signedIn = window.AuthClient && window.AuthClient.isAuthenticated();
+
+    this.profileName.textContent = active.name;
+    this.profileAvatar.textContent = active.name.charAt(0).toUpperCase();
+    this.profileAvatar.style.background = this.getAvatarColor(active);
+    this.profileSwitcher.classList.toggle("inactive", Boolean(signedIn));
+
+    this.profileMenu.innerHTML = `
+            <ul class="profile-list">
+                ${profiles
+                  .map((profile) => {
+                    const current = profile.id === active.id && !signedIn;
+                    const name = this.escapeHtml(profile.name);
+                    return `
+                    <li class="profile-item${current ? " active" : ""}">
+                        <button class="profile-switch" data-profile-action="switch" data-profile-id="${profile.id}"
+                                ${current ? 'aria-current="true"' : ""}>
+                            <span class="profile-avatar" style="background: ${this.getAvatarColor(profile)}" aria-hidden="true">
+                                ${this.escapeHtml(profile.name.charAt(0).toUpperCase())}
+                            </span>
+                            <span class="profile-item-name">${name}</span>
+                        </button>
+                        <button class="profile-tool" data-profile-action="rename" data-profile-id="${profile.id}"
+                                aria-label="Rename ${name}" title="Rename">✏️</button>
+                        ${
+                          profile.id === window.ProfileManager.defaultProfileId || profile.id === active.id
+                            ? ""
+                            : `<button class="profile-tool" data-profile-action="delete" data-profile-id="${profile.id}"
+                                aria-label="Delete ${name}" title="Delete">🗑️</button>`
+                        }
+                    </li>
+                `;
+                  })
+                  .join("")}
+            </ul>
+            <button class="profile-create" data-profile-action="create">➕ New profile</button>
+        `;
+  }
+
+  /**
+   * Profile color as a CSS value; saved colors are checked before use
+   */
+  getAvatarColor(profile) {
+    return /^#[0-9a-f]{6}$/i.test(profile.color || "") ? profile.color : "var(--accent-color)";
+  }
+
+  isProfileMenuOpen() {
+    return Boolean(this.profileMenu) && !this.profileMenu.classList.contains("hidden");
+  }
+
+  toggleProfileMenu(open = !this.isProfileMenuOpen()) {
+    if (!this.profileMenu) return;
+
+    this.profileMenu.classList.toggle("hidden", !open);
+    this.profileButton.setAttribute("aria-expanded", String(open));
+  }
+
+  /**
+   * Create, rename, delete or switch profiles from the switcher menu
+   */
+  async handleProfileAction(action, profileId) {
+    const profiles = window.ProfileManager;
+    const profile = profileId ? profiles.getProfile(profileId) : null;
+    this.toggleProfileMenu(false);
+
+    try {
+      switch (action) {
+        case "switch": {
+          const account = window.AuthClient ? window.AuthClient.getUser() : null;
+          if (
+            account
+            && !(await Modal.confirm(
+              "Switch profile",
+              `Switching to ${this.escapeHtml(profile.name)} signs ${this.escapeHtml(account.name)} out.`,
+              { confirmText: "Switch" }
+            ))
+          ) {
+            return;
+          }
+          await profiles.switchProfile(profileId);
+          this.showAchievementToast(`👋 Welcome back, ${this.escapeHtml(profile.name)}!`);
+          break;
+        }
+        case "create": {
+          const name = await Modal.prompt("New profile", "Who is learning?", "", {
+            placeholder: "Name",
+          });
+          if (name === null) return;
+          const created = profiles.createProfile(name);
+          await profiles.switchProfile(created.id);
+          this.showAchievementToast(`🚀 Welcome aboard, ${this.escapeHtml(created.name)}!`);
+          break;
+        }
+        case "rename": {
+          const name = await Modal.prompt("Rename profile", "New name:", this.escapeHtml(profile.name));
+          if (name === null) return;
+          profiles.renameProfile(profileId, name);
+          break;
+        }
+        case "delete": {
+          const confirmed = await Modal.confirm(
+            "Delete profile",
+            `Delete ${this.escapeHtml(profile.name)} and all of their progress, notes and code in this browser?`,
+            { confirmText: "Delete" }
+          );
+          if (confirmed) {
+            await profiles.deleteProfile(profileId);
+          }
+          break;
+        }
+      }
+    } catch (error) {
+      Modal.alert("Profiles", this.escapeHtml(error.message));
+    }
+  }
+
+  /**
+   * Escape text for HTML, including attribute values
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+
   /**
    * Update user statistics in floating panels
    */
@@ -282,20 +513,52 @@ class Navbar {
     }
   }
 
+  /**
+   * Show toasts for OfflineManager events
+   */
+  handleOfflineEvent(event, data) {
+    switch (event) {
+      case "updateAvailable":
+        this.showAchievementToast("🚀 A new version of JSVerseHub is available", {
+          duration: null,
+          action: { text: "Reload", handler: () => OfflineManager.applyUpdate() },
+        });
+        break;
+      case "planetCached":
+        this.showAchievementToast(`📥 ${this.escapeHtml(data.planetId)} planet available offline`);
+        break;
+      case "planetCacheFailed":
+        this.showAchievementToast(`⚠️ Download failed: ${this.escapeHtml(data.error)}`);
+        break;
+    }
+  }
+
   /**
    * Show achievement toast notification
+   * @param {Object} options - duration in ms (null keeps it until closed)
+   *   and an optional action button {text, handler}
    */
-  showAchievementToast(message) {
+  showAchievementToast(message, options = {}) {
+    const { duration = 4000, action = null } = options;
+
     // Create toast element
     const toast = document.createElement("div");
     toast.className = "achievement-toast";
     toast.innerHTML = `
             <div class="toast-content">
                 <div class="toast-message">${message}</div>
+                ${action ? `<button class="toast-action">${action.text}</button>` : ""}
                 <button class="toast-close" onclick="this.parentElement.parentElement.remove()">×</button>
             </div>
         `;
 
+    if (action) {
+      toast.querySelector(".toast-action").addEventListener("click", () => {
+        toast.remove();
+        action.handler();
+      });
+    }
+
     // Style the toast
     toast.style.cssText = `
             position: fixed;
@@ -320,15 +583,17 @@ class Navbar {
       toast.style.transform = "translateX(0)";
     }, 100);
 
-    // Auto-remove after 4 seconds
-    setTimeout(() => {
-      toast.style.transform = "translateX(400px)";
+    // Auto-remove after the duration
+    if (duration !== null) {
       setTimeout(() => {
-        if (toast.parentNode) {
-          toast.parentNode.removeChild(toast);
-        }
-      }, 500);
-    }, 4000);
+        toast.style.transform = "translateX(400px)";
+        setTimeout(() => {
+          if (toast.parentNode) {
+            toast.parentNode.removeChild(toast);
+          }
+        }, 500);
+      }, duration);
+    }
   }
 
   /**
@@ -406,7 +671,7 @@ class Navbar {
                     <button class="btn btn-secondary" onclick="this.closest('.modal').classList.remove('show')">
                         Close
                     </button>
-                    <button class="btn btn-primary" onclick="Navigation.navigateTo('/progress')">
+                    <button class="btn btn-primary" onclick="this.closest('.modal').remove(); Navigation.navigateTo('/progress')">
                         View Full Progress
                     </button>
                 </div>
@@ -587,6 +852,109 @@ navbarStyles.textContent = `
         font-family: 'SpaceMono', monospace;
     }
 
+    .profile-switcher {
+        position: relative;
+    }
+
+    .profile-button {
+        display: flex;
+        align-items: center;
+        gap: 0.4rem;
+    }
+
+    .profile-switcher.inactive .profile-button {
+        opacity: 0.6;
+    }
+
+    .profile-avatar {
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        flex-shrink: 0;
+        width: 1.6rem;
+        height: 1.6rem;
+        border-radius: 50%;
+        color: #fff;
+        font-size: 0.8rem;
+        font-weight: 700;
+        text-shadow: 0 1px 2px rgba(0, 0, 0, 0.5);
+    }
+
+    .profile-menu {
+        position: absolute;
+        top: calc(100% + 0.5rem);
+        right: 0;
+        min-width: 220px;
+        padding: 0.5rem;
+        background: rgba(26, 26, 46, 0.97);
+        border: 1px solid rgba(0, 212, 255, 0.3);
+        border-radius: 12px;
+        box-shadow: 0 8px 30px rgba(0, 0, 0, 0.4);
+        z-index: 1001;
+    }
+
+    .profile-list {
+        list-style: none;
+        margin: 0 0 0.5rem;
+        padding: 0;
+    }
+
+    .profile-item {
+        display: flex;
+        align-items: center;
+        gap: 0.25rem;
+        border-radius: 8px;
+    }
+
+    .profile-item.active {
+        background: rgba(0, 212, 255, 0.15);
+    }
+
+    .profile-switch,
+    .profile-tool,
+    .profile-create {
+        background: none;
+        border: none;
+        border-radius: 8px;
+        color: var(--text-primary);
+        font-family: inherit;
+        cursor: pointer;
+    }
+
+    .profile-switch {
+        display: flex;
+        flex: 1;
+        align-items: center;
+        gap: 0.5rem;
+        min-width: 0;
+        padding: 0.4rem;
+        text-align: left;
+    }
+
+    .profile-item-name {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+
+    .profile-tool {
+        padding: 0.3rem;
+        font-size: 0.85rem;
+    }
+
+    .profile-create {
+        width: 100%;
+        padding: 0.5rem;
+        text-align: left;
+        color: var(--accent-color);
+    }
+
+    .profile-switch:hover,
+    .profile-tool:hover,
+    .profile-create:hover {
+        background: rgba(255, 255, 255, 0.08);
+    }
+
     .toast-content {
         display: flex;
         justify-content: space-between;
@@ -614,6 +982,21 @@ navbarStyles.textContent = `
         background: rgba(255, 255, 255, 0.2);
     }
 
+    .toast-action {
+        background: rgba(255, 255, 255, 0.2);
+        border: 1px solid rgba(255, 255, 255, 0.6);
+        border-radius: 6px;
+        color: white;
+        font-family: inherit;
+        padding: 0.25rem 0.75rem;
+        cursor: pointer;
+        white-space: nowrap;
+    }
+
+    .toast-action:hover {
+        background: rgba(255, 255, 255, 0.35);
+    }
+
     .progress-modal {
         max-width: 600px;
         width: 90%;
@@ -355,6 +355,9 @@ class PlanetCard {
     showContextMenu(event) {
         if (this.isLocked) return;
 
+        const offline = window.OfflineManager && window.OfflineManager.isSupported;
+        const isOffline = offline && window.OfflineManager.isPlanetOffline(this.planetData.id);
+
         const contextMenu = document.createElement('div');
         contextMenu.className = 'planet-context-menu';
         contextMenu.innerHTML = `
@@ -370,6 +373,12 @@ class PlanetCard {
                 <span class="context-icon">🎯</span>
                 <span>Practice Exercises</span>
             </div>
+            ${offline ? `
+                <div class="context-menu-item" data-action="download-offline">
+                    <span class="context-icon">${isOffline ? '✅' : '📥'}</span>
+                    <span>${isOffline ? 'Available Offline (Update)' : 'Download for Offline'}</span>
+                </div>
+            ` : ''}
             <div class="context-menu-item" data-action="reset-progress">
                 <span class="context-icon">🔄</span>
                 <span>Reset Progress</span>
@@ -419,6 +428,9 @@ class PlanetCard {
             case 'view-exercises':
                 this.viewExercises();
                 break;
+            case 'download-offline':
+                this.downloadForOffline();
+                break;
             case 'reset-progress':
                 this.resetProgress();
                 break;
@@ -643,6 +655,15 @@ class PlanetCard {
         }
     }
 
+    /**
+     * Cache this planet's concepts so it can be studied offline
+     */
+    async downloadForOffline() {
+        this.element.classList.add('downloading');
+        await window.OfflineManager.downloadPlanet(this.planetData.id);
+        this.element.classList.remove('downloading');
+    }
+
     /**
      * Start quiz for this planet
      */
@@ -727,7 +748,8 @@ class PlanetCard {
             security: '🛡️',
             algorithms: '⚙️',
             canvas: '🎨',
-            api: '🌐'
+            api: '🌐',
+            performance: '🚀'
         };
         return emojis[this.planetData.id] || '🪐';
     }
@@ -870,6 +892,10 @@ planetCardStyles.textContent = `
         transform: scale(0.95);
     }
 
+    .planet.downloading {
+        animation: planetGlow 1s ease-in-out infinite;
+    }
+
     .planet.clicked {
         animation: planetClick 0.3s ease;
     }
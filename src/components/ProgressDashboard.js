@@ -0,0 +1,606 @@
+// src/components/ProgressDashboard.js - Progress Dashboard View
+import { visualization } from '../concepts/canvas/canvas-patterns.js';
+
+/**
+ * ProgressDashboard - Full progress view for the /progress route
+ * Shows per-planet completion, XP over time, a streak calendar, time spent
+ * per planet, quiz score trends and the weakest topics. Charts are drawn on
+ * canvas with the lesson's visualization helpers.
+ */
+
+class ProgressDashboard {
+    constructor() {
+        this.container = null;
+        this.renderTimeout = null;
+        this.chartWidth = 560;
+        this.chartHeight = 220;
+        this.colors = {
+            accent: '#00d4ff',
+            grid: 'rgba(0, 212, 255, 0.15)',
+            text: '#b8b8b8',
+            heat: ['rgba(255, 255, 255, 0.06)', '#1f4a5c', '#1f7a8c', '#2ab7ca', '#4ecdc4']
+        };
+
+        StateManager.addListener(() => {
+            this.scheduleRender();
+        });
+    }
+
+    /**
+     * Render the dashboard into its view container
+     */
+    show(container) {
+        this.container = container;
+        this.render();
+    }
+
+    /**
+     * Re-render after state changes while the dashboard is on screen
+     */
+    scheduleRender() {
+        if (!this.isVisible()) return;
+
+        clearTimeout(this.renderTimeout);
+        this.renderTimeout = setTimeout(() => this.render(), 250);
+    }
+
+    isVisible() {
+        return Boolean(this.container && this.container.isConnected && !this.container.classList.contains('hidden'));
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const summary = ProgressAnalytics.getSummary();
+        const planets = ProgressAnalytics.getPlanetBreakdown();
+        const timeline = ProgressAnalytics.getXPTimeline(30);
+        const calendar = ProgressAnalytics.getStreakCalendar(12);
+        const timeByPlanet = ProgressAnalytics.getTimeByPlanet();
+        const quizTrend = ProgressAnalytics.getQuizTrend(20);
+        const weakest = ProgressAnalytics.getWeakestTopics(3);
+
+        this.container.innerHTML = `
+            <div class="progress-dashboard">
+                <header class="dashboard-header">
+                    <h2>📊 Your Progress</h2>
+                    <a href="/" class="btn btn-secondary">← Back to Galaxy</a>
+                </header>
+
+                ${this.generateSummaryHTML(summary)}
+
+                <div class="dashboard-grid">
+                    <section class="dashboard-card">
+                        <h3>⭐ XP over the last 30 days</h3>
+                        <canvas class="dashboard-chart" data-chart="xp"
+                                aria-label="Total XP went from ${timeline[0].total} to ${timeline[timeline.length - 1].total} in the last 30 days"></canvas>
+                    </section>
+
+                    <section class="dashboard-card">
+                        <h3>🔥 Learning calendar</h3>
+                        <canvas class="dashboard-chart" data-chart="calendar"
+                                aria-label="${calendar.filter(day => day.level > 0).length} active days in the last 12 weeks"></canvas>
+                        <div class="heatmap-legend">
+                            <span>Less</span>
+                            ${this.colors.heat.map(color => `<span class="heatmap-swatch" style="background: ${color}"></span>`).join('')}
+                            <span>More</span>
+                        </div>
+                    </section>
+
+                    <section class="dashboard-card">
+                        <h3>⏱️ Time spent per planet</h3>
+                        ${timeByPlanet.length > 0 ? `
+                            <canvas class="dashboard-chart" data-chart="time"
+                                    aria-label="${timeByPlanet.map(planet => `${planet.title}: ${this.formatDuration(planet.seconds)}`).join(', ')}"></canvas>
+                        ` : this.generateEmptyHTML('Open a planet to start tracking your learning time.')}
+                    </section>
+
+                    <section class="dashboard-card">
+                        <h3>🧠 Quiz score trend</h3>
+                        ${quizTrend.length > 1 ? `
+                            <canvas class="dashboard-chart" data-chart="quiz"
+                                    aria-label="Last quiz scores: ${quizTrend.map(attempt => `${attempt.percentage}%`).join(', ')}"></canvas>
+                        ` : this.generateEmptyHTML('Complete at least two quizzes to see your trend.')}
+                    </section>
+                </div>
+
+                <section class="dashboard-card">
+                    <h3>🎯 Weakest topics</h3>
+                    ${this.generateWeakestHTML(weakest)}
+                </section>
+
+                <section class="dashboard-card">
+                    <h3>🪐 Planet completion</h3>
+                    ${this.generatePlanetTableHTML(planets)}
+                </section>
+            </div>
+        `;
+
+        this.drawCharts({ timeline, calendar, timeByPlanet, quizTrend });
+    }
+
+    generateSummaryHTML(summary) {
+        const cards = [
+            { icon: '⭐', value: `Level ${summary.level}`, label: `${summary.totalXP} XP` },
+            { icon: '🎯', value: `${summary.overallProgress}%`, label: 'Overall progress' },
+            { icon: '🔥', value: summary.streakDays, label: `Day streak` },
+            { icon: '⏱️', value: this.formatDuration(summary.totalTimeSpent), label: 'Time learning' },
+            { icon: '📝', value: summary.quizzesCompleted, label: 'Quizzes taken' },
+            { icon: '🏆', value: summary.achievements, label: 'Achievements' }
+        ];
+
+        return `
+            <div class="dashboard-summary">
+                ${cards.map(card => `
+                    <div class="summary-card">
+                        <span class="summary-icon">${card.icon}</span>
+                        <span class="summary-value">${card.value}</span>
+                        <span class="summary-label">${card.label}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    generateWeakestHTML(weakest) {
+        if (weakest.length === 0) {
+            return this.generateEmptyHTML('No weak spots yet. Missed quiz questions will show up here.');
+        }
+
+        return `
+            <ul class="weakest-topics">
+                ${weakest.map(topic => `
+                    <li class="weak-topic">
+                        <span class="weak-topic-title" style="color: ${topic.color}">${topic.title}</span>
+                        <span class="weak-topic-stats">${topic.accuracy}% accuracy · ${topic.missed} of ${topic.answered} questions missed</span>
+                        <a href="/planet/${topic.planetId}" class="btn btn-secondary btn-small">Revisit</a>
+                    </li>
+                `).join('')}
+            </ul>
+            <a href="/review" class="btn btn-primary">🔁 Practice missed questions</a>
+        `;
+    }
+
+    generatePlanetTableHTML(planets) {
+        return `
+            <table class="planet-completion">
+                <thead>
+                    <tr>
+                        <th scope="col">Planet</th>
+                        <th scope="col">Sections</th>
+                        <th scope="col">Exercises</th>
+                        <th scope="col">Quiz</th>
+                        <th scope="col">Time</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${planets.map(planet => `
+                        <tr class="${planet.unlocked ? '' : 'locked'}">
+                            <th scope="row">
+                                <span class="planet-dot" style="background: ${planet.color}"></span>
+                                ${planet.unlocked ? '' : '🔒 '}${planet.title}
+                            </th>
+                            <td>${this.generateMeterHTML(planet.sections)}</td>
+                            <td>${this.generateMeterHTML(planet.exercises)}</td>
+                            <td>${this.formatQuizResult(planet.quiz)}</td>
+                            <td>${planet.timeSpent > 0 ? this.formatDuration(planet.timeSpent) : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    generateMeterHTML({ completed, total }) {
+        const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+        return `
+            <div class="completion-meter" role="img" aria-label="${completed} of ${total} completed">
+                <div class="completion-bar"><div class="completion-fill" style="width: ${percentage}%"></div></div>
+                <span class="completion-text">${completed}/${total}</span>
+            </div>
+        `;
+    }
+
+    generateEmptyHTML(message) {
+        return `<p class="dashboard-empty">${message}</p>`;
+    }
+
+    /**
+     * Draw every chart canvas present in the view
+     */
+    drawCharts({ timeline, calendar, timeByPlanet, quizTrend }) {
+        const charts = {
+            xp: ctx => this.drawXPChart(ctx, timeline),
+            calendar: ctx => this.drawCalendar(ctx, calendar),
+            time: ctx => this.drawTimeChart(ctx, timeByPlanet),
+            quiz: ctx => this.drawQuizTrend(ctx, quizTrend)
+        };
+
+        this.container.querySelectorAll('canvas[data-chart]').forEach(canvas => {
+            const ctx = this.prepareCanvas(canvas);
+            if (ctx) {
+                charts[canvas.dataset.chart](ctx);
+            }
+        });
+    }
+
+    /**
+     * Size a canvas for the device pixel ratio. Returns null where canvas
+     * is not supported.
+     */
+    prepareCanvas(canvas) {
+        const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!ctx) return null;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = this.chartWidth * ratio;
+        canvas.height = this.chartHeight * ratio;
+        ctx.scale(ratio, ratio);
+        ctx.font = '11px sans-serif';
+        return ctx;
+    }
+
+    drawXPChart(ctx, timeline) {
+        const area = this.getPlotArea();
+        const totals = timeline.map(day => day.total);
+        const maxValue = Math.max(1, ...totals);
+        const minValue = Math.min(...totals);
+
+        this.drawAxes(ctx, area, [`${maxValue} XP`, `${minValue === maxValue ? 0 : minValue} XP`]);
+        visualization.lineChart(ctx, area.x, area.y, area.width, area.height, totals, {
+            color: this.colors.accent,
+            pointSize: 2,
+            maxValue,
+            minValue: minValue === maxValue ? 0 : minValue
+        });
+        this.drawXLabels(ctx, area, [this.formatDate(timeline[0].date), 'Today']);
+    }
+
+    drawCalendar(ctx, calendar) {
+        const cell = 14;
+        const gap = 3;
+        const left = 34;
+        const top = 24;
+
+        ctx.fillStyle = this.colors.text;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        ['Mon', 'Wed', 'Fri'].forEach((label, index) => {
+            ctx.fillText(label, 0, top + (index * 2 + 1) * (cell + gap) + cell / 2);
+        });
+
+        calendar.forEach((day, index) => {
+            const column = Math.floor(index / 7);
+            const x = left + column * (cell + gap);
+            const y = top + day.weekday * (cell + gap);
+
+            if (day.weekday === 0 && Number(day.date.slice(8)) <= 7) {
+                ctx.fillStyle = this.colors.text;
+                ctx.fillText(this.formatDate(day.date, { month: 'short' }), x, top / 2);
+            }
+
+            ctx.fillStyle = this.colors.heat[day.level];
+            ctx.fillRect(x, y, cell, cell);
+        });
+    }
+
+    drawTimeChart(ctx, timeByPlanet) {
+        const area = this.getPlotArea();
+        const planets = timeByPlanet.slice(0, 8);
+        const minutes = planets.map(planet => planet.seconds / 60);
+        const maxValue = Math.max(1, ...minutes);
+
+        this.drawAxes(ctx, area, [this.formatDuration(maxValue * 60), '0m']);
+        visualization.barChart(ctx, area.x, area.y, area.width, area.height, minutes, {
+            colors: planets.map(planet => planet.color),
+            padding: 12,
+            maxValue
+        });
+
+        const barWidth = (area.width - 12 * (planets.length - 1)) / planets.length;
+        ctx.fillStyle = this.colors.text;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        planets.forEach((planet, index) => {
+            const centerX = area.x + index * (barWidth + 12) + barWidth / 2;
+            ctx.fillText(this.truncate(planet.title, barWidth), centerX, area.y + area.height + 6);
+        });
+    }
+
+    drawQuizTrend(ctx, quizTrend) {
+        const area = this.getPlotArea();
+        const scores = quizTrend.map(attempt => attempt.percentage);
+
+        this.drawAxes(ctx, area, ['100%', '0%']);
+
+        // Passing line
+        const passY = area.y + area.height * 0.2;
+        ctx.strokeStyle = 'rgba(78, 205, 196, 0.5)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(area.x, passY);
+        ctx.lineTo(area.x + area.width, passY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        visualization.lineChart(ctx, area.x, area.y, area.width, area.height, scores, {
+            color: '#ffe66d',
+            maxValue: 100,
+            minValue: 0
+        });
+        const first = quizTrend[0];
+        const last = quizTrend[quizTrend.length - 1];
+        this.drawXLabels(ctx, area, [this.formatDate(first.timestamp), this.formatDate(last.timestamp)]);
+    }
+
+    getPlotArea() {
+        return { x: 56, y: 12, width: this.chartWidth - 72, height: this.chartHeight - 44 };
+    }
+
+    /**
+     * Frame the plot and label its top and bottom values
+     */
+    drawAxes(ctx, area, [topLabel, bottomLabel]) {
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(area.x, area.y);
+        ctx.lineTo(area.x, area.y + area.height);
+        ctx.lineTo(area.x + area.width, area.y + area.height);
+        ctx.stroke();
+
+        ctx.fillStyle = this.colors.text;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(topLabel, area.x - 6, area.y);
+        ctx.fillText(bottomLabel, area.x - 6, area.y + area.height);
+    }
+
+    drawXLabels(ctx, area, [startLabel, endLabel]) {
+        ctx.fillStyle = this.colors.text;
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(startLabel, area.x, area.y + area.height + 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(endLabel, area.x + area.width, area.y + area.height + 6);
+    }
+
+    // Utility methods
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    }
+
+    formatQuizResult({ passed, attempts, bestScore }) {
+        // Quizzes passed before attempts were recorded have no best score
+        const best = bestScore !== null ? `${bestScore}%` : '';
+        if (passed) return `✅ ${best}`.trim();
+        return attempts > 0 ? `Best ${best}` : '—';
+    }
+
+    formatDate(value, options = { month: 'short', day: 'numeric' }) {
+        // Date keys are local calendar dates
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+            ? new Date(Number(value.slice(0, 4)), Number(value.slice(5, 7)) - 1, Number(value.slice(8)))
+            : new Date(value);
+        return date.toLocaleDateString(undefined, options);
+    }
+
+    truncate(text, maxWidth) {
+        const maxChars = Math.max(3, Math.floor(maxWidth / 6));
+        return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+    }
+
+    /**
+     * Get singleton instance
+     */
+    static getInstance() {
+        if (!ProgressDashboard.instance) {
+            ProgressDashboard.instance = new ProgressDashboard();
+        }
+        return ProgressDashboard.instance;
+    }
+}
+
+// CSS styles for ProgressDashboard
+const progressDashboardStyles = document.createElement('style');
+progressDashboardStyles.textContent = `
+    .dashboard-view {
+        position: relative;
+        z-index: 10;
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 2rem 1.5rem 4rem;
+    }
+
+    .dashboard-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 1.5rem;
+    }
+
+    .dashboard-summary {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+        gap: 1rem;
+        margin-bottom: 1.5rem;
+    }
+
+    .summary-card {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 0.25rem;
+        padding: 1rem;
+        background: rgba(26, 26, 46, 0.85);
+        border: 1px solid rgba(0, 212, 255, 0.2);
+        border-radius: 12px;
+    }
+
+    .summary-icon {
+        font-size: 1.5rem;
+    }
+
+    .summary-value {
+        font-size: 1.4rem;
+        font-weight: 700;
+        color: var(--accent-color);
+    }
+
+    .summary-label {
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .dashboard-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(420px, 1fr));
+        gap: 1.5rem;
+        margin-bottom: 1.5rem;
+    }
+
+    .dashboard-card {
+        padding: 1.25rem;
+        margin-bottom: 1.5rem;
+        background: rgba(26, 26, 46, 0.85);
+        border: 1px solid rgba(0, 212, 255, 0.2);
+        border-radius: 12px;
+    }
+
+    .dashboard-grid .dashboard-card {
+        margin-bottom: 0;
+    }
+
+    .dashboard-card h3 {
+        margin: 0 0 1rem;
+        font-size: 1.05rem;
+    }
+
+    .dashboard-chart {
+        display: block;
+        width: 100%;
+        aspect-ratio: 560 / 220;
+    }
+
+    .dashboard-empty {
+        color: var(--text-muted);
+        font-style: italic;
+    }
+
+    .heatmap-legend {
+        display: flex;
+        align-items: center;
+        justify-content: flex-end;
+        gap: 0.3rem;
+        color: var(--text-muted);
+        font-size: 0.75rem;
+    }
+
+    .heatmap-swatch {
+        width: 12px;
+        height: 12px;
+        border-radius: 2px;
+    }
+
+    .weakest-topics {
+        list-style: none;
+        padding: 0;
+        margin: 0 0 1rem;
+    }
+
+    .weak-topic {
+        display: flex;
+        align-items: center;
+        gap: 1rem;
+        padding: 0.75rem 0;
+        border-bottom: 1px solid rgba(0, 212, 255, 0.1);
+    }
+
+    .weak-topic-title {
+        font-weight: 600;
+        min-width: 120px;
+    }
+
+    .weak-topic-stats {
+        flex: 1;
+        color: var(--text-secondary);
+    }
+
+    .planet-completion {
+        width: 100%;
+        border-collapse: collapse;
+    }
+
+    .planet-completion th,
+    .planet-completion td {
+        padding: 0.6rem 0.5rem;
+        text-align: left;
+        border-bottom: 1px solid rgba(0, 212, 255, 0.1);
+    }
+
+    .planet-completion thead th {
+        color: var(--text-secondary);
+        font-size: 0.8rem;
+        text-transform: uppercase;
+    }
+
+    .planet-completion tr.locked {
+        opacity: 0.5;
+    }
+
+    .planet-dot {
+        display: inline-block;
+        width: 10px;
+        height: 10px;
+        margin-right: 0.5rem;
+        border-radius: 50%;
+    }
+
+    .completion-meter {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+    }
+
+    .completion-bar {
+        flex: 1;
+        min-width: 60px;
+        height: 6px;
+        background: rgba(255, 255, 255, 0.1);
+        border-radius: 3px;
+        overflow: hidden;
+    }
+
+    .completion-fill {
+        height: 100%;
+        background: var(--accent-color);
+    }
+
+    .completion-text {
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    @media (max-width: 768px) {
+        .dashboard-grid {
+            grid-template-columns: 1fr;
+        }
+
+        .planet-completion td:last-child,
+        .planet-completion th:last-child {
+            display: none;
+        }
+    }
+`;
+document.head.appendChild(progressDashboardStyles);
+
+// Create singleton instance
+const progressDashboardInstance = ProgressDashboard.getInstance();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ProgressDashboard = progressDashboardInstance;
+}
@@ -0,0 +1,533 @@
+// src/components/SettingsPanel.js - Settings View
+
+/**
+ * SettingsPanel - Preferences form for the /settings route
+ * Every field writes straight to StateManager.updateSettings, and the
+ * settingsUpdated listeners (JSVerseHubApp, GalaxyRenderer, ConceptViewer)
+ * apply the change live. Also offers export, import and reset of progress,
+ * and progress sync with the server (ProgressSync).
+ */
+
+class SettingsPanel {
+    constructor() {
+        this.container = null;
+
+        this.sections = [
+            {
+                title: '🎨 Appearance',
+                fields: [
+                    {
+                        key: 'theme',
+                        label: 'Theme',
+                        type: 'select',
+                        options: [['galaxy', '🌌 Galaxy'], ['cosmic', '✨ Cosmic']]
+                    },
+                    {
+                        key: 'fontSize',
+                        label: 'Text size',
+                        type: 'select',
+                        options: [['small', 'Small'], ['medium', 'Medium'], ['large', 'Large'], ['x-large', 'Extra large']]
+                    },
+                    {
+                        key: 'animationsEnabled',
+                        label: 'Animations',
+                        type: 'toggle',
+                        description: 'Rotating galaxy, floating planets and the twinkling star field'
+                    }
+                ]
+            },
+            {
+                title: '📚 Learning',
+                fields: [
+                    {
+                        key: 'difficulty',
+                        label: 'Difficulty',
+                        type: 'select',
+                        options: [['easy', 'Easy'], ['normal', 'Normal'], ['hard', 'Hard'], ['adaptive', 'Adaptive']],
+                        description: 'Which quiz questions you get, hints shown with exercises and XP earned. Adaptive follows how you are doing on each planet.'
+                    },
+                    {
+                        key: 'showHints',
+                        label: 'Show hints',
+                        type: 'toggle',
+                        description: 'Show the hints tab on exercises'
+                    },
+                    {
+                        key: 'autoSave',
+                        label: 'Auto-save',
+                        type: 'toggle',
+                        description: 'Save notes and exercise code while you type'
+                    }
+                ]
+            },
+            {
+                title: '🔊 Sound',
+                fields: [
+                    {
+                        key: 'soundEnabled',
+                        label: 'Sound effects',
+                        type: 'toggle',
+                        description: 'Play sounds when you click planets and buttons'
+                    }
+                ]
+            }
+        ];
+
+        this.syncStatusText = {
+            disabled: 'Connect on each device you sign in on to share progress',
+            signedOut: 'Sign in to share your progress between devices',
+            syncing: 'Syncing…',
+            idle: 'Up to date',
+            offline: 'Offline, changes will sync when the server is back',
+            error: 'Sync failed'
+        };
+
+        this.handleChange = this.handleChange.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+
+        StateManager.addListener(event => {
+            if (['settingsUpdated', 'dataImported', 'userChanged'].includes(event) && this.isVisible()) {
+                this.syncForm();
+            }
+        });
+
+        if (typeof window.ProgressSync !== 'undefined') {
+            ProgressSync.addListener(() => {
+                if (this.isVisible()) {
+                    this.updateSyncStatus();
+                }
+            });
+        }
+    }
+
+    /**
+     * Render the settings form into its view container
+     */
+    show(container) {
+        if (this.container !== container) {
+            if (this.container) {
+                this.container.removeEventListener('change', this.handleChange);
+                this.container.removeEventListener('click', this.handleClick);
+            }
+            this.container = container;
+            this.container.addEventListener('change', this.handleChange);
+            this.container.addEventListener('click', this.handleClick);
+        }
+        this.render();
+    }
+
+    isVisible() {
+        return Boolean(this.container && this.container.isConnected && !this.container.classList.contains('hidden'));
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const { settings } = StateManager.getState();
+
+        this.container.innerHTML = `
+            <div class="settings-page">
+                <header class="settings-header">
+                    <h2>⚙️ Settings</h2>
+                    <a href="/" class="btn btn-secondary">← Back to Galaxy</a>
+                </header>
+
+                <form class="settings-form" novalidate>
+                    ${this.sections.map(section => `
+                        <fieldset class="settings-section">
+                            <legend>${section.title}</legend>
+                            ${section.fields.map(field => this.generateFieldHTML(field, settings[field.key])).join('')}
+                        </fieldset>
+                    `).join('')}
+                </form>
+
+                <section class="settings-section settings-data">
+                    <h3>💾 Your Progress</h3>
+                    ${this.generateSyncHTML()}
+                    <div class="settings-row">
+                        <div>
+                            <span class="settings-label">Export progress</span>
+                            <p class="settings-description">Download your progress as a JSON file</p>
+                        </div>
+                        <button type="button" class="btn btn-secondary" data-action="export">📥 Export</button>
+                    </div>
+                    <div class="settings-row">
+                        <div>
+                            <span class="settings-label">Import progress</span>
+                            <p class="settings-description">Replace your progress with an exported file</p>
+                        </div>
+                        <button type="button" class="btn btn-secondary" data-action="import">📤 Import</button>
+                        <input type="file" accept="application/json,.json" class="hidden" data-import-file>
+                    </div>
+                    <div class="settings-row danger">
+                        <div>
+                            <span class="settings-label">Reset progress</span>
+                            <p class="settings-description">Start over. Your settings are kept.</p>
+                        </div>
+                        <button type="button" class="btn btn-danger" data-action="reset">🔄 Reset</button>
+                    </div>
+                </section>
+            </div>
+        `;
+
+        if (typeof window.ProgressSync !== 'undefined') {
+            this.updateSyncStatus();
+        }
+    }
+
+    generateSyncHTML() {
+        if (typeof window.ProgressSync === 'undefined') return '';
+
+        return `
+            <div class="settings-row settings-sync">
+                <div>
+                    <span class="settings-label">Sync across devices</span>
+                    <p class="settings-description" data-sync-status aria-live="polite"></p>
+                </div>
+                <button type="button" class="btn btn-secondary" data-sync-button></button>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the current ProgressSync status. Syncing needs a signed-in
+     * account, which can change while the panel is open.
+     */
+    updateSyncStatus() {
+        const status = this.container.querySelector('[data-sync-status]');
+        const button = this.container.querySelector('[data-sync-button]');
+        if (!status || !button) return;
+
+        const connected = Boolean(ProgressSync.userId);
+        const signedIn = Boolean(ProgressSync.getAccountId());
+        button.dataset.action = connected ? 'sync-disconnect' : 'sync-connect';
+        button.textContent = connected ? 'Disconnect' : '🔄 Connect';
+        button.disabled = !connected && !signedIn;
+
+        let text = this.syncStatusText[ProgressSync.status] || '';
+        if (!connected && !signedIn) {
+            text = this.syncStatusText.signedOut;
+        } else if (ProgressSync.status === 'idle') {
+            text = `Up to date as "${ProgressSync.userId}"`;
+        } else if (ProgressSync.status === 'error' && ProgressSync.statusDetail) {
+            text = `Sync failed: ${ProgressSync.statusDetail}`;
+        }
+        status.textContent = text;
+        status.classList.toggle('error', ProgressSync.status === 'error');
+    }
+
+    generateFieldHTML(field, value) {
+        const id = `setting-${field.key}`;
+        const description = field.description
+            ? `<p class="settings-description" id="${id}-description">${field.description}</p>`
+            : '';
+        const describedBy = field.description ? `aria-describedby="${id}-description"` : '';
+
+        if (field.type === 'toggle') {
+            return `
+                <div class="settings-row">
+                    <div>
+                        <label class="settings-label" for="${id}">${field.label}</label>
+                        ${description}
+                    </div>
+                    <input type="checkbox" class="settings-toggle" id="${id}" name="${field.key}"
+                           role="switch" ${describedBy} ${value ? 'checked' : ''}>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="settings-row">
+                <div>
+                    <label class="settings-label" for="${id}">${field.label}</label>
+                    ${description}
+                </div>
+                <select class="settings-select" id="${id}" name="${field.key}" ${describedBy}>
+                    ${field.options.map(([optionValue, label]) => `
+                        <option value="${optionValue}" ${optionValue === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Update form controls from the saved settings
+     */
+    syncForm() {
+        const { settings } = StateManager.getState();
+
+        this.sections.forEach(section => section.fields.forEach(field => {
+            const input = this.container.querySelector(`[name="${field.key}"]`);
+            if (!input) return;
+
+            if (field.type === 'toggle') {
+                input.checked = Boolean(settings[field.key]);
+            } else {
+                input.value = settings[field.key];
+            }
+        }));
+    }
+
+    handleChange(event) {
+        const input = event.target;
+
+        if (input.matches('[data-import-file]')) {
+            const [file] = input.files;
+            input.value = '';
+            if (file) {
+                this.importProgress(file);
+            }
+            return;
+        }
+
+        const field = this.getField(input.name);
+        if (!field) return;
+
+        StateManager.updateSettings({
+            [field.key]: field.type === 'toggle' ? input.checked : input.value
+        });
+        JSVLogger.info(`⚙️ Setting updated: ${field.key}`);
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'export':
+                this.exportProgress();
+                break;
+            case 'import':
+                this.container.querySelector('[data-import-file]').click();
+                break;
+            case 'reset':
+                this.resetProgress();
+                break;
+            case 'sync-connect':
+                this.connectSync();
+                break;
+            case 'sync-disconnect':
+                ProgressSync.disconnect();
+                this.render();
+                break;
+        }
+    }
+
+    async connectSync() {
+        try {
+            const promise = ProgressSync.connect();
+            this.render();
+            await promise;
+        } catch (error) {
+            Modal.alert('Cannot sync', this.escapeHtml(error.message));
+        }
+    }
+
+    async exportProgress() {
+        const confirmed = await Modal.confirm(
+            'Export progress',
+            'Download a JSON file with your progress, achievements and settings?',
+            { confirmText: 'Download' }
+        );
+        if (confirmed) {
+            StateManager.exportUserData();
+        }
+    }
+
+    async importProgress(file) {
+        const confirmed = await Modal.confirm(
+            'Import progress',
+            `Replace your current progress with <strong>${this.escapeHtml(file.name)}</strong>? This cannot be undone.`,
+            { confirmText: 'Import' }
+        );
+        if (!confirmed) return;
+
+        const imported = StateManager.importUserData(await file.text());
+        if (imported) {
+            Modal.alert('Import complete', 'Your progress was imported.');
+        } else {
+            Modal.alert('Import failed', 'That file is not a JSVerseHub progress export.');
+        }
+    }
+
+    async resetProgress() {
+        const confirmed = await Modal.confirm(
+            'Reset progress',
+            'Delete all progress, XP and achievements? This cannot be undone. Export first if you want a backup.',
+            { confirmText: 'Reset' }
+        );
+        if (confirmed) {
+            StateManager.resetProgress();
+            Modal.alert('Progress reset', 'Your journey starts again from the Basics planet.');
+        }
+    }
+
+    getField(key) {
+        for (const section of this.sections) {
+            const field = section.fields.find(candidate => candidate.key === key);
+            if (field) return field;
+        }
+        return null;
+    }
+
+    /**
+     * Escape text for element content and quoted attribute values
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Get singleton instance
+     */
+    static getInstance() {
+        if (!SettingsPanel.instance) {
+            SettingsPanel.instance = new SettingsPanel();
+        }
+        return SettingsPanel.instance;
+    }
+}
+
+// CSS styles for SettingsPanel
+const settingsPanelStyles = document.createElement('style');
+settingsPanelStyles.textContent = `
+    .settings-view {
+        position: relative;
+        z-index: 10;
+        max-width: 760px;
+        margin: 0 auto;
+        padding: 2rem 1.5rem 4rem;
+    }
+
+    .settings-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 1.5rem;
+    }
+
+    .settings-section {
+        margin: 0 0 1.5rem;
+        padding: 1.25rem;
+        background: rgba(26, 26, 46, 0.85);
+        border: 1px solid rgba(0, 212, 255, 0.2);
+        border-radius: 12px;
+    }
+
+    .settings-section legend,
+    .settings-section h3 {
+        padding: 0 0.5rem;
+        margin: 0;
+        color: var(--accent-color);
+        font-size: 1.05rem;
+        font-weight: 600;
+    }
+
+    .settings-section h3 {
+        padding: 0;
+        margin-bottom: 0.5rem;
+    }
+
+    .settings-row {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 1rem;
+        padding: 0.75rem 0;
+        border-bottom: 1px solid rgba(0, 212, 255, 0.1);
+    }
+
+    .settings-row:last-child {
+        border-bottom: none;
+    }
+
+    .settings-label {
+        color: var(--text-primary);
+        font-weight: 500;
+    }
+
+    .settings-description {
+        margin: 0.2rem 0 0;
+        color: var(--text-muted);
+        font-size: 0.85rem;
+    }
+
+    .settings-select {
+        min-width: 160px;
+        padding: 0.5rem 0.75rem;
+        background: var(--primary-bg);
+        border: 1px solid rgba(0, 212, 255, 0.3);
+        border-radius: 8px;
+        color: var(--text-primary);
+        font-family: inherit;
+    }
+
+    .settings-description.error {
+        color: var(--danger-color);
+    }
+
+    .settings-toggle {
+        appearance: none;
+        position: relative;
+        flex-shrink: 0;
+        width: 44px;
+        height: 24px;
+        background: rgba(255, 255, 255, 0.15);
+        border-radius: 12px;
+        cursor: pointer;
+        transition: background 0.2s ease;
+    }
+
+    .settings-toggle::after {
+        content: '';
+        position: absolute;
+        top: 3px;
+        left: 3px;
+        width: 18px;
+        height: 18px;
+        background: var(--text-primary);
+        border-radius: 50%;
+        transition: transform 0.2s ease;
+    }
+
+    .settings-toggle:checked {
+        background: var(--accent-color);
+    }
+
+    .settings-toggle:checked::after {
+        transform: translateX(20px);
+    }
+
+    .settings-toggle:focus-visible,
+    .settings-select:focus-visible {
+        outline: 2px solid var(--accent-color);
+        outline-offset: 2px;
+    }
+
+    .settings-row.danger .settings-label {
+        color: var(--danger-color);
+    }
+
+    .btn-danger {
+        background: transparent;
+        color: var(--danger-color);
+        border: 2px solid var(--danger-color);
+    }
+
+    .btn-danger:hover {
+        background: var(--danger-color);
+        color: var(--primary-bg);
+    }
+`;
+document.head.appendChild(settingsPanelStyles);
+
+// Create singleton instance
+const settingsPanelInstance = SettingsPanel.getInstance();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SettingsPanel = settingsPanelInstance;
+}
@@ -1687,6 +1687,82 @@ function fetchSettings(userId) {
   }
 ];
 
+// Quiz questions
+export const quiz = [
+  {
+    id: "event_loop_output",
+    type: "output",
+    question: "What does this code print?",
+    code: `console.log("A");
+setTimeout(() => console.log("B"), 0);
+Promise.resolve().then(() => console.log("C"));
+console.log("D");`,
+    correct: ["A\nD\nC\nB", "A D C B"],
+    explanation: "Synchronous code runs first, then the microtask queue (promise callbacks), then the next macrotask (the timer)."
+  },
+  {
+    id: "event_loop_order",
+    type: "ordering",
+    question: "Put one turn of the browser event loop in order",
+    items: [
+      "Run the next macrotask (e.g. a setTimeout callback)",
+      "Render: style, layout and paint if needed",
+      "Run the current script on the call stack",
+      "Drain the microtask queue (promise callbacks)"
+    ],
+    correct: [2, 3, 1, 0],
+    explanation: "After a task finishes, every queued microtask runs before the browser renders and picks the next task."
+  },
+  {
+    id: "microtask_sources",
+    type: "multi-select",
+    question: "Which of these queue a microtask?",
+    options: [
+      "promise.then(callback)",
+      "setTimeout(callback, 0)",
+      "queueMicrotask(callback)",
+      "The code after await in an async function",
+      "requestAnimationFrame(callback)"
+    ],
+    correct: [0, 2, 3],
+    explanation: "Promise reactions, queueMicrotask and await continuations are microtasks. Timers are macrotasks and animation frames run before rendering."
+  },
+  {
+    id: "async_return_value",
+    type: "true-false",
+    question: "result holds the number 42.",
+    code: `async function getAnswer() {
+  return 42;
+}
+const result = getAnswer();`,
+    correct: false,
+    explanation: "An async function always returns a promise. result is a promise that resolves to 42."
+  },
+  {
+    id: "fetch_json_blanks",
+    type: "fill-blank",
+    question: "Complete the function so it resolves to the parsed JSON",
+    code: `async function loadUser(id) {
+  const response = ___ fetch(\`/api/users/\${id}\`);
+  return response.___();
+}`,
+    correct: ["await", "json"],
+    explanation: "await pauses until fetch resolves with a Response, and response.json() returns a promise of the parsed body."
+  },
+  {
+    id: "promise_all_rejection",
+    question: "What happens when one promise passed to Promise.all rejects?",
+    options: [
+      "Promise.all waits for the others and resolves with the fulfilled values",
+      "Promise.all rejects immediately with that reason",
+      "The rejected promise is retried once",
+      "Promise.all resolves with undefined in its slot"
+    ],
+    correct: 1,
+    explanation: "Promise.all fails fast. Use Promise.allSettled to wait for every outcome."
+  }
+];
+
 // Progress tracking
 export const progressConfig = {
   totalConcepts: 4,
@@ -1722,5 +1798,6 @@ export default {
     practicalPatterns
   },
   exercises: interactiveExercises,
+  quiz,
   progress: progressConfig
 };
\ No newline at end of file
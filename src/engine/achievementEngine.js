@@ -0,0 +1,393 @@
+// src/engine/achievementEngine.js - Declarative Achievement Rules
+
+/**
+ * AchievementEngine - Awards achievements from data-driven rules
+ * Rules come from src/assets/data/achievements.json. The engine listens to
+ * StateManager events, evaluates rule conditions against state and event
+ * data, keeps counters and partial progress, and replays rules against
+ * existing state so current users are backfilled.
+ */
+
+class AchievementEngine {
+  constructor() {
+    this.rules = [];
+    this.queue = [];
+    this.isEvaluating = false;
+    this.removeListener = null;
+    this.isInitialized = false;
+
+    // Events the engine emits itself and never needs to react to
+    this.ignoredEvents = ["achievementProgress"];
+
+    // Events that replace the whole state and need a full replay
+    this.replayEvents = ["backfill", "dataImported", "progressReset", "userChanged"];
+
+    this.operators = {
+      "==": (a, b) => a === b,
+      "!=": (a, b) => a !== b,
+      ">": (a, b) => a > b,
+      ">=": (a, b) => a >= b,
+      "<": (a, b) => a < b,
+      "<=": (a, b) => a <= b,
+      includes: (a, b) => Array.isArray(a) && a.includes(b),
+    };
+  }
+
+  /**
+   * Load rules, subscribe to state events and backfill existing users
+   * @param {Object} ruleData - Parsed achievements.json ({rules: []})
+   */
+  init(ruleData) {
+    this.loadRules(ruleData);
+
+    if (this.removeListener) {
+      this.removeListener();
+    }
+    this.removeListener = StateManager.addListener((event, data) => {
+      this.handleEvent(event, data);
+    });
+
+    this.backfill();
+    this.isInitialized = true;
+    JSVLogger.info(`🏆 AchievementEngine initialized with ${this.rules.length} rules`);
+    return this;
+  }
+
+  /**
+   * Expand templated rules and validate them
+   */
+  loadRules(ruleData) {
+    const rules = Array.isArray(ruleData) ? ruleData : ruleData?.rules || [];
+    const expanded = rules.flatMap((rule) => this.expandRule(rule));
+    const seen = new Set();
+
+    this.rules = expanded.filter((rule) => {
+      const problem = this.validateRule(rule, seen);
+      if (problem) {
+        JSVLogger.warn(`⚠️ Skipping achievement rule "${rule.id}": ${problem}`);
+        return false;
+      }
+      seen.add(rule.id);
+      return true;
+    });
+
+    return this.rules;
+  }
+
+  /**
+   * Turn a rule with forEach into one rule per planet
+   */
+  expandRule(rule) {
+    if (!rule.forEach) return [rule];
+
+    const planets = {
+      planets: CurriculumGraph.getPlanetIds(),
+      unlockablePlanets: CurriculumGraph.getPlanetIds().filter(
+        (planetId) => !CurriculumGraph.getStartingPlanets().includes(planetId)
+      ),
+    }[rule.forEach];
+
+    if (!planets) {
+      JSVLogger.warn(`⚠️ Unknown forEach "${rule.forEach}" in rule "${rule.id}"`);
+      return [];
+    }
+
+    const template = { ...rule };
+    delete template.forEach;
+
+    return planets.map((planetId) => ({
+      ...this.fillPlaceholders(template, {
+        planet: planetId,
+        Planet: planetId.charAt(0).toUpperCase() + planetId.slice(1),
+      }),
+      planetId,
+    }));
+  }
+
+  /**
+   * Replace {name} placeholders in every string of a rule
+   */
+  fillPlaceholders(value, replacements) {
+    if (typeof value === "string") {
+      return value.replace(/\{(\w+)\}/g, (match, key) =>
+        key in replacements ? replacements[key] : match
+      );
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.fillPlaceholders(item, replacements));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.fillPlaceholders(item, replacements),
+        ])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * @returns {string|null} Why the rule is unusable, or null
+   */
+  validateRule(rule, seenIds) {
+    if (!rule.id || !rule.title) return "missing id or title";
+    if (seenIds.has(rule.id)) return "duplicate id";
+
+    const conditions = [
+      ...(rule.conditions || []),
+      ...(rule.progress?.counter?.conditions || []),
+    ];
+    const badCondition = conditions.find(
+      (condition) => !condition.path || !this.operators[condition.op]
+    );
+    if (badCondition) return `invalid condition ${JSON.stringify(badCondition)}`;
+
+    if (rule.progress) {
+      if (!(rule.progress.target > 0)) return "progress needs a positive target";
+      if (!rule.progress.path && !rule.progress.counter?.event) {
+        return "progress needs a path or a counter event";
+      }
+    }
+
+    if (!rule.progress && !rule.conditions?.length) {
+      return "rule needs conditions or progress";
+    }
+
+    return null;
+  }
+
+  /**
+   * Queue a state event. Awarding achievements emits more events, so they are
+   * processed one at a time.
+   */
+  handleEvent(event, data) {
+    if (this.ignoredEvents.includes(event)) return;
+
+    this.queue.push({ event, data });
+    if (this.isEvaluating) return;
+
+    this.isEvaluating = true;
+    try {
+      while (this.queue.length > 0) {
+        const next = this.queue.shift();
+        if (this.replayEvents.includes(next.event)) {
+          this.evaluateAll(null);
+        } else {
+          this.evaluateAll(next);
+        }
+      }
+    } finally {
+      this.isEvaluating = false;
+    }
+  }
+
+  /**
+   * Replay every rule against the current state (no event data)
+   */
+  backfill() {
+    this.handleEvent("backfill", null);
+  }
+
+  /**
+   * Evaluate every rule that is not earned yet
+   * @param {Object|null} trigger - {event, data} or null for a replay
+   */
+  evaluateAll(trigger) {
+    const earnedIds = new Set(StateManager.getAchievements().map((a) => a.id));
+
+    this.rules.forEach((rule) => {
+      if (earnedIds.has(rule.id)) return;
+      this.evaluateRule(rule, trigger);
+    });
+  }
+
+  /**
+   * Update a rule's counter and progress, awarding it when complete
+   */
+  evaluateRule(rule, trigger) {
+    const event = trigger ? trigger.event : null;
+    const context = this.buildContext(trigger ? trigger.data : null);
+    const previous = StateManager.getAchievementProgress()[rule.id];
+
+    // Rules bound to events only fire for those events (or a replay)
+    if (trigger && rule.events && !rule.events.includes(event)) {
+      if (!rule.progress?.counter || rule.progress.counter.event !== event) {
+        return;
+      }
+    }
+
+    let current = null;
+    if (rule.progress?.counter) {
+      current = previous?.current || 0;
+      const { counter } = rule.progress;
+      if (event === counter.event && this.conditionsMet(counter.conditions, context)) {
+        current += 1;
+      }
+    } else if (rule.progress) {
+      current = Number(this.resolvePath(context, rule.progress.path)) || 0;
+    }
+
+    const target = rule.progress ? rule.progress.target : null;
+    const progressMet = !rule.progress || current >= target;
+    const eventMet =
+      !rule.events || (trigger ? rule.events.includes(event) : !this.usesEventData(rule));
+    const completed =
+      progressMet && eventMet && this.conditionsMet(rule.conditions, context);
+
+    if (rule.progress) {
+      this.saveProgress(rule, previous, current, target, completed);
+    }
+
+    if (completed) {
+      this.award(rule);
+    }
+  }
+
+  /**
+   * Rules that look at event data cannot be decided by a replay
+   */
+  usesEventData(rule) {
+    return JSON.stringify(rule.conditions || []).includes('"event.');
+  }
+
+  /**
+   * Persist a progress record when it changed
+   */
+  saveProgress(rule, previous, current, target, completed) {
+    const record = {
+      id: rule.id,
+      current: Math.min(current, target),
+      target,
+      progress: Math.round((Math.min(current, target) / target) * 100),
+      completed,
+      unlockedAt: completed ? new Date().toISOString() : null,
+    };
+
+    if (
+      previous &&
+      previous.current === record.current &&
+      previous.target === record.target &&
+      previous.completed === record.completed
+    ) {
+      return;
+    }
+
+    StateManager.updateAchievementProgress(rule.id, record);
+  }
+
+  /**
+   * Add the achievement and its XP reward
+   */
+  award(rule) {
+    StateManager.addAchievement({
+      id: rule.id,
+      title: rule.title,
+      description: rule.description || "",
+      icon: rule.icon || "🏆",
+      category: rule.category || "general",
+      timestamp: new Date().toISOString(),
+      xpReward: rule.xpReward || 0,
+    });
+
+    if (rule.xpReward > 0) {
+      StateManager.addXP(rule.xpReward);
+    }
+  }
+
+  /**
+   * Values rule paths can read: state sections, derived metrics and the
+   * triggering event's data
+   */
+  buildContext(eventData) {
+    const state = StateManager.getState();
+    const completed = state.progress.completedConcepts;
+
+    return {
+      ...state,
+      event: eventData && typeof eventData === "object" ? eventData : { value: eventData },
+      metrics: {
+        exercisesCompleted: completed.filter((id) => id.includes("-exercise-")).length,
+        sectionsCompleted: completed.filter((id) => id.includes("-section-")).length,
+        quizzesPassed: completed.filter((id) => id.endsWith("-quiz")).length,
+        planetsUnlocked: state.progress.unlockedPlanets.length,
+        achievementsEarned: state.achievements.length,
+      },
+    };
+  }
+
+  conditionsMet(conditions = [], context) {
+    return conditions.every((condition) => {
+      const actual = this.resolvePath(context, condition.path);
+      const expected = this.resolveOperand(condition.value, context);
+      if (actual === undefined || actual === null) return false;
+      return this.operators[condition.op](actual, expected);
+    });
+  }
+
+  /**
+   * A condition value is a literal or {path, multiply}
+   */
+  resolveOperand(operand, context) {
+    if (operand && typeof operand === "object" && operand.path) {
+      const value = this.resolvePath(context, operand.path);
+      if (typeof value !== "number") return value;
+      return operand.multiply !== undefined ? value * operand.multiply : value;
+    }
+    return operand;
+  }
+
+  resolvePath(object, path) {
+    return path
+      .split(".")
+      .reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  /**
+   * Get all loaded rules
+   */
+  getRules() {
+    return [...this.rules];
+  }
+
+  /**
+   * Get a rule's progress for display, e.g. {current: 4, target: 10, label: "4/10"}
+   */
+  getProgress(ruleId) {
+    const rule = this.rules.find((candidate) => candidate.id === ruleId);
+    if (!rule) return null;
+
+    const earned = StateManager.getAchievements().find((a) => a.id === ruleId);
+    const record = StateManager.getAchievementProgress()[ruleId];
+    const target = rule.progress ? rule.progress.target : 1;
+    const current = earned ? target : record?.current || 0;
+
+    return {
+      id: ruleId,
+      current,
+      target,
+      progress: Math.round((current / target) * 100),
+      completed: Boolean(earned),
+      unlockedAt: earned ? earned.timestamp : null,
+      label: `${current}/${target}`,
+    };
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!AchievementEngine.instance) {
+      AchievementEngine.instance = new AchievementEngine();
+    }
+    return AchievementEngine.instance;
+  }
+}
+
+// Create singleton instance
+const achievementEngineInstance = AchievementEngine.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.AchievementEngine = achievementEngineInstance;
+}
@@ -0,0 +1,260 @@
+// src/engine/adaptiveDifficulty.js - Difficulty Settings and Learner Skill
+
+/**
+ * AdaptiveDifficulty - Applies settings.difficulty to quizzes, hints and XP.
+ * Keeps an Elo-style skill rating per planet on a logit scale: a learner
+ * rated r answers an item of difficulty d correctly with probability
+ * 1 / (1 + e^(d - r)), and every graded quiz answer or finished exercise
+ * moves r by K * (outcome - expected). Items take their difficulty from
+ * their easy/medium/hard label. Every mode updates the ratings; "adaptive"
+ * also uses them to favour quiz questions the learner should get right
+ * about targetSuccess of the time (see quizAssembler.js) and to show hints
+ * on exercises they are likely to find hard.
+ */
+
+class AdaptiveDifficulty {
+  constructor() {
+    this.modes = {
+      easy: {
+        label: "Easy",
+        xpMultiplier: 0.75,
+        hintsUpFront: 1,
+        questionWeights: { easy: 4, medium: 2, hard: 1 },
+      },
+      normal: {
+        label: "Normal",
+        xpMultiplier: 1,
+        hintsUpFront: 0,
+        questionWeights: { easy: 1, medium: 1, hard: 1 },
+      },
+      hard: {
+        label: "Hard",
+        xpMultiplier: 1.5,
+        hintsUpFront: 0,
+        questionWeights: { easy: 1, medium: 2, hard: 4 },
+      },
+      adaptive: { label: "Adaptive" }, // weights, multiplier and hints follow the rating
+    };
+    this.defaultMode = "normal";
+    this.itemDifficulty = { easy: -1, medium: 0, hard: 1 };
+    this.targetSuccess = 0.7; // chance of a correct answer adaptive quizzes aim for
+    this.maxK = 0.8; // rating step of a learner's first answer
+    this.minK = 0.2; // rating step once a planet has many answers
+    this.maxRating = 3;
+    this.exerciseAttemptLimit = 3; // failed submissions that rate an exercise as missed
+    this.removeListener = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Subscribe to graded quiz answers and exercise submissions
+   */
+  init() {
+    if (this.removeListener) {
+      this.removeListener();
+    }
+    this.removeListener = StateManager.addListener((event, data, state, meta) => {
+      // The other tab rated these answers already
+      if (meta && meta.remote) return;
+
+      if (event === "questionsAnswered") {
+        this.rateAnswers(data.answers);
+      } else if (event === "exerciseSubmitted") {
+        this.rateSubmission(data.exerciseId, data.submission, data.attempt);
+      }
+    });
+
+    this.isInitialized = true;
+    JSVLogger.info(`🎯 AdaptiveDifficulty initialized (${this.getMode()})`);
+    return this;
+  }
+
+  /**
+   * The difficulty setting, falling back to normal for unknown values
+   */
+  getMode() {
+    const mode = StateManager.getState().settings.difficulty;
+    return this.modes[mode] ? mode : this.defaultMode;
+  }
+
+  /**
+   * Skill rating of a planet: {rating, answers, updatedAt}
+   */
+  getSkill(planetId) {
+    return StateManager.getSkillRatings()[planetId] || { rating: 0, answers: 0, updatedAt: null };
+  }
+
+  /**
+   * Chance that a learner rated `rating` gets an item of `difficulty` right
+   * @param {string|number} difficulty - easy/medium/hard label or logit
+   */
+  getExpectedSuccess(rating, difficulty) {
+    const itemDifficulty =
+      typeof difficulty === "number" ? difficulty : this.getItemDifficulty(difficulty);
+    return 1 / (1 + Math.exp(itemDifficulty - rating));
+  }
+
+  getItemDifficulty(label) {
+    return this.itemDifficulty[label] ?? this.itemDifficulty.medium;
+  }
+
+  /**
+   * Rating step: large while a planet has few answers, so early ratings
+   * settle quickly, then smaller so one slip does not undo them
+   */
+  getKFactor(answers) {
+    return Math.max(this.minK, this.maxK / Math.sqrt(1 + answers));
+  }
+
+  /**
+   * Move a planet's rating towards a set of outcomes, one at a time
+   * @param {Array} outcomes - [{difficulty, score}] with score from 0 to 1
+   */
+  updateSkill(planetId, outcomes, now = new Date()) {
+    if (!planetId || outcomes.length === 0) return null;
+
+    const skill = { ...this.getSkill(planetId) };
+    outcomes.forEach(({ difficulty, score }) => {
+      const expected = this.getExpectedSuccess(skill.rating, difficulty);
+      const rating = skill.rating + this.getKFactor(skill.answers) * (score - expected);
+      skill.rating = Math.max(-this.maxRating, Math.min(this.maxRating, rating));
+      skill.answers += 1;
+    });
+    skill.rating = Math.round(skill.rating * 1000) / 1000;
+    skill.updatedAt = now.toISOString();
+
+    StateManager.updateSkillRating(planetId, skill);
+    return skill;
+  }
+
+  /**
+   * Rate graded quiz answers, from quizzes and review decks alike
+   * @param {Array} answers - StateManager question answer records
+   */
+  rateAnswers(answers) {
+    const byPlanet = {};
+    answers.forEach((answer) => {
+      if (!answer.planetId) return;
+      const question = this.findQuestion(answer.planetId, answer.questionId);
+      (byPlanet[answer.planetId] = byPlanet[answer.planetId] || []).push({
+        difficulty: question ? question.difficulty : "medium",
+        score: answer.credit,
+      });
+    });
+
+    Object.entries(byPlanet).forEach(([planetId, outcomes]) => this.updateSkill(planetId, outcomes));
+  }
+
+  /**
+   * Rate an exercise once: when it is first passed, with less credit for
+   * each failed attempt before, or as missed after exerciseAttemptLimit
+   * failed attempts
+   */
+  rateSubmission(exerciseId, submission, attempt) {
+    const planetId = this.getPlanetId(exerciseId);
+    if (!planetId) return;
+
+    const earlier = StateManager.getSubmissions(exerciseId).slice(0, -1);
+    if (earlier.some((previous) => previous.passed)) return;
+
+    let score;
+    if (submission.passed && attempt <= this.exerciseAttemptLimit) {
+      score = 1 - (attempt - 1) / this.exerciseAttemptLimit;
+    } else if (!submission.passed && attempt === this.exerciseAttemptLimit) {
+      score = 0;
+    } else {
+      return;
+    }
+
+    const exercise = this.findExercise(planetId, exerciseId);
+    this.updateSkill(planetId, [{ difficulty: exercise ? exercise.difficulty : "medium", score }]);
+  }
+
+  /**
+   * How strongly QuizAssembler favours each difficulty level: towards the
+   * basics on easy, the advanced end on hard, evenly on normal, and in
+   * adaptive mode towards questions the learner should get right about
+   * targetSuccess of the time
+   * @returns {Object} difficulty label -> pick weight
+   */
+  getDifficultyWeights(planetId, mode = this.getMode()) {
+    if (mode !== "adaptive") {
+      return { ...this.modes[mode].questionWeights };
+    }
+
+    const { rating } = this.getSkill(planetId);
+    const weights = {};
+    Object.keys(this.itemDifficulty).forEach((label) => {
+      const distance = Math.abs(this.getExpectedSuccess(rating, label) - this.targetSuccess);
+      weights[label] = Math.round((1 / (0.05 + distance)) * 100) / 100;
+    });
+    return weights;
+  }
+
+  /**
+   * Number of an exercise's hints to show open from the start
+   */
+  getHintsUpFront(planetId, exercise, mode = this.getMode()) {
+    const available = Array.isArray(exercise.hints) ? exercise.hints.length : 0;
+    let count = this.modes[mode].hintsUpFront;
+
+    if (mode === "adaptive") {
+      const expected = this.getExpectedSuccess(this.getSkill(planetId).rating, exercise.difficulty);
+      count = expected < 0.4 ? 2 : expected < 0.6 ? 1 : 0;
+    }
+    return Math.min(count, available);
+  }
+
+  /**
+   * XP multiplier of a planet: fixed per mode, or following the rating in
+   * adaptive mode from 0.75 (struggling) to 1.5 (well ahead)
+   */
+  getXPMultiplier(planetId, mode = this.getMode()) {
+    if (mode !== "adaptive") {
+      return this.modes[mode].xpMultiplier;
+    }
+    const multiplier = 1 + this.getSkill(planetId).rating / 4;
+    return Math.round(Math.max(0.75, Math.min(1.5, multiplier)) * 20) / 20;
+  }
+
+  /**
+   * Planet of an exercise, section or quiz key, e.g. "dom-exercise-2"
+   */
+  getPlanetId(conceptId) {
+    const match = /^(.+?)-(exercise|section|quiz)\b/.exec(String(conceptId));
+    return match ? match[1] : null;
+  }
+
+  findQuestion(planetId, questionId) {
+    const concept = this.getCachedConcept(planetId);
+    return concept ? concept.quiz.questions.find((question) => question.id === questionId) : null;
+  }
+
+  findExercise(planetId, exerciseId) {
+    const concept = this.getCachedConcept(planetId);
+    return concept ? concept.exercises.find((exercise) => exercise.id === exerciseId) : null;
+  }
+
+  getCachedConcept(planetId) {
+    if (typeof window.ConceptLoader === "undefined") return null;
+    return window.ConceptLoader.getCachedConcept(planetId) || null;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!AdaptiveDifficulty.instance) {
+      AdaptiveDifficulty.instance = new AdaptiveDifficulty();
+    }
+    return AdaptiveDifficulty.instance;
+  }
+}
+
+// Create singleton instance
+const adaptiveDifficultyInstance = AdaptiveDifficulty.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.AdaptiveDifficulty = adaptiveDifficultyInstance;
+}
@@ -0,0 +1,215 @@
+// src/engine/authClient.js - Learner Accounts
+
+/**
+ * AuthClient - Signs learners in and out through the account API in
+ * server/authApi.js. The session itself is an HttpOnly cookie the page
+ * cannot read; the signed-in account is cached so a reload while offline
+ * still opens that learner's state. Signing in or out switches StateManager
+ * to that account's own saved state. Listeners receive (event, user) for
+ * "signedIn" and "signedOut".
+ */
+
+class AuthClient {
+  constructor() {
+    this.baseUrl = "/api/auth";
+    this.cacheKey = "jsversehub-account";
+    this.sessionTimeout = 3000; // ms to wait for the server on start
+    this.user = null; // {username, name, createdAt}
+    this.available = null; // false when no account server answers (static hosting)
+    this.listeners = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Ask the server who is signed in
+   */
+  async init() {
+    this.user = this.loadCachedUser();
+
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    const timeout = controller ? setTimeout(() => controller.abort(), this.sessionTimeout) : null;
+    try {
+      const response = await fetch(`${this.baseUrl}/session`, {
+        cache: "no-store",
+        credentials: "same-origin",
+        signal: controller ? controller.signal : undefined,
+      });
+
+      if (!this.isJson(response)) {
+        // A static host answers with index.html or its own 404 page
+        this.available = false;
+      } else if (response.ok) {
+        this.available = true;
+        this.setUser((await response.json()).user);
+      } else if (response.status === 401) {
+        this.available = true;
+        this.setUser(null);
+      }
+    } catch (error) {
+      // Offline or slow: keep the account this browser last signed in to
+      JSVLogger.warn("⚠️ Could not reach the account server:", error.message);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    this.isInitialized = true;
+    if (this.user) {
+      JSVLogger.info(`👤 Signed in as "${this.user.username}"`);
+    }
+    return this;
+  }
+
+  isAuthenticated() {
+    return Boolean(this.user);
+  }
+
+  getUser() {
+    return this.user ? { ...this.user } : null;
+  }
+
+  getUserId() {
+    return this.user ? this.user.username : null;
+  }
+
+  /**
+   * Create an account, starting from the progress made as a guest
+   */
+  async signUp(username, password, name) {
+    const { user } = await this.request("/signup", { username, password, name });
+    await this.startSession(user, { carryOver: true });
+    return user;
+  }
+
+  async signIn(username, password) {
+    const { user } = await this.request("/signin", { username, password });
+    await this.startSession(user);
+    return user;
+  }
+
+  /**
+   * End the session and go back to the guest state, or to the active local
+   * profile's (profileManager.js)
+   */
+  async signOut() {
+    if (!this.user) return;
+
+    const user = this.user;
+    try {
+      await this.request("/signout");
+    } catch (error) {
+      JSVLogger.warn("⚠️ Could not end the session on the server:", error.message);
+    }
+
+    this.setUser(null);
+    if (typeof window.StateManager !== "undefined") {
+      const profile = typeof window.ProfileManager !== "undefined" ? ProfileManager.getActiveProfile() : null;
+      await StateManager.switchUser(
+        profile ? ProfileManager.getStateId(profile.id) : null,
+        profile ? { name: profile.name } : {}
+      );
+    }
+    JSVLogger.info(`👋 Signed out "${user.username}"`);
+    this.notifyListeners("signedOut", user);
+  }
+
+  async startSession(user, options = {}) {
+    this.available = true;
+    this.setUser(user);
+    if (typeof window.StateManager !== "undefined") {
+      await StateManager.switchUser(user.username, { name: user.name, ...options });
+    }
+    JSVLogger.success(`👤 Signed in as "${user.username}"`);
+    this.notifyListeners("signedIn", this.getUser());
+  }
+
+  /**
+   * POST to the account API; errors carry the server's message and status
+   */
+  async request(path, body = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "same-origin",
+      body: JSON.stringify(body),
+    });
+
+    if (!this.isJson(response)) {
+      const error = new Error("Accounts need the JSVerseHub server (npm start)");
+      error.status = response.status;
+      throw error;
+    }
+    if (!response.ok) {
+      const error = new Error((await response.json()).error || `Server responded ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.status === 204 ? {} : response.json();
+  }
+
+  isJson(response) {
+    if (response.status === 204) return true;
+    const type = response.headers.get("Content-Type") || "";
+    return type.includes("application/json");
+  }
+
+  setUser(user) {
+    this.user = user || null;
+    try {
+      if (this.user) {
+        localStorage.setItem(this.cacheKey, JSON.stringify(this.user));
+      } else {
+        localStorage.removeItem(this.cacheKey);
+      }
+    } catch (error) {
+      JSVLogger.warn("⚠️ Failed to remember the signed-in account");
+    }
+  }
+
+  loadCachedUser() {
+    try {
+      const user = JSON.parse(localStorage.getItem(this.cacheKey) || "null");
+      return user && typeof user.username === "string" ? user : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  notifyListeners(event, user) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, user);
+      } catch (error) {
+        JSVLogger.error("❌ Auth listener error:", error);
+      }
+    });
+  }
+
+  /**
+   * Add a listener for sign-in and sign-out
+   * @returns {Function} Removes the listener
+   */
+  addListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter((listener) => listener !== callback);
+    };
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!AuthClient.instance) {
+      AuthClient.instance = new AuthClient();
+    }
+    return AuthClient.instance;
+  }
+}
+
+// Create singleton instance
+const authClientInstance = AuthClient.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.AuthClient = authClientInstance;
+}
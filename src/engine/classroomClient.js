@@ -0,0 +1,344 @@
+// src/engine/classroomClient.js - Classroom Reporting and Instructor Access
+
+/**
+ * ClassroomClient - Talks to the classroom API in server/classroomApi.js.
+ * Learners join a class with its code; from then on their StateManager
+ * events are queued (persisted, so nothing is lost offline) and reported
+ * in batches together with each planet's completion. Instructors create
+ * classes here too; their class codes and tokens are kept in this browser
+ * so the dashboard can be reopened. Both are kept per signed-in account.
+ */
+
+class ClassroomClient {
+  constructor() {
+    this.baseUrl = "/api/classes";
+    this.configKey = "jsversehub-classroom";
+    this.instructorKey = "jsversehub-classroom-instructor";
+    this.reportDelay = 5000;
+    this.maxQueuedEvents = 500;
+    this.reportedEvents = [
+      "conceptCompleted",
+      "planetUnlocked",
+      "quizCompleted",
+      "questionsAnswered",
+      "exerciseSubmitted",
+      "achievementEarned",
+      "timeSpentUpdated",
+    ];
+    this.membership = null; // {code, className, learnerId, learnerToken}
+    this.queue = [];
+    this.reportTimer = null;
+    this.reporting = null;
+    this.removeStateListener = null;
+    this.handleOnline = () => this.report();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Restore class membership and report anything still queued
+   */
+  init() {
+    this.loadConfig();
+    if (!this.removeStateListener) {
+      this.removeStateListener = StateManager.addListener((event, data, state, meta) => {
+        if (event === "userChanged") {
+          this.switchAccount();
+        } else {
+          this.handleStateEvent(event, data, meta);
+        }
+      });
+    }
+    if (typeof window !== "undefined") {
+      window.removeEventListener("online", this.handleOnline);
+      window.addEventListener("online", this.handleOnline);
+    }
+    this.isInitialized = true;
+
+    if (this.membership) {
+      JSVLogger.info(`🏫 Reporting progress to class ${this.membership.code}`);
+      this.scheduleReport(0);
+    }
+    return this;
+  }
+
+  /**
+   * Join a class as a learner and report current progress right away
+   */
+  async join(code, name) {
+    const normalized = String(code || "").trim().toUpperCase();
+    const response = await this.request(`/${encodeURIComponent(normalized)}/learners`, {
+      method: "POST",
+      body: { name: String(name || "").trim() },
+    });
+    const { learnerId, learnerToken, className } = await response.json();
+
+    this.membership = { code: normalized, className, learnerId, learnerToken };
+    this.queue = [];
+    this.saveConfig();
+    JSVLogger.success(`🏫 Joined class "${className}"`);
+
+    await this.report();
+    return this.membership;
+  }
+
+  /**
+   * Leave the class; the instructor no longer sees this learner
+   */
+  async leave() {
+    if (!this.membership) return;
+
+    const { code, learnerId, learnerToken } = this.membership;
+    this.membership = null;
+    this.queue = [];
+    clearTimeout(this.reportTimer);
+    this.saveConfig();
+
+    try {
+      await this.request(`/${code}/learners/${learnerId}`, { method: "DELETE", token: learnerToken });
+    } catch (error) {
+      JSVLogger.warn("⚠️ Could not tell the class server we left:", error.message);
+    }
+  }
+
+  /**
+   * Pick up the class membership of the account StateManager switched to
+   */
+  switchAccount() {
+    clearTimeout(this.reportTimer);
+    this.loadConfig();
+    if (this.membership) {
+      this.scheduleReport(0);
+    }
+  }
+
+  getMembership() {
+    return this.membership ? { ...this.membership } : null;
+  }
+
+  handleStateEvent(event, data, meta) {
+    // Changes merged from another tab or device were reported there
+    if (!this.membership || (meta && meta.remote)) return;
+    if (!this.reportedEvents.includes(event)) return;
+
+    const entry = { type: event, timestamp: new Date().toISOString() };
+    if (event === "questionsAnswered") {
+      entry.data = {
+        answers: data.answers.map(({ questionId, planetId, credit, correct, answered }) => ({
+          questionId,
+          planetId,
+          credit,
+          correct,
+          answered,
+        })),
+      };
+    } else if (event === "quizCompleted") {
+      entry.data = { planetId: data.planetId, percentage: data.percentage };
+    }
+
+    this.queue.push(entry);
+    this.queue = this.queue.slice(-this.maxQueuedEvents);
+    this.saveConfig();
+    this.scheduleReport();
+  }
+
+  scheduleReport(delay = this.reportDelay) {
+    clearTimeout(this.reportTimer);
+    this.reportTimer = setTimeout(() => this.report(), delay);
+  }
+
+  /**
+   * Send queued events and planet completion
+   * @returns {Promise<boolean>} Whether the server has everything
+   */
+  report() {
+    if (!this.membership) return Promise.resolve(false);
+    if (this.reporting) return this.reporting;
+
+    clearTimeout(this.reportTimer);
+    this.reporting = this.sendReport().finally(() => {
+      this.reporting = null;
+    });
+    return this.reporting;
+  }
+
+  async sendReport() {
+    const { membership } = this;
+    const { code, learnerId, learnerToken } = membership;
+    const events = this.queue.slice();
+
+    try {
+      await this.request(`/${code}/learners/${learnerId}/reports`, {
+        method: "POST",
+        token: learnerToken,
+        body: { events, planets: this.getPlanetCompletion() },
+      });
+    } catch (error) {
+      if (this.membership !== membership) return false;
+      if (error.status === 401 || error.status === 404) {
+        JSVLogger.warn("⚠️ This class no longer knows you, leaving it");
+        this.membership = null;
+        this.queue = [];
+        this.saveConfig();
+      } else {
+        JSVLogger.warn("⚠️ Class report failed, will retry:", error.message);
+      }
+      return false;
+    }
+
+    // Signed in to another account while the request was in flight
+    if (this.membership !== membership) return false;
+
+    // Events queued while the request was in flight stay queued
+    this.queue = this.queue.slice(events.length);
+    this.saveConfig();
+    if (this.queue.length > 0) {
+      this.scheduleReport();
+    }
+    return true;
+  }
+
+  /**
+   * Percent of each planet's sections, exercises and quiz completed
+   * @returns {Object|null} {planetId: percent}
+   */
+  getPlanetCompletion() {
+    if (typeof window.ProgressAnalytics === "undefined") return null;
+
+    const planets = {};
+    ProgressAnalytics.getPlanetBreakdown().forEach(({ planetId, sections, exercises, quiz }) => {
+      const done = sections.completed + exercises.completed + (quiz.passed ? 1 : 0);
+      const total = sections.total + exercises.total + 1;
+      planets[planetId] = Math.round((done / total) * 100);
+    });
+    return planets;
+  }
+
+  /**
+   * Create a class and remember its instructor token
+   */
+  async createClass(name) {
+    const response = await this.request("", {
+      method: "POST",
+      body: { name: String(name || "").trim() },
+    });
+    const created = await response.json();
+
+    const classes = this.getInstructorClasses().filter((entry) => entry.code !== created.code);
+    classes.push(created);
+    this.saveInstructorClasses(classes);
+    JSVLogger.success(`🏫 Created class "${created.name}" (${created.code})`);
+    return created;
+  }
+
+  /**
+   * Classes created in this browser: [{code, name, createdAt, instructorToken}]
+   */
+  getInstructorClasses() {
+    try {
+      const classes = JSON.parse(localStorage.getItem(StateManager.getUserKey(this.instructorKey)) || "[]");
+      return Array.isArray(classes) ? classes : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  forgetClass(code) {
+    this.saveInstructorClasses(this.getInstructorClasses().filter((entry) => entry.code !== code));
+  }
+
+  saveInstructorClasses(classes) {
+    try {
+      localStorage.setItem(StateManager.getUserKey(this.instructorKey), JSON.stringify(classes));
+    } catch (error) {
+      JSVLogger.warn("⚠️ Failed to save instructor classes");
+    }
+  }
+
+  /**
+   * Dashboard data for a class this browser created
+   */
+  async getDashboard(code, inactiveDays = 7) {
+    const entry = this.getInstructorClasses().find((item) => item.code === code);
+    if (!entry) {
+      throw new Error("This browser does not have the instructor key for that class");
+    }
+
+    const response = await this.request(`/${code}/dashboard?inactiveDays=${inactiveDays}`, {
+      token: entry.instructorToken,
+    });
+    return response.json();
+  }
+
+  /**
+   * fetch wrapper: JSON bodies, bearer tokens, and errors carrying the
+   * server's message and status
+   */
+  async request(path, { method = "GET", body, token } = {}) {
+    const headers = {};
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      cache: "no-store",
+    });
+
+    if (!response.ok) {
+      let message = `Server responded ${response.status}`;
+      try {
+        message = (await response.json()).error || message;
+      } catch (error) {
+        // Not a JSON error body
+      }
+      const error = new Error(message);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  loadConfig() {
+    try {
+      const config = JSON.parse(localStorage.getItem(StateManager.getUserKey(this.configKey)) || "{}");
+      this.membership = config.membership || null;
+      this.queue = Array.isArray(config.queue) ? config.queue : [];
+    } catch (error) {
+      JSVLogger.warn("⚠️ Ignoring unreadable classroom settings");
+    }
+  }
+
+  saveConfig() {
+    try {
+      if (this.membership) {
+        localStorage.setItem(
+          StateManager.getUserKey(this.configKey),
+          JSON.stringify({ membership: this.membership, queue: this.queue })
+        );
+      } else {
+        localStorage.removeItem(StateManager.getUserKey(this.configKey));
+      }
+    } catch (error) {
+      JSVLogger.warn("⚠️ Failed to save classroom settings");
+    }
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ClassroomClient.instance) {
+      ClassroomClient.instance = new ClassroomClient();
+    }
+    return ClassroomClient.instance;
+  }
+}
+
+// Create singleton instance
+const classroomClientInstance = ClassroomClient.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.ClassroomClient = classroomClientInstance;
+}
@@ -0,0 +1,426 @@
+// src/engine/codeRunner.js - Sandboxed Code Execution
+
+/**
+ * CodeRunner - Runs learner code inside a throwaway Web Worker
+ * Isolates code from the page (no DOM, localStorage or app globals) and
+ * from app state the worker could otherwise reach (IndexedDB, Cache
+ * Storage, same-origin requests, other tabs), captures every console
+ * level, enforces a wall-clock timeout and caps the amount of captured
+ * output
+ */
+
+// Worker source kept as a plain string so the build does not transpile it
+// into helpers that would be missing inside the worker scope
+const SANDBOX_WORKER_SOURCE = `
+"use strict";
+
+const post = self.postMessage.bind(self);
+const nativeSetTimeout = self.setTimeout.bind(self);
+const nativeClearTimeout = self.clearTimeout.bind(self);
+const nativeSetInterval = self.setInterval.bind(self);
+const nativeClearInterval = self.clearInterval.bind(self);
+
+// The worker shares the app's origin, and learner code can reach the real
+// global with Function("return this")(). Remove app storage, requests that
+// carry the session cookie, channels to other tabs and the messaging API
+// from the global and its prototypes, so results only come from finish()
+const BLOCKED_GLOBALS = [
+  "postMessage",
+  "close",
+  "importScripts",
+  "indexedDB",
+  "caches",
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "EventSource",
+  "BroadcastChannel",
+  "Worker",
+  "SharedWorker",
+];
+
+function blockGlobals(scope, names) {
+  for (let target = scope; target && target !== Object.prototype; target = Object.getPrototypeOf(target)) {
+    names.forEach((name) => {
+      if (Object.prototype.hasOwnProperty.call(target, name)) {
+        try {
+          delete target[name];
+        } catch (error) {
+          // Non-configurable: shadowed below
+        }
+      }
+    });
+  }
+  names.forEach((name) => {
+    try {
+      Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+    } catch (error) {
+      // Already locked down
+    }
+  });
+}
+
+blockGlobals(self, BLOCKED_GLOBALS);
+
+let maxOutput = 10000;
+let outputSize = 0;
+let truncated = false;
+let finished = false;
+let groupDepth = 0;
+const pendingTimers = new Set();
+const counters = {};
+const timers = {};
+
+function formatValue(value, seen, depth) {
+  if (typeof value === "string") return depth === 0 ? value : JSON.stringify(value);
+  if (typeof value === "function") return "[Function: " + (value.name || "anonymous") + "]";
+  if (typeof value === "symbol" || typeof value === "bigint") return value.toString() + (typeof value === "bigint" ? "n" : "");
+  if (value === null || typeof value !== "object") return String(value);
+  if (value instanceof Error) return value.name + ": " + value.message;
+  if (seen.has(value)) return "[Circular]";
+  if (depth > 3) return Array.isArray(value) ? "[Array]" : "[Object]";
+
+  seen.add(value);
+  let text;
+  if (Array.isArray(value)) {
+    text = "[" + value.map((item) => formatValue(item, seen, depth + 1)).join(", ") + "]";
+  } else if (value instanceof Map) {
+    text = "Map(" + value.size + ") {" + Array.from(value).map(([k, v]) => formatValue(k, seen, depth + 1) + " => " + formatValue(v, seen, depth + 1)).join(", ") + "}";
+  } else if (value instanceof Set) {
+    text = "Set(" + value.size + ") {" + Array.from(value).map((item) => formatValue(item, seen, depth + 1)).join(", ") + "}";
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else {
+    const name = value.constructor && value.constructor.name !== "Object" ? value.constructor.name + " " : "";
+    const entries = Object.keys(value).map((key) => key + ": " + formatValue(value[key], seen, depth + 1));
+    text = name + "{" + (entries.length ? " " + entries.join(", ") + " " : "") + "}";
+  }
+  seen.delete(value);
+  return text;
+}
+
+function format(args) {
+  return args.map((arg) => formatValue(arg, new Set(), 0)).join(" ");
+}
+
+function emit(level, message) {
+  if (finished || truncated) return;
+  const line = "  ".repeat(groupDepth) + message;
+  if (outputSize + line.length > maxOutput) {
+    truncated = true;
+    post({ type: "console", level: "warn", message: "... output truncated after " + maxOutput + " characters" });
+    return;
+  }
+  outputSize += line.length;
+  post({ type: "console", level, message: line });
+}
+
+const sandboxConsole = {
+  log: (...args) => emit("log", format(args)),
+  info: (...args) => emit("info", format(args)),
+  warn: (...args) => emit("warn", format(args)),
+  error: (...args) => emit("error", format(args)),
+  debug: (...args) => emit("debug", format(args)),
+  trace: (...args) => emit("trace", format(args.length ? args : ["Trace"])),
+  dir: (value) => emit("log", formatValue(value, new Set(), 1)),
+  table: (data) => emit("table", formatValue(data, new Set(), 1)),
+  assert: (condition, ...args) => {
+    if (!condition) emit("error", "Assertion failed" + (args.length ? ": " + format(args) : ""));
+  },
+  count: (label = "default") => {
+    counters[label] = (counters[label] || 0) + 1;
+    emit("log", label + ": " + counters[label]);
+  },
+  countReset: (label = "default") => {
+    counters[label] = 0;
+  },
+  time: (label = "default") => {
+    timers[label] = Date.now();
+  },
+  timeEnd: (label = "default") => {
+    if (timers[label] === undefined) return;
+    emit("log", label + ": " + (Date.now() - timers[label]) + "ms");
+    delete timers[label];
+  },
+  group: (...args) => {
+    if (args.length) emit("log", format(args));
+    groupDepth++;
+  },
+  groupEnd: () => {
+    groupDepth = Math.max(0, groupDepth - 1);
+  },
+  clear: () => {},
+};
+sandboxConsole.groupCollapsed = sandboxConsole.group;
+sandboxConsole.timeLog = (label = "default") => {
+  if (timers[label] !== undefined) emit("log", label + ": " + (Date.now() - timers[label]) + "ms");
+};
+
+function serializeError(error) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message };
+  }
+  return { name: "Error", message: "Uncaught " + formatValue(error, new Set(), 0) };
+}
+
+function finish(error, returnValue) {
+  if (finished) return;
+  post({
+    type: "done",
+    error: error ? serializeError(error) : null,
+    returnValue: returnValue === undefined ? undefined : formatValue(returnValue, new Set(), 1),
+    truncated,
+  });
+  finished = true;
+}
+
+// Timers are tracked so the run only finishes once queued callbacks fired
+const sandboxTimers = {
+  setTimeout(callback, delay, ...args) {
+    const id = nativeSetTimeout(() => {
+      pendingTimers.delete(id);
+      try {
+        if (typeof callback === "function") callback(...args);
+      } catch (error) {
+        finish(error);
+      }
+      scheduleIdleCheck();
+    }, delay);
+    pendingTimers.add(id);
+    return id;
+  },
+  clearTimeout(id) {
+    pendingTimers.delete(id);
+    nativeClearTimeout(id);
+    scheduleIdleCheck();
+  },
+  setInterval(callback, delay, ...args) {
+    const id = nativeSetInterval(() => {
+      try {
+        if (typeof callback === "function") callback(...args);
+      } catch (error) {
+        nativeClearInterval(id);
+        pendingTimers.delete(id);
+        finish(error);
+      }
+    }, delay);
+    pendingTimers.add(id);
+    return id;
+  },
+  clearInterval(id) {
+    pendingTimers.delete(id);
+    nativeClearInterval(id);
+    scheduleIdleCheck();
+  },
+};
+
+let settled = false;
+let settledValue;
+
+function scheduleIdleCheck() {
+  // A macrotask hop lets pending microtasks (promise callbacks) run first
+  nativeSetTimeout(() => {
+    if (settled && pendingTimers.size === 0) finish(null, settledValue);
+  }, 0);
+}
+
+self.addEventListener("unhandledrejection", (event) => {
+  event.preventDefault();
+  finish(event.reason);
+});
+
+self.onmessage = (event) => {
+  const { code, maxOutputSize } = event.data;
+  maxOutput = maxOutputSize;
+
+  // Shadow the worker messaging API so learner code cannot fake results
+  const shadowed = ["self", "globalThis", "postMessage", "onmessage", "importScripts", "close"];
+  let returnValue;
+  try {
+    // An async wrapper lets learner code use top-level await
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+    const run = new AsyncFunction(
+      "console",
+      "setTimeout",
+      "clearTimeout",
+      "setInterval",
+      "clearInterval",
+      ...shadowed,
+      code
+    );
+    returnValue = run(
+      sandboxConsole,
+      sandboxTimers.setTimeout,
+      sandboxTimers.clearTimeout,
+      sandboxTimers.setInterval,
+      sandboxTimers.clearInterval,
+      ...shadowed.map(() => undefined)
+    );
+  } catch (error) {
+    finish(error);
+    return;
+  }
+
+  Promise.resolve(returnValue).then(
+    (value) => {
+      settled = true;
+      settledValue = value;
+      scheduleIdleCheck();
+    },
+    (error) => finish(error)
+  );
+};
+`;
+
+class CodeRunner {
+  constructor() {
+    this.defaultTimeout = 3000;
+    this.maxOutputSize = 10000;
+    this.workerUrl = null;
+    this.activeRuns = new Map();
+  }
+
+  /**
+   * Check whether the browser can create sandbox workers
+   */
+  isSupported() {
+    return (
+      typeof Worker !== "undefined" &&
+      typeof Blob !== "undefined" &&
+      typeof URL !== "undefined" &&
+      typeof URL.createObjectURL === "function"
+    );
+  }
+
+  /**
+   * Get the source executed inside each sandbox worker
+   */
+  getWorkerSource() {
+    return SANDBOX_WORKER_SOURCE;
+  }
+
+  /**
+   * Create (once) the object URL the sandbox workers are loaded from
+   */
+  getWorkerUrl() {
+    if (!this.workerUrl) {
+      const blob = new Blob([this.getWorkerSource()], {
+        type: "application/javascript",
+      });
+      this.workerUrl = URL.createObjectURL(blob);
+    }
+    return this.workerUrl;
+  }
+
+  /**
+   * Run code in a fresh worker and resolve with a structured result:
+   * {success, logs: [{level, message}], error, timedOut, truncated, duration, returnValue}
+   */
+  run(code, options = {}) {
+    const timeout = options.timeout || this.defaultTimeout;
+    const maxOutputSize = options.maxOutputSize || this.maxOutputSize;
+    const startTime = performance.now();
+
+    const result = {
+      success: false,
+      logs: [],
+      error: null,
+      timedOut: false,
+      truncated: false,
+      duration: 0,
+      returnValue: undefined,
+    };
+
+    if (!this.isSupported()) {
+      result.error = {
+        name: "UnsupportedError",
+        message: "This browser cannot run code in a sandbox (Web Workers unavailable).",
+      };
+      return Promise.resolve(result);
+    }
+
+    return new Promise((resolve) => {
+      let worker;
+      let timer = null;
+
+      const settle = () => {
+        clearTimeout(timer);
+        worker.terminate();
+        this.activeRuns.delete(worker);
+        result.duration = Math.round(performance.now() - startTime);
+        result.success = !result.error && !result.timedOut;
+        resolve(result);
+      };
+
+      try {
+        worker = new Worker(this.getWorkerUrl());
+      } catch (error) {
+        JSVLogger.error("❌ Failed to start code sandbox:", error);
+        result.error = { name: error.name || "Error", message: error.message };
+        resolve(result);
+        return;
+      }
+      this.activeRuns.set(worker, () => {
+        result.error = { name: "AbortError", message: "Execution was cancelled." };
+        settle();
+      });
+
+      worker.onmessage = (event) => {
+        const message = event.data || {};
+        if (message.type === "console") {
+          result.logs.push({ level: message.level, message: message.message });
+        } else if (message.type === "done") {
+          result.error = message.error;
+          result.truncated = message.truncated;
+          result.returnValue = message.returnValue;
+          settle();
+        }
+      };
+
+      worker.onerror = (event) => {
+        if (event.preventDefault) event.preventDefault();
+        result.error = {
+          name: "Error",
+          message: event.message || "The code sandbox crashed",
+        };
+        settle();
+      };
+
+      timer = setTimeout(() => {
+        result.timedOut = true;
+        result.error = {
+          name: "TimeoutError",
+          message: `Execution stopped after ${timeout}ms. Check for infinite loops or timers that never finish.`,
+        };
+        settle();
+      }, timeout);
+
+      worker.postMessage({ code: String(code), maxOutputSize });
+    });
+  }
+
+  /**
+   * Stop every run that is still executing
+   */
+  cancelAll() {
+    Array.from(this.activeRuns.values()).forEach((cancel) => cancel());
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!CodeRunner.instance) {
+      CodeRunner.instance = new CodeRunner();
+    }
+    return CodeRunner.instance;
+  }
+}
+
+// Create singleton instance
+const codeRunnerInstance = CodeRunner.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.CodeRunner = codeRunnerInstance;
+}
@@ -9,6 +9,7 @@ class ConceptLoader {
   constructor() {
     this.conceptCache = new Map();
     this.loadingPromises = new Map();
+    this.questionBankFactor = 2; // generated bank size per question asked
     this.isInitialized = false;
 
     // Concept structure definitions
@@ -155,21 +156,30 @@ class ConceptLoader {
     }
 
     try {
-      // Load concept content in parallel
+      const moduleContent = await this.loadModuleContent(conceptId);
+
+      // Generated content only fills in for parts the modules do not provide
       const [overview, sections, exercises, quiz] = await Promise.all([
         this.loadConceptOverview(conceptId),
-        this.loadConceptSections(conceptId, structure.sections),
-        this.loadConceptExercises(conceptId, structure.exercises),
-        this.loadConceptQuiz(conceptId, structure.quiz),
+        moduleContent && moduleContent.sections.length > 0
+          ? moduleContent.sections
+          : this.loadConceptSections(conceptId, structure.sections),
+        moduleContent
+          ? moduleContent.exercises
+          : this.loadConceptExercises(conceptId, structure.exercises),
+        moduleContent
+          ? this.buildQuiz(conceptId, moduleContent.quiz.questions, structure.quiz)
+          : this.loadConceptQuiz(conceptId, structure.quiz, structure.sections),
       ]);
 
       return {
         id: conceptId,
-        overview,
+        overview: { ...overview, ...(moduleContent ? moduleContent.overview : {}) },
         sections,
         exercises,
         quiz,
         structure,
+        source: moduleContent ? "modules" : "generated",
         loadedAt: new Date().toISOString(),
       };
     } catch (error) {
@@ -178,6 +188,22 @@ class ConceptLoader {
     }
   }
 
+  /**
+   * Load normalized content from the planet's src/concepts modules
+   */
+  async loadModuleContent(conceptId) {
+    if (typeof window.ContentAdapter === "undefined") {
+      return null;
+    }
+
+    try {
+      return await window.ContentAdapter.loadPlanetContent(conceptId);
+    } catch (error) {
+      JSVLogger.warn(`⚠️ Falling back to generated ${conceptId} content:`, error);
+      return null;
+    }
+  }
+
   /**
    * Load concept overview information
    */
@@ -194,7 +220,6 @@ class ConceptLoader {
           "Use loops and conditional statements",
           "Grasp scope and hoisting concepts",
         ],
-        prerequisites: [],
         estimatedTime: "2-3 hours",
         difficulty: "Beginner",
       },
@@ -208,7 +233,6 @@ class ConceptLoader {
           "Create dynamic content",
           "Understand event bubbling and capturing",
         ],
-        prerequisites: ["JavaScript Basics"],
         estimatedTime: "3-4 hours",
         difficulty: "Beginner",
       },
@@ -222,7 +246,6 @@ class ConceptLoader {
           "Use async/await syntax effectively",
           "Handle errors in asynchronous code",
         ],
-        prerequisites: ["JavaScript Basics"],
         estimatedTime: "4-5 hours",
         difficulty: "Intermediate",
       },
@@ -236,7 +259,6 @@ class ConceptLoader {
           "Work with modules and classes",
           "Understand symbols and iterators",
         ],
-        prerequisites: ["JavaScript Basics"],
         estimatedTime: "3-4 hours",
         difficulty: "Intermediate",
       },
@@ -249,7 +271,6 @@ class ConceptLoader {
           "Understand encapsulation principles",
           "Apply design patterns",
         ],
-        prerequisites: ["JavaScript Basics", "ES6+"],
         estimatedTime: "5-6 hours",
         difficulty: "Intermediate",
       },
@@ -262,7 +283,6 @@ class ConceptLoader {
           "Understand immutability",
           "Apply functional composition",
         ],
-        prerequisites: ["JavaScript Basics", "ES6+"],
         estimatedTime: "4-5 hours",
         difficulty: "Intermediate",
       },
@@ -275,7 +295,6 @@ class ConceptLoader {
           "Apply observer pattern",
           "Understand when to use each pattern",
         ],
-        prerequisites: ["OOP", "Functional Programming"],
         estimatedTime: "6-7 hours",
         difficulty: "Advanced",
       },
@@ -288,7 +307,6 @@ class ConceptLoader {
           "Understand storage limitations",
           "Implement data synchronization",
         ],
-        prerequisites: ["DOM", "Async JavaScript"],
         estimatedTime: "3-4 hours",
         difficulty: "Intermediate",
       },
@@ -301,7 +319,6 @@ class ConceptLoader {
           "Understand event phases",
           "Create custom events",
         ],
-        prerequisites: ["DOM"],
         estimatedTime: "2-3 hours",
         difficulty: "Beginner",
       },
@@ -315,7 +332,6 @@ class ConceptLoader {
           "Use mocking and stubbing",
           "Apply test-driven development",
         ],
-        prerequisites: ["OOP", "Functional Programming"],
         estimatedTime: "5-6 hours",
         difficulty: "Advanced",
       },
@@ -329,7 +345,6 @@ class ConceptLoader {
           "Implement input validation",
           "Secure authentication flows",
         ],
-        prerequisites: ["Async JavaScript", "Data Storage"],
         estimatedTime: "4-5 hours",
         difficulty: "Advanced",
       },
@@ -342,7 +357,6 @@ class ConceptLoader {
           "Analyze time complexity",
           "Solve algorithmic problems",
         ],
-        prerequisites: ["OOP", "Functional Programming"],
         estimatedTime: "8-10 hours",
         difficulty: "Advanced",
       },
@@ -355,7 +369,6 @@ class ConceptLoader {
           "Handle canvas interactions",
           "Optimize graphics performance",
         ],
-        prerequisites: ["DOM", "Events"],
         estimatedTime: "6-7 hours",
         difficulty: "Advanced",
       },
@@ -368,22 +381,26 @@ class ConceptLoader {
           "Understand GraphQL basics",
           "Handle API authentication",
         ],
-        prerequisites: ["Async JavaScript", "Data Storage"],
         estimatedTime: "4-5 hours",
         difficulty: "Intermediate",
       },
     };
 
-    return (
-      overviews[conceptId] || {
-        title: conceptId.charAt(0).toUpperCase() + conceptId.slice(1),
-        description: "Learn advanced JavaScript concepts",
-        learningObjectives: [],
-        prerequisites: [],
-        estimatedTime: "3-4 hours",
-        difficulty: "Intermediate",
-      }
-    );
+    const overview = overviews[conceptId] || {
+      title: conceptId.charAt(0).toUpperCase() + conceptId.slice(1),
+      description: "Learn advanced JavaScript concepts",
+      learningObjectives: [],
+      estimatedTime: "3-4 hours",
+      difficulty: "Intermediate",
+    };
+
+    // Prerequisites come from the curriculum graph
+    return {
+      ...overview,
+      prerequisites: CurriculumGraph.getPrerequisites(conceptId).map(
+        (planetId) => overviews[planetId]?.title || planetId
+      ),
+    };
   }
 
   /**
@@ -407,7 +424,14 @@ class ConceptLoader {
     return {
       id: sectionId,
       title: this.formatSectionTitle(sectionId),
-      content: sectionContent,
+      content: {
+        ...sectionContent,
+        examples: sectionContent.examples.map((code, index) => ({
+          title: `Example ${index + 1}`,
+          code,
+          explanation: "",
+        })),
+      },
       codeExamples: this.generateCodeExamples(conceptId, sectionId),
       keyPoints: this.generateKeyPoints(conceptId, sectionId),
     };
@@ -534,7 +558,7 @@ class ConceptLoader {
           `Break the problem into smaller steps`,
           `Test your solution with different inputs`,
         ],
-        testCases: this.generateTestCases(conceptId, i),
+        testCases: [],
       });
     }
 
@@ -552,27 +576,16 @@ class ConceptLoader {
   }
 
   /**
-   * Generate test cases for exercises
+   * Generate a question bank larger than the quiz, spread over the
+   * concept's sections
    */
-  generateTestCases(conceptId, exerciseNumber) {
-    return [
-      {
-        input: `// Test input ${exerciseNumber}`,
-        expected: `// Expected output ${exerciseNumber}`,
-        description: `Test case ${exerciseNumber} for ${conceptId}`,
-      },
-    ];
-  }
-
-  /**
-   * Load concept quiz
-   */
-  async loadConceptQuiz(conceptId, quizConfig) {
+  async loadConceptQuiz(conceptId, quizConfig, sections = []) {
     const questions = [];
+    const bankSize = quizConfig.questions * this.questionBankFactor;
 
-    for (let i = 1; i <= quizConfig.questions; i++) {
+    for (let i = 1; i <= bankSize; i++) {
+      const section = sections.length > 0 ? sections[(i - 1) % sections.length] : null;
       questions.push({
-        id: `${conceptId}-q${i}`,
         question: `What is the correct way to ${this.generateQuestionTopic(
           conceptId,
           i
@@ -586,19 +599,38 @@ class ConceptLoader {
         ],
         correctAnswer: 0,
         explanation: `The correct answer demonstrates proper ${conceptId} usage.`,
-        difficulty: this.getQuestionDifficulty(i, quizConfig.questions),
-        points: this.getQuestionPoints(i, quizConfig.questions),
+        section,
       });
     }
 
+    return this.buildQuiz(conceptId, questions, quizConfig);
+  }
+
+  /**
+   * Wrap questions into a quiz, assigning ids, difficulty and points.
+   * All questions stay in the quiz as its question bank; each attempt asks
+   * questionCount of them (see QuizAssembler.assemble), and the time
+   * limit keeps the per-question pace of the concept structure.
+   */
+  buildQuiz(conceptId, questions, quizConfig) {
+    const secondsPerQuestion = quizConfig.timeLimit / quizConfig.questions;
+    const quizQuestions = questions.map((question, index) => ({
+      id: `${conceptId}-q${index + 1}`,
+      ...question,
+      difficulty: this.getQuestionDifficulty(index + 1, questions.length),
+      points: this.getQuestionPoints(index + 1, questions.length),
+    }));
+    const questionCount = Math.min(quizConfig.questions, quizQuestions.length);
+
     return {
       id: `${conceptId}-quiz`,
       title: `${conceptId.charAt(0).toUpperCase() + conceptId.slice(1)} Quiz`,
       description: `Test your knowledge of ${conceptId} concepts`,
-      questions,
-      timeLimit: quizConfig.timeLimit,
+      questions: quizQuestions,
+      questionCount,
+      timeLimit: Math.round(secondsPerQuestion * questionCount),
       passingScore: 80,
-      totalPoints: questions.reduce((sum, q) => sum + q.points, 0),
+      totalPoints: quizQuestions.reduce((sum, q) => sum + q.points, 0),
     };
   }
 
@@ -771,40 +803,7 @@ class ConceptLoader {
    * Get learning path recommendations
    */
   getLearningPath(currentConcept) {
-    const dependencies = {
-      basics: [],
-      dom: ["basics"],
-      events: ["dom"],
-      async: ["basics"],
-      es6: ["basics"],
-      oop: ["basics", "es6"],
-      functional: ["basics", "es6"],
-      patterns: ["oop", "functional"],
-      storage: ["dom", "async"],
-      testing: ["oop", "functional"],
-      security: ["async", "storage"],
-      algorithms: ["oop", "functional"],
-      canvas: ["dom", "events"],
-      api: ["async", "storage"],
-    };
-
-    const path = [];
-    const visited = new Set();
-
-    const addDependencies = (conceptId) => {
-      if (visited.has(conceptId)) return;
-      visited.add(conceptId);
-
-      const deps = dependencies[conceptId] || [];
-      deps.forEach((dep) => addDependencies(dep));
-
-      if (!path.includes(conceptId)) {
-        path.push(conceptId);
-      }
-    };
-
-    addDependencies(currentConcept);
-    return path;
+    return CurriculumGraph.getLearningPath(currentConcept);
   }
 
   /**
@@ -0,0 +1,559 @@
+// src/engine/contentAdapter.js - Concept Module Content Adapter
+
+/**
+ * ContentAdapter - Loads real lesson material from src/concepts modules
+ * Normalizes the different export shapes of each planet into the
+ * {overview, sections, exercises, quiz} contract rendered by ConceptViewer
+ */
+
+class ContentAdapter {
+  constructor() {
+    // Planet id -> module loaders. Paths must stay literal so webpack can
+    // split every planet into its own chunk.
+    this.moduleLoaders = {
+      basics: [
+        () => import("../concepts/basics/index.js"),
+        () => import("../concepts/basics/exercises.js"),
+      ],
+      dom: [
+        () => import("../concepts/dom/index.js"),
+        () => import("../concepts/dom/selectors.js"),
+      ],
+      async: [
+        () => import("../concepts/async/index.js"),
+        () => import("../concepts/async/async-flow.js"),
+      ],
+      es6: [
+        () => import("../concepts/es6/index.js"),
+        () => import("../concepts/es6/arrow-functions.js"),
+        () => import("../concepts/es6/destructuring.js"),
+        () => import("../concepts/es6/modules-demo.js"),
+      ],
+      oop: [
+        () => import("../concepts/oop/classes.js"),
+        () => import("../concepts/oop/inheritance.js"),
+        () => import("../concepts/oop/prototypes.js"),
+      ],
+      functional: [
+        () => import("../concepts/functional/pure-functions.js"),
+        () => import("../concepts/functional/higher-order.js"),
+        () => import("../concepts/functional/map-filter-reduce.js"),
+      ],
+      patterns: [
+        () => import("../concepts/patterns/module-pattern.js"),
+        () => import("../concepts/patterns/singleton.js"),
+        () => import("../concepts/patterns/observer.js"),
+      ],
+      storage: [
+        () => import("../concepts/storage/local-storage.js"),
+        () => import("../concepts/storage/session-storage.js"),
+        () => import("../concepts/storage/indexeddb.js"),
+      ],
+      events: [
+        () => import("../concepts/events/index.js"),
+        () => import("../concepts/events/event-delegation.js"),
+        () => import("../concepts/events/event-types.js"),
+      ],
+      algorithms: [() => import("../concepts/algorithms/index.js")],
+      api: [
+        () => import("../concepts/api/index.js"),
+        () => import("../concepts/api/api-patterns.js"),
+      ],
+      security: [
+        () => import("../concepts/security/index.js"),
+        () => import("../concepts/security/security-patterns.js"),
+      ],
+      testing: [
+        () => import("../concepts/testing/index.js"),
+        () => import("../concepts/testing/jest-patterns.js"),
+      ],
+      canvas: [() => import("../concepts/canvas/index.js")],
+      performance: [() => import("../concepts/performance/index.js")],
+    };
+
+    // Module difficulty labels -> ConceptViewer badge classes
+    this.difficultyMap = {
+      beginner: "easy",
+      easy: "easy",
+      intermediate: "medium",
+      medium: "medium",
+      advanced: "hard",
+      hard: "hard",
+    };
+  }
+
+  /**
+   * Check whether a planet has content modules registered
+   */
+  hasModules(conceptId) {
+    return Array.isArray(this.moduleLoaders[conceptId]);
+  }
+
+  /**
+   * Import every module of a planet, skipping the ones that fail to load
+   */
+  async importModules(conceptId) {
+    const loaders = this.moduleLoaders[conceptId] || [];
+    const results = await Promise.allSettled(loaders.map((load) => load()));
+
+    return results
+      .filter((result) => {
+        if (result.status === "rejected") {
+          JSVLogger.warn(
+            `⚠️ Failed to import a ${conceptId} content module:`,
+            result.reason
+          );
+          return false;
+        }
+        return true;
+      })
+      .map((result) => result.value);
+  }
+
+  /**
+   * Load and normalize a planet's content. Resolves to null when no module
+   * could be imported so the caller can fall back to generated content.
+   */
+  async loadPlanetContent(conceptId) {
+    if (!this.hasModules(conceptId)) {
+      return null;
+    }
+
+    const modules = await this.importModules(conceptId);
+    if (modules.length === 0) {
+      return null;
+    }
+
+    const content = this.normalizeModules(conceptId, modules);
+    JSVLogger.debug(
+      `📦 ${conceptId}: ${content.sections.length} sections, ${content.exercises.length} exercises, ${content.quiz.questions.length} questions from modules`
+    );
+    return content;
+  }
+
+  /**
+   * Normalize a list of imported modules into one content object
+   */
+  normalizeModules(conceptId, modules) {
+    const content = {
+      overview: {},
+      sections: [],
+      exercises: [],
+      quiz: { questions: [] },
+    };
+
+    // Questions belong to the first section of the module that has them,
+    // unless their lesson says otherwise
+    const questionSections = new Map();
+    modules.forEach((module) => {
+      const firstQuestion = content.quiz.questions.length;
+      const firstSection = content.sections.length;
+      this.collectFromModule(this.getExports(module), content);
+
+      const section = content.sections[firstSection];
+      content.quiz.questions.slice(firstQuestion).forEach((question) => {
+        questionSections.set(question, section ? section.id : null);
+      });
+    });
+
+    // Exercises that ship starter code come before short written prompts
+    content.exercises = this.dedupeById(content.exercises)
+      .sort((a, b) => this.getExerciseRank(a) - this.getExerciseRank(b))
+      .map((exercise, index) => this.normalizeExercise(conceptId, exercise, index));
+    content.quiz.questions = content.quiz.questions
+      .filter((question) => question && typeof question === "object")
+      .map((question) => this.normalizeQuestion(question, questionSections.get(question)))
+      .filter((question) => this.isValidQuestion(question));
+
+    return content;
+  }
+
+  /**
+   * List a module's exports in authoring order. Namespace objects sort
+   * their keys alphabetically, so the bundled default export (when it only
+   * re-exports the named ones) is walked first.
+   */
+  getExports(module) {
+    if (module && module.conceptConfig) {
+      return [["conceptConfig", module.conceptConfig]];
+    }
+
+    const named = { ...module };
+    delete named.default;
+
+    const bundle = module.default;
+    if (!bundle || typeof bundle !== "object" || bundle.theory) {
+      return Object.entries(named);
+    }
+
+    const ordered = [];
+    Object.entries(bundle).forEach(([key, value]) => {
+      if (key === "concepts" && value && typeof value === "object") {
+        ordered.push(...Object.entries(value));
+      } else {
+        ordered.push([key, value]);
+      }
+    });
+
+    const bundled = new Set(ordered.map(([, value]) => value));
+    Object.entries(named).forEach(([key, value]) => {
+      if (!bundled.has(value)) ordered.push([key, value]);
+    });
+    return ordered;
+  }
+
+  /**
+   * Route each export to the matching normalizer based on its shape
+   */
+  collectFromModule(exportEntries, content) {
+    exportEntries.forEach(([key, value]) => {
+      if (!value || typeof value !== "object") return;
+
+      if (key === "conceptConfig") {
+        this.collectFromConceptConfig(value, content);
+      } else if (value.theory && value.title) {
+        this.collectFromContentFile(key, value, content);
+      } else if ((key === "config" || /Config$/.test(key)) && value.title) {
+        this.mergeOverview(content.overview, value);
+      } else if (Array.isArray(value)) {
+        if (key === "quiz") {
+          content.quiz.questions.push(...value);
+        } else if (/exercises$/i.test(key)) {
+          content.exercises.push(...value);
+        }
+      } else if (/^exercise\d+$/.test(key) && value.id) {
+        content.exercises.push(value);
+      } else if (this.isTopic(value)) {
+        content.sections.push(this.topicToSection(key, value));
+        if (Array.isArray(value.exercises)) {
+          const sectionTitle = this.getTopicTitle(key, value);
+          value.exercises.forEach((exercise, index) => {
+            content.exercises.push({
+              title: `${sectionTitle} Practice ${index + 1}`,
+              ...exercise,
+            });
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Topic objects carry code examples or at least a concept explanation
+   */
+  isTopic(value) {
+    const hasCode =
+      typeof value.code === "string" ||
+      (value.examples && typeof value.examples === "object");
+    return hasCode || Boolean(value.concept && value.explanation);
+  }
+
+  /**
+   * Resolve a readable title for a topic export
+   */
+  getTopicTitle(key, topic) {
+    return topic.concept || topic.title || topic.name || this.formatKey(key);
+  }
+
+  /**
+   * Convert a topic export into a ConceptViewer section
+   */
+  topicToSection(key, topic) {
+    const examples = [];
+
+    if (typeof topic.code === "string") {
+      examples.push({
+        title: this.getTopicTitle(key, topic),
+        code: this.trimCode(topic.code),
+        explanation: "",
+      });
+    }
+
+    if (topic.examples && typeof topic.examples === "object") {
+      Object.entries(topic.examples).forEach(([exampleKey, code]) => {
+        if (typeof code !== "string") return;
+        examples.push({
+          title: this.formatKey(exampleKey),
+          code: this.trimCode(code),
+          explanation: "",
+        });
+      });
+    }
+
+    return {
+      id: key,
+      title: this.getTopicTitle(key, topic),
+      content: {
+        description: this.trimText(topic.explanation || topic.description || ""),
+        examples,
+      },
+      keyPoints: Array.isArray(topic.keyPoints) ? topic.keyPoints : [],
+    };
+  }
+
+  /**
+   * Collect sections, exercises and quiz from a *Content lesson file
+   */
+  collectFromContentFile(key, lesson, content) {
+    const theory = lesson.theory || {};
+    const concepts = Array.isArray(theory.concepts) ? theory.concepts : [];
+    const practical = Array.isArray(lesson.practicalExamples)
+      ? lesson.practicalExamples
+      : [];
+
+    const examples = [
+      ...concepts
+        .filter((concept) => typeof concept.example === "string")
+        .map((concept) => ({
+          title: concept.name,
+          code: this.trimCode(concept.example),
+          explanation: this.trimText(concept.explanation || ""),
+        })),
+      ...practical
+        .filter((example) => typeof example.code === "string")
+        .map((example) => ({
+          title: example.title,
+          code: this.trimCode(example.code),
+          explanation: this.trimText(example.description || ""),
+        })),
+    ];
+
+    content.sections.push({
+      id: key.replace(/Content$/, ""),
+      title: lesson.title,
+      content: {
+        description: this.trimText(theory.introduction || lesson.description || ""),
+        examples,
+      },
+      keyPoints: Array.isArray(lesson.bestPractices)
+        ? lesson.bestPractices.filter((point) => typeof point === "string")
+        : concepts.map((concept) => concept.name).filter(Boolean),
+    });
+
+    if (Array.isArray(lesson.exercises)) {
+      content.exercises.push(...lesson.exercises);
+    }
+    if (Array.isArray(lesson.quiz)) {
+      const section = key.replace(/Content$/, "");
+      content.quiz.questions.push(
+        ...lesson.quiz.map((question) =>
+          question && typeof question === "object" ? { section, ...question } : question
+        )
+      );
+    }
+  }
+
+  /**
+   * Collect content from a CommonJS conceptConfig (canvas, performance)
+   */
+  collectFromConceptConfig(config, content) {
+    this.mergeOverview(content.overview, config);
+
+    Object.entries(config.topics || {}).forEach(([key, topic]) => {
+      if (!topic || typeof topic !== "object") return;
+
+      const examples = Object.entries(topic)
+        .filter(([, member]) => typeof member === "function")
+        .map(([name, member]) => ({
+          title: name,
+          code: this.trimCode(member.toString()),
+          explanation: "",
+        }));
+
+      content.sections.push({
+        id: key,
+        title: this.formatKey(key),
+        content: {
+          description: `Reference implementations from the ${this.formatKey(
+            key
+          ).toLowerCase()} toolkit.`,
+          examples,
+        },
+        keyPoints: examples.map((example) => example.title),
+      });
+    });
+
+    if (Array.isArray(config.exercises)) {
+      content.exercises.push(...config.exercises);
+    }
+    if (Array.isArray(config.quiz)) {
+      content.quiz.questions.push(...config.quiz);
+    }
+  }
+
+  /**
+   * Copy descriptive overview fields from a module config
+   */
+  mergeOverview(overview, config) {
+    if (!overview.description && config.description) {
+      overview.description = config.description;
+    }
+    if (!overview.estimatedTime && config.estimatedTime) {
+      overview.estimatedTime = config.estimatedTime;
+    }
+    if (
+      !overview.learningObjectives &&
+      Array.isArray(config.learningObjectives) &&
+      config.learningObjectives.length > 0
+    ) {
+      overview.learningObjectives = config.learningObjectives;
+    }
+    if (!overview.topics && Array.isArray(config.topics)) {
+      overview.topics = config.topics;
+    }
+  }
+
+  /**
+   * Convert any module exercise shape into the ConceptViewer exercise shape
+   */
+  normalizeExercise(conceptId, exercise, index) {
+    const title =
+      exercise.title || `${this.formatKey(conceptId)} Exercise ${index + 1}`;
+    const description = exercise.description || "";
+    const tests = Array.isArray(exercise.tests) ? exercise.tests : [];
+
+    return {
+      // Prefixed so completion keys group under the planet like the
+      // `${conceptId}-section-N` and `${conceptId}-quiz` keys do
+      id: `${conceptId}-exercise-${exercise.id || index + 1}`,
+      title,
+      description,
+      difficulty:
+        this.difficultyMap[String(exercise.difficulty).toLowerCase()] || "medium",
+      instructions:
+        exercise.instructions ||
+        exercise.prompt ||
+        exercise.question ||
+        description,
+      starterCode: this.trimCode(
+        exercise.starterCode ||
+          exercise.template ||
+          exercise.code ||
+          `// ${title}\n// Write your solution here\n`
+      ),
+      solution: this.trimCode(
+        exercise.solution || "// No reference solution is provided for this exercise."
+      ),
+      hints: Array.isArray(exercise.hints)
+        ? exercise.hints
+        : exercise.hint
+        ? [exercise.hint]
+        : [],
+      testCases: Array.isArray(exercise.testCases) ? exercise.testCases : [],
+      // Checks taking a callable from the learner's code as well would have
+      // to run it on the page, outside the sandbox
+      checks: tests
+        .map((test) => ({
+          description: test.description,
+          check: test.check || test.test,
+        }))
+        .filter((test) => typeof test.check === "function" && test.check.length <= 1),
+    };
+  }
+
+  /**
+   * Rank exercises by how much of a workspace they provide
+   */
+  getExerciseRank(exercise) {
+    if (exercise.starterCode || exercise.template) return 0;
+    return exercise.code ? 1 : 2;
+  }
+
+  /**
+   * Reject questions of unknown types or with an unusable answer key,
+   * e.g. an answer index that does not point at an option
+   */
+  isValidQuestion(question) {
+    return QuizScorer.isValidQuestion(question);
+  }
+
+  /**
+   * Convert a module quiz question into the ConceptViewer question shape.
+   * Modules store the answer key in `correct`; snippets and ordering items
+   * are kept for the question types that use them.
+   * Ids, difficulty and points are assigned by ConceptLoader.buildQuiz.
+   * @param {string|null} section - Id of the section the question is about
+   */
+  normalizeQuestion(question, section = null) {
+    const normalized = {
+      question: question.question,
+      type: question.type || "multiple-choice",
+      correctAnswer: question.correct,
+      explanation: question.explanation || "",
+      section: question.section || section,
+    };
+
+    ["options", "items", "code"].forEach((key) => {
+      if (question[key] !== undefined) normalized[key] = question[key];
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Keep the first occurrence of every exercise id
+   */
+  dedupeById(items) {
+    const seen = new Set();
+    return items.filter((item) => {
+      if (!item.id) return true;
+      if (seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+  }
+
+  /**
+   * Turn camelCase / snake_case / kebab-case keys into titles
+   */
+  formatKey(key) {
+    return String(key)
+      .replace(/[-_]+/g, " ")
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/^./, (str) => str.toUpperCase())
+      .trim();
+  }
+
+  /**
+   * Strip the leading blank line and common indentation of template code
+   */
+  trimCode(code) {
+    const lines = String(code).replace(/\t/g, "  ").split("\n");
+    while (lines.length && lines[0].trim() === "") lines.shift();
+    while (lines.length && lines[lines.length - 1].trim() === "") lines.pop();
+
+    const indent = Math.min(
+      ...lines
+        .filter((line) => line.trim() !== "")
+        .map((line) => line.match(/^ */)[0].length)
+    );
+    return lines
+      .map((line) => (Number.isFinite(indent) ? line.slice(indent) : line))
+      .join("\n");
+  }
+
+  /**
+   * Collapse the whitespace of multi-line explanation strings
+   */
+  trimText(text) {
+    return String(text).replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ContentAdapter.instance) {
+      ContentAdapter.instance = new ContentAdapter();
+    }
+    return ContentAdapter.instance;
+  }
+}
+
+// Create singleton instance
+const contentAdapterInstance = ContentAdapter.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.ContentAdapter = contentAdapterInstance;
+}
@@ -0,0 +1,238 @@
+// src/engine/curriculumGraph.js - Planet Dependency Graph
+
+/**
+ * CurriculumGraph - Single source of truth for planet prerequisites
+ * GalaxyRenderer, StateManager and ConceptLoader all read planet
+ * dependencies from here. The graph is validated when the module loads.
+ */
+
+class CurriculumGraph {
+  constructor() {
+    // Planets unlocked for every new learner
+    this.startingPlanets = ["basics"];
+
+    // planetId -> { prerequisites, concepts (number of learning sections) }
+    this.planets = {
+      basics: { prerequisites: [], concepts: 5 },
+      dom: { prerequisites: ["basics"], concepts: 4 },
+      async: { prerequisites: ["basics"], concepts: 3 },
+      es6: { prerequisites: ["basics"], concepts: 4 },
+      oop: { prerequisites: ["basics", "es6"], concepts: 3 },
+      functional: { prerequisites: ["basics", "es6"], concepts: 3 },
+      patterns: { prerequisites: ["oop", "functional"], concepts: 3 },
+      storage: { prerequisites: ["dom", "async"], concepts: 3 },
+      events: { prerequisites: ["dom"], concepts: 2 },
+      testing: { prerequisites: ["oop", "functional"], concepts: 3 },
+      security: { prerequisites: ["async", "storage"], concepts: 3 },
+      algorithms: { prerequisites: ["oop", "functional"], concepts: 4 },
+      canvas: { prerequisites: ["dom", "events"], concepts: 3 },
+      api: { prerequisites: ["async", "storage"], concepts: 3 },
+      performance: { prerequisites: ["basics", "dom", "async"], concepts: 3 },
+    };
+
+    this.topologicalOrder = [];
+    this.validate();
+  }
+
+  /**
+   * Check the graph for unknown ids, cycles and unreachable planets.
+   * Throws with every problem found so a bad edit fails at startup.
+   */
+  validate() {
+    const errors = [];
+    const planetIds = this.getPlanetIds();
+
+    this.startingPlanets.forEach((planetId) => {
+      if (!this.planets[planetId]) {
+        errors.push(`Unknown starting planet "${planetId}"`);
+      }
+    });
+
+    planetIds.forEach((planetId) => {
+      this.planets[planetId].prerequisites.forEach((prerequisite) => {
+        if (!this.planets[prerequisite]) {
+          errors.push(`"${planetId}" depends on unknown planet "${prerequisite}"`);
+        }
+      });
+    });
+
+    if (errors.length === 0) {
+      const order = this.sortTopologically();
+      if (order.length < planetIds.length) {
+        const cyclic = planetIds.filter((planetId) => !order.includes(planetId));
+        errors.push(`Dependency cycle between: ${cyclic.join(", ")}`);
+      } else {
+        this.topologicalOrder = order;
+      }
+    }
+
+    if (errors.length === 0) {
+      const reachable = this.getReachablePlanets();
+      planetIds
+        .filter((planetId) => !reachable.has(planetId))
+        .forEach((planetId) => {
+          errors.push(`"${planetId}" can never be unlocked from the starting planets`);
+        });
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid curriculum graph:\n- ${errors.join("\n- ")}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Kahn's algorithm; ties keep the declaration order of `planets`.
+   * Planets on a cycle are left out of the result.
+   */
+  sortTopologically() {
+    const planetIds = this.getPlanetIds();
+    const remaining = new Map(
+      planetIds.map((planetId) => [
+        planetId,
+        new Set(this.planets[planetId].prerequisites),
+      ])
+    );
+    const order = [];
+
+    let ready = planetIds.filter((planetId) => remaining.get(planetId).size === 0);
+    while (ready.length > 0) {
+      const planetId = ready.shift();
+      remaining.delete(planetId);
+      order.push(planetId);
+
+      ready = ready.concat(
+        planetIds.filter((candidate) => {
+          const prerequisites = remaining.get(candidate);
+          if (!prerequisites || !prerequisites.delete(planetId)) return false;
+          return prerequisites.size === 0;
+        })
+      );
+    }
+
+    return order;
+  }
+
+  /**
+   * Planets a learner can eventually unlock, starting from startingPlanets
+   */
+  getReachablePlanets() {
+    const reachable = new Set(this.startingPlanets);
+    this.topologicalOrder.forEach((planetId) => {
+      const { prerequisites } = this.planets[planetId];
+      if (
+        prerequisites.length > 0 &&
+        prerequisites.every((prerequisite) => reachable.has(prerequisite))
+      ) {
+        reachable.add(planetId);
+      }
+    });
+    return reachable;
+  }
+
+  /**
+   * Get all planet ids in declaration order
+   */
+  getPlanetIds() {
+    return Object.keys(this.planets);
+  }
+
+  /**
+   * Check whether a planet exists in the graph
+   */
+  hasPlanet(planetId) {
+    return Boolean(this.planets[planetId]);
+  }
+
+  /**
+   * Get the planets unlocked for a new learner
+   */
+  getStartingPlanets() {
+    return [...this.startingPlanets];
+  }
+
+  /**
+   * Get a planet's direct prerequisites
+   */
+  getPrerequisites(planetId) {
+    return [...(this.planets[planetId]?.prerequisites || [])];
+  }
+
+  /**
+   * Get planets that list this planet as a direct prerequisite
+   */
+  getDependents(planetId) {
+    return this.getPlanetIds().filter((candidate) =>
+      this.planets[candidate].prerequisites.includes(planetId)
+    );
+  }
+
+  /**
+   * Get every planet that has to come before this one, in topological order
+   */
+  getAllPrerequisites(planetId) {
+    const ancestors = new Set();
+    const visit = (id) => {
+      this.getPrerequisites(id).forEach((prerequisite) => {
+        if (!ancestors.has(prerequisite)) {
+          ancestors.add(prerequisite);
+          visit(prerequisite);
+        }
+      });
+    };
+    visit(planetId);
+
+    return this.topologicalOrder.filter((id) => ancestors.has(id));
+  }
+
+  /**
+   * Get a planet's prerequisites followed by the planet itself
+   */
+  getLearningPath(planetId) {
+    if (!this.hasPlanet(planetId)) return [planetId];
+    return [...this.getAllPrerequisites(planetId), planetId];
+  }
+
+  /**
+   * Get all planets ordered so prerequisites always come first
+   */
+  getTopologicalOrder() {
+    return [...this.topologicalOrder];
+  }
+
+  /**
+   * Get the number of concepts on a planet
+   */
+  getConceptCount(planetId) {
+    return this.planets[planetId]?.concepts || 0;
+  }
+
+  /**
+   * Get the number of concepts across the whole curriculum
+   */
+  getTotalConceptCount() {
+    return this.getPlanetIds().reduce(
+      (sum, planetId) => sum + this.getConceptCount(planetId),
+      0
+    );
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!CurriculumGraph.instance) {
+      CurriculumGraph.instance = new CurriculumGraph();
+    }
+    return CurriculumGraph.instance;
+  }
+}
+
+// Create singleton instance
+const curriculumGraphInstance = CurriculumGraph.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.CurriculumGraph = curriculumGraphInstance;
+}
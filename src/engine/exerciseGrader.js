@@ -0,0 +1,231 @@
+// src/engine/exerciseGrader.js - Exercise Grading
+
+/**
+ * ExerciseGrader - Grades learner code against an exercise's testCases
+ * Each test case runs in the CodeRunner sandbox and its console output is
+ * compared with the expected output. Results use the submissionTemplate
+ * shape from src/assets/data/progress-tracking.json. Exercises without
+ * test cases or checks are ungraded (testResults.total is 0), and
+ * unchanged starter code fails without running anything.
+ */
+
+class ExerciseGrader {
+  constructor() {
+    this.timeoutPerCase = 3000;
+  }
+
+  /**
+   * Grade code for an exercise and build a submission record
+   * @param {Object} exercise - Normalized exercise ({id, testCases, checks})
+   * @param {string} code - Learner code
+   * @param {Object} meta - {startedAt (ms timestamp), hintsUsed}
+   */
+  async grade(exercise, code, meta = {}) {
+    const details = [];
+    const errors = [];
+
+    const testCases = Array.isArray(exercise.testCases) ? exercise.testCases : [];
+    const checks = Array.isArray(exercise.checks)
+      ? exercise.checks.filter((check) => typeof check.check === "function")
+      : [];
+
+    if (testCases.length + checks.length > 0) {
+      if (this.isStarterCode(exercise, code)) {
+        details.push(this.createStarterDetail());
+      } else {
+        for (const testCase of testCases) {
+          const detail = await this.runTestCase(code, testCase);
+          if (detail.error) errors.push(detail.error);
+          details.push(detail);
+        }
+
+        checks.forEach((check) => {
+          const detail = this.runCheck(code, check);
+          if (detail.error) errors.push(detail.error);
+          details.push(detail);
+        });
+      }
+    }
+
+    const passedCount = details.filter((detail) => detail.passed).length;
+    const submission = {
+      timestamp: new Date().toISOString(),
+      code,
+      score: details.length > 0 ? Math.round((passedCount / details.length) * 100) : 0,
+      passed: details.length > 0 && passedCount === details.length,
+      timeToComplete: meta.startedAt
+        ? Math.max(0, Math.round((Date.now() - meta.startedAt) / 1000))
+        : 0,
+      hintsUsed: meta.hintsUsed || 0,
+      errors,
+      testResults: {
+        total: details.length,
+        passed: passedCount,
+        failed: details.length - passedCount,
+        details,
+      },
+    };
+
+    JSVLogger.info(
+      details.length > 0
+        ? `🧪 Graded ${exercise.id}: ${passedCount}/${details.length} passed`
+        : `🧪 ${exercise.id} has no automatic tests`
+    );
+    return submission;
+  }
+
+  /**
+   * Whether the learner submitted the starter code as it was given
+   */
+  isStarterCode(exercise, code) {
+    return (
+      typeof exercise.starterCode === "string" &&
+      this.normalizeOutput(code) === this.normalizeOutput(exercise.starterCode)
+    );
+  }
+
+  createStarterDetail() {
+    return {
+      type: "starter",
+      description: "Code changed from the starter code",
+      passed: false,
+      expected: "",
+      actual: "",
+      diff: [],
+      error: null,
+    };
+  }
+
+  /**
+   * Run one {input, expectedOutput} test case in the sandbox.
+   * The input is appended to the learner code; the case passes when the
+   * console output (or its last line) matches the expected output.
+   */
+  async runTestCase(code, testCase) {
+    const expected = this.normalizeOutput(
+      testCase.expectedOutput !== undefined ? testCase.expectedOutput : testCase.expected
+    );
+    const source = testCase.input ? `${code}\n;\n${testCase.input}` : code;
+    const result = await CodeRunner.run(source, { timeout: this.timeoutPerCase });
+
+    const actual = this.normalizeOutput(
+      result.logs
+        .filter((log) => log.level !== "error" && log.level !== "warn")
+        .map((log) => log.message)
+        .join("\n")
+    );
+    const lines = actual.split("\n");
+    const error = result.error
+      ? `${result.error.name}: ${result.error.message}`
+      : null;
+    const passed =
+      !error && (actual === expected || lines[lines.length - 1] === expected);
+
+    return {
+      type: "testCase",
+      description: testCase.description || "Test case",
+      passed,
+      expected,
+      actual,
+      diff: passed ? [] : this.diffLines(expected, actual),
+      error,
+    };
+  }
+
+  /**
+   * Run a static check function from a concept module against the code.
+   * ContentAdapter drops checks that need a callable from the learner's
+   * code, which would have to run on the page.
+   */
+  runCheck(code, check) {
+    let passed = false;
+    let error = null;
+    try {
+      passed = Boolean(check.check(code));
+    } catch (checkError) {
+      error = `${checkError.name}: ${checkError.message}`;
+    }
+
+    return {
+      type: "check",
+      description: check.description || "Code check",
+      passed,
+      expected: "true",
+      actual: String(passed),
+      diff: [],
+      error,
+    };
+  }
+
+  /**
+   * Normalize output for comparison: unify newlines, trim line ends
+   */
+  normalizeOutput(value) {
+    if (value === undefined || value === null) return "";
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return text
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+      .map((line) => line.replace(/\s+$/, ""))
+      .join("\n")
+      .trim();
+  }
+
+  /**
+   * Line diff of expected vs actual output (longest common subsequence)
+   * @returns {Array<{type: "equal"|"removed"|"added", value: string}>}
+   */
+  diffLines(expected, actual) {
+    const a = expected === "" ? [] : expected.split("\n");
+    const b = actual === "" ? [] : actual.split("\n");
+    const lengths = Array.from({ length: a.length + 1 }, () =>
+      new Array(b.length + 1).fill(0)
+    );
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        diff.push({ type: "equal", value: a[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        diff.push({ type: "removed", value: a[i++] });
+      } else {
+        diff.push({ type: "added", value: b[j++] });
+      }
+    }
+    while (i < a.length) diff.push({ type: "removed", value: a[i++] });
+    while (j < b.length) diff.push({ type: "added", value: b[j++] });
+
+    return diff;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ExerciseGrader.instance) {
+      ExerciseGrader.instance = new ExerciseGrader();
+    }
+    return ExerciseGrader.instance;
+  }
+}
+
+// Create singleton instance
+const exerciseGraderInstance = ExerciseGrader.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.ExerciseGrader = exerciseGraderInstance;
+}
@@ -24,7 +24,8 @@ class GalaxyRenderer {
       animationSpeed: 0.5,
     };
 
-    // Planet definitions with positions and dependencies
+    // Planet display definitions; dependencies and concept counts come from
+    // CurriculumGraph (see applyCurriculumGraph)
     this.planetDefinitions = {
       basics: {
         id: "basics",
@@ -33,9 +34,7 @@ class GalaxyRenderer {
         description: "Master JavaScript fundamentals",
         difficulty: "beginner",
         estimatedTime: "2-3 hours",
-        concepts: 5,
         position: { angle: 0, radius: 150 },
-        dependencies: [],
         color: "#ff6b6b",
       },
       dom: {
@@ -45,9 +44,7 @@ class GalaxyRenderer {
         description: "Manipulate web pages dynamically",
         difficulty: "beginner",
         estimatedTime: "3-4 hours",
-        concepts: 4,
         position: { angle: 30, radius: 200 },
-        dependencies: ["basics"],
         color: "#4ecdc4",
       },
       async: {
@@ -57,9 +54,7 @@ class GalaxyRenderer {
         description: "Handle asynchronous operations",
         difficulty: "intermediate",
         estimatedTime: "4-5 hours",
-        concepts: 3,
         position: { angle: 90, radius: 250 },
-        dependencies: ["basics"],
         color: "#ffe66d",
       },
       es6: {
@@ -69,9 +64,7 @@ class GalaxyRenderer {
         description: "Latest JavaScript features",
         difficulty: "intermediate",
         estimatedTime: "3-4 hours",
-        concepts: 4,
         position: { angle: 150, radius: 220 },
-        dependencies: ["basics"],
         color: "#a29bfe",
       },
       oop: {
@@ -81,9 +74,7 @@ class GalaxyRenderer {
         description: "Classes, inheritance, and design patterns",
         difficulty: "intermediate",
         estimatedTime: "5-6 hours",
-        concepts: 3,
         position: { angle: 210, radius: 280 },
-        dependencies: ["basics", "es6"],
         color: "#fd79a8",
       },
       functional: {
@@ -93,9 +84,7 @@ class GalaxyRenderer {
         description: "Pure functions and immutability",
         difficulty: "intermediate",
         estimatedTime: "4-5 hours",
-        concepts: 3,
         position: { angle: 270, radius: 260 },
-        dependencies: ["basics", "es6"],
         color: "#00d4ff",
       },
       patterns: {
@@ -105,9 +94,7 @@ class GalaxyRenderer {
         description: "Common programming patterns",
         difficulty: "advanced",
         estimatedTime: "6-7 hours",
-        concepts: 3,
         position: { angle: 330, radius: 320 },
-        dependencies: ["oop", "functional"],
         color: "#ffeaa7",
       },
       storage: {
@@ -117,9 +104,7 @@ class GalaxyRenderer {
         description: "Local storage and databases",
         difficulty: "intermediate",
         estimatedTime: "3-4 hours",
-        concepts: 3,
         position: { angle: 60, radius: 300 },
-        dependencies: ["dom", "async"],
         color: "#fab1a0",
       },
       events: {
@@ -129,9 +114,7 @@ class GalaxyRenderer {
         description: "User interactions and events",
         difficulty: "beginner",
         estimatedTime: "2-3 hours",
-        concepts: 2,
         position: { angle: 120, radius: 180 },
-        dependencies: ["dom"],
         color: "#74b9ff",
       },
       testing: {
@@ -141,9 +124,7 @@ class GalaxyRenderer {
         description: "Test-driven development",
         difficulty: "advanced",
         estimatedTime: "5-6 hours",
-        concepts: 3,
         position: { angle: 180, radius: 350 },
-        dependencies: ["oop", "functional"],
         color: "#55a3ff",
       },
       security: {
@@ -153,9 +134,7 @@ class GalaxyRenderer {
         description: "Secure coding practices",
         difficulty: "advanced",
         estimatedTime: "4-5 hours",
-        concepts: 3,
         position: { angle: 240, radius: 340 },
-        dependencies: ["async", "storage"],
         color: "#fd79a8",
       },
       algorithms: {
@@ -165,9 +144,7 @@ class GalaxyRenderer {
         description: "Problem-solving techniques",
         difficulty: "advanced",
         estimatedTime: "8-10 hours",
-        concepts: 4,
         position: { angle: 300, radius: 380 },
-        dependencies: ["oop", "functional"],
         color: "#fdcb6e",
       },
       canvas: {
@@ -177,9 +154,7 @@ class GalaxyRenderer {
         description: "2D graphics and animations",
         difficulty: "advanced",
         estimatedTime: "6-7 hours",
-        concepts: 3,
         position: { angle: 360, radius: 300 },
-        dependencies: ["dom", "events"],
         color: "#00b894",
       },
       api: {
@@ -189,12 +164,38 @@ class GalaxyRenderer {
         description: "Interact with external services",
         difficulty: "intermediate",
         estimatedTime: "4-5 hours",
-        concepts: 3,
         position: { angle: 45, radius: 330 },
-        dependencies: ["async", "storage"],
         color: "#6c5ce7",
       },
+      performance: {
+        id: "performance",
+        title: "Performance",
+        subtitle: "Optimization & Profiling",
+        description: "Make web apps fast and smooth",
+        difficulty: "advanced",
+        estimatedTime: "5-7 hours",
+        position: { angle: 15, radius: 390 },
+        color: "#e17055",
+      },
     };
+
+    this.applyCurriculumGraph();
+  }
+
+  /**
+   * Attach dependencies and concept counts from the curriculum graph
+   */
+  applyCurriculumGraph() {
+    CurriculumGraph.getPlanetIds().forEach((planetId) => {
+      if (!this.planetDefinitions[planetId] && typeof window.JSVLogger !== 'undefined') {
+        window.JSVLogger.warn(`⚠️ No galaxy display definition for planet "${planetId}"`);
+      }
+    });
+
+    Object.values(this.planetDefinitions).forEach((planetDef) => {
+      planetDef.dependencies = CurriculumGraph.getPrerequisites(planetDef.id);
+      planetDef.concepts = CurriculumGraph.getConceptCount(planetDef.id);
+    });
   }
 
   /**
@@ -272,7 +273,7 @@ class GalaxyRenderer {
       {
         name: "advanced",
         radius: 360,
-        planets: ["patterns", "testing", "security", "algorithms", "canvas"],
+        planets: ["patterns", "testing", "security", "algorithms", "canvas", "performance"],
       },
     ];
 
@@ -604,6 +605,11 @@ class GalaxyRenderer {
    * Animate galaxy elements
    */
   animateGalaxy() {
+    if (!StateManager.getState().settings.animationsEnabled) {
+      this.stopAnimations();
+      return;
+    }
+
     const clusters = document.querySelectorAll(".galaxy-cluster");
     clusters.forEach((cluster, index) => {
       const speed = 60 + index * 20; // Different rotation speeds
@@ -617,6 +623,18 @@ class GalaxyRenderer {
     });
   }
 
+  /**
+   * Stop cluster rotation and planet floating
+   */
+  stopAnimations() {
+    document.querySelectorAll(".galaxy-cluster").forEach((cluster) => {
+      cluster.style.animation = "none";
+    });
+    this.planets.forEach((planet) => {
+      planet.element.style.animation = "none";
+    });
+  }
+
   /**
    * Handle state changes from StateManager
    */
@@ -633,8 +651,12 @@ class GalaxyRenderer {
         this.updateCurrentPlanet(data);
         break;
       case "progressReset":
+      case "userChanged":
         this.renderGalaxy();
         break;
+      case "settingsUpdated":
+        this.animateGalaxy();
+        break;
     }
   }
 
@@ -13,22 +13,58 @@ class Navigation {
     this.isInitialized = false;
     this.navigationListeners = [];
 
+    // Routing mode: "history" (pushState), "hash" (#/path, for static
+    // hosting and file://) or "memory" (no URL, for tests and embeds)
+    this.modes = ["history", "hash", "memory"];
+    this.mode = "history";
+    this.memoryHistory = { entries: [], index: -1 };
+
+    // Middleware pipeline
+    this.beforeHooks = [];
+    this.afterHooks = [];
+    this.pendingNavigation = null;
+    this.navigationCount = 0;
+    this.maxRedirects = 5;
+
     // Route definitions
     this.defineRoutes();
   }
 
   /**
    * Initialize navigation system
+   * @param {Object} options - {mode, initialPath}; mode defaults to "hash"
+   * for file:// pages and "history" otherwise, initialPath is for memory mode
    */
-  init() {
+  init(options = {}) {
+    this.setMode(options.mode || (window.location.protocol === "file:" ? "hash" : "history"));
+    if (this.mode === "memory") {
+      this.memoryHistory = { entries: [], index: -1 };
+    }
+
     this.setupEventListeners();
-    this.handleInitialRoute();
+    this.handleInitialRoute(options.initialPath);
     this.isInitialized = true;
-    JSVLogger.info("🧭 Navigation system initialized");
+    JSVLogger.info(`🧭 Navigation system initialized (${this.mode} mode)`);
+  }
+
+  /**
+   * Switch routing mode
+   */
+  setMode(mode) {
+    if (!this.modes.includes(mode)) {
+      JSVLogger.warn(`🧭 Unknown routing mode "${mode}", using history`);
+      mode = "history";
+    }
+    this.mode = mode;
   }
 
   /**
    * Define application routes
+   *
+   * Besides name, title and handler(params, query, data), a route can have:
+   * - canEnter(to, from): guard, see normalizeGuardResult for return values
+   * - lazy(): import() of the module that defines the view
+   * - resolve(to, signal): async data passed to the handler as `data`
    */
   defineRoutes() {
     // Main routes
@@ -45,6 +81,8 @@ class Navigation {
       handler: this.showPlanet.bind(this),
       requiresAuth: false,
       params: ["planetId"],
+      canEnter: this.requireUnlockedPlanet("planetId"),
+      resolve: (to) => ConceptLoader.loadConcept(to.params.planetId),
     });
 
     this.routes.set("/concept/:conceptId", {
@@ -53,6 +91,8 @@ class Navigation {
       handler: this.showConcept.bind(this),
       requiresAuth: false,
       params: ["conceptId"],
+      canEnter: this.requireUnlockedPlanet("conceptId"),
+      resolve: (to) => ConceptLoader.loadConcept(to.params.conceptId),
     });
 
     this.routes.set("/exercise/:conceptId/:exerciseId", {
@@ -61,6 +101,8 @@ class Navigation {
       handler: this.showExercise.bind(this),
       requiresAuth: false,
       params: ["conceptId", "exerciseId"],
+      canEnter: this.requireUnlockedPlanet("conceptId"),
+      resolve: (to) => ConceptLoader.loadConcept(to.params.conceptId),
     });
 
     this.routes.set("/quiz/:conceptId", {
@@ -69,6 +111,15 @@ class Navigation {
       handler: this.showQuiz.bind(this),
       requiresAuth: false,
       params: ["conceptId"],
+      canEnter: this.requireUnlockedPlanet("conceptId"),
+      resolve: (to) => ConceptLoader.loadConcept(to.params.conceptId),
+    });
+
+    this.routes.set("/review", {
+      name: "review",
+      title: "Daily Review",
+      handler: this.showReview.bind(this),
+      requiresAuth: false,
     });
 
     this.routes.set("/progress", {
@@ -76,6 +127,7 @@ class Navigation {
       title: "Progress Dashboard",
       handler: this.showProgress.bind(this),
       requiresAuth: false,
+      lazy: () => import("../components/ProgressDashboard.js"),
     });
 
     this.routes.set("/achievements", {
@@ -83,6 +135,7 @@ class Navigation {
       title: "Achievements",
       handler: this.showAchievements.bind(this),
       requiresAuth: false,
+      lazy: () => import("../components/AchievementGallery.js"),
     });
 
     this.routes.set("/settings", {
@@ -90,6 +143,32 @@ class Navigation {
       title: "Settings",
       handler: this.showSettings.bind(this),
       requiresAuth: false,
+      lazy: () => import("../components/SettingsPanel.js"),
+    });
+
+    this.routes.set("/login", {
+      name: "login",
+      title: "Sign In",
+      handler: this.showLogin.bind(this),
+      requiresAuth: false,
+      lazy: () => import("../components/LoginView.js"),
+    });
+
+    this.routes.set("/classroom", {
+      name: "classroom",
+      title: "Classroom",
+      handler: this.showClassroom.bind(this),
+      requiresAuth: true,
+      lazy: () => import("../components/ClassroomDashboard.js"),
+    });
+
+    this.routes.set("/classroom/:code", {
+      name: "classDashboard",
+      title: "Class Dashboard",
+      handler: this.showClassroom.bind(this),
+      requiresAuth: true,
+      params: ["code"],
+      lazy: () => import("../components/ClassroomDashboard.js"),
     });
 
     // 404 route
@@ -124,40 +203,140 @@ class Navigation {
   /**
    * Handle initial route when app loads
    */
-  handleInitialRoute() {
-    const currentPath = window.location.pathname + window.location.search;
-    this.navigateTo(currentPath, false);
+  handleInitialRoute(initialPath = "/") {
+    if (this.mode === "memory") {
+      this.navigateTo(initialPath);
+    } else {
+      this.navigateTo(this.getCurrentPath(), false);
+    }
+  }
+
+  /**
+   * Get the route path the current URL points to, e.g. "/concept/dom?tab=notes"
+   */
+  getCurrentPath() {
+    switch (this.mode) {
+      case "hash":
+        return window.location.hash.startsWith("#/") ? this.normalizePath(window.location.hash) : "/";
+      case "memory": {
+        const entry = this.memoryHistory.entries[this.memoryHistory.index];
+        return entry ? entry.path : "/";
+      }
+      default:
+        return window.location.pathname + window.location.search;
+    }
   }
 
   /**
-   * Navigate to a specific route
+   * Turn a route path or "#/path" href into a route path
    */
-  navigateTo(path, addToHistory = true) {
+  normalizePath(path) {
+    let normalized = String(path || "").trim();
+    if (normalized.startsWith("#")) {
+      normalized = normalized.slice(1);
+    }
+    if (!normalized.startsWith("/")) {
+      normalized = `/${normalized}`;
+    }
+    return normalized;
+  }
+
+  /**
+   * Get the href that points to a route path in the current mode
+   */
+  toHref(path) {
+    return this.mode === "hash" ? `#${path}` : path;
+  }
+
+  /**
+   * Record a route in the browser history, or the in-memory one
+   */
+  writeHistory(path, title, replace = false) {
+    const state = { path, timestamp: Date.now() };
+
+    if (this.mode === "memory") {
+      const memory = this.memoryHistory;
+      if (replace && memory.index >= 0) {
+        memory.entries[memory.index] = state;
+      } else {
+        memory.entries = memory.entries.slice(0, memory.index + 1);
+        memory.entries.push(state);
+        memory.index = memory.entries.length - 1;
+      }
+      return;
+    }
+
+    const url = this.toHref(path);
+    if (replace) {
+      window.history.replaceState(state, title, url);
+    } else {
+      window.history.pushState(state, title, url);
+    }
+  }
+
+  /**
+   * Navigate to a specific route through the middleware pipeline:
+   * guards (beforeEach hooks, then the route's canEnter), the lazy view
+   * module, resolve, the handler and finally afterEach hooks. Starting
+   * another navigation cancels one that is still loading.
+   * @returns {Promise<boolean>} Whether the route was entered
+   */
+  async navigateTo(path, addToHistory = true, options = {}) {
+    path = this.normalizePath(path);
+    const navigation = this.startNavigation();
+    const { signal } = navigation.controller;
+    const from = this.currentRoute;
+
     try {
       const route = this.matchRoute(path);
       if (!route) {
-        this.navigateTo("/404");
-        return false;
+        return this.redirect(path, { redirect: "/404" }, options);
       }
 
-      // Check authentication if required
-      if (route.config.requiresAuth && !this.isAuthenticated()) {
-        JSVLogger.warn("🔐 Route requires authentication");
+      const to = {
+        path,
+        name: route.config.name,
+        config: route.config,
+        params: route.params,
+        query: route.query,
+        data: null,
+      };
+
+      const verdict = await this.runGuards(to, from, signal);
+      if (signal.aborted) return this.cancelNavigation(to);
+
+      if (verdict.redirect) {
+        return this.redirect(path, verdict, options);
+      }
+      if (!verdict.allowed) {
+        JSVLogger.warn(`🚫 Navigation to ${path} blocked${verdict.reason ? `: ${verdict.reason}` : ""}`);
+        this.notifyNavigationListeners("blocked", { to, reason: verdict.reason });
+        // Back/forward already moved the URL to the blocked route
+        if (!addToHistory && !options.replace) {
+          this.restoreLocation(from, options);
+        }
         return false;
       }
 
+      if (route.config.lazy || route.config.resolve) {
+        this.setLoading(true);
+        this.notifyNavigationListeners("loading", to);
+        await this.loadRouteModule(route.config);
+        if (route.config.resolve && !signal.aborted) {
+          to.data = await route.config.resolve(to, signal);
+        }
+        if (signal.aborted) return this.cancelNavigation(to);
+      }
+
       // Add to browser history
-      if (addToHistory) {
-        window.history.pushState(
-          { path, timestamp: Date.now() },
-          route.config.title,
-          path
-        );
+      if (options.replace || addToHistory) {
+        this.writeHistory(path, route.config.title, Boolean(options.replace));
       }
 
       // Update current route
       this.currentRoute = {
         path,
+        name: route.config.name,
         config: route.config,
         params: route.params,
         query: route.query,
@@ -174,7 +353,9 @@ class Navigation {
       document.title = `${route.config.title} - JSVerseHub`;
 
       // Call route handler
-      route.config.handler(route.params, route.query);
+      route.config.handler(route.params, route.query, to.data);
+
+      this.runAfterHooks(this.currentRoute, from);
 
       // Notify listeners
       this.notifyNavigationListeners("navigate", this.currentRoute);
@@ -182,17 +363,255 @@ class Navigation {
       JSVLogger.info(`🧭 Navigated to: ${path}`);
       return true;
     } catch (error) {
+      if (signal.aborted) return false;
+
       JSVLogger.error("❌ Navigation error:", error);
-      this.navigateTo("/404");
+      if (path !== "/404") {
+        this.navigateTo("/404");
+      }
       return false;
+    } finally {
+      this.finishNavigation(navigation);
+    }
+  }
+
+  /**
+   * Register a guard that runs before every route's canEnter
+   * @param {Function} hook - (to, from) => guard result, may be async
+   * @returns {Function} Removes the hook
+   */
+  beforeEach(hook) {
+    this.beforeHooks.push(hook);
+    return () => {
+      this.beforeHooks = this.beforeHooks.filter((h) => h !== hook);
+    };
+  }
+
+  /**
+   * Register a hook that runs after a route has been entered
+   * @param {Function} hook - (to, from) => void
+   * @returns {Function} Removes the hook
+   */
+  afterEach(hook) {
+    this.afterHooks.push(hook);
+    return () => {
+      this.afterHooks = this.afterHooks.filter((h) => h !== hook);
+    };
+  }
+
+  /**
+   * Cancel the navigation still in progress and track the new one
+   */
+  startNavigation() {
+    if (this.pendingNavigation) {
+      this.pendingNavigation.controller.abort();
     }
+
+    this.pendingNavigation = {
+      id: ++this.navigationCount,
+      controller: new AbortController(),
+    };
+    return this.pendingNavigation;
+  }
+
+  finishNavigation(navigation) {
+    if (this.pendingNavigation === navigation) {
+      this.pendingNavigation = null;
+      this.setLoading(false);
+    }
+  }
+
+  cancelNavigation(to) {
+    JSVLogger.info(`🧭 Navigation to ${to.path} cancelled`);
+    this.notifyNavigationListeners("cancelled", to);
+    return false;
+  }
+
+  /**
+   * Point the URL back at the route still on screen after a guard blocked
+   * a back/forward navigation
+   * @param {Object} options - {previousIndex} of the memory history
+   */
+  restoreLocation(route, { previousIndex = null } = {}) {
+    if (this.mode === "memory") {
+      if (previousIndex !== null) {
+        this.memoryHistory.index = previousIndex;
+      }
+      return;
+    }
+
+    if (route) {
+      this.writeHistory(route.path, route.config.title, true);
+    }
+  }
+
+  /**
+   * Continue a guarded navigation at the redirect target. The redirect
+   * replaces the history entry so Back does not return to the guarded URL.
+   */
+  redirect(fromPath, verdict, options) {
+    const redirectCount = (options.redirectCount || 0) + 1;
+    if (redirectCount > this.maxRedirects) {
+      JSVLogger.error(`❌ Too many redirects from ${fromPath}`);
+      return false;
+    }
+
+    if (verdict.reason) {
+      JSVLogger.warn(`↪️ ${fromPath} redirected to ${verdict.redirect}: ${verdict.reason}`);
+    }
+    this.notifyNavigationListeners("redirected", {
+      from: fromPath,
+      to: verdict.redirect,
+      reason: verdict.reason || null,
+    });
+
+    return this.navigateTo(verdict.redirect, true, { replace: true, redirectCount });
+  }
+
+  /**
+   * Run beforeEach hooks, then the route's own guard, stopping at the
+   * first one that blocks or redirects
+   */
+  async runGuards(to, from, signal) {
+    if (to.config.requiresAuth && !this.isAuthenticated()) {
+      return {
+        allowed: false,
+        redirect: `/login?redirect=${encodeURIComponent(to.path)}`,
+        reason: "🔐 Sign in to open this page",
+      };
+    }
+
+    const guards = [...this.beforeHooks, to.config.canEnter].filter(Boolean);
+    for (const guard of guards) {
+      const verdict = this.normalizeGuardResult(await guard(to, from));
+      if (signal.aborted || !verdict.allowed || verdict.redirect) {
+        return verdict;
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Guards return true/undefined to allow, false or a reason string to
+   * block, or {redirect, reason} to send the user elsewhere
+   */
+  normalizeGuardResult(result) {
+    if (result === undefined || result === true) {
+      return { allowed: true };
+    }
+    if (result === false) {
+      return { allowed: false, reason: null };
+    }
+    if (typeof result === "string") {
+      return { allowed: false, reason: result };
+    }
+    if (result && typeof result === "object") {
+      return {
+        allowed: Boolean(result.redirect),
+        redirect: result.redirect || null,
+        reason: result.reason || null,
+      };
+    }
+    return { allowed: Boolean(result) };
+  }
+
+  runAfterHooks(to, from) {
+    this.afterHooks.forEach((hook) => {
+      try {
+        hook(to, from);
+      } catch (error) {
+        JSVLogger.error("❌ afterEach hook error:", error);
+      }
+    });
+  }
+
+  /**
+   * Import a route's view module once
+   */
+  async loadRouteModule(config) {
+    if (!config.lazy) return;
+
+    if (!config.modulePromise) {
+      config.modulePromise = config.lazy().catch((error) => {
+        config.modulePromise = null;
+        throw error;
+      });
+    }
+    await config.modulePromise;
+  }
+
+  /**
+   * Guard for routes whose parameter is a planet id: unknown planets go to
+   * the 404 page and locked ones back to the galaxy
+   */
+  requireUnlockedPlanet(paramName) {
+    return (to) => {
+      const planetId = to.params[paramName];
+      if (!CurriculumGraph.hasPlanet(planetId)) {
+        return { redirect: "/404", reason: `Unknown planet "${planetId}"` };
+      }
+
+      const progress = StateManager.getProgress();
+      if (progress.unlockedPlanets.includes(planetId)) {
+        return true;
+      }
+
+      const missing = CurriculumGraph.getPrerequisites(planetId).filter(
+        (required) => !progress.completedConcepts.some((concept) => concept.startsWith(required))
+      );
+      return {
+        redirect: `/?focus=${encodeURIComponent(planetId)}`,
+        reason: missing.length
+          ? `🔒 ${planetId} unlocks after you study ${missing.join(", ")}`
+          : `🔒 ${planetId} is locked`,
+      };
+    };
+  }
+
+  setLoading(isLoading) {
+    document.body.classList.toggle("route-loading", isLoading);
+  }
+
+  /**
+   * Build the deep link for a place inside a concept:
+   * - /concept/:conceptId?section=2 for a content section
+   * - /concept/:conceptId?tab=exercises|notes for the other tabs
+   * - /exercise/:conceptId/:exerciseId for one exercise
+   * - /quiz/:conceptId?question=3 for a question of a running quiz
+   * Sections and questions are 1-based in URLs, as the viewer shows them.
+   * @param {Object} location - {conceptId, tab, section, exerciseId, question}, 0-based indexes
+   */
+  buildConceptPath({ conceptId, tab = "content", section = 0, exerciseId = null, question = null }) {
+    const id = encodeURIComponent(conceptId);
+
+    switch (tab) {
+      case "exercises":
+        return exerciseId
+          ? `/exercise/${id}/${encodeURIComponent(exerciseId)}`
+          : `/concept/${id}?tab=exercises`;
+      case "quiz":
+        return question !== null ? `/quiz/${id}?question=${question + 1}` : `/quiz/${id}`;
+      case "notes":
+        return `/concept/${id}?tab=notes`;
+      default:
+        return section > 0 ? `/concept/${id}?section=${section + 1}` : `/concept/${id}`;
+    }
+  }
+
+  /**
+   * Turn a 1-based URL index into a 0-based one, null when missing or invalid
+   */
+  parseIndexParam(value) {
+    const index = parseInt(value, 10);
+    return Number.isInteger(index) && index > 0 ? index - 1 : null;
   }
 
   /**
    * Match current path against defined routes
    */
   matchRoute(path) {
-    const [pathname, search] = path.split("?");
+    const [pathname, search] = this.normalizePath(path).split("?");
     const query = this.parseQueryString(search || "");
 
     for (const [pattern, config] of this.routes) {
@@ -268,7 +687,17 @@ class Navigation {
    * Handle browser back/forward navigation
    */
   handlePopState(event) {
-    const path = window.location.pathname + window.location.search;
+    // Memory mode keeps its own history
+    if (this.mode === "memory") return;
+
+    // In-page anchors like #top are not routes
+    const { hash } = window.location;
+    if (this.mode === "hash" && hash && !hash.startsWith("#/")) return;
+
+    // Nothing to do when only the fragment changed
+    const path = this.getCurrentPath();
+    if (!this.pendingNavigation && this.currentRoute && this.currentRoute.path === path) return;
+
     this.navigateTo(path, false);
   }
 
@@ -281,13 +710,14 @@ class Navigation {
 
     const href = link.getAttribute("href");
 
-    // Skip external links and special protocols
+    // Skip external links, special protocols and in-page anchors. Route
+    // links may be written as "/path" or "#/path" in any mode.
     if (
       !href ||
       href.startsWith("http") ||
       href.startsWith("mailto:") ||
       href.startsWith("tel:") ||
-      href.startsWith("#")
+      (href.startsWith("#") && !href.startsWith("#/"))
     ) {
       return;
     }
@@ -343,7 +773,9 @@ class Navigation {
    * Go back in navigation history
    */
   goBack() {
-    if (window.history.length > 1) {
+    if (this.mode === "memory") {
+      this.goMemory(-1);
+    } else if (window.history.length > 1) {
       window.history.back();
     } else {
       this.navigateTo("/");
@@ -354,7 +786,26 @@ class Navigation {
    * Go forward in navigation history
    */
   goForward() {
-    window.history.forward();
+    if (this.mode === "memory") {
+      this.goMemory(1);
+    } else {
+      window.history.forward();
+    }
+  }
+
+  /**
+   * Step through the in-memory history like the browser's back/forward
+   */
+  goMemory(delta) {
+    const memory = this.memoryHistory;
+    const index = memory.index + delta;
+    if (index < 0 || index >= memory.entries.length) {
+      return Promise.resolve(false);
+    }
+
+    const previousIndex = memory.index;
+    memory.index = index;
+    return this.navigateTo(memory.entries[index].path, false, { previousIndex });
   }
 
   /**
@@ -377,14 +828,6 @@ class Navigation {
   showPlanet(params, query) {
     const { planetId } = params;
 
-    // Verify planet exists and is unlocked
-    const progress = StateManager.getProgress();
-    if (!progress.unlockedPlanets.includes(planetId)) {
-      JSVLogger.warn(`🔒 Planet ${planetId} is locked`);
-      this.navigateTo("/");
-      return;
-    }
-
     // Set as current planet
     StateManager.setCurrentPlanet(planetId);
 
@@ -395,9 +838,12 @@ class Navigation {
   showConcept(params, query) {
     const { conceptId } = params;
 
-    // Load and display concept
+    // Load and display concept at the linked tab and section
     if (window.ConceptViewer) {
-      window.ConceptViewer.showConcept(conceptId);
+      window.ConceptViewer.openConcept(conceptId, {
+        tab: query.tab,
+        section: this.parseIndexParam(query.section),
+      });
     }
   }
 
@@ -406,32 +852,57 @@ class Navigation {
 
     // Load and display exercise
     if (window.ConceptViewer) {
-      window.ConceptViewer.showExercise(conceptId, exerciseId);
+      window.ConceptViewer.openConcept(conceptId, { tab: "exercises", exerciseId });
     }
   }
 
   showQuiz(params, query) {
     const { conceptId } = params;
 
-    // Load and display quiz
+    // Load and display quiz, at a question when linked to one
+    if (window.ConceptViewer) {
+      window.ConceptViewer.openConcept(conceptId, {
+        tab: "quiz",
+        question: this.parseIndexParam(query.question),
+      });
+    }
+  }
+
+  showReview(params, query) {
+    // Load and display today's review deck
     if (window.ConceptViewer) {
-      window.ConceptViewer.showQuiz(conceptId);
+      window.ConceptViewer.showReview();
     }
   }
 
   showProgress(params, query) {
     this.setActiveView("progress");
-    // Implementation would show progress dashboard
+    this.closeAllModals();
+    window.ProgressDashboard.show(document.getElementById("progress-dashboard"));
   }
 
   showAchievements(params, query) {
     this.setActiveView("achievements");
-    // Implementation would show achievements page
+    this.closeAllModals();
+    window.AchievementGallery.show(document.getElementById("achievements-gallery"));
   }
 
   showSettings(params, query) {
     this.setActiveView("settings");
-    // Implementation would show settings page
+    this.closeAllModals();
+    window.SettingsPanel.show(document.getElementById("settings-panel"));
+  }
+
+  showLogin(params, query) {
+    this.setActiveView("login");
+    this.closeAllModals();
+    window.LoginView.show(document.getElementById("login-view"), query.redirect || "/");
+  }
+
+  showClassroom(params, query) {
+    this.setActiveView("classroom");
+    this.closeAllModals();
+    window.ClassroomDashboard.show(document.getElementById("classroom-dashboard"), params.code || null);
   }
 
   show404(params, query) {
@@ -477,6 +948,11 @@ class Navigation {
    * Close all open modals
    */
   closeAllModals() {
+    // Hide through Modal so onHide cleanup (e.g. ConceptViewer's) runs
+    if (window.Modal) {
+      window.Modal.closeAll();
+    }
+
     document.querySelectorAll(".modal.show").forEach((modal) => {
       modal.classList.remove("show");
     });
@@ -502,7 +978,7 @@ class Navigation {
    */
   showPlanetDetails(planetId) {
     if (window.ConceptViewer) {
-      window.ConceptViewer.showConcept(planetId);
+      window.ConceptViewer.openConcept(planetId);
     }
   }
 
@@ -533,7 +1009,7 @@ class Navigation {
   }
 
   /**
-   * Generate URL for route with parameters
+   * Generate the href for a route with parameters in the current mode
    */
   generateUrl(routeName, params = {}, query = {}) {
     let pattern = null;
@@ -548,7 +1024,7 @@ class Navigation {
 
     if (!pattern) {
       JSVLogger.warn(`🔍 Route not found: ${routeName}`);
-      return "/";
+      return this.toHref("/");
     }
 
     // Replace parameters in pattern
@@ -569,15 +1045,14 @@ class Navigation {
       url += `?${queryString}`;
     }
 
-    return url;
+    return this.toHref(url);
   }
 
   /**
-   * Check if user is authenticated (placeholder)
+   * Check if a learner is signed in (authClient.js)
    */
   isAuthenticated() {
-    // In a real app, this would check authentication status
-    return true;
+    return typeof window.AuthClient !== "undefined" && window.AuthClient.isAuthenticated();
   }
 
   /**
@@ -706,5 +1181,23 @@ navigationStyles.textContent = `
     [data-view].hidden {
         display: none;
     }
+
+    body.route-loading::after {
+        content: "";
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 40%;
+        height: 3px;
+        background: var(--accent-color);
+        box-shadow: 0 0 10px var(--accent-color);
+        z-index: 3000;
+        animation: routeLoading 1s ease-in-out infinite;
+    }
+
+    @keyframes routeLoading {
+        from { transform: translateX(-100%); }
+        to { transform: translateX(250%); }
+    }
 `;
 document.head.appendChild(navigationStyles);
@@ -0,0 +1,198 @@
+// src/engine/offlineManager.js - Offline Support
+
+/**
+ * OfflineManager - Registers the service worker (built from
+ * src/service-worker.js) and talks to it: downloads a planet's concepts for
+ * offline use and reports when a new version of the app is waiting.
+ * Listeners receive (event, data) for "updateAvailable", "planetCached"
+ * and "planetCacheFailed".
+ */
+
+class OfflineManager {
+  constructor() {
+    this.scriptUrl = "/sw.js";
+    this.messageTimeout = 60000;
+    this.registration = null;
+    this.waitingWorker = null;
+    this.offlinePlanets = new Set();
+    this.listeners = [];
+    this.isSupported = typeof navigator !== "undefined" && "serviceWorker" in navigator;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Register the service worker and watch for new versions
+   */
+  async init() {
+    if (!this.isSupported) {
+      JSVLogger.info("📴 Service workers are not supported, offline mode is off");
+      return this;
+    }
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+      JSVLogger.info("🔧 Service Worker registered successfully");
+    } catch (error) {
+      JSVLogger.warn("⚠️ Service Worker registration failed:", error);
+      return this;
+    }
+
+    this.watchForUpdates(this.registration);
+
+    // The waiting worker took over after applyUpdate
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (this.waitingWorker && !reloading) {
+        reloading = true;
+        window.location.reload();
+      }
+    });
+
+    this.isInitialized = true;
+    this.refreshOfflinePlanets();
+    return this;
+  }
+
+  /**
+   * Report a new service worker once it has installed next to the active one
+   */
+  watchForUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.handleUpdateFound(registration.waiting);
+    }
+
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener("statechange", () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === "installed" && navigator.serviceWorker.controller) {
+          this.handleUpdateFound(worker);
+        }
+      });
+    });
+  }
+
+  handleUpdateFound(worker) {
+    this.waitingWorker = worker;
+    JSVLogger.info("🔄 A new version of JSVerseHub is available");
+    this.notifyListeners("updateAvailable", {});
+  }
+
+  /**
+   * Let the waiting version take over; the page reloads once it has
+   */
+  applyUpdate() {
+    if (this.waitingWorker) {
+      this.waitingWorker.postMessage({ type: "SKIP_WAITING" });
+    }
+  }
+
+  /**
+   * Cache every concept chunk of a planet
+   * @returns {Promise<boolean>} Whether the planet is now available offline
+   */
+  async downloadPlanet(planetId) {
+    try {
+      await this.postMessage({ type: "CACHE_PLANET", planetId });
+      this.offlinePlanets.add(planetId);
+      JSVLogger.success(`📥 Planet available offline: ${planetId}`);
+      this.notifyListeners("planetCached", { planetId });
+      return true;
+    } catch (error) {
+      JSVLogger.error(`❌ Failed to download ${planetId} for offline use:`, error);
+      this.notifyListeners("planetCacheFailed", { planetId, error: error.message });
+      return false;
+    }
+  }
+
+  isPlanetOffline(planetId) {
+    return this.offlinePlanets.has(planetId);
+  }
+
+  /**
+   * Ask the service worker which planets are fully cached
+   */
+  async refreshOfflinePlanets() {
+    try {
+      const { planetIds } = await this.postMessage({ type: "GET_OFFLINE_PLANETS" });
+      this.offlinePlanets = new Set(planetIds);
+    } catch (error) {
+      JSVLogger.debug("Offline planets unavailable:", error.message);
+    }
+    return [...this.offlinePlanets];
+  }
+
+  /**
+   * Send a message to the active service worker and wait for its reply
+   */
+  postMessage(message) {
+    const worker =
+      (this.isSupported && navigator.serviceWorker.controller) ||
+      (this.registration && this.registration.active);
+
+    if (!worker) {
+      return Promise.reject(new Error("Offline support is not active yet, reload the page and try again"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timeout = setTimeout(() => {
+        channel.port1.close();
+        reject(new Error("The service worker did not answer"));
+      }, this.messageTimeout);
+
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timeout);
+        channel.port1.close();
+        if (event.data && event.data.ok) {
+          resolve(event.data);
+        } else {
+          reject(new Error((event.data && event.data.error) || "Service worker request failed"));
+        }
+      };
+
+      worker.postMessage(message, [channel.port2]);
+    });
+  }
+
+  /**
+   * Add a listener for offline events
+   * @returns {Function} Removes the listener
+   */
+  addListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter((listener) => listener !== callback);
+    };
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        JSVLogger.error("❌ Offline listener error:", error);
+      }
+    });
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!OfflineManager.instance) {
+      OfflineManager.instance = new OfflineManager();
+    }
+    return OfflineManager.instance;
+  }
+}
+
+// Create singleton instance
+const offlineManagerInstance = OfflineManager.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.OfflineManager = offlineManagerInstance;
+}
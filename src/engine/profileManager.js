@@ -0,0 +1,238 @@
+// src/engine/profileManager.js - Local Learner Profiles
+
+/**
+ * ProfileManager - Several learners sharing one browser, no server needed.
+ * Each profile keeps its own state, notes, bookmarks, code drafts, sync id
+ * and class membership through StateManager.getUserKey. The first profile
+ * uses the unsuffixed keys, so progress saved before profiles existed
+ * belongs to it. Listeners receive (event, profile) for "profileCreated",
+ * "profileRenamed", "profileDeleted" and "profileSwitched".
+ */
+
+class ProfileManager {
+  constructor() {
+    this.storageKey = "jsversehub-profiles";
+    this.defaultProfileId = "default";
+    this.maxNameLength = 40;
+    this.profiles = []; // [{id, name, color, createdAt}]
+    this.activeId = this.defaultProfileId;
+    this.listeners = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Restore the profiles and the one used last
+   */
+  init() {
+    this.load();
+    this.isInitialized = true;
+    JSVLogger.info(`👥 ${this.profiles.length} profile(s), using "${this.getActiveProfile().name}"`);
+    return this;
+  }
+
+  getProfiles() {
+    return this.profiles.map((profile) => ({ ...profile }));
+  }
+
+  getProfile(id) {
+    const profile = this.profiles.find((entry) => entry.id === id);
+    return profile ? { ...profile } : null;
+  }
+
+  getActiveProfile() {
+    return this.getProfile(this.activeId);
+  }
+
+  /**
+   * StateManager user id of a profile (the active one by default)
+   */
+  getStateId(id = this.activeId) {
+    // Colons cannot appear in account usernames, so the two never collide
+    return id === this.defaultProfileId ? null : `profile:${id}`;
+  }
+
+  /**
+   * Add a profile; switch to it with switchProfile()
+   * @param {Object} options - {color}; a random color when left out
+   */
+  createProfile(name, options = {}) {
+    const profile = {
+      id: this.createId(),
+      name: this.validateName(name),
+      color: options.color || this.pickColor(),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.profiles.push(profile);
+    this.save();
+    JSVLogger.success(`👥 Profile "${profile.name}" created`);
+    this.notifyListeners("profileCreated", { ...profile });
+    return { ...profile };
+  }
+
+  renameProfile(id, name) {
+    const profile = this.findProfile(id);
+    profile.name = this.validateName(name);
+    this.save();
+
+    // Only rename the learner when their state is the one loaded
+    if (StateManager.userId === this.getStateId(id)) {
+      StateManager.setUserName(profile.name);
+    }
+    this.notifyListeners("profileRenamed", { ...profile });
+    return { ...profile };
+  }
+
+  /**
+   * Delete a profile and everything it saved in this browser
+   */
+  async deleteProfile(id) {
+    const profile = this.findProfile(id);
+    if (id === this.defaultProfileId) {
+      throw new Error("The first profile cannot be deleted");
+    }
+    if (id === this.activeId) {
+      throw new Error("Switch to another profile before deleting this one");
+    }
+
+    await StateManager.removeUserData(this.getStateId(id));
+    this.profiles = this.profiles.filter((entry) => entry.id !== id);
+    this.save();
+    JSVLogger.info(`🗑️ Profile "${profile.name}" deleted`);
+    this.notifyListeners("profileDeleted", { ...profile });
+  }
+
+  /**
+   * Load another profile's state. A signed-in account is signed out first,
+   * since the account's state is the one on screen.
+   */
+  async switchProfile(id) {
+    const profile = this.findProfile(id);
+    const signedIn = typeof window.AuthClient !== "undefined" && window.AuthClient.isAuthenticated();
+    if (id === this.activeId && !signedIn) return;
+
+    this.activeId = id;
+    this.save();
+    if (signedIn) {
+      // Signing out loads the active profile's state
+      await window.AuthClient.signOut();
+    } else {
+      await StateManager.switchUser(this.getStateId(id), { name: profile.name });
+    }
+
+    JSVLogger.info(`👥 Switched to profile "${profile.name}"`);
+    this.notifyListeners("profileSwitched", { ...profile });
+  }
+
+  findProfile(id) {
+    const profile = this.profiles.find((entry) => entry.id === id);
+    if (!profile) {
+      throw new Error(`Unknown profile: ${id}`);
+    }
+    return profile;
+  }
+
+  validateName(name) {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) {
+      throw new Error("Give the profile a name");
+    }
+    if (trimmed.length > this.maxNameLength) {
+      throw new Error(`Profile names can be at most ${this.maxNameLength} characters`);
+    }
+    return trimmed;
+  }
+
+  createId() {
+    let id;
+    do {
+      id = Math.random().toString(36).slice(2, 10);
+    } while (!id || this.profiles.some((profile) => profile.id === id));
+    return id;
+  }
+
+  /**
+   * A saturated, mid-lightness avatar color that reads on the dark navbar
+   */
+  pickColor() {
+    if (typeof window.RandomColorGenerator === "undefined") return null;
+    return window.RandomColorGenerator.generateColor("hex", { saturation: 70, lightness: 55 });
+  }
+
+  load() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey) || "{}");
+    } catch (error) {
+      JSVLogger.warn("⚠️ Ignoring unreadable profiles");
+    }
+
+    this.profiles = Array.isArray(saved.profiles)
+      ? saved.profiles.filter(
+          (profile) =>
+            profile && /^[a-z0-9]+$/.test(profile.id) && typeof profile.name === "string"
+        )
+      : [];
+    if (!this.profiles.some((profile) => profile.id === this.defaultProfileId)) {
+      this.profiles.unshift({
+        id: this.defaultProfileId,
+        name: "Space Explorer",
+        color: null,
+        createdAt: new Date().toISOString(),
+      });
+    }
+    this.activeId = this.profiles.some((profile) => profile.id === saved.activeId)
+      ? saved.activeId
+      : this.defaultProfileId;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ activeId: this.activeId, profiles: this.profiles })
+      );
+    } catch (error) {
+      JSVLogger.warn("⚠️ Failed to save profiles");
+    }
+  }
+
+  notifyListeners(event, profile) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, profile);
+      } catch (error) {
+        JSVLogger.error("❌ Profile listener error:", error);
+      }
+    });
+  }
+
+  /**
+   * Add a listener for profile changes
+   * @returns {Function} Removes the listener
+   */
+  addListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter((listener) => listener !== callback);
+    };
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ProfileManager.instance) {
+      ProfileManager.instance = new ProfileManager();
+    }
+    return ProfileManager.instance;
+  }
+}
+
+// Create singleton instance
+const profileManagerInstance = ProfileManager.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.ProfileManager = profileManagerInstance;
+}
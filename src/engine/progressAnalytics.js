@@ -0,0 +1,218 @@
+// src/engine/progressAnalytics.js - Progress Dashboard Data
+
+/**
+ * ProgressAnalytics - Derives dashboard statistics from the saved state
+ * Everything is computed on demand from StateManager data (completed
+ * concepts, daily activity, quiz attempts and per-question history), so
+ * the dashboard always matches the persisted progress.
+ */
+
+class ProgressAnalytics {
+  constructor() {
+    this.defaultColor = "#00d4ff";
+    this.minAnsweredForWeakness = 2;
+  }
+
+  /**
+   * Headline numbers for the dashboard
+   */
+  getSummary() {
+    const state = StateManager.getState();
+
+    return {
+      level: state.user.level,
+      totalXP: state.user.totalXP,
+      overallProgress: state.progress.overallProgress,
+      streakDays: state.stats.streakDays,
+      totalTimeSpent: state.stats.totalTimeSpent,
+      quizzesCompleted: state.stats.quizzesCompleted,
+      achievements: state.achievements.length,
+    };
+  }
+
+  /**
+   * Completion of sections, exercises and the quiz on every planet
+   */
+  getPlanetBreakdown() {
+    const state = StateManager.getState();
+    const completed = state.progress.completedConcepts;
+    const attempts = state.quizAttempts;
+
+    return CurriculumGraph.getTopologicalOrder().map((planetId) => {
+      const sectionsDone = completed.filter((id) => id.startsWith(`${planetId}-section-`)).length;
+      const exercisesDone = completed.filter((id) => id.startsWith(`${planetId}-exercise-`)).length;
+      const planetAttempts = attempts.filter((attempt) => attempt.planetId === planetId);
+      const structure = ConceptLoader.conceptStructure[planetId];
+
+      return {
+        planetId,
+        ...this.getPlanetInfo(planetId),
+        unlocked: state.progress.unlockedPlanets.includes(planetId),
+        sections: {
+          completed: sectionsDone,
+          total: Math.max(CurriculumGraph.getConceptCount(planetId), sectionsDone),
+        },
+        exercises: {
+          completed: exercisesDone,
+          total: Math.max(structure ? structure.exercises : 0, exercisesDone),
+        },
+        quiz: {
+          passed: completed.includes(`${planetId}-quiz`),
+          attempts: planetAttempts.length,
+          bestScore: planetAttempts.length
+            ? Math.max(...planetAttempts.map((attempt) => attempt.percentage))
+            : null,
+        },
+        timeSpent: state.stats.timeByPlanet[planetId] || 0,
+      };
+    });
+  }
+
+  /**
+   * Daily and cumulative XP for the last `days` days. Cumulative values
+   * count back from the current total, so XP earned before activity was
+   * logged is still included.
+   */
+  getXPTimeline(days = 30, now = new Date()) {
+    const activity = StateManager.getActivity();
+    const dates = this.getDateRange(days, now);
+    let total = StateManager.getState().user.totalXP;
+
+    const timeline = [];
+    for (let i = dates.length - 1; i >= 0; i--) {
+      const xp = activity[dates[i].key]?.xp || 0;
+      timeline.unshift({ date: dates[i].key, xp, total: Math.max(0, total) });
+      total -= xp;
+    }
+    return timeline;
+  }
+
+  /**
+   * Activity level (0-4) of each day in the last `weeks` weeks, starting
+   * on a Sunday so the calendar fills whole columns
+   */
+  getStreakCalendar(weeks = 12, now = new Date()) {
+    const activity = StateManager.getActivity();
+    const daysShown = (weeks - 1) * 7 + now.getDay() + 1;
+
+    return this.getDateRange(daysShown, now).map(({ key, date }) => {
+      const day = activity[key] || { xp: 0, timeSpent: 0, visits: 0 };
+      return {
+        date: key,
+        weekday: date.getDay(),
+        xp: day.xp || 0,
+        timeSpent: day.timeSpent || 0,
+        level: this.getActivityLevel(day),
+      };
+    });
+  }
+
+  /**
+   * 0 = no activity, 1 = visit only, 2-4 = growing XP
+   */
+  getActivityLevel(day) {
+    const xp = day.xp || 0;
+    if (xp >= 300) return 4;
+    if (xp >= 100) return 3;
+    if (xp > 0 || day.timeSpent > 0) return 2;
+    return day.visits > 0 ? 1 : 0;
+  }
+
+  /**
+   * Planets with recorded learning time, longest first
+   */
+  getTimeByPlanet() {
+    const timeByPlanet = StateManager.getStats().timeByPlanet || {};
+
+    return Object.entries(timeByPlanet)
+      .filter(([, seconds]) => seconds > 0)
+      .map(([planetId, seconds]) => ({ planetId, ...this.getPlanetInfo(planetId), seconds }))
+      .sort((a, b) => b.seconds - a.seconds);
+  }
+
+  /**
+   * Most recent quiz attempts, oldest first
+   */
+  getQuizTrend(limit = 20) {
+    return StateManager.getQuizAttempts()
+      .slice(-limit)
+      .map((attempt) => ({ ...attempt, ...this.getPlanetInfo(attempt.planetId) }));
+  }
+
+  /**
+   * Planets with the lowest quiz accuracy, judged by the latest answer to
+   * every question
+   */
+  getWeakestTopics(limit = 3) {
+    const history = StateManager.getState().questionHistory;
+    const byPlanet = {};
+
+    Object.values(history).forEach((answers) => {
+      const latest = answers[answers.length - 1];
+      if (!latest || !latest.planetId) return;
+
+      const planet = byPlanet[latest.planetId] || { credit: 0, answered: 0, missed: 0 };
+      planet.credit += latest.credit || 0;
+      planet.answered += 1;
+      planet.missed += latest.correct ? 0 : 1;
+      byPlanet[latest.planetId] = planet;
+    });
+
+    return Object.entries(byPlanet)
+      .filter(([, planet]) => planet.answered >= this.minAnsweredForWeakness && planet.missed > 0)
+      .map(([planetId, planet]) => ({
+        planetId,
+        ...this.getPlanetInfo(planetId),
+        accuracy: Math.round((planet.credit / planet.answered) * 100),
+        answered: planet.answered,
+        missed: planet.missed,
+      }))
+      .sort((a, b) => a.accuracy - b.accuracy || b.missed - a.missed)
+      .slice(0, limit);
+  }
+
+  /**
+   * Display title and color of a planet
+   */
+  getPlanetInfo(planetId) {
+    const definition =
+      typeof GalaxyRenderer !== "undefined" && GalaxyRenderer.planetDefinitions
+        ? GalaxyRenderer.planetDefinitions[planetId]
+        : null;
+
+    return {
+      title: definition?.title || planetId.charAt(0).toUpperCase() + planetId.slice(1),
+      color: definition?.color || this.defaultColor,
+    };
+  }
+
+  /**
+   * The last `days` local dates ending today, oldest first
+   */
+  getDateRange(days, now = new Date()) {
+    const range = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+      range.push({ date, key: StateManager.getDateKey(date) });
+    }
+    return range;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ProgressAnalytics.instance) {
+      ProgressAnalytics.instance = new ProgressAnalytics();
+    }
+    return ProgressAnalytics.instance;
+  }
+}
+
+// Create singleton instance
+const progressAnalyticsInstance = ProgressAnalytics.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.ProgressAnalytics = progressAnalyticsInstance;
+}
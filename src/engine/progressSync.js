@@ -0,0 +1,336 @@
+// src/engine/progressSync.js - Progress Sync with the JSVerseHub Server
+
+/**
+ * ProgressSync - Keeps StateManager in step with the progress API in
+ * server/progressApi.js so progress follows a learner between machines.
+ * Pulls and merges server progress on start, pushes saved state a few
+ * seconds after it changes, and keeps a pending flag (persisted with the
+ * sync id) while offline so the latest state is pushed once back online.
+ * Conflicting writes (412) are merged with StateManager.mergeRemoteState
+ * and retried. Listeners receive (status, detail) for "idle", "syncing",
+ * "offline", "error" and "disabled". Progress is synced under the
+ * signed-in account (see AuthClient), whose session cookie the server
+ * checks; guests cannot sync.
+ */
+
+class ProgressSync {
+  constructor() {
+    this.baseUrl = "/api";
+    this.configKey = "jsversehub-progress-sync";
+    this.pushDelay = 2000;
+    this.maxConflictRetries = 3;
+    this.userId = null;
+    this.etag = null;
+    this.pending = false; // local changes the server has not seen
+    this.lastPushed = null;
+    this.status = "disabled";
+    this.statusDetail = null;
+    this.pushTimer = null;
+    this.running = null;
+    this.runAgain = false;
+    this.listeners = [];
+    this.handleOnline = () => this.sync();
+    this.removeStateListener = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Restore the sync id and sync once
+   */
+  async init() {
+    this.loadConfig();
+    if (typeof window !== "undefined") {
+      window.removeEventListener("online", this.handleOnline);
+      window.addEventListener("online", this.handleOnline);
+    }
+    if (!this.removeStateListener) {
+      this.removeStateListener = StateManager.addListener((event) => {
+        if (event === "userChanged") this.switchAccount();
+      });
+    }
+    this.isInitialized = true;
+
+    if (this.userId) {
+      JSVLogger.info(`🔄 Progress sync enabled for "${this.userId}"`);
+      await this.sync();
+    }
+    return this;
+  }
+
+  /**
+   * Pick up the sync id of the account StateManager switched to
+   */
+  switchAccount() {
+    clearTimeout(this.pushTimer);
+    this.lastPushed = null;
+    this.loadConfig();
+    this.setStatus(this.userId ? "idle" : "disabled");
+    if (this.userId) {
+      this.sync();
+    }
+  }
+
+  /**
+   * Start syncing this browser's progress under the signed-in account
+   */
+  async connect() {
+    const accountId = this.getAccountId();
+    if (!accountId) {
+      throw new Error("Sign in to sync progress across devices");
+    }
+
+    this.userId = accountId;
+    this.etag = null;
+    this.lastPushed = null;
+    // Local progress the server has not seen yet gets merged and pushed
+    this.pending = true;
+    this.saveConfig();
+    return this.sync();
+  }
+
+  /**
+   * Stop syncing; local progress is kept
+   */
+  disconnect() {
+    clearTimeout(this.pushTimer);
+    this.userId = null;
+    this.etag = null;
+    this.pending = false;
+    this.saveConfig();
+    this.setStatus("disabled");
+  }
+
+  /**
+   * Called by StateManager after it saves: push once changes settle
+   */
+  schedulePush() {
+    if (!this.userId) return;
+
+    this.pending = true;
+    this.saveConfig();
+    clearTimeout(this.pushTimer);
+    this.pushTimer = setTimeout(() => this.sync(), this.pushDelay);
+  }
+
+  /**
+   * Pull, merge and push pending changes; calls during a sync run it again
+   * afterwards
+   * @returns {Promise<boolean>} Whether the server is up to date
+   */
+  sync() {
+    if (!this.userId) return Promise.resolve(false);
+
+    if (this.running) {
+      this.runAgain = true;
+      return this.running;
+    }
+
+    this.running = this.run().finally(() => {
+      this.running = null;
+      if (this.runAgain) {
+        this.runAgain = false;
+        this.sync();
+      }
+    });
+    return this.running;
+  }
+
+  async run() {
+    clearTimeout(this.pushTimer);
+
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      this.setStatus("offline");
+      return false;
+    }
+
+    this.setStatus("syncing");
+    try {
+      await this.pull();
+      for (let attempt = 0; this.pending && attempt <= this.maxConflictRetries; attempt++) {
+        await this.push();
+      }
+
+      if (this.pending) {
+        throw new Error("Progress kept changing on the server, try again later");
+      }
+      this.setStatus("idle");
+      return true;
+    } catch (error) {
+      // fetch rejects with a TypeError when the server cannot be reached
+      const status = error instanceof TypeError ? "offline" : "error";
+      JSVLogger.warn(`⚠️ Progress sync ${status}:`, error.message);
+      this.setStatus(status, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Merge the server's progress into StateManager
+   */
+  async pull() {
+    const headers = this.etag ? { "If-None-Match": this.etag } : {};
+    const response = await fetch(this.getUrl(), { headers, cache: "no-store", credentials: "same-origin" });
+
+    if (response.status === 304) return;
+    if (response.status === 404) {
+      // Nothing saved yet: our progress becomes the server's
+      this.etag = null;
+      this.pending = true;
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(await this.readError(response));
+    }
+
+    this.applyRemote(await response.json(), response.headers.get("ETag"));
+  }
+
+  /**
+   * Save the current state if it matches the ETag we last saw
+   */
+  async push() {
+    const body = JSON.stringify({
+      state: StateManager.getState(),
+      changedAt: StateManager.changedAt,
+    });
+    if (body === this.lastPushed) {
+      this.pending = false;
+      this.saveConfig();
+      return;
+    }
+
+    const response = await fetch(this.getUrl(), {
+      method: "PUT",
+      credentials: "same-origin",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.etag ? { "If-Match": this.etag } : { "If-None-Match": "*" }),
+      },
+      body,
+    });
+
+    if (response.status === 412) {
+      // Another machine saved first: merge its progress, then retry
+      const { current } = await response.json();
+      if (current) {
+        this.applyRemote(current, response.headers.get("ETag"));
+      } else {
+        this.etag = null;
+      }
+      return;
+    }
+    if (response.status === 428) {
+      await this.pull();
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(await this.readError(response));
+    }
+
+    this.etag = response.headers.get("ETag");
+    this.lastPushed = body;
+    this.pending = false;
+    this.saveConfig();
+    JSVLogger.debug(`🔄 Progress pushed for "${this.userId}"`);
+  }
+
+  applyRemote({ state, changedAt }, etag) {
+    this.etag = etag;
+    if (StateManager.mergeRemoteState(JSON.stringify(state), changedAt)) {
+      JSVLogger.info("🔄 Merged progress from another device");
+    }
+    // Push back local changes the server lacks
+    if (JSON.stringify(StateManager.getState()) !== JSON.stringify(state)) {
+      this.pending = true;
+    }
+    this.saveConfig();
+  }
+
+  async readError(response) {
+    try {
+      const { error } = await response.json();
+      return error || `Server responded ${response.status}`;
+    } catch (error) {
+      return `Server responded ${response.status}`;
+    }
+  }
+
+  getUrl() {
+    return `${this.baseUrl}/progress/${encodeURIComponent(this.userId)}`;
+  }
+
+  /**
+   * The signed-in account's username, or null for guests
+   */
+  getAccountId() {
+    return typeof window.AuthClient !== "undefined" ? window.AuthClient.getUserId() : null;
+  }
+
+  loadConfig() {
+    try {
+      const config = JSON.parse(localStorage.getItem(StateManager.getUserKey(this.configKey)) || "{}");
+      // Sync ids saved before accounts existed, or by guests, are dropped
+      this.userId = config.userId && config.userId === this.getAccountId() ? config.userId : null;
+      this.etag = config.etag || null;
+      this.pending = Boolean(config.pending);
+    } catch (error) {
+      JSVLogger.warn("⚠️ Ignoring unreadable progress sync settings");
+    }
+  }
+
+  saveConfig() {
+    try {
+      if (this.userId) {
+        localStorage.setItem(
+          StateManager.getUserKey(this.configKey),
+          JSON.stringify({ userId: this.userId, etag: this.etag, pending: this.pending })
+        );
+      } else {
+        localStorage.removeItem(StateManager.getUserKey(this.configKey));
+      }
+    } catch (error) {
+      JSVLogger.warn("⚠️ Failed to save progress sync settings");
+    }
+  }
+
+  setStatus(status, detail = null) {
+    this.status = status;
+    this.statusDetail = detail;
+    this.listeners.forEach((callback) => {
+      try {
+        callback(status, detail);
+      } catch (error) {
+        JSVLogger.error("❌ Progress sync listener error:", error);
+      }
+    });
+  }
+
+  /**
+   * Add a listener for sync status changes
+   * @returns {Function} Removes the listener
+   */
+  addListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter((listener) => listener !== callback);
+    };
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ProgressSync.instance) {
+      ProgressSync.instance = new ProgressSync();
+    }
+    return ProgressSync.instance;
+  }
+}
+
+// Create singleton instance
+const progressSyncInstance = ProgressSync.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.ProgressSync = progressSyncInstance;
+}
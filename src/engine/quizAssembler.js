@@ -0,0 +1,255 @@
+// src/engine/quizAssembler.js - Randomized Quiz Assembly
+
+/**
+ * QuizAssembler - Draws each quiz attempt from the planet's question bank
+ * with a seeded random generator. Picks take turns across the bank's
+ * sections and favour difficulty levels the attempt has few of, weighted
+ * by the difficulty setting (AdaptiveDifficulty). Questions asked in
+ * earlier attempts are only reused once the rest of the bank is used up,
+ * least recently asked first. Options are shuffled with the answer key
+ * remapped. The seed and question ids are saved with the attempt, so
+ * rebuild() shows a past attempt exactly as it was asked.
+ */
+
+class QuizAssembler {
+  constructor() {
+    // Lists in the order the learner sees them, by question type
+    this.shuffledKeys = { "multiple-choice": "options", "multi-select": "options", ordering: "items" };
+    // Options that refer to the others by position stay in authoring order
+    this.positionalOption = /\b(all|none|both|neither) of the (above|options)\b/i;
+    this.difficultyOrder = ["easy", "medium", "hard"];
+  }
+
+  /**
+   * A new 32-bit seed
+   */
+  createSeed() {
+    return Math.floor(Math.random() * 2 ** 32);
+  }
+
+  /**
+   * Seeded generator (mulberry32) returning floats in [0, 1)
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Seed of one question's option order (FNV-1a of the attempt seed and
+   * question id), so it does not depend on which other questions were drawn
+   */
+  deriveSeed(seed, questionId) {
+    let hash = 0x811c9dc5;
+    for (const char of `${seed}:${questionId}`) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Assemble one attempt of a planet's quiz
+   * @param {Object} quiz - ConceptLoader quiz, whose questions are the bank
+   * @param {Object} options - {seed, weights: difficulty -> pick weight}
+   * @returns {Object} The quiz with this attempt's questions and its seed
+   */
+  assemble(planetId, quiz, options = {}) {
+    const seed = options.seed ?? this.createSeed();
+    const weights = options.weights || this.getDifficultyWeights(planetId);
+    const random = this.createRandom(seed);
+    const count = Math.min(quiz.questionCount ?? quiz.questions.length, quiz.questions.length);
+
+    // Unasked questions first, then each earlier attempt's, oldest first
+    const lastAsked = this.getLastAsked(planetId);
+    const pools = [quiz.questions.filter((question) => !lastAsked.has(question.id))];
+    [...new Set(lastAsked.values())]
+      .sort((a, b) => a - b)
+      .forEach((attemptIndex) => {
+        pools.push(quiz.questions.filter((question) => lastAsked.get(question.id) === attemptIndex));
+      });
+
+    const tally = { sections: {}, difficulty: {} };
+    const picked = [];
+    pools.forEach((pool) => {
+      picked.push(...this.pickBalanced(pool, count - picked.length, weights, random, tally));
+    });
+
+    // Easier questions first; the draw decides the order within a level
+    const questions = this.shuffle(picked, random)
+      .sort((a, b) => this.getDifficultyRank(a) - this.getDifficultyRank(b))
+      .map((question) => this.shuffleOptions(question, seed));
+
+    return {
+      ...quiz,
+      questions,
+      seed,
+      totalPoints: questions.reduce((sum, question) => sum + (question.points || 0), 0),
+    };
+  }
+
+  /**
+   * Pick up to `count` questions from a pool, taking turns across sections.
+   * Within the sections with the fewest picks so far, a question's chance
+   * is its difficulty weight divided by the square of one more than the
+   * picks of its difficulty level (weighted sampling with
+   * Efraimidis-Spirakis keys).
+   * @param {Object} tally - {sections, difficulty} pick counts, updated in place
+   */
+  pickBalanced(pool, count, weights, random, tally) {
+    const remaining = [...pool];
+    const picked = [];
+    const sectionOf = (question) => question.section || "general";
+
+    while (picked.length < count && remaining.length > 0) {
+      const fewest = Math.min(...remaining.map((question) => tally.sections[sectionOf(question)] || 0));
+      let best = -1;
+      let bestKey = -Infinity;
+      remaining.forEach((question, index) => {
+        if ((tally.sections[sectionOf(question)] || 0) !== fewest) return;
+        const drawn = tally.difficulty[question.difficulty] || 0;
+        const weight = (weights[question.difficulty] ?? 1) / (1 + drawn) ** 2;
+        const key = Math.log(random()) / weight;
+        if (best === -1 || key > bestKey) {
+          best = index;
+          bestKey = key;
+        }
+      });
+
+      const [question] = remaining.splice(best, 1);
+      tally.sections[sectionOf(question)] = (tally.sections[sectionOf(question)] || 0) + 1;
+      tally.difficulty[question.difficulty] = (tally.difficulty[question.difficulty] || 0) + 1;
+      picked.push(question);
+    }
+    return picked;
+  }
+
+  /**
+   * Copy a question with its options (or ordering items) shuffled and the
+   * answer key pointing at the same options in their new places
+   */
+  shuffleOptions(question, seed) {
+    const type = QuizScorer.getType(question);
+    const key = this.shuffledKeys[type];
+    const list = key ? question[key] : null;
+    if (!Array.isArray(list) || list.length < 2) return question;
+    if (list.some((option) => this.positionalOption.test(String(option)))) return question;
+
+    const random = this.createRandom(this.deriveSeed(seed, question.id));
+    // order[newIndex] = index in the authored list
+    let order = this.shuffle(list.map((option, index) => index), random);
+    // Ordering questions start out answered in the order shown
+    let tries = 0;
+    while (type === "ordering" && tries < 5 && this.isSameOrder(order, question.correctAnswer)) {
+      order = this.shuffle(order, random);
+      tries += 1;
+    }
+
+    const newIndex = [];
+    order.forEach((authoredIndex, index) => {
+      newIndex[authoredIndex] = index;
+    });
+    const answer = question.correctAnswer;
+    return {
+      ...question,
+      [key]: order.map((index) => list[index]),
+      correctAnswer: Array.isArray(answer) ? answer.map((index) => newIndex[index]) : newIndex[answer],
+    };
+  }
+
+  /**
+   * Show a saved attempt again: the same questions, order and options
+   * @param {Object} attempt - StateManager quiz attempt with seed and questionIds
+   * @returns {Object|null} Null when the attempt was not assembled or a
+   *   question is no longer in the bank
+   */
+  rebuild(quiz, attempt) {
+    if (!attempt || attempt.seed === undefined || !Array.isArray(attempt.questionIds)) return null;
+
+    const byId = new Map(quiz.questions.map((question) => [question.id, question]));
+    if (!attempt.questionIds.every((id) => byId.has(id))) return null;
+
+    const questions = attempt.questionIds.map((id) => this.shuffleOptions(byId.get(id), attempt.seed));
+    return {
+      ...quiz,
+      questions,
+      seed: attempt.seed,
+      totalPoints: questions.reduce((sum, question) => sum + (question.points || 0), 0),
+    };
+  }
+
+  /**
+   * Question id -> index of the latest attempt of the planet that asked it
+   */
+  getLastAsked(planetId) {
+    const lastAsked = new Map();
+    StateManager.getQuizAttempts().forEach((attempt, index) => {
+      if (attempt.planetId !== planetId || !Array.isArray(attempt.questionIds)) return;
+      attempt.questionIds.forEach((id) => lastAsked.set(id, index));
+    });
+    return lastAsked;
+  }
+
+  /**
+   * Latest attempt of a planet that can be shown again
+   */
+  getLastAttempt(planetId) {
+    return (
+      StateManager.getQuizAttempts()
+        .filter((attempt) => attempt.planetId === planetId && attempt.seed !== undefined)
+        .pop() || null
+    );
+  }
+
+  getDifficultyWeights(planetId) {
+    if (typeof window.AdaptiveDifficulty === "undefined") {
+      return {};
+    }
+    return window.AdaptiveDifficulty.getDifficultyWeights(planetId);
+  }
+
+  getDifficultyRank(question) {
+    const rank = this.difficultyOrder.indexOf(question.difficulty);
+    return rank === -1 ? 1 : rank;
+  }
+
+  /**
+   * Fisher-Yates shuffle of a copy
+   */
+  shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  isSameOrder(order, correctOrder) {
+    return Array.isArray(correctOrder) && order.every((index, position) => index === correctOrder[position]);
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!QuizAssembler.instance) {
+      QuizAssembler.instance = new QuizAssembler();
+    }
+    return QuizAssembler.instance;
+  }
+}
+
+// Create singleton instance
+const quizAssemblerInstance = QuizAssembler.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.QuizAssembler = quizAssemblerInstance;
+}
@@ -0,0 +1,253 @@
+// src/engine/quizScorer.js - Quiz Question Scoring
+
+/**
+ * QuizScorer - Validates and scores the quiz question types
+ * Every question is scored on its own and can earn partial credit, so a
+ * quiz score is the sum of question credits rather than a count of
+ * all-or-nothing matches.
+ *
+ * Question shapes (the answer key is always `correctAnswer`):
+ * - multiple-choice: {options, correctAnswer: optionIndex}
+ * - true-false:      {code?, correctAnswer: boolean}
+ * - output:          {code, correctAnswer: expectedOutput | [accepted outputs]}
+ * - multi-select:    {options, correctAnswer: [optionIndex, ...]}
+ * - ordering:        {items, correctAnswer: [itemIndex, ...] in correct order}
+ * - fill-blank:      {code with ___ blanks, correctAnswer: [blankAnswer | [accepted], ...]}
+ */
+
+class QuizScorer {
+  constructor() {
+    this.defaultType = "multiple-choice";
+    this.blankMarker = "___";
+
+    this.types = {
+      "multiple-choice": {
+        isValid: (question) =>
+          this.isIndexIn(question.correctAnswer, question.options),
+        score: (question, answer) => (answer === question.correctAnswer ? 1 : 0),
+        format: (question, answer) => question.options[answer],
+      },
+      "true-false": {
+        isValid: (question) => typeof question.correctAnswer === "boolean",
+        score: (question, answer) => (answer === question.correctAnswer ? 1 : 0),
+        format: (question, answer) =>
+          typeof answer === "boolean" ? (answer ? "True" : "False") : null,
+      },
+      output: {
+        isValid: (question) =>
+          typeof question.code === "string" &&
+          this.toList(question.correctAnswer).every((value) => typeof value === "string"),
+        score: (question, answer) => {
+          if (typeof answer !== "string") return 0;
+          const given = this.normalizeOutput(answer);
+          return this.toList(question.correctAnswer).some(
+            (expected) => this.normalizeOutput(expected) === given
+          )
+            ? 1
+            : 0;
+        },
+        format: (question, answer) =>
+          Array.isArray(answer) ? null : answer,
+      },
+      "multi-select": {
+        isValid: (question) =>
+          Array.isArray(question.correctAnswer) &&
+          question.correctAnswer.length > 0 &&
+          question.correctAnswer.every((index) => this.isIndexIn(index, question.options)),
+        score: (question, answer) => {
+          if (!Array.isArray(answer)) return 0;
+          const hits = answer.filter((index) => question.correctAnswer.includes(index)).length;
+          const misses = answer.length - hits;
+          return Math.max(0, (hits - misses) / question.correctAnswer.length);
+        },
+        format: (question, answer) =>
+          Array.isArray(answer) && answer.length > 0
+            ? [...answer].sort((a, b) => a - b).map((index) => question.options[index]).join(", ")
+            : null,
+      },
+      ordering: {
+        isValid: (question) =>
+          Array.isArray(question.items) &&
+          Array.isArray(question.correctAnswer) &&
+          question.correctAnswer.length === question.items.length &&
+          [...question.correctAnswer].sort((a, b) => a - b).every((index, position) => index === position),
+        score: (question, answer) => {
+          if (!Array.isArray(answer) || answer.length !== question.items.length) return 0;
+          const inPlace = answer.filter(
+            (index, position) => index === question.correctAnswer[position]
+          ).length;
+          return inPlace / question.items.length;
+        },
+        format: (question, answer) =>
+          Array.isArray(answer) ? answer.map((index) => question.items[index]).join(" → ") : null,
+      },
+      "fill-blank": {
+        isValid: (question) =>
+          typeof question.code === "string" &&
+          Array.isArray(question.correctAnswer) &&
+          question.correctAnswer.length > 0 &&
+          question.correctAnswer.length === this.countBlanks(question.code),
+        score: (question, answer) => {
+          if (!Array.isArray(answer)) return 0;
+          const filled = question.correctAnswer.filter((accepted, blankIndex) => {
+            const given = this.normalizeCode(answer[blankIndex]);
+            return given !== "" && this.toList(accepted).some(
+              (value) => this.normalizeCode(value) === given
+            );
+          }).length;
+          return filled / question.correctAnswer.length;
+        },
+        format: (question, answer) =>
+          Array.isArray(answer) && answer.some((value) => value && value.trim())
+            ? answer.map((value) => (value && value.trim()) || "…").join(" | ")
+            : null,
+      },
+    };
+  }
+
+  /**
+   * Get a question's type, defaulting to multiple choice
+   */
+  getType(question) {
+    return question.type || this.defaultType;
+  }
+
+  /**
+   * Check that a question has a known type and a usable answer key
+   */
+  isValidQuestion(question) {
+    if (!question || typeof question.question !== "string") return false;
+    const handler = this.types[this.getType(question)];
+    return Boolean(handler && handler.isValid(question));
+  }
+
+  /**
+   * Score one answer
+   * @returns {{credit: number, correct: boolean, answered: boolean}}
+   */
+  scoreQuestion(question, answer) {
+    const handler = this.types[this.getType(question)];
+    const answered = this.isAnswered(answer);
+    const credit = handler && answered ? handler.score(question, answer) : 0;
+
+    return {
+      credit: Math.round(credit * 100) / 100,
+      correct: credit === 1,
+      answered,
+    };
+  }
+
+  /**
+   * Score a whole quiz. Each question is worth the same, partial credit
+   * included.
+   * @param {Array} questions - Normalized quiz questions
+   * @param {Array} answers - Answers by question index
+   */
+  scoreQuiz(questions, answers = []) {
+    const results = questions.map((question, index) => ({
+      questionId: question.id,
+      ...this.scoreQuestion(question, answers[index]),
+    }));
+    const score = Math.round(
+      results.reduce((sum, result) => sum + result.credit, 0) * 100
+    ) / 100;
+
+    return {
+      results,
+      score,
+      total: questions.length,
+      correctCount: results.filter((result) => result.correct).length,
+      percentage: questions.length > 0 ? Math.round((score / questions.length) * 100) : 0,
+    };
+  }
+
+  /**
+   * Readable version of a learner's answer, or null when unanswered
+   */
+  formatAnswer(question, answer) {
+    const handler = this.types[this.getType(question)];
+    if (!handler || !this.isAnswered(answer)) return null;
+    const formatted = handler.format(question, answer);
+    return formatted === undefined ? null : formatted;
+  }
+
+  /**
+   * Readable version of the answer key
+   */
+  formatCorrectAnswer(question) {
+    const type = this.getType(question);
+    if (type === "output") {
+      return this.toList(question.correctAnswer)[0];
+    }
+    if (type === "fill-blank") {
+      return question.correctAnswer.map((accepted) => this.toList(accepted)[0]).join(" | ");
+    }
+    return this.formatAnswer(question, question.correctAnswer);
+  }
+
+  isAnswered(answer) {
+    if (answer === undefined || answer === null) return false;
+    if (typeof answer === "string") return answer.trim() !== "";
+    if (Array.isArray(answer)) {
+      return answer.some((value) => this.isAnswered(value));
+    }
+    return true;
+  }
+
+  /**
+   * Split fill-blank code into the text around its blanks
+   */
+  splitBlanks(code) {
+    return code.split(this.blankMarker);
+  }
+
+  countBlanks(code) {
+    return this.splitBlanks(code).length - 1;
+  }
+
+  /**
+   * Compare printed output line by line, ignoring surrounding whitespace
+   */
+  normalizeOutput(value) {
+    return String(value)
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+      .map((line) => line.trim().replace(/\s+/g, " "))
+      .filter((line) => line !== "")
+      .join("\n");
+  }
+
+  /**
+   * Compare code fragments ignoring spacing and a trailing semicolon
+   */
+  normalizeCode(value) {
+    if (typeof value !== "string") return "";
+    return value.trim().replace(/\s+/g, " ").replace(/;$/, "").trim();
+  }
+
+  isIndexIn(index, list) {
+    return Array.isArray(list) && Number.isInteger(index) && index >= 0 && index < list.length;
+  }
+
+  toList(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!QuizScorer.instance) {
+      QuizScorer.instance = new QuizScorer();
+    }
+    return QuizScorer.instance;
+  }
+}
+
+// Create singleton instance
+const quizScorerInstance = QuizScorer.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.QuizScorer = quizScorerInstance;
+}
@@ -0,0 +1,217 @@
+// src/engine/reviewScheduler.js - Spaced Repetition Review
+
+/**
+ * ReviewScheduler - Schedules quiz questions for review with SM-2
+ * Every graded quiz answer updates the question's card: missed questions
+ * come back tomorrow, remembered ones at growing intervals. Cards that are
+ * due on unlocked planets make up the daily review deck, which
+ * ConceptViewer runs with the regular quiz UI.
+ */
+
+class ReviewScheduler {
+  constructor() {
+    this.dailyLimit = 20;
+    this.secondsPerCard = 60;
+    this.defaultEasiness = 2.5;
+    this.minEasiness = 1.3;
+    this.removeListener = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Subscribe to graded quiz answers
+   */
+  init() {
+    if (this.removeListener) {
+      this.removeListener();
+    }
+    this.removeListener = StateManager.addListener((event, data) => {
+      if (event === "questionsAnswered") {
+        this.scheduleAnswers(data.answers);
+      }
+    });
+
+    this.isInitialized = true;
+    JSVLogger.info(`🔁 ReviewScheduler initialized, ${this.getDueCount()} cards due`);
+    return this;
+  }
+
+  /**
+   * Update the cards of graded answers
+   * @param {Array} answers - StateManager question answer records
+   */
+  scheduleAnswers(answers, now = new Date()) {
+    const schedule = StateManager.getReviewSchedule();
+    const cards = answers.map((answer) =>
+      this.reviewCard(
+        schedule[answer.questionId] || this.createCard(answer.questionId, answer.planetId),
+        this.getQuality(answer),
+        now
+      )
+    );
+
+    if (cards.length > 0) {
+      StateManager.updateReviewCards(cards);
+    }
+    return cards;
+  }
+
+  /**
+   * Build a card for a question that has never been reviewed
+   */
+  createCard(questionId, planetId) {
+    return {
+      questionId,
+      planetId,
+      easiness: this.defaultEasiness,
+      interval: 0,
+      repetitions: 0,
+      lapses: 0,
+      dueDate: null,
+      lastReviewed: null,
+    };
+  }
+
+  /**
+   * Map a graded answer onto the SM-2 quality scale (0-5)
+   */
+  getQuality(answer) {
+    if (!answer.answered) return 0;
+    if (answer.correct) return 5;
+    if (answer.credit >= 0.5) return 3;
+    if (answer.credit > 0) return 2;
+    return 1;
+  }
+
+  /**
+   * Apply one SM-2 review to a card
+   * @param {number} quality - 0 (blackout) to 5 (perfect recall)
+   */
+  reviewCard(card, quality, now = new Date()) {
+    const easiness = Math.max(
+      this.minEasiness,
+      card.easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    let { repetitions, interval, lapses } = card;
+    if (quality < 3) {
+      repetitions = 0;
+      interval = 1;
+      lapses += card.repetitions > 0 ? 1 : 0;
+    } else {
+      repetitions += 1;
+      if (repetitions === 1) {
+        interval = 1;
+      } else if (repetitions === 2) {
+        interval = 6;
+      } else {
+        interval = Math.round(interval * easiness);
+      }
+    }
+
+    return {
+      ...card,
+      easiness: Math.round(easiness * 100) / 100,
+      interval,
+      repetitions,
+      lapses,
+      dueDate: this.addDays(now, interval).toISOString(),
+      lastReviewed: now.toISOString(),
+    };
+  }
+
+  /**
+   * Get due cards on unlocked planets, most overdue and hardest first
+   */
+  getDueCards(now = new Date(), limit = this.dailyLimit) {
+    const unlockedPlanets = StateManager.getProgress().unlockedPlanets;
+
+    return Object.values(StateManager.getReviewSchedule())
+      .filter(
+        (card) =>
+          unlockedPlanets.includes(card.planetId) &&
+          card.dueDate &&
+          new Date(card.dueDate) <= now
+      )
+      .sort(
+        (a, b) =>
+          new Date(a.dueDate) - new Date(b.dueDate) || a.easiness - b.easiness
+      )
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the number of cards in today's deck
+   */
+  getDueCount(now = new Date()) {
+    return this.getDueCards(now).length;
+  }
+
+  /**
+   * Build today's review deck as a quiz ConceptViewer can run.
+   * Cards whose question no longer exists in the planet content are skipped.
+   */
+  async buildDeck(now = new Date()) {
+    const cards = this.getDueCards(now);
+    const planetIds = [...new Set(cards.map((card) => card.planetId))];
+    const concepts = await Promise.all(
+      planetIds.map((planetId) =>
+        ConceptLoader.loadConcept(planetId).catch((error) => {
+          JSVLogger.warn(`⚠️ Could not load ${planetId} for review:`, error);
+          return null;
+        })
+      )
+    );
+
+    const questionsById = new Map();
+    concepts.filter(Boolean).forEach((concept) => {
+      concept.quiz.questions.forEach((question) => {
+        questionsById.set(question.id, {
+          ...question,
+          planetId: concept.id,
+          planetTitle: concept.overview.title,
+        });
+      });
+    });
+
+    const questions = cards
+      .map((card) => questionsById.get(card.questionId))
+      .filter(Boolean);
+
+    return {
+      id: "review",
+      title: "Daily Review",
+      description: "Questions due for review across your unlocked planets",
+      isReview: true,
+      questions,
+      timeLimit: questions.length * this.secondsPerCard,
+      passingScore: 80,
+      totalPoints: questions.reduce((sum, question) => sum + (question.points || 0), 0),
+    };
+  }
+
+  /**
+   * Local midnight `days` days after `date`
+   */
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ReviewScheduler.instance) {
+      ReviewScheduler.instance = new ReviewScheduler();
+    }
+    return ReviewScheduler.instance;
+  }
+}
+
+// Create singleton instance
+const reviewSchedulerInstance = ReviewScheduler.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.ReviewScheduler = reviewSchedulerInstance;
+}
@@ -0,0 +1,322 @@
+// src/engine/sessionTracker.js - Active Time and Learning Sessions
+
+/**
+ * SessionTracker - Measures time on task. Time counts only while the page
+ * is visible and the learner has used the mouse, keyboard or touch within
+ * idleTimeout; reading without input still counts up to that limit. Active
+ * time is added to StateManager every commitInterval and whenever the open
+ * planet or section changes (ConceptViewer calls setContext), so it is
+ * attributed to what was open at the time. A pause longer than
+ * sessionTimeout ends the session. Sessions are saved as they grow, in the
+ * sessionTemplate format from src/assets/data/progress-tracking.json.
+ */
+
+class SessionTracker {
+  constructor() {
+    this.idleTimeout = 2 * 60 * 1000; // ms without input before the learner counts as idle
+    this.sessionTimeout = 30 * 60 * 1000; // ms of pause that end a session
+    this.commitInterval = 60 * 1000; // ms between saves of active time
+    this.tickInterval = 15 * 1000; // ms between idle checks
+    this.inputEvents = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+
+    this.context = { planetId: null, conceptId: null };
+    this.session = null; // sessionTemplate record being recorded
+    this.sessionStats = null; // {planetSeconds, passedExercises, hintsByExercise} behind the record
+    this.lastInputAt = null; // ms
+    this.countedUntil = null; // ms up to which active time was counted
+    this.pendingMs = 0; // active time not yet given to StateManager
+    this.lastCommitAt = null;
+    this.isVisible = true;
+    this.tickTimer = null;
+    this.removeStateListener = null;
+
+    this.handleInput = () => this.recordInput();
+    this.handleVisibilityChange = () => this.setVisible(document.visibilityState !== "hidden");
+    this.handlePageHide = () => {
+      this.commit();
+      StateManager.flush();
+    };
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start measuring; the page being open counts as input
+   */
+  init() {
+    if (this.isInitialized) return this;
+
+    if (typeof document !== "undefined") {
+      this.inputEvents.forEach((type) => {
+        document.addEventListener(type, this.handleInput, { passive: true, capture: true });
+      });
+      document.addEventListener("visibilitychange", this.handleVisibilityChange);
+      window.addEventListener("pagehide", this.handlePageHide);
+      this.isVisible = document.visibilityState !== "hidden";
+    }
+    this.removeStateListener = StateManager.addListener((event, data, state, meta) => {
+      this.handleStateEvent(event, data, meta);
+    });
+    this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+
+    if (this.isVisible) {
+      this.resume();
+    }
+    this.isInitialized = true;
+    JSVLogger.info("⏱️ SessionTracker initialized");
+    return this;
+  }
+
+  /**
+   * Attribute active time from now on to a planet and one of its sections
+   */
+  setContext(planetId = null, conceptId = null) {
+    if (planetId === this.context.planetId && conceptId === this.context.conceptId) return;
+
+    this.commit();
+    this.context = { planetId, conceptId };
+  }
+
+  clearContext() {
+    this.setContext(null, null);
+  }
+
+  /**
+   * Mouse, keyboard or touch input
+   */
+  recordInput(now = Date.now()) {
+    if (!this.isVisible) return;
+
+    if (this.countedUntil === null || now - this.lastInputAt > this.idleTimeout) {
+      // Count the tail of the last stretch, then skip the idle gap
+      this.advance(now);
+      this.resume(now);
+    } else {
+      this.lastInputAt = now;
+    }
+  }
+
+  /**
+   * Start counting again after a pause, without counting the pause. A
+   * pause longer than sessionTimeout starts a new session.
+   */
+  resume(now = Date.now()) {
+    if (this.session && this.countedUntil !== null && now - this.countedUntil > this.sessionTimeout) {
+      this.endSession();
+    }
+    this.countedUntil = now;
+    this.lastInputAt = now;
+    if (!this.session) {
+      this.startSession(now);
+    }
+  }
+
+  setVisible(visible, now = Date.now()) {
+    if (visible === this.isVisible) return;
+
+    if (visible) {
+      this.isVisible = true;
+      this.resume(now);
+    } else {
+      this.commit(now);
+      this.isVisible = false;
+      // StateManager flushed when the page was hidden, before this commit
+      StateManager.flush();
+    }
+  }
+
+  /**
+   * Count active time up to `now`: while visible, and no further than
+   * idleTimeout after the last input
+   */
+  advance(now = Date.now()) {
+    if (!this.isVisible || this.lastInputAt === null || this.countedUntil === null) return;
+
+    const activeUntil = Math.min(now, this.lastInputAt + this.idleTimeout);
+    if (activeUntil > this.countedUntil) {
+      this.pendingMs += activeUntil - this.countedUntil;
+      this.countedUntil = activeUntil;
+    }
+  }
+
+  /**
+   * Periodic check: save active time and end sessions after long pauses
+   */
+  tick(now = Date.now()) {
+    this.advance(now);
+
+    // countedUntil is where the learner was last active
+    if (this.session && this.countedUntil !== null && now - this.countedUntil > this.sessionTimeout) {
+      this.endSession();
+    } else if (this.lastCommitAt === null || now - this.lastCommitAt >= this.commitInterval) {
+      this.commit(now);
+    }
+  }
+
+  /**
+   * Give whole seconds of active time up to `now` to StateManager and the
+   * session
+   */
+  commit(now = Date.now()) {
+    this.advance(now);
+    this.lastCommitAt = now;
+    const seconds = Math.floor(this.pendingMs / 1000);
+    if (seconds < 1) return;
+
+    this.pendingMs -= seconds * 1000;
+    const { planetId, conceptId } = this.context;
+    StateManager.recordTimeSpent(planetId, seconds, new Date(now), conceptId);
+
+    if (this.session) {
+      this.session.duration += seconds;
+      this.session.endTime = new Date(this.countedUntil || now).toISOString();
+      if (planetId) {
+        const planetSeconds = this.sessionStats.planetSeconds;
+        planetSeconds[planetId] = (planetSeconds[planetId] || 0) + seconds;
+        this.session.focusAreas = Object.keys(planetSeconds).sort(
+          (a, b) => planetSeconds[b] - planetSeconds[a]
+        );
+      }
+      this.saveSession();
+    }
+  }
+
+  startSession(now = Date.now()) {
+    this.session = {
+      id: `session-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      startTime: new Date(now).toISOString(),
+      endTime: null,
+      duration: 0, // active seconds
+      exercisesCompleted: 0,
+      pointsEarned: 0,
+      conceptsLearned: [],
+      errorsEncountered: 0,
+      hintsUsed: 0,
+      achievements: [],
+      focusAreas: [], // planetIds, most time first
+    };
+    this.sessionStats = { planetSeconds: {}, passedExercises: new Set(), hintsByExercise: {} };
+    this.lastCommitAt = now;
+    JSVLogger.debug(`⏱️ Session ${this.session.id} started`);
+  }
+
+  /**
+   * Save what is left of the session and close it
+   */
+  endSession() {
+    if (!this.session) return;
+
+    this.commit(this.countedUntil || Date.now());
+    JSVLogger.debug(`⏱️ Session ${this.session.id} ended after ${this.session.duration}s`);
+    this.session = null;
+    this.sessionStats = null;
+    this.countedUntil = null;
+    this.pendingMs = 0;
+  }
+
+  /**
+   * Sessions are saved once they have active time, then updated in place
+   */
+  saveSession() {
+    if (this.session.duration > 0) {
+      StateManager.recordSession(this.session);
+    }
+  }
+
+  getCurrentSession() {
+    return this.session ? { ...this.session } : null;
+  }
+
+  /**
+   * Count what the learner achieved in this session
+   */
+  handleStateEvent(event, data, meta) {
+    // Time and sessions belong to the learner whose state is loaded
+    if (event === "userChanging") {
+      this.endSession();
+      return;
+    }
+    if (event === "userChanged") {
+      if (this.isVisible) this.resume();
+      return;
+    }
+    // Changes merged from other tabs belong to those tabs' sessions
+    if (!this.session || (meta && meta.remote)) return;
+
+    const session = this.session;
+    const stats = this.sessionStats;
+    let changed = true;
+    switch (event) {
+      case "xpGained":
+        session.pointsEarned += data;
+        break;
+      case "exerciseSubmitted": {
+        const { exerciseId, submission } = data;
+        session.errorsEncountered += submission.errors ? submission.errors.length : 0;
+        stats.hintsByExercise[exerciseId] = Math.max(
+          stats.hintsByExercise[exerciseId] || 0,
+          submission.hintsUsed || 0
+        );
+        session.hintsUsed = Object.values(stats.hintsByExercise).reduce((sum, hints) => sum + hints, 0);
+        if (submission.passed) {
+          stats.passedExercises.add(exerciseId);
+          session.exercisesCompleted = stats.passedExercises.size;
+        }
+        break;
+      }
+      case "conceptCompleted":
+        // Passing an exercise completes it as a concept too
+        if (!stats.passedExercises.has(data) && !session.conceptsLearned.includes(data)) {
+          session.conceptsLearned.push(data);
+        }
+        break;
+      case "achievementEarned":
+        session.achievements.push(data.id);
+        break;
+      default:
+        changed = false;
+    }
+    if (changed) {
+      this.saveSession();
+    }
+  }
+
+  /**
+   * Stop measuring (used by tests)
+   */
+  destroy() {
+    this.endSession();
+    clearInterval(this.tickTimer);
+    if (typeof document !== "undefined") {
+      this.inputEvents.forEach((type) => {
+        document.removeEventListener(type, this.handleInput, { capture: true });
+      });
+      document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+      window.removeEventListener("pagehide", this.handlePageHide);
+    }
+    if (this.removeStateListener) {
+      this.removeStateListener();
+      this.removeStateListener = null;
+    }
+    this.context = { planetId: null, conceptId: null };
+    this.lastInputAt = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!SessionTracker.instance) {
+      SessionTracker.instance = new SessionTracker();
+    }
+    return SessionTracker.instance;
+  }
+}
+
+// Create singleton instance
+const sessionTrackerInstance = SessionTracker.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.SessionTracker = sessionTrackerInstance;
+}
@@ -2,12 +2,98 @@
 
 /**
  * StateManager - Handles all user progress, achievements, and application state
- * Uses in-memory storage for the current session
+ * State lives in memory; saves are debounced and written in batches through
+ * a storage adapter (IndexedDB, localStorage or memory, see storageAdapters.js)
  */
 
+const LEGACY_NOTES_PREFIX = "jsversehub-notes-";
+const LEGACY_BOOKMARKS_KEY = "jsversehub-bookmarks";
+
+/**
+ * Notes and bookmarks ConceptViewer kept in their own localStorage keys
+ * before schema v3
+ */
+function readLegacyLocalData() {
+  const data = { notes: {}, bookmarks: [], keys: [] };
+  try {
+    Object.keys(localStorage).forEach((key) => {
+      if (key.startsWith(LEGACY_NOTES_PREFIX)) {
+        data.notes[key.slice(LEGACY_NOTES_PREFIX.length)] = localStorage.getItem(key);
+        data.keys.push(key);
+      } else if (key === LEGACY_BOOKMARKS_KEY) {
+        const bookmarks = JSON.parse(localStorage.getItem(key));
+        data.bookmarks = Array.isArray(bookmarks) ? bookmarks : [];
+        data.keys.push(key);
+      }
+    });
+  } catch (error) {
+    JSVLogger.warn("⚠️ Could not read notes and bookmarks from localStorage:", error);
+  }
+  return data;
+}
+
+/**
+ * Ordered state migrations. Each entry upgrades persisted state from
+ * `version - 1` to `version`; saves without a schemaVersion are version 1.
+ * Append new entries when the persisted shape changes.
+ */
+const STATE_MIGRATIONS = [
+  {
+    version: 2,
+    description: "Add schemaVersion and exercise submission history",
+    migrate: (state) => ({
+      ...state,
+      submissions:
+        state.submissions && typeof state.submissions === "object"
+          ? state.submissions
+          : {},
+    }),
+  },
+  {
+    version: 3,
+    description: "Move notes and bookmarks into the saved state",
+    migrate: (state) => {
+      const legacy = readLegacyLocalData();
+      return {
+        ...state,
+        notes: { ...legacy.notes, ...state.notes },
+        bookmarks: Array.isArray(state.bookmarks) ? state.bookmarks : legacy.bookmarks,
+      };
+    },
+  },
+];
+
 class StateManager {
   constructor() {
-    this.state = {
+    this.migrations = [...STATE_MIGRATIONS];
+    this.schemaVersion = this.getLatestSchemaVersion();
+    this.state = this.createDefaultState();
+
+    this.listeners = [];
+    this.baseStorageKey = "jsversehub-state";
+    this.userId = null; // signed-in account or local profile; null for the guest state
+    this.storageKey = this.baseStorageKey;
+    this.storage = null; // storage adapter, connected by loadState()
+    this.saveDelay = 500; // ms to collect changes before writing
+    this.pendingWrites = new Map(); // key -> value or () => value
+    this.saveTimer = null;
+    this.writeQueue = Promise.resolve(true);
+    this.flushOnHide = null;
+    this.changedAt = {}; // last-writer-wins field -> ms timestamp of the last local change
+    this.maxSubmissionsPerExercise = 20;
+    this.maxAnswersPerQuestion = 20;
+    this.maxQuizAttempts = 100;
+    this.maxSessions = 100;
+    this.conceptXP = 100; // before the difficulty multiplier
+    this.isInitialized = false;
+  }
+
+  /**
+   * Build a fresh default state
+   */
+  createDefaultState() {
+    return {
+      schemaVersion: this.schemaVersion,
       user: {
         name: "Space Explorer",
         level: 1,
@@ -16,25 +102,41 @@ class StateManager {
       },
       progress: {
         hasSeenWelcome: false,
-        unlockedPlanets: ["basics"], // Start with basics unlocked
+        unlockedPlanets: CurriculumGraph.getStartingPlanets(),
         completedConcepts: [],
         currentPlanet: "basics",
         overallProgress: 0,
       },
       achievements: [],
+      achievementProgress: {}, // ruleId -> AchievementEngine progress record
+      submissions: {}, // exerciseId -> submissionTemplate records, oldest first
+      questionHistory: {}, // questionId -> quiz answer records, oldest first
+      reviewSchedule: {}, // questionId -> ReviewScheduler card
+      skillRatings: {}, // planetId -> AdaptiveDifficulty {rating, answers, updatedAt}
+      quizAttempts: [], // {planetId, percentage, timestamp, seed?, questionIds?, answers?}, oldest first
+      activity: {}, // local date (YYYY-MM-DD) -> {xp, timeSpent, visits}
+      sessions: [], // sessionTemplate records from SessionTracker, oldest first
+      notes: {}, // conceptId -> note text
+      bookmarks: [], // conceptIds
       settings: {
         theme: "galaxy",
         soundEnabled: true,
         animationsEnabled: true,
         difficulty: "normal",
+        fontSize: "medium",
+        autoSave: true,
+        showHints: true,
       },
       stats: {
         planetsExplored: 0,
         conceptsCompleted: 0,
         quizzesCompleted: 0,
-        totalTimeSpent: 0,
+        totalTimeSpent: 0, // seconds
+        timeByPlanet: {}, // planetId -> seconds
+        timeByConcept: {}, // section key (`${planetId}-section-${index}`) -> seconds
         streakDays: 0,
         lastVisit: new Date().toISOString(),
+        lastVisitDate: null, // local date (YYYY-MM-DD) of lastVisit where it happened
       },
       quiz: {
         currentQuestionIndex: 0,
@@ -43,52 +145,552 @@ class StateManager {
         timeSpent: 0,
       },
     };
-
-    this.listeners = [];
-    this.storageKey = "jsversehub-state";
-    this.isInitialized = false;
   }
 
   /**
    * Initialize state manager
    */
-  init() {
-    this.loadState();
+  async init(options = {}) {
+    if (options.storage) {
+      this.setStorage(options.storage);
+    }
+    if (options.userId) {
+      this.setUserId(options.userId);
+    }
+    await this.loadState();
+    this.recordVisit();
+    this.flushWhenHidden();
     this.isInitialized = true;
     JSVLogger.info("📊 StateManager initialized");
     return this;
   }
 
   /**
-   * Load state from localStorage (fallback to in-memory)
+   * Use a storage adapter instead of the best one available
    */
-  loadState() {
+  setStorage(adapter) {
+    this.storage = adapter;
+    return this;
+  }
+
+  /**
+   * Keep state under the given account's or profile's own storage key
+   */
+  setUserId(userId) {
+    this.userId = userId || null;
+    this.storageKey = this.getUserKey(this.baseStorageKey);
+    return this;
+  }
+
+  /**
+   * Namespace a storage key by the signed-in account or local profile, so
+   * people sharing a browser do not overwrite each other's data
+   */
+  getUserKey(key) {
+    return this.userId ? `${key}:${this.userId}` : key;
+  }
+
+  /**
+   * Save the current state, then load another account's (or the guest's).
+   * With `carryOver`, an account without saved state starts from the
+   * current progress, e.g. a guest who just signed up.
+   * @param {Object} options - {name, carryOver}
+   */
+  async switchUser(userId, options = {}) {
+    // Let listeners save what belongs to the current learner first
+    this.notifyListeners("userChanging", { userId: this.userId });
+    const previousState = this.state;
+    await this.flush();
+
+    this.setUserId(userId);
+    this.state = this.createDefaultState();
+    this.changedAt = {};
+    const loaded = await this.loadState();
+
+    if (!loaded && options.carryOver) {
+      this.state = previousState;
+    }
+    if (options.name) {
+      this.state.user.name = options.name;
+    }
+    this.recordVisit();
+
+    JSVLogger.info(`👤 Switched to ${this.userId ? `"${this.userId}"` : "guest"} state`);
+    this.notifyListeners("userChanged", { userId: this.userId });
+  }
+
+  /**
+   * Delete what another account or profile saved in this browser: its state
+   * (and backups of it) and its namespaced localStorage keys such as sync
+   * settings, class membership and code drafts
+   */
+  async removeUserData(userId) {
+    if (!userId || userId === this.userId) {
+      throw new Error("Only data of another account or profile can be removed");
+    }
+
+    const suffix = `:${userId}`;
+    const stateKey = `${this.baseStorageKey}${suffix}`;
+    const storage = await this.connectStorage();
+    if (storage) {
+      await this.flush();
+      const keys = (await storage.keys()).filter(
+        (key) => key === stateKey || key.startsWith(`${stateKey}-backup-`)
+      );
+      await storage.setItems(keys.map((key) => [key, null]));
+    }
+
+    try {
+      Object.keys(localStorage)
+        .filter((key) => key.endsWith(suffix))
+        .forEach((key) => localStorage.removeItem(key));
+    } catch (error) {
+      JSVLogger.warn("⚠️ Failed to remove saved settings:", error);
+    }
+    JSVLogger.info(`🗑️ Removed saved data of "${userId}"`);
+  }
+
+  /**
+   * Connect to the best available backend unless an adapter was set.
+   * Without StorageAdapters, state is kept in memory only.
+   */
+  async connectStorage() {
+    if (!this.storage && typeof window !== "undefined" && window.StorageAdapters) {
+      this.storage = await window.StorageAdapters.connect();
+    }
+    return this.storage;
+  }
+
+  /**
+   * Load state from the storage adapter (fallback to in-memory).
+   * Saved state is migrated and deep-merged over defaults; state that cannot
+   * be read is backed up before falling back to defaults.
+   * @returns {Promise<boolean>} Whether saved state was found
+   */
+  async loadState() {
+    const storage = await this.connectStorage();
+    if (!storage) return false;
+
+    let savedState = null;
+    try {
+      savedState = await storage.getItem(this.storageKey);
+      if (savedState === null) {
+        savedState = await this.moveLegacyState(storage);
+      }
+    } catch (error) {
+      JSVLogger.warn(`⚠️ Failed to load state from ${storage.name}, using defaults`, error);
+      return false;
+    }
+
+    if (!savedState) return false;
+
     try {
-      const savedState = localStorage.getItem(this.storageKey);
-      if (savedState) {
-        const parsedState = JSON.parse(savedState);
-        this.state = { ...this.state, ...parsedState };
-        JSVLogger.info("💾 State loaded from localStorage");
+      const { state, fromVersion } = this.prepareState(JSON.parse(savedState));
+      this.state = state;
+      if (fromVersion !== this.schemaVersion) {
+        this.saveState();
+        const saved = await this.flush();
+        if (saved && fromVersion < 3) {
+          this.removeLegacyLocalData();
+        }
       }
+      JSVLogger.info(`💾 State loaded from ${storage.name}`);
     } catch (error) {
-      JSVLogger.warn(
-        "⚠️ Failed to load state from localStorage, using defaults"
+      this.recoverCorruptState(savedState, error);
+      await this.flush();
+    }
+    return true;
+  }
+
+  /**
+   * Copy state saved by the localStorage-only version into a new backend
+   * @returns {Promise<string|null>} The saved state, if there was one
+   */
+  async moveLegacyState(storage) {
+    const adapters = window.StorageAdapters;
+    if (!adapters || storage.name === "localStorage" || !adapters.isAvailable("localStorage")) {
+      return null;
+    }
+
+    const legacy = adapters.create("localStorage");
+    const savedState = await legacy.getItem(this.storageKey);
+    if (savedState !== null) {
+      JSVLogger.info(`💾 Moving saved state from localStorage to ${storage.name}`);
+      this.queueWrite(this.storageKey, savedState);
+      if (await this.flush()) {
+        await legacy.removeItem(this.storageKey);
+      }
+    }
+    return savedState;
+  }
+
+  /**
+   * Free the localStorage keys that schema v3 moved into the state
+   */
+  removeLegacyLocalData() {
+    try {
+      readLegacyLocalData().keys.forEach((key) => localStorage.removeItem(key));
+    } catch (error) {
+      JSVLogger.warn("⚠️ Failed to remove old notes and bookmarks:", error);
+    }
+  }
+
+  /**
+   * Run persisted or imported data through migrations and merge it over
+   * defaults. Throws when the data cannot be used.
+   * @returns {{state: Object, fromVersion: number}}
+   */
+  prepareState(rawState) {
+    if (!this.isPlainObject(rawState)) {
+      throw new Error("Saved state is not an object");
+    }
+
+    const fromVersion = rawState.schemaVersion || 1;
+    const migrated = this.migrateState(rawState);
+    const state = this.mergeWithDefaults(this.createDefaultState(), migrated);
+    state.schemaVersion = this.schemaVersion;
+
+    return { state, fromVersion };
+  }
+
+  /**
+   * Apply every migration newer than the data's schemaVersion, in order
+   */
+  migrateState(rawState) {
+    const fromVersion = Number.isInteger(rawState.schemaVersion)
+      ? rawState.schemaVersion
+      : 1;
+
+    if (fromVersion > this.schemaVersion) {
+      throw new Error(
+        `State schema v${fromVersion} is newer than supported v${this.schemaVersion}`
       );
     }
+
+    return this.migrations
+      .filter((migration) => migration.version > fromVersion)
+      .reduce((state, migration) => {
+        const next = migration.migrate(state);
+        JSVLogger.info(
+          `🔧 Migrated state to v${migration.version}: ${migration.description}`
+        );
+        return { ...next, schemaVersion: migration.version };
+      }, rawState);
+  }
+
+  /**
+   * Add a migration to the registry, keeping it ordered by version
+   */
+  registerMigration(version, migrate, description = "") {
+    if (this.migrations.some((migration) => migration.version === version)) {
+      throw new Error(`State migration v${version} is already registered`);
+    }
+
+    this.migrations.push({ version, migrate, description });
+    this.migrations.sort((a, b) => a.version - b.version);
+    this.schemaVersion = this.getLatestSchemaVersion();
+  }
+
+  /**
+   * Get the schema version produced by the last migration
+   */
+  getLatestSchemaVersion() {
+    return this.migrations.reduce(
+      (latest, migration) => Math.max(latest, migration.version),
+      1
+    );
+  }
+
+  /**
+   * Deep-merge saved values over defaults. Nested objects are merged key by
+   * key; arrays and primitives from the saved state win; saved values whose
+   * type no longer matches an object default are dropped.
+   */
+  mergeWithDefaults(defaults, saved) {
+    if (!this.isPlainObject(saved)) {
+      return defaults;
+    }
+
+    const merged = { ...defaults };
+    Object.keys(saved).forEach((key) => {
+      const defaultValue = defaults[key];
+      const savedValue = saved[key];
+
+      if (this.isPlainObject(defaultValue)) {
+        merged[key] = this.mergeWithDefaults(defaultValue, savedValue);
+      } else if (Array.isArray(defaultValue)) {
+        merged[key] = Array.isArray(savedValue) ? savedValue : defaultValue;
+      } else if (savedValue !== undefined) {
+        merged[key] = savedValue;
+      }
+    });
+
+    return merged;
+  }
+
+  isPlainObject(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      Object.getPrototypeOf(value) === Object.prototype
+    );
   }
 
   /**
-   * Save state to localStorage
+   * Back up unreadable saved state under a separate key, then start from
+   * defaults
+   */
+  recoverCorruptState(savedState, error) {
+    const backupKey = `${this.storageKey}-backup-${Date.now()}`;
+    this.queueWrite(backupKey, savedState);
+    JSVLogger.warn(
+      `⚠️ Saved state could not be loaded (${error.message}); backed up to ${backupKey}`
+    );
+
+    this.state = this.createDefaultState();
+    this.recoveredFromBackup = { backupKey, error: error.message };
+    this.saveState();
+  }
+
+  /**
+   * Schedule a save. Changes within saveDelay are written together, and the
+   * state is serialized once per write instead of once per change.
    */
   saveState() {
+    this.queueWrite(this.storageKey, () => JSON.stringify(this.state));
+  }
+
+  /**
+   * Queue a value for the next batched write; functions are called at write
+   * time so the latest value is saved
+   */
+  queueWrite(key, value) {
+    this.pendingWrites.set(key, value);
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+  }
+
+  /**
+   * Write every queued value now
+   * @returns {Promise<boolean>} Whether the last write succeeded
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (this.pendingWrites.size > 0) {
+      const entries = [...this.pendingWrites].map(([key, value]) => [
+        key,
+        typeof value === "function" ? value() : value,
+      ]);
+      this.pendingWrites.clear();
+      this.writeQueue = this.writeQueue.then(() => this.writeEntries(entries));
+      this.publishState(entries);
+    }
+
+    return this.writeQueue;
+  }
+
+  async writeEntries(entries) {
+    const storage = this.storage;
+    if (!storage) return false;
+
     try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
-      JSVLogger.debug("💾 State saved to localStorage");
+      await storage.setItems(entries);
+      JSVLogger.debug(`💾 Saved ${entries.length} item(s) to ${storage.name}`);
+      return true;
     } catch (error) {
-      JSVLogger.warn("⚠️ Failed to save state to localStorage");
+      JSVLogger.warn(`⚠️ Failed to save state to ${storage.name}:`, error);
+      return false;
     }
   }
 
+  /**
+   * Send written state to other tabs (tabSync.js) and the sync server
+   * (progressSync.js)
+   */
+  publishState(entries) {
+    const entry = entries.find(([key]) => key === this.storageKey);
+    if (!entry || typeof window === "undefined") return;
+
+    if (window.TabSync && window.TabSync.isInitialized) {
+      window.TabSync.publish(entry[1], { ...this.changedAt }, entry[0]);
+    }
+    if (window.ProgressSync && window.ProgressSync.isInitialized) {
+      window.ProgressSync.schedulePush();
+    }
+  }
+
+  /**
+   * Record when a last-writer-wins field last changed in this tab
+   */
+  markChanged(field) {
+    this.changedAt[field] = Date.now();
+  }
+
+  /**
+   * Merge state saved by another tab field by field: union for completed
+   * concepts, unlocked planets and achievements, max for XP and counters,
+   * last writer wins for settings, bookmarks and notes. A newer reset or
+   * import replaces the state. Changes reach listeners as their usual events
+   * with a fourth `{ remote: true }` argument.
+   * @param {string} serializedState - State as written to storage
+   * @param {Object} changedAt - The other tab's markChanged timestamps
+   * @returns {boolean} Whether anything changed here
+   */
+  mergeRemoteState(serializedState, changedAt = {}) {
+    let remote;
+    try {
+      remote = this.prepareState(JSON.parse(serializedState)).state;
+    } catch (error) {
+      JSVLogger.warn("⚠️ Ignoring state from another tab:", error.message);
+      return false;
+    }
+
+    const isNewer = (field) => (changedAt[field] || 0) > (this.changedAt[field] || 0);
+    const events = [];
+
+    // A reset or import in the other tab replaces everything
+    const replacement = ["progressReset", "dataImported"]
+      .filter(isNewer)
+      .sort((a, b) => changedAt[b] - changedAt[a])[0];
+    if (replacement) {
+      this.state = remote;
+      Object.assign(this.changedAt, changedAt);
+      this.notifyListeners(replacement, undefined, { remote: true });
+      return true;
+    }
+
+    const local = this.state;
+    const before = JSON.stringify(local);
+
+    const newConcepts = this.addMissing(local.progress.completedConcepts, remote.progress.completedConcepts);
+    newConcepts.forEach((conceptId) => events.push(["conceptCompleted", conceptId]));
+    const newPlanets = this.addMissing(local.progress.unlockedPlanets, remote.progress.unlockedPlanets);
+    newPlanets.forEach((planetId) => events.push(["planetUnlocked", planetId]));
+    local.progress.hasSeenWelcome = local.progress.hasSeenWelcome || remote.progress.hasSeenWelcome;
+
+    remote.achievements.forEach((achievement) => {
+      if (!local.achievements.some((a) => a.id === achievement.id)) {
+        local.achievements.push(achievement);
+        events.push(["achievementEarned", achievement]);
+      }
+    });
+
+    const xpGained = remote.user.totalXP - local.user.totalXP;
+    if (xpGained > 0) {
+      local.user.totalXP = remote.user.totalXP;
+      events.push(["xpGained", xpGained]);
+    }
+    if (remote.user.level > local.user.level) {
+      local.user.level = remote.user.level;
+      events.push(["levelUp", remote.user.level]);
+    }
+
+    this.mergeMax(local.stats, remote.stats);
+    Object.entries(remote.activity).forEach(([date, day]) => {
+      local.activity[date] = this.mergeMax({ ...(local.activity[date] || {}) }, day);
+    });
+
+    const attemptKey = (attempt) => `${attempt.planetId}@${attempt.timestamp}`;
+    const attempts = new Map(local.quizAttempts.map((attempt) => [attemptKey(attempt), attempt]));
+    remote.quizAttempts.forEach((attempt) => attempts.set(attemptKey(attempt), attempt));
+    local.quizAttempts = [...attempts.values()]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .slice(-this.maxQuizAttempts);
+
+    // Each tab records its own sessions; the longer copy of one is newer
+    const sessions = new Map(local.sessions.map((session) => [session.id, session]));
+    remote.sessions.forEach((session) => {
+      const known = sessions.get(session.id);
+      if (!known || session.duration > known.duration) {
+        sessions.set(session.id, session);
+      }
+    });
+    local.sessions = [...sessions.values()]
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .slice(-this.maxSessions);
+
+    // Records both tabs have keep the local copy
+    ["submissions", "questionHistory", "reviewSchedule", "skillRatings", "achievementProgress"].forEach((field) => {
+      local[field] = { ...remote[field], ...local[field] };
+    });
+
+    if (isNewer("settings")) {
+      local.settings = remote.settings;
+      events.push(["settingsUpdated", local.settings]);
+    }
+    if (isNewer("bookmarks")) {
+      local.bookmarks = remote.bookmarks;
+      events.push(["bookmarksUpdated", this.getBookmarks()]);
+    }
+    Object.keys(changedAt)
+      .filter((field) => field.startsWith("notes.") && isNewer(field))
+      .forEach((field) => {
+        const conceptId = field.slice("notes.".length);
+        if (remote.notes[conceptId]) {
+          local.notes[conceptId] = remote.notes[conceptId];
+        } else {
+          delete local.notes[conceptId];
+        }
+        events.push(["notesUpdated", { conceptId }]);
+      });
+    Object.keys(changedAt).forEach((field) => {
+      if (isNewer(field)) this.changedAt[field] = changedAt[field];
+    });
+
+    this.calculateOverallProgress();
+    if (JSON.stringify(local) === before) {
+      return false;
+    }
+
+    this.saveState();
+    events.forEach(([event, data]) => this.notifyListeners(event, data, { remote: true }));
+    return true;
+  }
+
+  /**
+   * Append items of `source` missing from `target`
+   * @returns {Array} The added items
+   */
+  addMissing(target, source) {
+    const added = source.filter((item) => !target.includes(item));
+    target.push(...added);
+    return added;
+  }
+
+  /**
+   * Keep the larger number of each counter, recursing into nested counters
+   */
+  mergeMax(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+      if (typeof value === "number") {
+        target[key] = Math.max(target[key] || 0, value);
+      } else if (this.isPlainObject(value)) {
+        target[key] = this.mergeMax({ ...(target[key] || {}) }, value);
+      } else if (typeof value === "string" && (key === "lastVisit" || key === "lastVisitDate")) {
+        target[key] = value > (target[key] || "") ? value : target[key];
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Write pending changes when the page is hidden or closed
+   */
+  flushWhenHidden() {
+    if (this.flushOnHide || typeof window === "undefined") return;
+
+    this.flushOnHide = () => {
+      if (document.visibilityState === "hidden") {
+        this.flush();
+      }
+    };
+    document.addEventListener("visibilitychange", this.flushOnHide);
+    window.addEventListener("pagehide", () => this.flush());
+  }
+
   /**
    * Get current state
    */
@@ -117,6 +719,15 @@ class StateManager {
     return [...this.state.achievements];
   }
 
+  /**
+   * Rename the learner
+   */
+  setUserName(name) {
+    this.state.user.name = name;
+    this.saveState();
+    this.notifyListeners("userRenamed", name);
+  }
+
   /**
    * Update progress
    */
@@ -134,7 +745,7 @@ class StateManager {
     if (!this.state.progress.completedConcepts.includes(conceptId)) {
       this.state.progress.completedConcepts.push(conceptId);
       this.state.stats.conceptsCompleted++;
-      this.addXP(100);
+      this.addXP(this.getConceptXP(conceptId));
 
       // Check for new planet unlocks
       this.checkPlanetUnlocks(conceptId);
@@ -147,6 +758,17 @@ class StateManager {
     }
   }
 
+  /**
+   * XP for completing a concept, scaled by the difficulty setting
+   */
+  getConceptXP(conceptId) {
+    if (typeof window === "undefined" || !window.AdaptiveDifficulty) {
+      return this.conceptXP;
+    }
+    const planetId = window.AdaptiveDifficulty.getPlanetId(conceptId) || conceptId;
+    return Math.round(this.conceptXP * window.AdaptiveDifficulty.getXPMultiplier(planetId));
+  }
+
   /**
    * Unlock a planet
    */
@@ -154,18 +776,6 @@ class StateManager {
     if (!this.state.progress.unlockedPlanets.includes(planetId)) {
       this.state.progress.unlockedPlanets.push(planetId);
       this.state.stats.planetsExplored++;
-      this.addXP(50);
-
-      // Add achievement
-      this.addAchievement({
-        id: `planet-${planetId}`,
-        title: `🪐 ${
-          planetId.charAt(0).toUpperCase() + planetId.slice(1)
-        } Explorer`,
-        description: `Unlocked the ${planetId} planet`,
-        timestamp: new Date().toISOString(),
-        xpReward: 50,
-      });
 
       this.saveState();
       this.notifyListeners("planetUnlocked", planetId);
@@ -188,17 +798,11 @@ class StateManager {
    */
   addXP(amount) {
     this.state.user.totalXP += amount;
+    this.logActivity("xp", amount);
     const newLevel = Math.floor(this.state.user.totalXP / 1000) + 1;
 
     if (newLevel > this.state.user.level) {
       this.state.user.level = newLevel;
-      this.addAchievement({
-        id: `level-${newLevel}`,
-        title: `⭐ Level ${newLevel}`,
-        description: `Reached level ${newLevel}`,
-        timestamp: new Date().toISOString(),
-        xpReward: 0,
-      });
       this.notifyListeners("levelUp", newLevel);
     }
 
@@ -212,38 +816,312 @@ class StateManager {
   addAchievement(achievement) {
     const exists = this.state.achievements.find((a) => a.id === achievement.id);
     if (!exists) {
-      this.state.achievements.push(achievement);
+      this.state.achievements.push({
+        timestamp: new Date().toISOString(),
+        ...achievement,
+      });
       this.saveState();
       this.notifyListeners("achievementEarned", achievement);
       JSVLogger.success(`🏆 Achievement earned: ${achievement.title}`);
     }
   }
 
+  /**
+   * Get progress records for achievement rules
+   */
+  getAchievementProgress() {
+    return { ...this.state.achievementProgress };
+  }
+
+  /**
+   * Store the progress record of an achievement rule
+   */
+  updateAchievementProgress(ruleId, record) {
+    this.state.achievementProgress[ruleId] = record;
+    this.saveState();
+    this.notifyListeners("achievementProgress", record);
+  }
+
   /**
    * Complete quiz
+   * @param {Object} timing - {timeSpent, timeLimit} in seconds
+   * @param {Object} shown - {seed, questionIds, answers} of a quiz from
+   *   QuizAssembler, kept so the attempt can be shown again as it was asked
    */
-  completeQuiz(planetId, score, totalQuestions) {
+  completeQuiz(planetId, score, totalQuestions, timing = {}, shown = null) {
     this.state.stats.quizzesCompleted++;
     const percentage = (score / totalQuestions) * 100;
 
+    const attempt = {
+      planetId,
+      percentage: Math.round(percentage),
+      timestamp: new Date().toISOString(),
+    };
+    if (shown) {
+      attempt.seed = shown.seed;
+      attempt.questionIds = [...shown.questionIds];
+      attempt.answers = shown.answers.map((answer) => (answer === undefined ? null : answer));
+    }
+    this.state.quizAttempts.push(attempt);
+    this.state.quizAttempts = this.state.quizAttempts.slice(-this.maxQuizAttempts);
+
     if (percentage >= 80) {
       this.completeConcept(`${planetId}-quiz`);
     }
 
-    // Add quiz-specific achievements
-    if (score === totalQuestions) {
-      this.addAchievement({
-        id: `perfect-${planetId}`,
-        title: `💯 Perfect Score`,
-        description: `Got 100% on ${planetId} quiz`,
-        timestamp: new Date().toISOString(),
-        xpReward: 200,
-      });
-      this.addXP(200);
+    this.saveState();
+    this.notifyListeners("quizCompleted", {
+      planetId,
+      score,
+      totalQuestions,
+      percentage,
+      timeSpent: timing.timeSpent ?? null,
+      timeLimit: timing.timeLimit ?? null,
+    });
+  }
+
+  /**
+   * Record a graded exercise submission. The first passing submission
+   * completes the exercise.
+   */
+  recordSubmission(exerciseId, submission) {
+    const history = this.state.submissions[exerciseId] || [];
+    const isFirstPass =
+      submission.passed && !history.some((previous) => previous.passed);
+
+    history.push(submission);
+    this.state.submissions[exerciseId] = history.slice(
+      -this.maxSubmissionsPerExercise
+    );
+
+    this.saveState();
+    this.notifyListeners("exerciseSubmitted", {
+      exerciseId,
+      submission,
+      attempt: history.length,
+    });
+
+    if (isFirstPass) {
+      this.completeConcept(exerciseId);
+    }
+    return isFirstPass;
+  }
+
+  /**
+   * Get submissions recorded for an exercise
+   */
+  getSubmissions(exerciseId) {
+    return [...(this.state.submissions[exerciseId] || [])];
+  }
+
+  /**
+   * Record graded quiz answers per question
+   * @param {Array} answers - [{questionId, planetId, credit, correct, answered}]
+   * @param {string} source - "quiz" or "review"
+   */
+  recordQuestionAnswers(answers, source = "quiz") {
+    const timestamp = new Date().toISOString();
+    const records = answers
+      .filter((answer) => answer.questionId)
+      .map((answer) => ({
+        questionId: answer.questionId,
+        planetId: answer.planetId,
+        credit: answer.credit,
+        correct: answer.correct,
+        answered: answer.answered,
+        source,
+        timestamp,
+      }));
+
+    records.forEach((record) => {
+      const history = this.state.questionHistory[record.questionId] || [];
+      history.push(record);
+      this.state.questionHistory[record.questionId] = history.slice(
+        -this.maxAnswersPerQuestion
+      );
+    });
+
+    this.saveState();
+    this.notifyListeners("questionsAnswered", { answers: records, source });
+  }
+
+  /**
+   * Get answers recorded for a quiz question
+   */
+  getQuestionHistory(questionId) {
+    return [...(this.state.questionHistory[questionId] || [])];
+  }
+
+  /**
+   * Get spaced-repetition cards by question id
+   */
+  getReviewSchedule() {
+    return { ...this.state.reviewSchedule };
+  }
+
+  /**
+   * Store updated spaced-repetition cards
+   */
+  updateReviewCards(cards) {
+    cards.forEach((card) => {
+      this.state.reviewSchedule[card.questionId] = card;
+    });
+    this.saveState();
+    this.notifyListeners("reviewScheduleUpdated", cards);
+  }
+
+  /**
+   * Get AdaptiveDifficulty skill ratings by planet id
+   */
+  getSkillRatings() {
+    return { ...this.state.skillRatings };
+  }
+
+  /**
+   * Store a planet's updated skill rating
+   */
+  updateSkillRating(planetId, skill) {
+    this.state.skillRatings[planetId] = skill;
+    this.saveState();
+    this.notifyListeners("skillUpdated", { planetId, ...skill });
+  }
+
+  /**
+   * Count today's visit and update the daily streak
+   */
+  recordVisit(now = new Date()) {
+    this.updateStreak(now);
+    this.logActivity("visits", 1, now);
+    this.saveState();
+    this.notifyListeners("streakUpdated", this.state.stats.streakDays);
+  }
+
+  /**
+   * Extend, keep or restart the daily streak for activity at `now`. Days
+   * are the local calendar dates where the learner was at the time, kept as
+   * date keys, so DST shifts and travel across timezones neither skip nor
+   * repeat a day. Callers save the state.
+   * @returns {boolean} Whether the streak changed
+   */
+  updateStreak(now = new Date()) {
+    const stats = this.state.stats;
+    const today = this.getDateKey(now);
+    const lastVisit = new Date(stats.lastVisit);
+    const lastDay =
+      stats.lastVisitDate ||
+      (Number.isNaN(lastVisit.getTime()) ? null : this.getDateKey(lastVisit));
+    const daysSince = lastDay ? this.getDaysBetween(lastDay, today) : null;
+    const previousStreak = stats.streakDays;
+
+    // Flying west can put "today" a day before the last visit's date
+    const sameDay = daysSince === 0 || daysSince === -1;
+    if (daysSince === 1) {
+      stats.streakDays += 1;
+    } else if (!sameDay || stats.streakDays === 0) {
+      stats.streakDays = 1;
+    }
+
+    if (daysSince !== -1) {
+      stats.lastVisit = now.toISOString();
+      stats.lastVisitDate = today;
+    }
+    return stats.streakDays !== previousStreak;
+  }
+
+  /**
+   * Whole calendar days from one date key to another
+   */
+  getDaysBetween(fromKey, toKey) {
+    const toUTC = (key) => {
+      const [year, month, day] = key.split("-").map(Number);
+      return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUTC(toKey) - toUTC(fromKey)) / 86400000);
+  }
+
+  /**
+   * Add active learning time. Time with nothing open still counts towards
+   * the total; with a planet (and one of its sections) open it is also
+   * attributed to them. Keeps the daily streak going past midnight.
+   * @param {string|null} planetId - Planet open at the time
+   * @param {number} seconds - Active time
+   * @param {string} [conceptId] - Section key open at the time
+   */
+  recordTimeSpent(planetId, seconds, now = new Date(), conceptId = null) {
+    const amount = Math.round(seconds);
+    if (!(amount > 0)) return;
+
+    const { stats } = this.state;
+    stats.totalTimeSpent += amount;
+    if (planetId) {
+      stats.timeByPlanet[planetId] = (stats.timeByPlanet[planetId] || 0) + amount;
+    }
+    if (conceptId) {
+      stats.timeByConcept[conceptId] = (stats.timeByConcept[conceptId] || 0) + amount;
+    }
+    this.logActivity("timeSpent", amount, now);
+    const streakChanged = this.updateStreak(now);
+
+    this.saveState();
+    this.notifyListeners("timeSpentUpdated", { planetId, conceptId, seconds: amount });
+    if (streakChanged) {
+      this.notifyListeners("streakUpdated", stats.streakDays);
     }
+  }
+
+  /**
+   * Add or update a learning session, matched by id
+   * @param {Object} session - sessionTemplate record (progress-tracking.json)
+   */
+  recordSession(session) {
+    const sessions = this.state.sessions.filter((entry) => entry.id !== session.id);
+    sessions.push(JSON.parse(JSON.stringify(session)));
+    this.state.sessions = sessions
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .slice(-this.maxSessions);
 
     this.saveState();
-    this.notifyListeners("quizCompleted", { planetId, score, totalQuestions });
+    this.notifyListeners("sessionRecorded", session);
+  }
+
+  /**
+   * Get recorded learning sessions, oldest first
+   */
+  getSessions() {
+    return [...this.state.sessions];
+  }
+
+  /**
+   * Add to today's activity counters. Callers save the state.
+   */
+  logActivity(field, amount, now = new Date()) {
+    const key = this.getDateKey(now);
+    const day = this.state.activity[key] || { xp: 0, timeSpent: 0, visits: 0 };
+    day[field] = (day[field] || 0) + amount;
+    this.state.activity[key] = day;
+  }
+
+  /**
+   * Local calendar date as YYYY-MM-DD
+   */
+  getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get daily activity counters by date key
+   */
+  getActivity() {
+    return { ...this.state.activity };
+  }
+
+  /**
+   * Get recorded quiz attempts, oldest first
+   */
+  getQuizAttempts() {
+    return [...this.state.quizAttempts];
   }
 
   /**
@@ -251,10 +1129,49 @@ class StateManager {
    */
   updateSettings(updates) {
     this.state.settings = { ...this.state.settings, ...updates };
+    this.markChanged("settings");
     this.saveState();
     this.notifyListeners("settingsUpdated", this.state.settings);
   }
 
+  /**
+   * Get the learner's notes for a concept
+   */
+  getNotes(conceptId) {
+    return this.state.notes[conceptId] || "";
+  }
+
+  /**
+   * Save notes for a concept; empty notes are removed
+   */
+  saveNotes(conceptId, text) {
+    if (text) {
+      this.state.notes[conceptId] = text;
+    } else {
+      delete this.state.notes[conceptId];
+    }
+    this.markChanged(`notes.${conceptId}`);
+    this.saveState();
+    this.notifyListeners("notesUpdated", { conceptId });
+  }
+
+  /**
+   * Get bookmarked concept ids
+   */
+  getBookmarks() {
+    return [...this.state.bookmarks];
+  }
+
+  /**
+   * Replace the bookmarked concept ids
+   */
+  setBookmarks(conceptIds) {
+    this.state.bookmarks = [...new Set(conceptIds)];
+    this.markChanged("bookmarks");
+    this.saveState();
+    this.notifyListeners("bookmarksUpdated", this.getBookmarks());
+  }
+
   /**
    * Calculate overall progress percentage
    */
@@ -270,46 +1187,17 @@ class StateManager {
    * Get total concept count across all planets
    */
   getTotalConceptCount() {
-    const conceptCounts = {
-      basics: 5,
-      dom: 4,
-      async: 3,
-      es6: 4,
-      oop: 3,
-      functional: 3,
-      patterns: 3,
-      storage: 3,
-      events: 2,
-      testing: 3,
-      security: 3,
-      algorithms: 4,
-      canvas: 3,
-      api: 3,
-    };
-    return Object.values(conceptCounts).reduce((sum, count) => sum + count, 0);
+    return CurriculumGraph.getTotalConceptCount();
   }
 
   /**
    * Check if new planets should be unlocked based on completed concepts
    */
   checkPlanetUnlocks(completedConceptId) {
-    const unlockRules = {
-      dom: ["basics"],
-      async: ["basics", "dom"],
-      es6: ["basics"],
-      oop: ["basics", "es6"],
-      functional: ["basics", "es6"],
-      patterns: ["oop", "functional"],
-      storage: ["dom", "async"],
-      events: ["dom"],
-      testing: ["oop", "functional"],
-      security: ["async", "storage"],
-      algorithms: ["oop", "functional"],
-      canvas: ["dom", "events"],
-      api: ["async", "storage"],
-    };
+    for (const planet of CurriculumGraph.getTopologicalOrder()) {
+      const requirements = CurriculumGraph.getPrerequisites(planet);
+      if (requirements.length === 0) continue;
 
-    for (const [planet, requirements] of Object.entries(unlockRules)) {
       if (!this.state.progress.unlockedPlanets.includes(planet)) {
         const hasAllRequirements = requirements.every((req) =>
           this.state.progress.completedConcepts.some((concept) =>
@@ -330,7 +1218,7 @@ class StateManager {
   resetProgress() {
     this.state.progress = {
       hasSeenWelcome: false,
-      unlockedPlanets: ["basics"],
+      unlockedPlanets: CurriculumGraph.getStartingPlanets(),
       completedConcepts: [],
       currentPlanet: "basics",
       overallProgress: 0,
@@ -338,10 +1226,22 @@ class StateManager {
     this.state.stats.planetsExplored = 0;
     this.state.stats.conceptsCompleted = 0;
     this.state.stats.quizzesCompleted = 0;
+    this.state.stats.totalTimeSpent = 0;
+    this.state.stats.timeByPlanet = {};
+    this.state.stats.timeByConcept = {};
+    this.state.quizAttempts = [];
+    this.state.activity = {};
+    this.state.sessions = [];
     this.state.achievements = [];
+    this.state.achievementProgress = {};
+    this.state.submissions = {};
+    this.state.questionHistory = {};
+    this.state.reviewSchedule = {};
+    this.state.skillRatings = {};
     this.state.user.totalXP = 0;
     this.state.user.level = 1;
 
+    this.markChanged("progressReset");
     this.saveState();
     this.notifyListeners("progressReset");
     JSVLogger.info("🔄 Progress reset");
@@ -376,15 +1276,21 @@ class StateManager {
   }
 
   /**
-   * Import user data
+   * Import user data through the same migration pipeline as saved state
    */
   importUserData(jsonData) {
     try {
       const importedData = JSON.parse(jsonData);
+      if (importedData && typeof importedData === "object") {
+        // Export metadata is not part of the state
+        delete importedData.exportDate;
+        delete importedData.version;
+      }
 
       // Validate imported data structure
       if (importedData.user && importedData.progress && importedData.stats) {
-        this.state = { ...this.state, ...importedData };
+        this.state = this.prepareState(importedData).state;
+        this.markChanged("dataImported");
         this.saveState();
         this.notifyListeners("dataImported");
         JSVLogger.success("📤 User data imported successfully");
@@ -409,12 +1315,14 @@ class StateManager {
   }
 
   /**
-   * Notify all listeners of state changes
+   * Notify all listeners of state changes; meta is { remote: true } for
+   * changes merged from another tab
    */
-  notifyListeners(event, data) {
+  notifyListeners(event, data, meta) {
+    const args = meta ? [event, data, this.state, meta] : [event, data, this.state];
     this.listeners.forEach((callback) => {
       try {
-        callback(event, data, this.state);
+        callback(...args);
       } catch (error) {
         JSVLogger.error("❌ Listener error:", error);
       }
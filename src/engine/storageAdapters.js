@@ -0,0 +1,315 @@
+// src/engine/storageAdapters.js - Persistent Storage Backends
+
+/**
+ * Storage adapters persist string values by key. They share one async
+ * interface so StateManager can write to IndexedDB, localStorage or memory:
+ *
+ *   open()                  Resolve once the backend is usable, reject if not
+ *   getItem(key)            Resolve to the stored string or null
+ *   setItem(key, value)     Store a value (null removes the key)
+ *   setItems(entries)       Store [key, value] pairs in one batch
+ *   removeItem(key)
+ *   keys()                  Resolve to every stored key
+ */
+
+/**
+ * MemoryStorageAdapter - Keeps values for the current page only (tests,
+ * private browsing without storage)
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.name = "memory";
+    this.data = new Map();
+  }
+
+  static isAvailable() {
+    return true;
+  }
+
+  async open() {
+    return this;
+  }
+
+  async getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    return this.setItems([[key, value]]);
+  }
+
+  async setItems(entries) {
+    entries.forEach(([key, value]) => {
+      if (value === null || value === undefined) {
+        this.data.delete(key);
+      } else {
+        this.data.set(key, String(value));
+      }
+    });
+  }
+
+  async removeItem(key) {
+    this.data.delete(key);
+  }
+
+  async keys() {
+    return [...this.data.keys()];
+  }
+}
+
+/**
+ * LocalStorageAdapter - window.localStorage behind the async interface.
+ * Limited to ~5MB per origin and every write blocks the main thread.
+ */
+class LocalStorageAdapter {
+  constructor() {
+    this.name = "localStorage";
+  }
+
+  static isAvailable() {
+    try {
+      const probe = "jsversehub-storage-probe";
+      localStorage.setItem(probe, probe);
+      localStorage.removeItem(probe);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async open() {
+    if (!LocalStorageAdapter.isAvailable()) {
+      throw new Error("localStorage is not available");
+    }
+    return this;
+  }
+
+  async getItem(key) {
+    const value = localStorage.getItem(key);
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    return this.setItems([[key, value]]);
+  }
+
+  async setItems(entries) {
+    entries.forEach(([key, value]) => {
+      if (value === null || value === undefined) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, value);
+      }
+    });
+  }
+
+  async removeItem(key) {
+    localStorage.removeItem(key);
+  }
+
+  async keys() {
+    return Object.keys(localStorage);
+  }
+}
+
+/**
+ * IndexedDBStorageAdapter - Key/value object store in IndexedDB. Writes are
+ * asynchronous, batches share one transaction and the quota is a share of
+ * free disk space instead of 5MB.
+ */
+class IndexedDBStorageAdapter {
+  constructor(options = {}) {
+    this.name = "indexedDB";
+    this.dbName = options.dbName || "jsversehub";
+    this.storeName = options.storeName || "keyval";
+    this.version = options.version || 1;
+    this.dbPromise = null;
+  }
+
+  static isAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  async open() {
+    await this.getDatabase();
+    return this;
+  }
+
+  /**
+   * Open the database once, creating the object store on first use
+   */
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!IndexedDBStorageAdapter.isAvailable()) {
+          reject(new Error("IndexedDB is not available"));
+          return;
+        }
+
+        const request = indexedDB.open(this.dbName, this.version);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName);
+          }
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version in another tab upgrade the database
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => {
+          JSVLogger.warn("⚠️ IndexedDB upgrade is waiting for other tabs to close");
+        };
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run requests in one transaction; resolves with the result of the request
+   * returned by `run` once the transaction has committed
+   */
+  async transaction(mode, run) {
+    const db = await this.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = run(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () =>
+        reject(transaction.error || new Error("IndexedDB transaction aborted"));
+    });
+  }
+
+  async getItem(key) {
+    const value = await this.transaction("readonly", (store) => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    return this.setItems([[key, value]]);
+  }
+
+  async setItems(entries) {
+    await this.transaction("readwrite", (store) => {
+      entries.forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+          store.delete(key);
+        } else {
+          store.put(String(value), key);
+        }
+      });
+    });
+  }
+
+  async removeItem(key) {
+    await this.transaction("readwrite", (store) => store.delete(key));
+  }
+
+  async keys() {
+    return this.transaction("readonly", (store) => store.getAllKeys());
+  }
+
+  /**
+   * Close the connection; the next request reopens it
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+}
+
+/**
+ * StorageAdapters - Registry of storage backends; connect() picks the first
+ * one that opens in this browser
+ */
+class StorageAdapters {
+  constructor() {
+    this.adapters = new Map([
+      ["indexedDB", IndexedDBStorageAdapter],
+      ["localStorage", LocalStorageAdapter],
+      ["memory", MemoryStorageAdapter],
+    ]);
+    this.preferred = ["indexedDB", "localStorage", "memory"];
+  }
+
+  /**
+   * Register a custom backend under a name
+   */
+  register(name, AdapterClass) {
+    this.adapters.set(name, AdapterClass);
+    return this;
+  }
+
+  /**
+   * Create an adapter by name
+   */
+  create(name, options = {}) {
+    const AdapterClass = this.adapters.get(name);
+    if (!AdapterClass) {
+      throw new Error(`Unknown storage adapter: ${name}`);
+    }
+    return new AdapterClass(options);
+  }
+
+  isAvailable(name) {
+    const AdapterClass = this.adapters.get(name);
+    return Boolean(AdapterClass && AdapterClass.isAvailable());
+  }
+
+  /**
+   * Open the first available backend, falling back to memory
+   */
+  async connect(preferred = this.preferred) {
+    for (const name of preferred) {
+      if (!this.isAvailable(name)) continue;
+
+      try {
+        const adapter = await this.create(name).open();
+        JSVLogger.info(`💾 Using ${name} storage`);
+        return adapter;
+      } catch (error) {
+        JSVLogger.warn(`⚠️ ${name} storage unavailable:`, error);
+      }
+    }
+
+    JSVLogger.warn("⚠️ No persistent storage available, progress will not be saved");
+    return this.create("memory");
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!StorageAdapters.instance) {
+      StorageAdapters.instance = new StorageAdapters();
+    }
+    return StorageAdapters.instance;
+  }
+}
+
+// Create singleton instance
+const storageAdaptersInstance = StorageAdapters.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.StorageAdapters = storageAdaptersInstance;
+}
@@ -0,0 +1,129 @@
+// src/engine/tabSync.js - Cross-tab State Synchronization
+
+/**
+ * TabSync - Keeps StateManager in step across tabs of the same browser.
+ * Every state write is published to the other tabs, which merge it with
+ * StateManager.mergeRemoteState instead of overwriting their own progress.
+ * Uses BroadcastChannel, or the localStorage `storage` event where
+ * BroadcastChannel is missing.
+ */
+
+class TabSync {
+  constructor() {
+    this.channelName = "jsversehub-sync";
+    this.storageKey = "jsversehub-sync";
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.transport = null; // "broadcastChannel" | "storage"
+    this.channel = null;
+    this.handleStorage = this.handleStorage.bind(this);
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start listening to other tabs
+   */
+  init() {
+    if (this.isInitialized) return this;
+
+    if (typeof BroadcastChannel !== "undefined") {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (event) => this.receive(event.data);
+      this.transport = "broadcastChannel";
+    } else if (typeof window !== "undefined" && typeof localStorage !== "undefined") {
+      window.addEventListener("storage", this.handleStorage);
+      this.transport = "storage";
+    } else {
+      JSVLogger.info("📴 Cross-tab sync is not supported in this browser");
+      return this;
+    }
+
+    this.isInitialized = true;
+    JSVLogger.info(`🔗 TabSync initialized (${this.transport})`);
+    return this;
+  }
+
+  /**
+   * Send saved state to the other tabs
+   * @param {string} state - Serialized state
+   * @param {Object} changedAt - Last-writer-wins timestamps
+   * @param {string} key - Storage key the state was saved under
+   */
+  publish(state, changedAt = {}, key = StateManager.storageKey) {
+    if (!this.isInitialized) return;
+
+    const message = { tabId: this.tabId, key, state, changedAt, sentAt: Date.now() };
+    try {
+      if (this.transport === "broadcastChannel") {
+        this.channel.postMessage(message);
+      } else {
+        // Other tabs get a storage event for the write; removing the key
+        // right away keeps a second copy of the state out of localStorage
+        localStorage.setItem(this.storageKey, JSON.stringify(message));
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      JSVLogger.warn("⚠️ Failed to share state with other tabs:", error);
+    }
+  }
+
+  handleStorage(event) {
+    if (event.key !== this.storageKey || !event.newValue) return;
+
+    try {
+      this.receive(JSON.parse(event.newValue));
+    } catch (error) {
+      JSVLogger.warn("⚠️ Ignoring unreadable sync message:", error);
+    }
+  }
+
+  /**
+   * Merge state published by another tab signed in to the same account
+   */
+  receive(message) {
+    if (!message || message.tabId === this.tabId || typeof message.state !== "string") {
+      return false;
+    }
+    if (message.key !== StateManager.storageKey) {
+      return false;
+    }
+
+    const changed = StateManager.mergeRemoteState(message.state, message.changedAt);
+    if (changed) {
+      JSVLogger.debug(`🔗 Merged state from tab ${message.tabId}`);
+    }
+    return changed;
+  }
+
+  /**
+   * Stop listening to other tabs
+   */
+  close() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (typeof window !== "undefined") {
+      window.removeEventListener("storage", this.handleStorage);
+    }
+    this.transport = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!TabSync.instance) {
+      TabSync.instance = new TabSync();
+    }
+    return TabSync.instance;
+  }
+}
+
+// Create singleton instance
+const tabSyncInstance = TabSync.getInstance();
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.TabSync = tabSyncInstance;
+}
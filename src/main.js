@@ -19,16 +19,38 @@ import './utils/domUtils.js';
 import './utils/randomColorGenerator.js';
 
 // Import engine modules (they define global classes)
+import './engine/curriculumGraph.js';
+import './engine/storageAdapters.js';
+import './engine/authClient.js';
+import './engine/profileManager.js';
 import './engine/stateManager.js';
+import './engine/tabSync.js';
+import './engine/progressSync.js';
+import './engine/classroomClient.js';
+import './engine/sessionTracker.js';
+import './engine/achievementEngine.js';
+import './engine/quizScorer.js';
+import './engine/quizAssembler.js';
+import './engine/reviewScheduler.js';
+import './engine/adaptiveDifficulty.js';
+import './engine/progressAnalytics.js';
+import './engine/contentAdapter.js';
+import './engine/codeRunner.js';
+import './engine/exerciseGrader.js';
 import './engine/conceptLoader.js';
 import './engine/galaxyRenderer.js';
 import './engine/navigation.js';
+import './engine/offlineManager.js';
+
+// Import data files
+import achievementRules from './assets/data/achievements.json';
 
 // Import components (they define global classes)
 import './components/Navbar.js';
 import './components/Modal.js';
 import './components/GalaxyMap.js';
 import './components/PlanetCard.js';
+import './components/CodeEditor.js';
 import './components/ConceptViewer.js';
 
 class JSVerseHubApp {
@@ -41,6 +63,8 @@ class JSVerseHubApp {
     
     this.isInitialized = false;
     this.currentTheme = "galaxy";
+    this.themes = ["galaxy", "cosmic"];
+    this.fontSizes = { small: "87.5%", medium: "", large: "112.5%", "x-large": "125%" };
     this.components = {};
 
     // Initialize app when DOM is ready
@@ -121,24 +145,77 @@ class JSVerseHubApp {
    * Initialize core systems
    */
   async initializeCoreSystem() {
+    // The signed-in account, or else the local profile used last, decides
+    // whose saved state to load
+    let userId = null;
+    if (typeof window.ProfileManager !== "undefined") {
+      window.ProfileManager.init();
+      userId = window.ProfileManager.getStateId();
+    }
+    if (typeof window.AuthClient !== "undefined") {
+      await window.AuthClient.init();
+      userId = window.AuthClient.getUserId() || userId;
+    }
+
     // Initialize state manager
     if (typeof window.StateManager !== "undefined") {
-      window.StateManager.init();
+      await window.StateManager.init({ userId });
       window.JSVLogger.info("📊 State Manager initialized");
     }
 
+    // Merge progress made in other tabs instead of overwriting it
+    if (typeof window.TabSync !== "undefined") {
+      window.TabSync.init();
+    }
+
+    // Pull progress saved on other machines without holding up startup
+    if (typeof window.ProgressSync !== "undefined") {
+      window.ProgressSync.init();
+    }
+
+    // Report progress to the learner's class, if they joined one
+    if (typeof window.ClassroomClient !== "undefined") {
+      window.ClassroomClient.init();
+    }
+
+    // Measure active learning time and sessions
+    if (typeof window.SessionTracker !== "undefined") {
+      window.SessionTracker.init();
+    }
+
+    // Initialize achievement rules (backfills users with existing progress)
+    if (typeof window.AchievementEngine !== "undefined") {
+      window.AchievementEngine.init(achievementRules);
+    }
+
+    // Schedule missed quiz questions for review
+    if (typeof window.ReviewScheduler !== "undefined") {
+      window.ReviewScheduler.init();
+    }
+
+    // Rate skill per planet for the difficulty setting
+    if (typeof window.AdaptiveDifficulty !== "undefined") {
+      window.AdaptiveDifficulty.init();
+    }
+
     // Initialize concept loader
     if (typeof window.ConceptLoader !== "undefined") {
       await window.ConceptLoader.init();
       window.JSVLogger.info("📚 Concept Loader initialized");
     }
 
-    // Initialize navigation system
+    // Initialize navigation system. Static builds set ROUTING_MODE=hash
+    // because their hosts cannot serve index.html for every route.
     if (typeof window.Navigation !== "undefined") {
-      window.Navigation.init();
+      window.Navigation.init({ mode: process.env.ROUTING_MODE || undefined });
       window.JSVLogger.info("🧭 Navigation system initialized");
     }
 
+    // Register the service worker without holding up startup
+    if (typeof window.OfflineManager !== "undefined") {
+      window.OfflineManager.init();
+    }
+
     // Create star field background
     this.initializeStarField();
   }
@@ -251,7 +328,7 @@ class JSVerseHubApp {
       }
     };
 
-    const animateStars = () => {
+    const drawStars = () => {
       ctx.clearRect(0, 0, canvas.width, canvas.height);
 
       stars.forEach((star) => {
@@ -264,30 +341,70 @@ class JSVerseHubApp {
         star.opacity += (Math.random() - 0.5) * 0.02;
         star.opacity = Math.max(0.1, Math.min(1, star.opacity));
       });
+    };
 
+    const animateStars = () => {
+      drawStars();
       animationId = requestAnimationFrame(animateStars);
     };
 
-    resizeCanvas();
-    animateStars();
-
-    // Store cleanup function
-    this.cleanupStarField = () => {
+    // With animations disabled the stars are drawn once and stay still
+    this.setStarFieldAnimated = (animated) => {
       if (animationId) {
         cancelAnimationFrame(animationId);
+        animationId = null;
+      }
+      if (animated) {
+        animateStars();
+      } else {
+        drawStars();
       }
     };
 
-    window.addEventListener("resize", resizeCanvas);
+    resizeCanvas();
+    this.setStarFieldAnimated(window.StateManager.getState().settings.animationsEnabled);
+
+    // Store cleanup function
+    this.cleanupStarField = () => this.setStarFieldAnimated(false);
+
+    window.addEventListener("resize", () => {
+      resizeCanvas();
+      if (!animationId) drawStars();
+    });
   }
 
   /**
    * Initialize theme system
    */
   initializeThemeSystem() {
-    // Load saved theme
-    const savedTheme = localStorage.getItem("jsversehub-theme") || "galaxy";
-    this.setTheme(savedTheme);
+    // The theme used to be stored on its own; move it into settings
+    const legacyTheme = localStorage.getItem("jsversehub-theme");
+    if (legacyTheme) {
+      localStorage.removeItem("jsversehub-theme");
+      window.StateManager.updateSettings({ theme: legacyTheme });
+    }
+
+    this.applySettings(window.StateManager.getState().settings);
+    window.StateManager.addListener((event, data) => {
+      if (["settingsUpdated", "dataImported", "userChanged"].includes(event)) {
+        this.applySettings(window.StateManager.getState().settings);
+      }
+    });
+  }
+
+  /**
+   * Apply appearance settings to the page
+   */
+  applySettings(settings) {
+    this.applyTheme(settings.theme);
+
+    // Content sizes are in rem, so the root size scales the viewer
+    document.documentElement.style.fontSize = this.fontSizes[settings.fontSize] || "";
+    document.body.classList.toggle("animations-disabled", !settings.animationsEnabled);
+
+    if (this.setStarFieldAnimated) {
+      this.setStarFieldAnimated(settings.animationsEnabled);
+    }
   }
 
   /**
@@ -303,14 +420,22 @@ class JSVerseHubApp {
    * Set application theme
    */
   setTheme(theme) {
-    this.currentTheme = theme;
-    document.body.className = `${theme}-theme`;
-    localStorage.setItem("jsversehub-theme", theme);
+    window.StateManager.updateSettings({ theme });
+  }
+
+  /**
+   * Switch the body theme class
+   */
+  applyTheme(theme) {
+    const nextTheme = this.themes.includes(theme) ? theme : "galaxy";
+    this.currentTheme = nextTheme;
+    this.themes.forEach((name) => document.body.classList.remove(`${name}-theme`));
+    document.body.classList.add(`${nextTheme}-theme`);
 
     // Update theme toggle button
     const themeToggle = document.getElementById("theme-toggle");
     if (themeToggle) {
-      themeToggle.setAttribute("data-theme", theme);
+      themeToggle.setAttribute("data-theme", nextTheme);
     }
   }
 
@@ -426,7 +551,7 @@ class JSVerseHubApp {
    */
   playClickSound() {
     const audio = document.getElementById("click-sound");
-    if (audio) {
+    if (audio && window.StateManager.getState().settings.soundEnabled) {
       audio.currentTime = 0;
       audio.play().catch(() => {
         // Ignore audio play errors (browser restrictions)
@@ -502,19 +627,3 @@ const app = JSVerseHubApp.getInstance();
 if (typeof window !== "undefined") {
   window.JSVerseHub = app;
 }
-
-// Service Worker registration (if available)
-if ("serviceWorker" in navigator) {
-  navigator.serviceWorker
-    .register("/sw.js")
-    .then((registration) => {
-      if (window.JSVLogger) {
-        window.JSVLogger.info("🔧 Service Worker registered successfully");
-      }
-    })
-    .catch((error) => {
-      if (window.JSVLogger) {
-        window.JSVLogger.warn("⚠️ Service Worker registration failed:", error);
-      }
-    });
-}
@@ -0,0 +1,174 @@
+// src/service-worker.js - Offline Support Service Worker
+
+/**
+ * Service worker template. scripts/service-worker-plugin.js prepends
+ * self.__JSV_BUILD = {version, precache, planets} and emits it as sw.js.
+ *
+ * - The app shell (precache) is cached on install and served cache-first
+ * - Page loads go to the network first and fall back to the cached shell
+ * - Concept chunks are cached per planet the first time they load, or all
+ *   at once when the learner downloads a planet for offline use
+ * - Downloaded planets are downloaded again for a new version before the
+ *   old version's caches are deleted
+ * - A new version waits until the page asks it to take over (SKIP_WAITING)
+ */
+
+const { version, precache, planets } = self.__JSV_BUILD;
+
+const CACHE_PREFIX = "jsversehub-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${version}`;
+
+const toUrl = (file) => new URL(file, self.registration.scope).href;
+const planetCacheName = (planetId) => `${CACHE_PREFIX}planet-${planetId}-${version}`;
+// Stored in a planet's cache when the learner downloads it: {planetId, files}
+const DOWNLOAD_MANIFEST = toUrl("offline-download.json");
+
+// Absolute chunk URL -> planet id
+const planetByUrl = new Map();
+Object.entries(planets).forEach(([planetId, files]) => {
+  files.forEach((file) => planetByUrl.set(toUrl(file), planetId));
+});
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(precache.map(toUrl))));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && !name.endsWith(`-${version}`))
+            .map(retireCache)
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(self.location.origin)) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(fetchPage(request));
+    return;
+  }
+
+  const planetId = planetByUrl.get(request.url.split("?")[0]);
+  if (planetId) {
+    event.respondWith(cacheFirst(request, planetCacheName(planetId)));
+    return;
+  }
+
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+});
+
+self.addEventListener("message", (event) => {
+  const { data } = event;
+  const reply = (message) => event.ports[0] && event.ports[0].postMessage(message);
+
+  switch (data && data.type) {
+    case "SKIP_WAITING":
+      self.skipWaiting();
+      break;
+    case "CACHE_PLANET":
+      event.waitUntil(
+        cachePlanet(data.planetId)
+          .then((files) => reply({ ok: true, planetId: data.planetId, files }))
+          .catch((error) => reply({ ok: false, planetId: data.planetId, error: error.message }))
+      );
+      break;
+    case "GET_OFFLINE_PLANETS":
+      event.waitUntil(getOfflinePlanets().then((planetIds) => reply({ ok: true, planetIds })));
+      break;
+  }
+});
+
+/**
+ * Every route is index.html, so offline page loads get the cached shell
+ */
+async function fetchPage(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const shell = await caches.match(toUrl("index.html"));
+    if (shell) return shell;
+    throw error;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Download every chunk of a planet into its cache
+ */
+async function cachePlanet(planetId) {
+  const files = planets[planetId];
+  if (!files) {
+    throw new Error(`No offline content for planet "${planetId}"`);
+  }
+
+  const cache = await caches.open(planetCacheName(planetId));
+  await cache.addAll(files.map(toUrl));
+  await cache.put(DOWNLOAD_MANIFEST, new Response(JSON.stringify({ planetId, files })));
+  return files;
+}
+
+/**
+ * Delete a cache of an earlier version. A planet downloaded in full under
+ * that version is downloaded again first; if that fails (e.g. offline) the
+ * old cache is kept so the next version tries again.
+ */
+async function retireCache(cacheName) {
+  const planetId = await getDownloadedPlanet(cacheName);
+  if (planetId && planets[planetId]) {
+    try {
+      await cachePlanet(planetId);
+    } catch (error) {
+      return false;
+    }
+  }
+  return caches.delete(cacheName);
+}
+
+/**
+ * The planet a cache holds a complete download of, or null
+ */
+async function getDownloadedPlanet(cacheName) {
+  if (!cacheName.startsWith(`${CACHE_PREFIX}planet-`)) return null;
+
+  const cache = await caches.open(cacheName);
+  const manifest = await cache.match(DOWNLOAD_MANIFEST);
+  if (!manifest) return null;
+
+  const { planetId, files } = await manifest.json();
+  const matches = await Promise.all(files.map((file) => cache.match(toUrl(file))));
+  return matches.every(Boolean) ? planetId : null;
+}
+
+/**
+ * Planets whose chunks are all cached
+ */
+async function getOfflinePlanets() {
+  const cached = await Promise.all(
+    Object.entries(planets).map(async ([planetId, files]) => {
+      const cache = await caches.open(planetCacheName(planetId));
+      const matches = await Promise.all(files.map((file) => cache.match(toUrl(file))));
+      return matches.every(Boolean) ? planetId : null;
+    })
+  );
+  return cached.filter(Boolean);
+}
@@ -611,6 +611,7 @@ class RandomColorGenerator {
       algorithms: { hue: [30, 50], sat: [75, 95], light: [50, 70] },
       canvas: { hue: [140, 180], sat: [70, 90], light: [45, 65] },
       api: { hue: [240, 280], sat: [65, 85], light: [50, 70] },
+      performance: { hue: [10, 25], sat: [70, 90], light: [50, 70] },
     };
 
     const colorRange = planetColors[planetType] || planetColors.basics;
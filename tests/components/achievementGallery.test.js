@@ -0,0 +1,144 @@
+// File: tests/components/achievementGallery.test.js
+// Location: jsversehub/tests/components/achievementGallery.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/achievementEngine.js');
+require('../../src/components/Modal.js');
+require('../../src/components/AchievementGallery.js');
+
+const achievementRules = require('../../src/assets/data/achievements.json');
+
+const StateManager = window.StateManager;
+const AchievementEngine = window.AchievementEngine;
+const AchievementGallery = window.AchievementGallery;
+
+// Records canvas calls without drawing anything
+function createFakeContext() {
+  const calls = [];
+  const ctx = new Proxy(
+    {},
+    {
+      get: (target, key) => {
+        if (key in target) return target[key];
+        return (...args) => {
+          calls.push([key, ...args]);
+          return { addColorStop: () => {} };
+        };
+      },
+      set: (target, key, value) => {
+        target[key] = value;
+        return true;
+      },
+    }
+  );
+  return { ctx, calls };
+}
+
+describe('AchievementGallery', () => {
+  let container;
+
+  beforeEach(() => {
+    localStorage.clear();
+    StateManager.resetProgress();
+    StateManager.state.stats.streakDays = 0;
+    AchievementEngine.init(achievementRules);
+
+    container = document.createElement('section');
+    document.body.appendChild(container);
+    AchievementGallery.activeCategory = 'all';
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('lists every achievement with locked ones as hinted silhouettes', () => {
+    AchievementGallery.show(container);
+
+    const cards = container.querySelectorAll('.achievement-card');
+    expect(cards).toHaveLength(AchievementEngine.getRules().length);
+
+    const locked = container.querySelector('[data-achievement-id="quiz-speed-thinker"]');
+    expect(locked.classList.contains('locked')).toBe(true);
+    expect(locked.querySelector('.achievement-hint').textContent).toContain('Pass a quiz before half of the timer runs out');
+    expect(locked.querySelector('[data-badge]')).toBeNull();
+  });
+
+  test('shows the earned date and XP reward of earned achievements first', () => {
+    StateManager.unlockPlanet('dom');
+    AchievementGallery.show(container);
+
+    const first = container.querySelector('.achievement-card');
+    expect(first.dataset.achievementId).toBe('planet-dom');
+    expect(first.classList.contains('earned')).toBe(true);
+    expect(first.querySelector('.achievement-meta').textContent).toContain('Earned');
+    expect(first.querySelector('.achievement-xp').textContent).toBe('+50 XP');
+    expect(container.querySelector('.gallery-summary').textContent).toMatch(/^1 of \d+ earned$/);
+  });
+
+  test('shows progress bars for counter achievements', () => {
+    StateManager.completeQuiz('basics', 1, 5);
+    StateManager.completeQuiz('basics', 2, 5);
+    AchievementGallery.show(container);
+
+    const card = container.querySelector('[data-achievement-id="quiz-enthusiast"]');
+    expect(card.querySelector('.achievement-progress-label').textContent).toBe('2/5');
+    expect(card.querySelector('.achievement-progress-fill').style.width).toBe('40%');
+  });
+
+  test('filters achievements by category', () => {
+    AchievementGallery.show(container);
+
+    container.querySelector('[data-category="streak"]').click();
+
+    const ids = [...container.querySelectorAll('.achievement-card')].map((card) => card.dataset.achievementId);
+    expect(ids).toEqual(['streak-3', 'streak-7']);
+    expect(container.querySelector('[data-category="streak"]').getAttribute('aria-selected')).toBe('true');
+    expect(container.querySelector('[data-category="level"]')).not.toBeNull();
+  });
+
+  test('renders an earned badge to canvas and downloads it as PNG', () => {
+    const { ctx, calls } = createFakeContext();
+    const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+    const toBlob = jest
+      .spyOn(HTMLCanvasElement.prototype, 'toBlob')
+      .mockImplementation((callback) => callback(new Blob(['png'], { type: 'image/png' })));
+    URL.createObjectURL = jest.fn(() => 'blob:badge');
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      click.downloaded = this.download;
+    });
+
+    StateManager.unlockPlanet('dom');
+    AchievementGallery.show(container);
+    container.querySelector('[data-badge="planet-dom"]').click();
+
+    const modal = document.querySelector('.badge-modal');
+    expect(modal.querySelector('canvas.badge-canvas').width).toBe(AchievementGallery.badgeSize);
+    expect(calls.filter(([method]) => method === 'fillText').map(([, text]) => text)).toEqual(
+      expect.arrayContaining(['🪐', 'Dom Explorer', 'Unlocked the dom planet'])
+    );
+
+    modal.querySelector('.modal-footer .btn-primary').click();
+    expect(click.downloaded).toBe('jsversehub-planet-dom.png');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:badge');
+
+    getContext.mockRestore();
+    toBlob.mockRestore();
+    click.mockRestore();
+  });
+});
@@ -0,0 +1,129 @@
+// File: tests/components/codeEditor.test.js
+// Location: jsversehub/tests/components/codeEditor.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+require('../../src/components/CodeEditor.js');
+
+const CodeEditor = window.CodeEditor;
+
+function pressKey(editor, key, options = {}) {
+  const event = new KeyboardEvent('keydown', { key, cancelable: true, ...options });
+  editor.textarea.dispatchEvent(event);
+  return event;
+}
+
+function setCaret(editor, start, end = start) {
+  editor.textarea.focus();
+  editor.textarea.setSelectionRange(start, end);
+}
+
+describe('CodeEditor', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('renders the initial value with line numbers and highlighting', () => {
+    const editor = new CodeEditor(container, { value: 'const a = 1;\n// note\nlog("hi");' });
+
+    expect(editor.getValue()).toBe('const a = 1;\n// note\nlog("hi");');
+    expect(container.querySelectorAll('.code-editor-line-number')).toHaveLength(3);
+
+    const highlighted = container.querySelector('.code-editor-highlight code');
+    expect(highlighted.querySelector('.tok-keyword').textContent).toBe('const');
+    expect(highlighted.querySelector('.tok-comment').textContent).toBe('// note');
+    expect(highlighted.querySelector('.tok-string').textContent).toBe('"hi"');
+    expect(highlighted.querySelector('.tok-function').textContent).toBe('log');
+  });
+
+  test('escapes markup in highlighted code', () => {
+    expect(CodeEditor.highlight('a < b && "<b>"')).toBe(
+      'a &lt; b &amp;&amp; <span class="tok-string">"&lt;b&gt;"</span>'
+    );
+  });
+
+  test('inserts an indent on Tab and removes it on Shift+Tab', () => {
+    const editor = new CodeEditor(container, { value: 'let x;' });
+    setCaret(editor, 0);
+
+    const tab = pressKey(editor, 'Tab');
+    expect(tab.defaultPrevented).toBe(true);
+    expect(editor.getValue()).toBe('  let x;');
+
+    pressKey(editor, 'Tab', { shiftKey: true });
+    expect(editor.getValue()).toBe('let x;');
+  });
+
+  test('indents every selected line', () => {
+    const editor = new CodeEditor(container, { value: 'a\nb\nc' });
+    setCaret(editor, 0, 3);
+
+    pressKey(editor, 'Tab');
+
+    expect(editor.getValue()).toBe('  a\n  b\nc');
+  });
+
+  test('keeps indentation on Enter and indents after an opening brace', () => {
+    const editor = new CodeEditor(container, { value: '  if (x) {}' });
+    setCaret(editor, 10);
+
+    pressKey(editor, 'Enter');
+
+    expect(editor.getValue()).toBe('  if (x) {\n    \n  }');
+    expect(editor.textarea.selectionStart).toBe(15);
+
+    setCaret(editor, 15);
+    pressKey(editor, 'Enter');
+    expect(editor.getValue()).toBe('  if (x) {\n    \n    \n  }');
+  });
+
+  test('outdents a closing brace typed on a blank line', () => {
+    const editor = new CodeEditor(container, { value: 'if (x) {\n    ' });
+    setCaret(editor, 13);
+
+    const event = pressKey(editor, '}');
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(editor.getValue()).toBe('if (x) {\n  }');
+  });
+
+  test('matches brackets outside strings and comments', () => {
+    const code = 'f(a, "(", [1]) // )';
+
+    expect(CodeEditor.findMatchingBracket(code, 1)).toBe(13);
+    expect(CodeEditor.findMatchingBracket(code, 13)).toBe(1);
+    expect(CodeEditor.findMatchingBracket(code, 10)).toBe(12);
+    expect(CodeEditor.findMatchingBracket(code, 6)).toBe(-1);
+    expect(CodeEditor.findMatchingBracket('(]', 0)).toBe(-1);
+  });
+
+  test('marks the bracket pair next to the caret', () => {
+    const editor = new CodeEditor(container, { value: 'f(1)' });
+    setCaret(editor, 2);
+    editor.updateHighlight();
+
+    const marked = container.querySelectorAll('.tok-bracket-match');
+    expect(Array.from(marked).map((el) => el.textContent)).toEqual(['(', ')']);
+  });
+
+  test('reports edits through onChange but not silent setValue calls', () => {
+    const onChange = jest.fn();
+    const editor = new CodeEditor(container, { value: '', onChange });
+
+    editor.setValue('reset', { silent: true });
+    expect(onChange).not.toHaveBeenCalled();
+
+    setCaret(editor, 5);
+    pressKey(editor, 'Enter');
+    expect(onChange).toHaveBeenCalledWith('reset\n');
+  });
+});
@@ -0,0 +1,168 @@
+// File: tests/components/conceptViewerDeepLinks.test.js
+// Location: jsversehub/tests/components/conceptViewerDeepLinks.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/contentAdapter.js');
+require('../../src/engine/conceptLoader.js');
+require('../../src/engine/codeRunner.js');
+require('../../src/engine/navigation.js');
+require('../../src/components/Modal.js');
+require('../../src/components/CodeEditor.js');
+require('../../src/components/ConceptViewer.js');
+
+const StateManager = window.StateManager;
+const Navigation = window.Navigation;
+const ConceptViewer = window.ConceptViewer;
+
+// Let pending navigations (guards, resolve, handler) settle
+async function settle() {
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+async function goBack() {
+  const popped = new Promise((resolve) => window.addEventListener('popstate', resolve, { once: true }));
+  window.history.back();
+  await popped;
+  await settle();
+}
+
+function currentPath() {
+  return window.location.pathname + window.location.search;
+}
+
+function activeTab() {
+  return ConceptViewer.modal.element.querySelector('.nav-tab.active').dataset.tab;
+}
+
+describe('Navigation concept paths', () => {
+  test('builds 1-based deep links for each place in a concept', () => {
+    expect(Navigation.buildConceptPath({ conceptId: 'basics' })).toBe('/concept/basics');
+    expect(Navigation.buildConceptPath({ conceptId: 'basics', section: 2 })).toBe('/concept/basics?section=3');
+    expect(Navigation.buildConceptPath({ conceptId: 'basics', tab: 'notes', section: 2 })).toBe('/concept/basics?tab=notes');
+    expect(Navigation.buildConceptPath({ conceptId: 'basics', tab: 'exercises' })).toBe('/concept/basics?tab=exercises');
+    expect(Navigation.buildConceptPath({ conceptId: 'basics', tab: 'exercises', exerciseId: 'a b' })).toBe(
+      '/exercise/basics/a%20b'
+    );
+    expect(Navigation.buildConceptPath({ conceptId: 'basics', tab: 'quiz', question: 0 })).toBe('/quiz/basics?question=1');
+  });
+
+  test('ignores missing or invalid indexes', () => {
+    expect(Navigation.parseIndexParam('3')).toBe(2);
+    expect(Navigation.parseIndexParam('0')).toBeNull();
+    expect(Navigation.parseIndexParam('abc')).toBeNull();
+    expect(Navigation.parseIndexParam(undefined)).toBeNull();
+  });
+});
+
+describe('ConceptViewer deep links', () => {
+  let concept;
+
+  beforeAll(async () => {
+    Navigation.setupEventListeners();
+    concept = await window.ConceptLoader.loadConcept('basics');
+  });
+
+  beforeEach(async () => {
+    localStorage.clear();
+    StateManager.resetProgress();
+    await Navigation.navigateTo('/');
+  });
+
+  afterEach(async () => {
+    if (ConceptViewer.modal) {
+      ConceptViewer.modal.hide();
+    }
+    await settle();
+  });
+
+  test('opens a linked section', async () => {
+    await Navigation.navigateTo('/concept/basics?section=2');
+    await settle();
+
+    expect(ConceptViewer.currentConcept.id).toBe('basics');
+    expect(activeTab()).toBe('content');
+    expect(ConceptViewer.currentSection).toBe(1);
+    expect(ConceptViewer.modal.element.querySelector('.section-content .section-title').textContent).toBe(
+      concept.sections[1].title
+    );
+    expect(currentPath()).toBe('/concept/basics?section=2');
+  });
+
+  test('opens a linked exercise', async () => {
+    const exercise = concept.exercises[1];
+
+    await Navigation.navigateTo(`/exercise/basics/${exercise.id}`);
+    await settle();
+
+    expect(activeTab()).toBe('exercises');
+    expect(ConceptViewer.currentExercise).toBe(1);
+    expect(ConceptViewer.modal.element.querySelector('.exercise-card.targeted').dataset.exercise).toBe('1');
+  });
+
+  test('keeps the URL in sync and steps back through tabs and sections', async () => {
+    await Navigation.navigateTo('/concept/basics');
+    await settle();
+
+    ConceptViewer.modal.element.querySelector('#next-section').click();
+    await settle();
+    expect(currentPath()).toBe('/concept/basics?section=2');
+
+    ConceptViewer.modal.element.querySelector('.nav-tab[data-tab="notes"]').click();
+    await settle();
+    expect(currentPath()).toBe('/concept/basics?tab=notes');
+
+    await goBack();
+    expect(activeTab()).toBe('content');
+    expect(ConceptViewer.currentSection).toBe(1);
+
+    await goBack();
+    expect(ConceptViewer.currentSection).toBe(0);
+    expect(ConceptViewer.currentConcept.id).toBe('basics');
+  });
+
+  test('starts a linked quiz at the linked question and tracks question moves', async () => {
+    StateManager.unlockPlanet('async');
+
+    await Navigation.navigateTo('/quiz/async?question=2');
+    await settle();
+
+    expect(activeTab()).toBe('quiz');
+    expect(ConceptViewer.currentQuiz.questionIndex).toBe(1);
+
+    ConceptViewer.modal.element.querySelector('#quiz-next').click();
+    await settle();
+    expect(currentPath()).toBe('/quiz/async?question=3');
+
+    await goBack();
+    expect(ConceptViewer.currentQuiz.questionIndex).toBe(1);
+  });
+
+  test('leaves the concept URL when the viewer is closed', async () => {
+    await Navigation.navigateTo('/concept/basics?tab=notes');
+    await settle();
+
+    ConceptViewer.modal.hide();
+    await settle();
+
+    expect(ConceptViewer.modal).toBeNull();
+    expect(currentPath()).toBe('/');
+    expect(Navigation.getCurrentRoute().name).toBe('galaxy');
+  });
+});
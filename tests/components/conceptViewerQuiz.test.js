@@ -0,0 +1,81 @@
+// File: tests/components/conceptViewerQuiz.test.js
+// Location: jsversehub/tests/components/conceptViewerQuiz.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/quizAssembler.js');
+require('../../src/engine/contentAdapter.js');
+require('../../src/engine/conceptLoader.js');
+require('../../src/engine/codeRunner.js');
+require('../../src/components/Modal.js');
+require('../../src/components/CodeEditor.js');
+require('../../src/components/ConceptViewer.js');
+
+const StateManager = window.StateManager;
+const ConceptLoader = window.ConceptLoader;
+const ConceptViewer = window.ConceptViewer;
+
+function instructions() {
+  return [...ConceptViewer.modal.element.querySelectorAll('.quiz-instructions li')].map((item) => item.textContent);
+}
+
+describe('ConceptViewer quiz intro', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    StateManager.resetProgress();
+
+    // Attempts ask half of the bank
+    const concept = await ConceptLoader.loadConcept('async');
+    jest.spyOn(ConceptLoader, 'loadConcept').mockResolvedValue({
+      ...concept,
+      quiz: { ...concept.quiz, questionCount: Math.floor(concept.quiz.questions.length / 2) },
+    });
+    await ConceptViewer.showConcept('async');
+  });
+
+  afterEach(() => {
+    if (ConceptViewer.modal) {
+      ConceptViewer.modal.hide();
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('describes the attempt that starts, not the whole question bank', () => {
+    const bank = ConceptViewer.currentConcept.quiz;
+    const attempt = ConceptViewer.drawnQuiz;
+    expect(attempt.questions.length).toBe(bank.questionCount);
+    expect(attempt.totalPoints).toBeLessThan(bank.totalPoints);
+
+    const stat = ConceptViewer.modal.element.querySelector('.quiz-stat').textContent;
+    expect(stat).toBe(`📊 ${attempt.questions.length} questions`);
+    expect(instructions()).toContain(ConceptViewer.describeQuizPoints(attempt));
+    expect(instructions().join('\n')).not.toMatch(new RegExp(`\\b${bank.totalPoints} in total`));
+
+    ConceptViewer.modal.element.querySelector('.start-quiz-btn').click();
+    expect(ConceptViewer.currentQuiz.quiz).toBe(attempt);
+    expect(ConceptViewer.drawnQuiz).toBeNull();
+  });
+
+  test('gives the points of each question, or their range when difficulty varies', () => {
+    const quiz = { questions: [{ points: 10 }, { points: 10 }], totalPoints: 20 };
+    expect(ConceptViewer.describeQuizPoints(quiz)).toBe('Each question is worth 10 points');
+
+    quiz.questions.push({ points: 15 });
+    quiz.totalPoints = 35;
+    expect(ConceptViewer.describeQuizPoints(quiz)).toBe('Questions are worth 10-15 points, 35 in total');
+  });
+});
@@ -0,0 +1,55 @@
+// File: tests/components/loginView.test.js
+// Location: jsversehub/tests/components/loginView.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+window.AuthClient = {
+  available: true,
+  getUser: () => ({ username: 'ada', name: 'Ada "Countess" Lovelace' }),
+};
+global.AuthClient = window.AuthClient;
+
+require('../../src/components/LoginView.js');
+
+const LoginView = window.LoginView;
+
+describe('LoginView', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('keeps a quoted redirect inside the Continue link', () => {
+    // ?redirect=/%22%20autofocus%20onfocus=%22alert(1) after decoding
+    LoginView.show(container, '/" autofocus onfocus="alert(1)');
+
+    const link = container.querySelector('.login-actions a');
+    expect(link.getAttribute('href')).toBe('/" autofocus onfocus="alert(1)');
+    expect(link.hasAttribute('onfocus')).toBe(false);
+    expect(link.hasAttribute('autofocus')).toBe(false);
+    expect(container.querySelector('strong').textContent).toBe('Ada "Countess" Lovelace');
+  });
+
+  test('only redirects to paths inside the app', () => {
+    expect(LoginView.getSafeRedirect('//evil.example')).toBe('/');
+    expect(LoginView.getSafeRedirect('https://evil.example')).toBe('/');
+    expect(LoginView.getSafeRedirect('/progress?tab=quiz')).toBe('/progress?tab=quiz');
+  });
+});
@@ -0,0 +1,44 @@
+// File: tests/components/navbar.test.js
+// Location: jsversehub/tests/components/navbar.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/navigation.js');
+require('../../src/components/Navbar.js');
+
+const Navbar = window.Navbar;
+
+describe('Navbar', () => {
+  let navbar;
+
+  beforeEach(() => {
+    navbar = new Navbar();
+  });
+
+  afterEach(() => {
+    document.querySelectorAll('.achievement-toast').forEach((toast) => toast.remove());
+  });
+
+  test('shows offline download errors as text', () => {
+    navbar.handleOfflineEvent('planetCacheFailed', { planetId: 'dom', error: '<img src=x onerror="alert(1)">' });
+    navbar.handleOfflineEvent('planetCached', { planetId: '<b>dom</b>' });
+
+    const [failed, cached] = [...document.querySelectorAll('.toast-message')];
+    expect(failed.textContent).toBe('⚠️ Download failed: <img src=x onerror="alert(1)">');
+    expect(failed.querySelector('img')).toBeNull();
+    expect(cached.textContent).toBe('📥 <b>dom</b> planet available offline');
+  });
+});
@@ -0,0 +1,132 @@
+// File: tests/components/settingsPanel.test.js
+// Location: jsversehub/tests/components/settingsPanel.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/storageAdapters.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/galaxyRenderer.js');
+require('../../src/components/Modal.js');
+require('../../src/components/SettingsPanel.js');
+
+const StateManager = window.StateManager;
+const SettingsPanel = window.SettingsPanel;
+
+StateManager.setStorage(window.StorageAdapters.create('localStorage'));
+
+function change(input, value) {
+  if (input.type === 'checkbox') {
+    input.checked = value;
+  } else {
+    input.value = value;
+  }
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+describe('SettingsPanel', () => {
+  let container;
+
+  beforeEach(() => {
+    localStorage.clear();
+    StateManager.state = StateManager.createDefaultState();
+    container = document.createElement('section');
+    document.body.appendChild(container);
+    SettingsPanel.show(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    jest.restoreAllMocks();
+  });
+
+  test('renders a control for every setting with its saved value', () => {
+    StateManager.updateSettings({ fontSize: 'large', showHints: false });
+    SettingsPanel.render();
+
+    const names = [...container.querySelectorAll('[name]')].map((input) => input.name);
+    expect(names.sort()).toEqual(Object.keys(StateManager.getState().settings).sort());
+    expect(container.querySelector('[name="fontSize"]').value).toBe('large');
+    expect(container.querySelector('[name="showHints"]').checked).toBe(false);
+    expect(container.querySelector('[name="animationsEnabled"]').checked).toBe(true);
+  });
+
+  test('saves changes immediately and announces them', async () => {
+    const events = [];
+    const removeListener = StateManager.addListener((event, data) => events.push([event, data]));
+
+    change(container.querySelector('[name="animationsEnabled"]'), false);
+    change(container.querySelector('[name="theme"]'), 'cosmic');
+    removeListener();
+
+    expect(StateManager.getState().settings).toMatchObject({ animationsEnabled: false, theme: 'cosmic' });
+    expect(events.map(([event]) => event)).toEqual(['settingsUpdated', 'settingsUpdated']);
+    await StateManager.flush();
+    expect(JSON.parse(localStorage.getItem('jsversehub-state')).settings.theme).toBe('cosmic');
+  });
+
+  test('keeps the form in sync with settings changed elsewhere', () => {
+    StateManager.updateSettings({ soundEnabled: false });
+
+    expect(container.querySelector('[name="soundEnabled"]').checked).toBe(false);
+  });
+
+  test('resets progress only after confirmation', async () => {
+    const confirm = jest.spyOn(window.Modal, 'confirm').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    jest.spyOn(window.Modal, 'alert').mockImplementation(() => {});
+    const reset = jest.spyOn(StateManager, 'resetProgress');
+
+    container.querySelector('[data-action="reset"]').click();
+    await Promise.resolve();
+    expect(reset).not.toHaveBeenCalled();
+
+    container.querySelector('[data-action="reset"]').click();
+    await Promise.resolve();
+    expect(confirm).toHaveBeenCalledTimes(2);
+    expect(reset).toHaveBeenCalledTimes(1);
+  });
+
+  test('imports a chosen export file after confirmation', async () => {
+    jest.spyOn(window.Modal, 'confirm').mockResolvedValue(true);
+    const alert = jest.spyOn(window.Modal, 'alert').mockImplementation(() => {});
+    const exported = { ...StateManager.createDefaultState(), user: { name: 'Ada', level: 3, totalXP: 900 } };
+
+    await SettingsPanel.importProgress({ name: 'backup.json', text: async () => JSON.stringify(exported) });
+
+    expect(StateManager.getState().user).toMatchObject({ name: 'Ada', totalXP: 900 });
+    expect(alert).toHaveBeenCalledWith('Import complete', expect.any(String));
+  });
+});
+
+describe('GalaxyRenderer animations setting', () => {
+  test('stops planet and cluster animations when animations are disabled', () => {
+    const GalaxyRenderer = window.GalaxyRenderer;
+    const cluster = document.createElement('div');
+    cluster.className = 'galaxy-cluster';
+    document.body.appendChild(cluster);
+    const planet = { element: document.createElement('div') };
+    GalaxyRenderer.planets = [planet];
+
+    StateManager.updateSettings({ animationsEnabled: true });
+    GalaxyRenderer.animateGalaxy();
+    expect(planet.element.style.animation).toContain('planetFloat');
+
+    StateManager.updateSettings({ animationsEnabled: false });
+    GalaxyRenderer.handleStateChange('settingsUpdated', StateManager.getState().settings);
+    expect(planet.element.style.animation).toBe('none');
+    expect(cluster.style.animation).toBe('none');
+
+    cluster.remove();
+  });
+});
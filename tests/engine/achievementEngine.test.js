@@ -0,0 +1,157 @@
+// File: tests/engine/achievementEngine.test.js
+// Location: jsversehub/tests/engine/achievementEngine.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/achievementEngine.js');
+
+const achievementRules = require('../../src/assets/data/achievements.json');
+
+const StateManager = window.StateManager;
+const AchievementEngine = window.AchievementEngine;
+
+const earnedIds = () => StateManager.getAchievements().map((a) => a.id);
+
+describe('AchievementEngine', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    StateManager.resetProgress();
+    StateManager.state.stats.streakDays = 0;
+    AchievementEngine.init(achievementRules);
+  });
+
+  test('expands per-planet rules from the curriculum graph', () => {
+    const ruleIds = AchievementEngine.getRules().map((rule) => rule.id);
+
+    expect(ruleIds).toContain('planet-performance');
+    expect(ruleIds).toContain('perfect-basics');
+    expect(ruleIds).not.toContain('planet-basics');
+    expect(AchievementEngine.getRules().find((rule) => rule.id === 'planet-dom').title).toBe('🪐 Dom Explorer');
+  });
+
+  test('awards planet achievements and their XP when a planet unlocks', () => {
+    const xpBefore = StateManager.getState().user.totalXP;
+
+    StateManager.unlockPlanet('dom');
+
+    expect(earnedIds()).toContain('planet-dom');
+    expect(StateManager.getState().user.totalXP).toBe(xpBefore + 50);
+  });
+
+  test('awards a perfect score only for the quiz that was aced', () => {
+    StateManager.completeQuiz('dom', 4, 5, { timeSpent: 400, timeLimit: 480 });
+    expect(earnedIds()).not.toContain('perfect-dom');
+
+    StateManager.completeQuiz('dom', 5, 5, { timeSpent: 400, timeLimit: 480 });
+    expect(earnedIds()).toContain('perfect-dom');
+    expect(earnedIds()).not.toContain('perfect-basics');
+  });
+
+  test('awards quizzes passed in under half the time limit', () => {
+    StateManager.completeQuiz('basics', 5, 5, { timeSpent: 300, timeLimit: 480 });
+    expect(earnedIds()).not.toContain('quiz-speed-thinker');
+
+    StateManager.completeQuiz('basics', 2, 5, { timeSpent: 60, timeLimit: 480 });
+    expect(earnedIds()).not.toContain('quiz-speed-thinker');
+
+    StateManager.completeQuiz('basics', 5, 5, { timeSpent: 200, timeLimit: 480 });
+    expect(earnedIds()).toContain('quiz-speed-thinker');
+  });
+
+  test('tracks partial progress of counter rules', () => {
+    for (let i = 1; i <= 4; i++) {
+      StateManager.recordSubmission(`basics-exercise-${i}`, { passed: true, hintsUsed: 0 });
+    }
+    // A pass after a failed attempt does not count as first-try
+    StateManager.recordSubmission('basics-exercise-5', { passed: false, hintsUsed: 0 });
+    StateManager.recordSubmission('basics-exercise-5', { passed: true, hintsUsed: 1 });
+
+    expect(AchievementEngine.getProgress('first-try-5')).toMatchObject({
+      current: 4,
+      target: 5,
+      label: '4/5',
+      completed: false,
+    });
+    expect(StateManager.getAchievementProgress()['no-hints-5'].progress).toBe(80);
+
+    StateManager.recordSubmission('basics-exercise-6', { passed: true, hintsUsed: 0 });
+    expect(earnedIds()).toEqual(expect.arrayContaining(['first-try-5', 'no-hints-5']));
+    expect(AchievementEngine.getProgress('first-try-5').label).toBe('5/5');
+  });
+
+  test('tracks partial progress of state-based rules', () => {
+    StateManager.completeConcept('basics-exercise-1');
+    StateManager.completeConcept('basics-exercise-2');
+
+    expect(earnedIds()).toContain('first-exercise');
+    expect(AchievementEngine.getProgress('exercises-10').label).toBe('2/10');
+  });
+
+  test('awards streak achievements from consecutive visits', () => {
+    const day = (date) => new Date(`${date}T10:00:00`);
+    StateManager.state.stats.lastVisit = day('2024-03-01').toISOString();
+    StateManager.state.stats.streakDays = 1;
+
+    StateManager.recordVisit(day('2024-03-02'));
+    expect(earnedIds()).not.toContain('streak-3');
+
+    StateManager.recordVisit(day('2024-03-03'));
+    expect(StateManager.getStats().streakDays).toBe(3);
+    expect(earnedIds()).toContain('streak-3');
+
+    StateManager.recordVisit(day('2024-03-05'));
+    expect(StateManager.getStats().streakDays).toBe(1);
+  });
+
+  test('backfills existing users from their saved state', () => {
+    StateManager.state.progress.unlockedPlanets.push('dom', 'es6');
+    StateManager.state.stats.quizzesCompleted = 6;
+    StateManager.state.user.level = 3;
+
+    AchievementEngine.init(achievementRules);
+
+    expect(earnedIds()).toEqual(
+      expect.arrayContaining(['planet-dom', 'planet-es6', 'quiz-enthusiast', 'level-2', 'level-3'])
+    );
+    // Event-only rules cannot be decided from saved state
+    expect(earnedIds()).not.toContain('perfect-dom');
+    expect(earnedIds()).not.toContain('quiz-speed-thinker');
+  });
+
+  test('does not award an achievement twice', () => {
+    StateManager.unlockPlanet('dom');
+    const xp = StateManager.getState().user.totalXP;
+
+    AchievementEngine.backfill();
+
+    expect(earnedIds().filter((id) => id === 'planet-dom')).toHaveLength(1);
+    expect(StateManager.getState().user.totalXP).toBe(xp);
+  });
+
+  test('skips invalid rules with a warning', () => {
+    const rules = AchievementEngine.loadRules({
+      rules: [
+        { id: 'ok', title: 'OK', progress: { path: 'user.level', target: 2 } },
+        { id: 'ok', title: 'Duplicate', progress: { path: 'user.level', target: 2 } },
+        { id: 'bad-op', title: 'Bad', conditions: [{ path: 'user.level', op: '~=', value: 1 }] },
+        { id: 'no-target', title: 'No target', progress: { path: 'user.level' } },
+      ],
+    });
+
+    expect(rules.map((rule) => rule.id)).toEqual(['ok']);
+    expect(JSVLogger.warn).toHaveBeenCalledWith(expect.stringContaining('duplicate id'));
+  });
+});
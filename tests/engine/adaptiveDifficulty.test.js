@@ -0,0 +1,154 @@
+// File: tests/engine/adaptiveDifficulty.test.js
+// Location: jsversehub/tests/engine/adaptiveDifficulty.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/storageAdapters.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/conceptLoader.js');
+require('../../src/engine/adaptiveDifficulty.js');
+
+const StateManager = window.StateManager;
+const ConceptLoader = window.ConceptLoader;
+const AdaptiveDifficulty = window.AdaptiveDifficulty;
+
+StateManager.setStorage(window.StorageAdapters.create('memory'));
+
+/**
+ * A bank of ten questions for a quiz that asks five
+ */
+function createQuiz() {
+  const questions = Array.from({ length: 10 }, (_, index) => ({
+    question: `Question ${index + 1}`,
+    type: 'multiple-choice',
+    options: ['a', 'b'],
+    correctAnswer: 0,
+  }));
+  return ConceptLoader.buildQuiz('dom', questions, { questions: 5, timeLimit: 300 });
+}
+
+function answer(questionId, credit) {
+  return { questionId, planetId: 'dom', credit, correct: credit === 1, answered: true };
+}
+
+describe('AdaptiveDifficulty', () => {
+  beforeEach(() => {
+    StateManager.state = StateManager.createDefaultState();
+    ConceptLoader.clearCache();
+    ConceptLoader.conceptCache.set('dom', {
+      id: 'dom',
+      quiz: createQuiz(),
+      exercises: [{ id: 'dom-exercise-1', difficulty: 'hard', hints: ['one', 'two', 'three'] }],
+    });
+    AdaptiveDifficulty.init();
+  });
+
+  afterAll(() => {
+    AdaptiveDifficulty.removeListener();
+  });
+
+  test('keeps the whole bank in the quiz and asks questionCount of it', () => {
+    const quiz = createQuiz();
+
+    expect(quiz.questions).toHaveLength(10);
+    expect(quiz.questionCount).toBe(5);
+    expect(quiz.timeLimit).toBe(300);
+  });
+
+  test('favours easy or hard questions on easy and hard', () => {
+    const easy = AdaptiveDifficulty.getDifficultyWeights('dom', 'easy');
+    const hard = AdaptiveDifficulty.getDifficultyWeights('dom', 'hard');
+
+    expect(easy.easy).toBeGreaterThan(easy.hard);
+    expect(hard.hard).toBeGreaterThan(hard.easy);
+    expect(AdaptiveDifficulty.getDifficultyWeights('dom', 'normal')).toEqual({ easy: 1, medium: 1, hard: 1 });
+  });
+
+  test('rates skill from quiz answers, moving less as answers add up', () => {
+    StateManager.recordQuestionAnswers([answer('dom-q9', 1), answer('dom-q10', 1)]);
+    const afterTwo = AdaptiveDifficulty.getSkill('dom');
+
+    expect(afterTwo.answers).toBe(2);
+    expect(afterTwo.rating).toBeGreaterThan(0);
+
+    StateManager.recordQuestionAnswers([answer('dom-q1', 0)]);
+    const afterMiss = AdaptiveDifficulty.getSkill('dom');
+    expect(afterMiss.rating).toBeLessThan(afterTwo.rating);
+    expect(AdaptiveDifficulty.getKFactor(afterMiss.answers)).toBeLessThan(AdaptiveDifficulty.getKFactor(0));
+    expect(AdaptiveDifficulty.getSkill('basics').answers).toBe(0);
+  });
+
+  test('favours questions near the target success rate in adaptive mode', () => {
+    const beginner = AdaptiveDifficulty.getDifficultyWeights('dom', 'adaptive');
+    expect(beginner.easy).toBeGreaterThan(beginner.medium);
+    expect(beginner.medium).toBeGreaterThan(beginner.hard);
+
+    StateManager.updateSkillRating('dom', { rating: 2, answers: 30, updatedAt: null });
+    const expert = AdaptiveDifficulty.getDifficultyWeights('dom', 'adaptive');
+    expect(expert.hard).toBeGreaterThan(expert.medium);
+    expect(expert.medium).toBeGreaterThan(expert.easy);
+  });
+
+  test('rates an exercise once, by the attempt that passed it', () => {
+    const fail = { passed: false, hintsUsed: 0, errors: [] };
+    const pass = { passed: true, hintsUsed: 0, errors: [] };
+
+    StateManager.recordSubmission('dom-exercise-1', fail);
+    expect(AdaptiveDifficulty.getSkill('dom').answers).toBe(0);
+
+    StateManager.recordSubmission('dom-exercise-1', pass);
+    const skill = AdaptiveDifficulty.getSkill('dom');
+    expect(skill.answers).toBe(1);
+    expect(skill.rating).toBeGreaterThan(0);
+
+    StateManager.recordSubmission('dom-exercise-1', pass);
+    expect(AdaptiveDifficulty.getSkill('dom')).toEqual(skill);
+  });
+
+  test('counts an exercise as missed after repeated failed attempts', () => {
+    const fail = { passed: false, hintsUsed: 0, errors: [] };
+    [1, 2, 3].forEach(() => StateManager.recordSubmission('dom-exercise-1', fail));
+
+    expect(AdaptiveDifficulty.getSkill('dom').answers).toBe(1);
+    expect(AdaptiveDifficulty.getSkill('dom').rating).toBeLessThan(0);
+  });
+
+  test('shows hints up front for easy mode and struggling learners', () => {
+    const exercise = { difficulty: 'hard', hints: ['one', 'two', 'three'] };
+
+    expect(AdaptiveDifficulty.getHintsUpFront('dom', exercise, 'easy')).toBe(1);
+    expect(AdaptiveDifficulty.getHintsUpFront('dom', exercise, 'hard')).toBe(0);
+    expect(AdaptiveDifficulty.getHintsUpFront('dom', exercise, 'adaptive')).toBe(2);
+
+    StateManager.updateSkillRating('dom', { rating: 2, answers: 30, updatedAt: null });
+    expect(AdaptiveDifficulty.getHintsUpFront('dom', exercise, 'adaptive')).toBe(0);
+    expect(AdaptiveDifficulty.getHintsUpFront('dom', { difficulty: 'hard', hints: [] }, 'easy')).toBe(0);
+  });
+
+  test('scales concept XP with the difficulty setting', () => {
+    StateManager.updateSettings({ difficulty: 'hard' });
+    StateManager.completeConcept('dom-section-1');
+    expect(StateManager.getState().user.totalXP).toBe(150);
+
+    StateManager.updateSettings({ difficulty: 'adaptive' });
+    StateManager.updateSkillRating('dom', { rating: -3, answers: 30, updatedAt: null });
+    StateManager.completeConcept('dom-section-2');
+    expect(StateManager.getState().user.totalXP).toBe(225);
+
+    StateManager.updateSettings({ difficulty: 'unknown' });
+    expect(AdaptiveDifficulty.getMode()).toBe('normal');
+    expect(AdaptiveDifficulty.getXPMultiplier('dom')).toBe(1);
+  });
+});
@@ -0,0 +1,161 @@
+// File: tests/engine/authClient.test.js
+// Location: jsversehub/tests/engine/authClient.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/storageAdapters.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/authClient.js');
+
+const StateManager = window.StateManager;
+const AuthClient = window.AuthClient;
+
+StateManager.setStorage(window.StorageAdapters.create('localStorage'));
+
+function response(status, body, contentType = 'application/json') {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => (name === 'Content-Type' ? contentType : null) },
+    json: async () => body,
+  };
+}
+
+/**
+ * Stand-in for server/authApi.js with one account per username
+ */
+function createServer() {
+  const server = { accounts: {}, session: null };
+
+  global.fetch = jest.fn(async (url, { method = 'GET', body } = {}) => {
+    const data = body ? JSON.parse(body) : {};
+
+    if (url === '/api/auth/session') {
+      return server.session ? response(200, { user: server.session }) : response(401, { error: 'Not signed in' });
+    }
+    if (url === '/api/auth/signup' && method === 'POST') {
+      if (server.accounts[data.username]) return response(409, { error: 'That username is taken' });
+      server.accounts[data.username] = data;
+      server.session = { username: data.username, name: data.name || data.username };
+      return response(201, { user: server.session });
+    }
+    if (url === '/api/auth/signin' && method === 'POST') {
+      const account = server.accounts[data.username];
+      if (!account || account.password !== data.password) {
+        return response(401, { error: 'Wrong username or password' });
+      }
+      server.session = { username: account.username, name: account.name };
+      return response(200, { user: server.session });
+    }
+    if (url === '/api/auth/signout') {
+      server.session = null;
+      return response(204, null, null);
+    }
+    return response(404, '<!DOCTYPE html>', 'text/html');
+  });
+
+  return server;
+}
+
+describe('AuthClient', () => {
+  let server;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    AuthClient.user = null;
+    AuthClient.available = null;
+    StateManager.setUserId(null);
+    StateManager.state = StateManager.createDefaultState();
+    server = createServer();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('copies guest progress into a new account', async () => {
+    StateManager.addXP(120);
+    const listener = jest.fn();
+    const remove = AuthClient.addListener(listener);
+
+    await AuthClient.signUp('ada', 'analytical-engine', 'Ada');
+    await StateManager.flush();
+
+    expect(AuthClient.isAuthenticated()).toBe(true);
+    expect(StateManager.storageKey).toBe('jsversehub-state:ada');
+    expect(StateManager.getState().user).toMatchObject({ name: 'Ada', totalXP: 120 });
+    expect(JSON.parse(localStorage.getItem('jsversehub-state:ada')).user.totalXP).toBe(120);
+    expect(listener).toHaveBeenCalledWith('signedIn', expect.objectContaining({ username: 'ada' }));
+    remove();
+  });
+
+  test('keeps each account and the guest in their own state', async () => {
+    await AuthClient.signUp('ada', 'analytical-engine', 'Ada');
+    StateManager.completeConcept('basics-section-1');
+    await AuthClient.signOut();
+
+    expect(StateManager.storageKey).toBe('jsversehub-state');
+    expect(StateManager.getProgress().completedConcepts).toEqual([]);
+
+    await AuthClient.signUp('grace', 'compilers-rule', 'Grace');
+    expect(StateManager.getProgress().completedConcepts).toEqual([]);
+    await AuthClient.signOut();
+
+    await AuthClient.signIn('ada', 'analytical-engine');
+    expect(StateManager.getProgress().completedConcepts).toContain('basics-section-1');
+  });
+
+  test('tells listeners when the state is replaced', async () => {
+    const events = [];
+    const remove = StateManager.addListener((event, data) => events.push([event, data]));
+
+    await AuthClient.signUp('ada', 'analytical-engine');
+
+    expect(events).toContainEqual(['userChanged', { userId: 'ada' }]);
+    remove();
+  });
+
+  test('surfaces server errors without switching state', async () => {
+    await expect(AuthClient.signIn('ada', 'wrong')).rejects.toMatchObject({
+      message: 'Wrong username or password',
+      status: 401,
+    });
+    expect(AuthClient.isAuthenticated()).toBe(false);
+    expect(StateManager.storageKey).toBe('jsversehub-state');
+  });
+
+  test('restores the session on start', async () => {
+    server.session = { username: 'ada', name: 'Ada' };
+
+    await AuthClient.init();
+
+    expect(AuthClient.available).toBe(true);
+    expect(AuthClient.getUserId()).toBe('ada');
+    expect(JSON.parse(localStorage.getItem('jsversehub-account')).username).toBe('ada');
+  });
+
+  test('keeps the last account while offline and notices static hosting', async () => {
+    localStorage.setItem('jsversehub-account', JSON.stringify({ username: 'ada', name: 'Ada' }));
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await AuthClient.init();
+    expect(AuthClient.getUserId()).toBe('ada');
+
+    localStorage.clear();
+    fetch.mockResolvedValueOnce(response(200, '<!DOCTYPE html>', 'text/html'));
+    await AuthClient.init();
+    expect(AuthClient.available).toBe(false);
+    expect(AuthClient.isAuthenticated()).toBe(false);
+  });
+});
@@ -0,0 +1,165 @@
+// File: tests/engine/classroomClient.test.js
+// Location: jsversehub/tests/engine/classroomClient.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/classroomClient.js');
+
+const StateManager = window.StateManager;
+const ClassroomClient = window.ClassroomClient;
+
+function response(status, body = null) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    json: async () => body,
+  };
+}
+
+/**
+ * Stand-in for server/classroomApi.js that records reports
+ */
+function createServer() {
+  const server = { reports: [], online: true, learners: new Set() };
+
+  global.fetch = jest.fn(async (url, { method = 'GET', headers = {}, body } = {}) => {
+    if (!server.online) throw new TypeError('Failed to fetch');
+
+    if (method === 'POST' && url === '/api/classes') {
+      return response(201, { code: 'ABC234', name: JSON.parse(body).name, instructorToken: 'teach' });
+    }
+    if (method === 'POST' && url === '/api/classes/ABC234/learners') {
+      server.learners.add('l1');
+      return response(201, { learnerId: 'l1', learnerToken: 'learn', className: 'Cohort 7' });
+    }
+    if (method === 'POST' && url === '/api/classes/ABC234/learners/l1/reports') {
+      if (!server.learners.has('l1') || headers.Authorization !== 'Bearer learn') {
+        return response(401, { error: 'Unknown learner or token' });
+      }
+      server.reports.push(JSON.parse(body));
+      return response(204);
+    }
+    if (url.startsWith('/api/classes/ABC234/dashboard')) {
+      return headers.Authorization === 'Bearer teach'
+        ? response(200, { code: 'ABC234', url })
+        : response(401, { error: 'Only the class instructor can see the dashboard' });
+    }
+    return response(404, { error: 'No class with that code' });
+  });
+
+  return server;
+}
+
+describe('ClassroomClient', () => {
+  let server;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    StateManager.state = StateManager.createDefaultState();
+    ClassroomClient.membership = null;
+    ClassroomClient.queue = [];
+    ClassroomClient.init();
+    server = createServer();
+  });
+
+  afterEach(() => {
+    clearTimeout(ClassroomClient.reportTimer);
+    jest.useRealTimers();
+    delete global.fetch;
+  });
+
+  test('joins a class and reports quiz answers in batches', async () => {
+    await ClassroomClient.join('abc234', 'Ada');
+    expect(ClassroomClient.getMembership()).toMatchObject({ code: 'ABC234', className: 'Cohort 7' });
+    expect(server.reports).toHaveLength(1);
+
+    StateManager.recordQuestionAnswers([
+      { questionId: 'q1', planetId: 'basics', credit: 1, correct: true, answered: true },
+    ]);
+    StateManager.completeQuiz('basics', 1, 1);
+    expect(server.reports).toHaveLength(1);
+
+    jest.advanceTimersByTime(ClassroomClient.reportDelay);
+    await ClassroomClient.reporting;
+
+    const [, batch] = server.reports;
+    const events = batch.events.filter((event) => event.type !== 'planetUnlocked');
+    expect(events.map((event) => event.type)).toEqual(['questionsAnswered', 'conceptCompleted', 'quizCompleted']);
+    expect(events[0].data.answers).toEqual([
+      { questionId: 'q1', planetId: 'basics', credit: 1, correct: true, answered: true },
+    ]);
+    expect(events[2].data).toEqual({ planetId: 'basics', percentage: 100 });
+    expect(ClassroomClient.queue).toEqual([]);
+  });
+
+  test('keeps events queued while offline', async () => {
+    await ClassroomClient.join('ABC234', 'Ada');
+    server.online = false;
+
+    StateManager.completeConcept('basics-section-1');
+    const queued = ClassroomClient.queue.length;
+    expect(await ClassroomClient.report()).toBe(false);
+    expect(JSON.parse(localStorage.getItem('jsversehub-classroom')).queue).toHaveLength(queued);
+
+    server.online = true;
+    window.dispatchEvent(new Event('online'));
+    await ClassroomClient.reporting;
+
+    expect(server.reports[1].events).toHaveLength(queued);
+    expect(server.reports[1].events.map((event) => event.type)).toContain('conceptCompleted');
+    expect(ClassroomClient.queue).toEqual([]);
+  });
+
+  test('does not report changes merged from other tabs', async () => {
+    await ClassroomClient.join('ABC234', 'Ada');
+
+    ClassroomClient.handleStateEvent('conceptCompleted', 'basics-section-1', { remote: true });
+    expect(ClassroomClient.queue).toEqual([]);
+  });
+
+  test('leaves the class when the server no longer knows the learner', async () => {
+    await ClassroomClient.join('ABC234', 'Ada');
+    server.learners.clear();
+
+    StateManager.completeConcept('basics-section-1');
+    expect(await ClassroomClient.report()).toBe(false);
+
+    expect(ClassroomClient.getMembership()).toBeNull();
+    expect(localStorage.getItem('jsversehub-classroom')).toBeNull();
+  });
+
+  test('remembers created classes and opens their dashboard', async () => {
+    await ClassroomClient.createClass('Cohort 7');
+    expect(ClassroomClient.getInstructorClasses()).toEqual([
+      { code: 'ABC234', name: 'Cohort 7', instructorToken: 'teach' },
+    ]);
+
+    const dashboard = await ClassroomClient.getDashboard('ABC234', 3);
+    expect(dashboard.url).toBe('/api/classes/ABC234/dashboard?inactiveDays=3');
+
+    ClassroomClient.forgetClass('ABC234');
+    await expect(ClassroomClient.getDashboard('ABC234')).rejects.toThrow(/instructor key/);
+  });
+
+  test('surfaces server errors when joining', async () => {
+    await expect(ClassroomClient.join('ZZZZZZ', 'Ada')).rejects.toMatchObject({
+      message: 'No class with that code',
+      status: 404,
+    });
+    expect(ClassroomClient.getMembership()).toBeNull();
+  });
+});
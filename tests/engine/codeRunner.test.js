@@ -0,0 +1,139 @@
+// File: tests/engine/codeRunner.test.js
+// Location: jsversehub/tests/engine/codeRunner.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/codeRunner.js');
+
+const { FakeWorker, installFakeWorker } = require('../helpers/fakeWorker.js');
+
+const CodeRunner = window.CodeRunner;
+
+describe('CodeRunner', () => {
+  beforeAll(() => {
+    installFakeWorker();
+  });
+
+  afterAll(() => {
+    delete global.Worker;
+  });
+
+  test('captures every console level in order', async () => {
+    const result = await CodeRunner.run(`
+      console.log('log', 1);
+      console.info('info');
+      console.warn('warn');
+      console.error('error');
+      console.debug({ a: [1, 2] });
+    `);
+
+    expect(result.success).toBe(true);
+    expect(result.logs).toEqual([
+      { level: 'log', message: 'log 1' },
+      { level: 'info', message: 'info' },
+      { level: 'warn', message: 'warn' },
+      { level: 'error', message: 'error' },
+      { level: 'debug', message: '{ a: [1, 2] }' },
+    ]);
+  });
+
+  test('reports runtime errors with the output produced so far', async () => {
+    const result = await CodeRunner.run(`
+      console.log('before');
+      undefinedFunction();
+    `);
+
+    expect(result.success).toBe(false);
+    expect(result.logs).toEqual([{ level: 'log', message: 'before' }]);
+    expect(result.error).toEqual({
+      name: 'ReferenceError',
+      message: 'undefinedFunction is not defined',
+    });
+  });
+
+  test('reports syntax errors', async () => {
+    const result = await CodeRunner.run('const = 5;');
+
+    expect(result.success).toBe(false);
+    expect(result.error.name).toBe('SyntaxError');
+  });
+
+  test('waits for timers and awaited promises before finishing', async () => {
+    const result = await CodeRunner.run(`
+      setTimeout(() => console.log('timer'), 20);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      console.log('awaited');
+    `);
+
+    expect(result.success).toBe(true);
+    expect(result.logs.map((log) => log.message)).toEqual(['awaited', 'timer']);
+  });
+
+  test('stops code that runs past the wall-clock timeout', async () => {
+    const result = await CodeRunner.run(
+      `setInterval(() => console.log('tick'), 10);`,
+      { timeout: 100 }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.timedOut).toBe(true);
+    expect(result.error.name).toBe('TimeoutError');
+    expect(result.logs.length).toBeGreaterThan(0);
+  });
+
+  test('truncates output beyond the size limit', async () => {
+    const result = await CodeRunner.run(
+      `for (let i = 0; i < 1000; i++) console.log('line ' + i);`,
+      { maxOutputSize: 100 }
+    );
+
+    expect(result.truncated).toBe(true);
+    const size = result.logs
+      .slice(0, -1)
+      .reduce((total, log) => total + log.message.length, 0);
+    expect(size).toBeLessThanOrEqual(100);
+    expect(result.logs[result.logs.length - 1].message).toMatch(/truncated/);
+  });
+
+  test('hides the worker messaging API from learner code', async () => {
+    const result = await CodeRunner.run(`
+      console.log(typeof self, typeof postMessage);
+    `);
+
+    expect(result.logs[0].message).toBe('undefined undefined');
+  });
+
+  test('removes app storage, requests and messaging from the worker global', () => {
+    const { scope } = new FakeWorker();
+
+    ['postMessage', 'indexedDB', 'fetch'].forEach((name) => {
+      expect(scope[name]).toBeUndefined();
+      expect(Object.getPrototypeOf(scope)).not.toHaveProperty(name);
+    });
+    expect(() => {
+      scope.postMessage = () => {};
+    }).toThrow(TypeError);
+  });
+
+  test('resolves with an error when workers are unavailable', async () => {
+    const worker = global.Worker;
+    delete global.Worker;
+
+    const result = await CodeRunner.run('console.log(1)');
+
+    expect(result.success).toBe(false);
+    expect(result.error.name).toBe('UnsupportedError');
+    global.Worker = worker;
+  });
+});
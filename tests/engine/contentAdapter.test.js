@@ -0,0 +1,135 @@
+// File: tests/engine/contentAdapter.test.js
+// Location: jsversehub/tests/engine/contentAdapter.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/contentAdapter.js');
+require('../../src/engine/conceptLoader.js');
+
+const ContentAdapter = window.ContentAdapter;
+const ConceptLoader = window.ConceptLoader;
+
+const planetIds = Object.keys(ConceptLoader.conceptStructure);
+
+describe('ContentAdapter', () => {
+  beforeEach(() => {
+    ConceptLoader.clearCache();
+  });
+
+  test('registers content modules for every planet', () => {
+    planetIds.forEach((planetId) => {
+      expect(ContentAdapter.hasModules(planetId)).toBe(true);
+    });
+  });
+
+  test.each(planetIds)('normalizes %s modules into the viewer contract', async (planetId) => {
+    const content = await ContentAdapter.loadPlanetContent(planetId);
+
+    expect(content).not.toBeNull();
+    expect(content.sections.length).toBeGreaterThan(0);
+    content.sections.forEach((section) => {
+      expect(typeof section.title).toBe('string');
+      expect(typeof section.content.description).toBe('string');
+      expect(Array.isArray(section.keyPoints)).toBe(true);
+      section.content.examples.forEach((example) => {
+        expect(typeof example.code).toBe('string');
+      });
+    });
+
+    const exerciseIds = content.exercises.map((exercise) => exercise.id);
+    expect(new Set(exerciseIds).size).toBe(exerciseIds.length);
+    content.exercises.forEach((exercise) => {
+      expect(['easy', 'medium', 'hard']).toContain(exercise.difficulty);
+      expect(typeof exercise.starterCode).toBe('string');
+      expect(Array.isArray(exercise.hints)).toBe(true);
+      expect(Array.isArray(exercise.testCases)).toBe(true);
+    });
+
+    content.quiz.questions.forEach((question) => {
+      expect(window.QuizScorer.isValidQuestion(question)).toBe(true);
+      if (question.type === 'multiple-choice') {
+        expect(question.correctAnswer).toBeGreaterThanOrEqual(0);
+        expect(question.correctAnswer).toBeLessThan(question.options.length);
+      }
+    });
+  });
+
+  test('keeps the real answer indices of module quizzes', async () => {
+    const { quiz } = require('../../src/concepts/algorithms/index.js');
+    const content = await ContentAdapter.loadPlanetContent('algorithms');
+
+    expect(content.quiz.questions.map((q) => q.correctAnswer)).toEqual(
+      quiz.map((q) => q.correct)
+    );
+    expect(content.quiz.questions.some((q) => q.correctAnswer !== 0)).toBe(true);
+  });
+
+  test('exposes basics exercise checks that run against learner code', async () => {
+    const content = await ContentAdapter.loadPlanetContent('basics');
+    const exercise = content.exercises.find((e) => e.id === 'basics-exercise-basics_variables');
+
+    expect(exercise).toBeDefined();
+    expect(exercise.checks.length).toBeGreaterThan(0);
+    expect(exercise.checks.every((check) => typeof check.check === 'function')).toBe(true);
+  });
+
+  test('drops checks that need a callable from the learner code', async () => {
+    const content = await ContentAdapter.loadPlanetContent('basics');
+    const exercise = content.exercises.find((e) => e.id === 'basics-exercise-basics_operators');
+
+    expect(exercise.checks.length).toBeGreaterThan(0);
+    expect(exercise.checks.every((check) => check.check.length <= 1)).toBe(true);
+  });
+
+  test('keeps sections in authoring order', async () => {
+    const content = await ContentAdapter.loadPlanetContent('basics');
+
+    expect(content.sections[0].id).toBe('variablesAndTypes');
+  });
+
+  test('returns null for planets without modules', async () => {
+    await expect(ContentAdapter.loadPlanetContent('unknown-planet')).resolves.toBeNull();
+  });
+});
+
+describe('ConceptLoader with module content', () => {
+  beforeEach(() => {
+    ConceptLoader.clearCache();
+  });
+
+  test('loads module content instead of placeholders', async () => {
+    const concept = await ConceptLoader.loadConcept('security');
+
+    expect(concept.source).toBe('modules');
+    expect(concept.overview.difficulty).toBeDefined();
+    expect(concept.quiz.questions.length).toBeGreaterThan(0);
+    concept.quiz.questions.forEach((question) => {
+      expect(question.options[0]).not.toMatch(/^Option A for/);
+      expect(question.points).toBeGreaterThan(0);
+    });
+  });
+
+  test('falls back to generated content when modules are missing', async () => {
+    const spy = jest.spyOn(ContentAdapter, 'loadPlanetContent').mockResolvedValue(null);
+
+    const concept = await ConceptLoader.loadConcept('dom');
+
+    expect(concept.source).toBe('generated');
+    expect(concept.sections.length).toBe(ConceptLoader.conceptStructure.dom.sections.length);
+    expect(typeof concept.sections[0].content.examples[0].code).toBe('string');
+    spy.mockRestore();
+  });
+});
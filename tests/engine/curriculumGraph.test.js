@@ -0,0 +1,119 @@
+// File: tests/engine/curriculumGraph.test.js
+// Location: jsversehub/tests/engine/curriculumGraph.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/contentAdapter.js');
+require('../../src/engine/conceptLoader.js');
+require('../../src/engine/galaxyRenderer.js');
+
+const CurriculumGraph = window.CurriculumGraph;
+const CurriculumGraphClass = CurriculumGraph.constructor;
+
+function graphWith(planets, startingPlanets = ['basics']) {
+  const graph = new CurriculumGraphClass();
+  graph.planets = planets;
+  graph.startingPlanets = startingPlanets;
+  return graph;
+}
+
+describe('CurriculumGraph', () => {
+  test('validates the shipped curriculum', () => {
+    expect(CurriculumGraph.validate()).toBe(true);
+  });
+
+  test('orders every planet after its prerequisites', () => {
+    const order = CurriculumGraph.getTopologicalOrder();
+
+    expect(order).toHaveLength(CurriculumGraph.getPlanetIds().length);
+    order.forEach((planetId, index) => {
+      CurriculumGraph.getPrerequisites(planetId).forEach((prerequisite) => {
+        expect(order.indexOf(prerequisite)).toBeLessThan(index);
+      });
+    });
+  });
+
+  test('answers prerequisite and dependent queries', () => {
+    expect(CurriculumGraph.getPrerequisites('storage')).toEqual(['dom', 'async']);
+    expect(CurriculumGraph.getDependents('storage')).toEqual(['security', 'api']);
+    expect(CurriculumGraph.getAllPrerequisites('security')).toEqual(['basics', 'dom', 'async', 'storage']);
+    expect(CurriculumGraph.getLearningPath('patterns')).toEqual(['basics', 'es6', 'oop', 'functional', 'patterns']);
+  });
+
+  test('rejects unknown planet ids', () => {
+    const graph = graphWith({
+      basics: { prerequisites: [], concepts: 1 },
+      dom: { prerequisites: ['basic'], concepts: 1 },
+    });
+
+    expect(() => graph.validate()).toThrow(/"dom" depends on unknown planet "basic"/);
+  });
+
+  test('rejects dependency cycles', () => {
+    const graph = graphWith({
+      basics: { prerequisites: [], concepts: 1 },
+      oop: { prerequisites: ['basics', 'patterns'], concepts: 1 },
+      patterns: { prerequisites: ['oop'], concepts: 1 },
+    });
+
+    expect(() => graph.validate()).toThrow(/cycle between: oop, patterns/);
+  });
+
+  test('rejects planets that can never be unlocked', () => {
+    const graph = graphWith({
+      basics: { prerequisites: [], concepts: 1 },
+      island: { prerequisites: [], concepts: 1 },
+      bridge: { prerequisites: ['island'], concepts: 1 },
+    });
+
+    expect(() => graph.validate()).toThrow(/"island" can never be unlocked[\s\S]*"bridge" can never be unlocked/);
+  });
+});
+
+describe('CurriculumGraph consumers', () => {
+  test('galaxy, loader and state manager share the same dependencies', () => {
+    CurriculumGraph.getPlanetIds().forEach((planetId) => {
+      expect(window.GalaxyRenderer.planetDefinitions[planetId].dependencies).toEqual(
+        CurriculumGraph.getPrerequisites(planetId)
+      );
+      expect(window.ConceptLoader.getLearningPath(planetId).slice(-1)).toEqual([planetId]);
+    });
+    expect(window.StateManager.getTotalConceptCount()).toBe(CurriculumGraph.getTotalConceptCount());
+  });
+
+  test('includes performance in unlocks and concept totals', () => {
+    const StateManager = window.StateManager;
+    StateManager.resetProgress();
+    ['basics', 'dom', 'async'].forEach((planetId) => {
+      StateManager.completeConcept(`${planetId}-section-0`);
+    });
+
+    expect(StateManager.getProgress().unlockedPlanets).toContain('performance');
+    expect(CurriculumGraph.getConceptCount('performance')).toBeGreaterThan(0);
+  });
+
+  test('unlocks async after basics alone', () => {
+    const StateManager = window.StateManager;
+    StateManager.resetProgress();
+    StateManager.completeConcept('basics-section-0');
+
+    expect(StateManager.getProgress().unlockedPlanets).toEqual(
+      expect.arrayContaining(['basics', 'dom', 'async', 'es6'])
+    );
+    expect(StateManager.getProgress().unlockedPlanets).not.toContain('storage');
+  });
+});
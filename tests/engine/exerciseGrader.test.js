@@ -0,0 +1,142 @@
+// File: tests/engine/exerciseGrader.test.js
+// Location: jsversehub/tests/engine/exerciseGrader.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/codeRunner.js');
+require('../../src/engine/exerciseGrader.js');
+
+const { installFakeWorker } = require('../helpers/fakeWorker.js');
+
+const ExerciseGrader = window.ExerciseGrader;
+const StateManager = window.StateManager;
+
+const doubleExercise = {
+  id: 'basics-exercise-double',
+  testCases: [
+    { input: 'console.log(double(2));', expectedOutput: '4', description: 'Doubles 2' },
+    { input: 'console.log(double(5));', expectedOutput: '10', description: 'Doubles 5' },
+  ],
+  checks: [],
+};
+
+describe('ExerciseGrader', () => {
+  beforeAll(() => {
+    installFakeWorker();
+  });
+
+  test('passes every test case for a correct solution', async () => {
+    const submission = await ExerciseGrader.grade(
+      doubleExercise,
+      'function double(n) { return n * 2; }',
+      { hintsUsed: 1 }
+    );
+
+    expect(submission.passed).toBe(true);
+    expect(submission.score).toBe(100);
+    expect(submission.hintsUsed).toBe(1);
+    expect(submission.testResults).toMatchObject({ total: 2, passed: 2, failed: 0 });
+  });
+
+  test('reports failing cases with an expected vs actual diff', async () => {
+    const submission = await ExerciseGrader.grade(
+      doubleExercise,
+      'function double(n) { return n + 2; }'
+    );
+    const [first, second] = submission.testResults.details;
+
+    expect(submission.passed).toBe(false);
+    expect(submission.score).toBe(50);
+    expect(first.passed).toBe(true);
+    expect(second).toMatchObject({ passed: false, expected: '10', actual: '7' });
+    expect(second.diff).toEqual([
+      { type: 'removed', value: '10' },
+      { type: 'added', value: '7' },
+    ]);
+  });
+
+  test('records runtime errors in the submission', async () => {
+    const submission = await ExerciseGrader.grade(doubleExercise, 'const x = ;');
+
+    expect(submission.passed).toBe(false);
+    expect(submission.errors[0]).toMatch(/^SyntaxError/);
+  });
+
+  test('runs static module checks against the code', async () => {
+    const exercise = {
+      id: 'basics-exercise-checks',
+      testCases: [],
+      checks: [
+        { description: 'Uses const', check: (code) => code.includes('const') },
+        { description: 'Logs something', check: (code) => code.includes('console.log') },
+      ],
+    };
+
+    const submission = await ExerciseGrader.grade(exercise, 'const a = 1;');
+
+    expect(submission.testResults).toMatchObject({ total: 2, passed: 1 });
+    expect(submission.passed).toBe(false);
+  });
+
+  test('fails the untouched starter code without running it', async () => {
+    const exercise = { ...doubleExercise, starterCode: '// Write double(n) here\n' };
+
+    const submission = await ExerciseGrader.grade(exercise, '// Write double(n) here');
+
+    expect(submission.passed).toBe(false);
+    expect(submission.testResults.details).toEqual([
+      expect.objectContaining({ type: 'starter', passed: false }),
+    ]);
+  });
+
+  test('leaves exercises without tests ungraded', async () => {
+    const exercise = { id: 'basics-exercise-free', testCases: [], checks: [] };
+
+    const submission = await ExerciseGrader.grade(exercise, 'console.log("hi")');
+
+    expect(submission.passed).toBe(false);
+    expect(submission.score).toBe(0);
+    expect(submission.testResults).toMatchObject({ total: 0, passed: 0, failed: 0 });
+  });
+
+  test('builds submissions in the submissionTemplate shape', async () => {
+    const submission = await ExerciseGrader.grade(doubleExercise, 'function double(n) { return n * 2; }');
+
+    expect(Object.keys(submission).sort()).toEqual(
+      ['timestamp', 'code', 'score', 'passed', 'timeToComplete', 'hintsUsed', 'errors', 'testResults'].sort()
+    );
+    expect(Object.keys(submission.testResults).sort()).toEqual(['details', 'failed', 'passed', 'total']);
+  });
+});
+
+describe('StateManager submissions', () => {
+  beforeEach(() => {
+    StateManager.resetProgress();
+  });
+
+  test('completes the exercise on the first full pass only', () => {
+    const completeSpy = jest.spyOn(StateManager, 'completeConcept');
+
+    expect(StateManager.recordSubmission('basics-exercise-double', { passed: false })).toBe(false);
+    expect(StateManager.recordSubmission('basics-exercise-double', { passed: true })).toBe(true);
+    expect(StateManager.recordSubmission('basics-exercise-double', { passed: true })).toBe(false);
+
+    expect(completeSpy).toHaveBeenCalledTimes(1);
+    expect(completeSpy).toHaveBeenCalledWith('basics-exercise-double');
+    expect(StateManager.getSubmissions('basics-exercise-double')).toHaveLength(3);
+    completeSpy.mockRestore();
+  });
+});
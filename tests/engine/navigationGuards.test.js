@@ -0,0 +1,175 @@
+// File: tests/engine/navigationGuards.test.js
+// Location: jsversehub/tests/engine/navigationGuards.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/contentAdapter.js');
+require('../../src/engine/conceptLoader.js');
+require('../../src/engine/navigation.js');
+
+const StateManager = window.StateManager;
+const Navigation = window.Navigation;
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+describe('Navigation middleware', () => {
+  let events;
+  let removers;
+
+  beforeEach(() => {
+    localStorage.clear();
+    StateManager.resetProgress();
+    Navigation.currentRoute = null;
+    window.history.replaceState(null, '', '/');
+
+    events = [];
+    removers = [Navigation.addNavigationListener((event, data) => events.push([event, data]))];
+  });
+
+  afterEach(() => {
+    removers.forEach((remove) => remove());
+    Navigation.routes.delete('/test/:id');
+    Navigation.routes.delete('/slow');
+  });
+
+  test('redirects locked planets to the galaxy with a reason', async () => {
+    const entered = await Navigation.navigateTo('/quiz/async');
+
+    expect(entered).toBe(true);
+    expect(window.location.pathname + window.location.search).toBe('/?focus=async');
+    expect(Navigation.getCurrentRoute().name).toBe('galaxy');
+    const [, redirect] = events.find(([event]) => event === 'redirected');
+    expect(redirect).toMatchObject({ from: '/quiz/async', to: '/?focus=async' });
+    expect(redirect.reason).toContain('async');
+  });
+
+  test('sends unknown planets to the 404 page', async () => {
+    await Navigation.navigateTo('/concept/cobol');
+
+    expect(Navigation.getCurrentRoute().name).toBe('notFound');
+    expect(window.location.pathname).toBe('/404');
+  });
+
+  test('preloads concept data before entering unlocked planets', async () => {
+    const handler = jest.fn();
+    Navigation.routes.set('/test/:id', {
+      name: 'test',
+      title: 'Test',
+      handler,
+      canEnter: Navigation.requireUnlockedPlanet('id'),
+      resolve: (to) => window.ConceptLoader.loadConcept(to.params.id),
+    });
+
+    await Navigation.navigateTo('/test/basics');
+
+    expect(handler).toHaveBeenCalledWith({ id: 'basics' }, {}, expect.objectContaining({ id: 'basics' }));
+    expect(events.map(([event]) => event)).toEqual(['loading', 'navigate']);
+  });
+
+  test('runs beforeEach guards that block with a reason and afterEach hooks', async () => {
+    const after = jest.fn();
+    removers.push(Navigation.afterEach(after));
+    const removeGuard = Navigation.beforeEach((to) => (to.name === 'settings' ? 'Settings are closed' : true));
+
+    expect(await Navigation.navigateTo('/settings')).toBe(false);
+    expect(events).toContainEqual(['blocked', expect.objectContaining({ reason: 'Settings are closed' })]);
+    expect(after).not.toHaveBeenCalled();
+
+    removeGuard();
+    await Navigation.navigateTo('/');
+    expect(after).toHaveBeenCalledWith(expect.objectContaining({ name: 'galaxy' }), null);
+  });
+
+  test('cancels a navigation that is still loading when another starts', async () => {
+    const slow = deferred();
+    const started = deferred();
+    const handler = jest.fn();
+    let receivedSignal;
+    Navigation.routes.set('/slow', {
+      name: 'slow',
+      title: 'Slow',
+      handler,
+      resolve: (to, signal) => {
+        receivedSignal = signal;
+        started.resolve();
+        return slow.promise;
+      },
+    });
+
+    const first = Navigation.navigateTo('/slow');
+    await started.promise;
+    const second = Navigation.navigateTo('/');
+    slow.resolve({ late: true });
+
+    expect(await first).toBe(false);
+    expect(await second).toBe(true);
+    expect(receivedSignal.aborted).toBe(true);
+    expect(handler).not.toHaveBeenCalled();
+    expect(Navigation.getCurrentRoute().name).toBe('galaxy');
+    expect(events.map(([event]) => event)).toContain('cancelled');
+    expect(document.body.classList.contains('route-loading')).toBe(false);
+  });
+
+  test('imports lazy route modules once', async () => {
+    const lazy = jest.fn(() => Promise.resolve({}));
+    const handler = jest.fn();
+    Navigation.routes.set('/test/:id', { name: 'test', title: 'Test', handler, lazy });
+
+    await Navigation.navigateTo('/test/1');
+    await Navigation.navigateTo('/test/2');
+
+    expect(lazy).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends signed-out learners to the login page and back', async () => {
+    let signedIn = false;
+    window.AuthClient = { isAuthenticated: () => signedIn, getUser: () => null, available: true };
+    const handler = jest.fn();
+    Navigation.routes.set('/test/:id', { name: 'test', title: 'Test', handler, requiresAuth: true });
+
+    await Navigation.navigateTo('/test/1?tab=2');
+    expect(handler).not.toHaveBeenCalled();
+    expect(Navigation.getCurrentRoute().name).toBe('login');
+    expect(Navigation.getCurrentRoute().query.redirect).toBe('/test/1?tab=2');
+
+    signedIn = true;
+    expect(await Navigation.navigateTo('/test/1')).toBe(true);
+    expect(handler).toHaveBeenCalled();
+    delete window.AuthClient;
+  });
+
+  test('shows the 404 page when a route fails to load', async () => {
+    Navigation.routes.set('/test/:id', {
+      name: 'test',
+      title: 'Test',
+      handler: jest.fn(),
+      resolve: () => Promise.reject(new Error('offline')),
+    });
+
+    expect(await Navigation.navigateTo('/test/1')).toBe(false);
+    await Promise.resolve();
+
+    expect(Navigation.getCurrentRoute().name).toBe('notFound');
+  });
+});
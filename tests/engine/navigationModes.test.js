@@ -0,0 +1,204 @@
+// File: tests/engine/navigationModes.test.js
+// Location: jsversehub/tests/engine/navigationModes.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/navigation.js');
+
+const Navigation = window.Navigation;
+
+function clickLink(href) {
+  const link = document.createElement('a');
+  link.setAttribute('href', href);
+  document.body.appendChild(link);
+  const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+  link.dispatchEvent(event);
+  link.remove();
+  return event;
+}
+
+async function settle() {
+  for (let i = 0; i < 3; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+describe('Navigation routing modes', () => {
+  let handler;
+
+  beforeAll(() => {
+    Navigation.setupEventListeners();
+  });
+
+  beforeEach(() => {
+    handler = jest.fn();
+    Navigation.routes.set('/test/:id', { name: 'test', title: 'Test', handler });
+    window.history.replaceState(null, '', '/');
+    Navigation.memoryHistory = { entries: [], index: -1 };
+    Navigation.currentRoute = null;
+  });
+
+  afterEach(() => {
+    Navigation.routes.delete('/test/:id');
+    Navigation.setMode('history');
+  });
+
+  test('falls back to history mode for unknown modes', () => {
+    Navigation.setMode('cookie');
+
+    expect(Navigation.mode).toBe('history');
+    expect(JSVLogger.warn).toHaveBeenCalledWith(expect.stringContaining('cookie'));
+  });
+
+  test('matches "/path" and "#/path" to the same route', () => {
+    const plain = Navigation.matchRoute('/test/7?tab=notes');
+    const hashed = Navigation.matchRoute('#/test/7?tab=notes');
+
+    expect(hashed.config).toBe(plain.config);
+    expect(hashed.params).toEqual({ id: '7' });
+    expect(hashed.query).toEqual({ tab: 'notes' });
+  });
+
+  test.each([
+    ['history', '/test/7?tab=notes'],
+    ['hash', '#/test/7?tab=notes'],
+    ['memory', '/test/7?tab=notes'],
+  ])('generates hrefs for %s mode', (mode, href) => {
+    Navigation.setMode(mode);
+
+    expect(Navigation.generateUrl('test', { id: 7 }, { tab: 'notes' })).toBe(href);
+  });
+
+  test.each(['history', 'hash', 'memory'])('routes "/path" and "#/path" link clicks in %s mode', async (mode) => {
+    Navigation.setMode(mode);
+
+    expect(clickLink('/test/1').defaultPrevented).toBe(true);
+    await settle();
+    expect(clickLink('#/test/2').defaultPrevented).toBe(true);
+    await settle();
+    expect(Navigation.getCurrentPath()).toBe('/test/2');
+
+    // In-page anchors are left to the browser and do not change the route
+    expect(clickLink('#top').defaultPrevented).toBe(false);
+    await settle();
+
+    expect(handler.mock.calls.map(([params]) => params.id)).toEqual(['1', '2']);
+    expect(Navigation.getCurrentRoute().params).toEqual({ id: '2' });
+  });
+
+  test('keeps routes in the URL hash in hash mode', async () => {
+    Navigation.setMode('hash');
+
+    await Navigation.navigateTo('/test/3?tab=quiz');
+
+    expect(window.location.pathname).toBe('/');
+    expect(window.location.hash).toBe('#/test/3?tab=quiz');
+    expect(Navigation.getCurrentPath()).toBe('/test/3?tab=quiz');
+  });
+
+  test('restores the route from the hash on back/forward in hash mode', async () => {
+    Navigation.setMode('hash');
+    await Navigation.navigateTo('/test/1');
+    await Navigation.navigateTo('/test/2');
+
+    const popped = new Promise((resolve) => window.addEventListener('popstate', resolve, { once: true }));
+    window.history.back();
+    await popped;
+    await settle();
+
+    expect(Navigation.getCurrentRoute().params).toEqual({ id: '1' });
+    expect(handler).toHaveBeenLastCalledWith({ id: '1' }, {}, null);
+  });
+
+  test.each([
+    ['history', () => window.location.pathname],
+    ['hash', () => window.location.hash],
+  ])('keeps the URL on the current route when a guard blocks back/forward in %s mode', async (mode, location) => {
+    Navigation.setMode(mode);
+    await Navigation.navigateTo('/test/1');
+    await Navigation.navigateTo('/test/2');
+    const removeGuard = Navigation.beforeEach((to) => (to.params.id === '1' ? 'Finish this page first' : true));
+
+    const popped = new Promise((resolve) => window.addEventListener('popstate', resolve, { once: true }));
+    window.history.back();
+    await popped;
+    await settle();
+    removeGuard();
+
+    expect(Navigation.getCurrentRoute().params).toEqual({ id: '2' });
+    expect(location()).toBe(Navigation.toHref('/test/2'));
+    expect(Navigation.getCurrentPath()).toBe('/test/2');
+  });
+
+  test('starts at the hash of the loaded page in hash mode', async () => {
+    window.history.replaceState(null, '', '/#/test/9');
+    Navigation.setMode('hash');
+
+    Navigation.handleInitialRoute();
+    await settle();
+
+    expect(Navigation.getCurrentRoute().params).toEqual({ id: '9' });
+  });
+
+  test('keeps its own history without touching the URL in memory mode', async () => {
+    Navigation.setMode('memory');
+    const pushState = jest.spyOn(window.history, 'pushState');
+
+    Navigation.handleInitialRoute('/test/1');
+    await settle();
+    await Navigation.navigateTo('/test/2');
+    await Navigation.navigateTo('/test/3');
+
+    expect(pushState).not.toHaveBeenCalled();
+    expect(window.location.pathname).toBe('/');
+    expect(Navigation.memoryHistory.entries.map((entry) => entry.path)).toEqual(['/test/1', '/test/2', '/test/3']);
+
+    await Navigation.goMemory(-2);
+    expect(Navigation.getCurrentPath()).toBe('/test/1');
+    await Navigation.goMemory(1);
+    expect(Navigation.getCurrentPath()).toBe('/test/2');
+
+    // Navigating after going back drops the forward entries
+    await Navigation.navigateTo('/test/4');
+    expect(Navigation.memoryHistory.entries.map((entry) => entry.path)).toEqual(['/test/1', '/test/2', '/test/4']);
+    expect(await Navigation.goMemory(1)).toBe(false);
+
+    pushState.mockRestore();
+  });
+
+  test('stays on the current history entry when a guard blocks going back in memory mode', async () => {
+    Navigation.setMode('memory');
+    await Navigation.navigateTo('/test/1');
+    await Navigation.navigateTo('/test/2');
+    const removeGuard = Navigation.beforeEach((to) => (to.params.id === '1' ? 'Finish this page first' : true));
+
+    expect(await Navigation.goMemory(-1)).toBe(false);
+    removeGuard();
+
+    expect(Navigation.memoryHistory.index).toBe(1);
+    expect(Navigation.getCurrentPath()).toBe('/test/2');
+  });
+
+  test('ignores browser popstate in memory mode', async () => {
+    Navigation.setMode('memory');
+    await Navigation.navigateTo('/test/1');
+
+    Navigation.handlePopState({});
+    await settle();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,151 @@
+// File: tests/engine/offlineManager.test.js
+// Location: jsversehub/tests/engine/offlineManager.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+// jsdom has no MessageChannel; ports hand messages straight to each other
+class FakeMessageChannel {
+  constructor() {
+    this.port1 = { onmessage: null, close: jest.fn() };
+    this.port2 = { postMessage: (data) => this.port1.onmessage && this.port1.onmessage({ data }) };
+  }
+}
+global.MessageChannel = FakeMessageChannel;
+
+// Service worker that answers like src/service-worker.js
+function createWorker(replies = {}) {
+  const worker = new EventTarget();
+  worker.state = 'activated';
+  worker.postMessage = jest.fn((message, ports = []) => {
+    const reply = replies[message.type];
+    if (reply && ports[0]) {
+      ports[0].postMessage(typeof reply === 'function' ? reply(message) : reply);
+    }
+  });
+  return worker;
+}
+
+const container = new EventTarget();
+container.controller = null;
+container.register = jest.fn();
+Object.defineProperty(window.navigator, 'serviceWorker', { value: container, configurable: true });
+
+require('../../src/engine/offlineManager.js');
+
+const OfflineManager = window.OfflineManager;
+
+describe('OfflineManager', () => {
+  let registration;
+  let events;
+  let removeListener;
+
+  beforeEach(() => {
+    registration = new EventTarget();
+    registration.active = null;
+    registration.waiting = null;
+    registration.installing = null;
+    container.controller = null;
+    container.register.mockReset().mockResolvedValue(registration);
+
+    OfflineManager.registration = null;
+    OfflineManager.waitingWorker = null;
+    OfflineManager.offlinePlanets = new Set();
+
+    events = [];
+    removeListener = OfflineManager.addListener((event, data) => events.push([event, data]));
+  });
+
+  afterEach(() => {
+    removeListener();
+  });
+
+  test('registers the generated service worker', async () => {
+    container.controller = createWorker({ GET_OFFLINE_PLANETS: { ok: true, planetIds: ['basics'] } });
+
+    await OfflineManager.init();
+    await Promise.resolve();
+
+    expect(container.register).toHaveBeenCalledWith('/sw.js');
+    expect(OfflineManager.isPlanetOffline('basics')).toBe(true);
+    expect(OfflineManager.isPlanetOffline('dom')).toBe(false);
+  });
+
+  test('keeps working when registration fails', async () => {
+    container.register.mockRejectedValue(new Error('insecure context'));
+
+    await OfflineManager.init();
+
+    expect(JSVLogger.warn).toHaveBeenCalledWith(expect.stringContaining('registration failed'), expect.any(Error));
+    expect(OfflineManager.registration).toBeNull();
+  });
+
+  test('announces a new version once it has installed', async () => {
+    container.controller = createWorker();
+    await OfflineManager.init();
+
+    const worker = createWorker();
+    worker.state = 'installing';
+    registration.installing = worker;
+    registration.dispatchEvent(new Event('updatefound'));
+    expect(events).toEqual([]);
+
+    worker.state = 'installed';
+    worker.dispatchEvent(new Event('statechange'));
+    expect(events).toEqual([['updateAvailable', {}]]);
+
+    OfflineManager.applyUpdate();
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+  });
+
+  test('does not treat the first install as an update', async () => {
+    await OfflineManager.init();
+
+    const worker = createWorker();
+    registration.installing = worker;
+    registration.dispatchEvent(new Event('updatefound'));
+    worker.state = 'installed';
+    worker.dispatchEvent(new Event('statechange'));
+
+    expect(events).toEqual([]);
+  });
+
+  test('downloads a planet through the service worker', async () => {
+    container.controller = createWorker({
+      CACHE_PLANET: ({ planetId }) => ({ ok: true, planetId, files: [`js/${planetId}.chunk.js`] }),
+    });
+
+    expect(await OfflineManager.downloadPlanet('dom')).toBe(true);
+
+    expect(container.controller.postMessage).toHaveBeenCalledWith({ type: 'CACHE_PLANET', planetId: 'dom' }, expect.any(Array));
+    expect(OfflineManager.isPlanetOffline('dom')).toBe(true);
+    expect(events).toEqual([['planetCached', { planetId: 'dom' }]]);
+  });
+
+  test('reports failed downloads', async () => {
+    container.controller = createWorker({
+      CACHE_PLANET: { ok: false, error: 'Network request failed' },
+    });
+
+    expect(await OfflineManager.downloadPlanet('dom')).toBe(false);
+
+    expect(OfflineManager.isPlanetOffline('dom')).toBe(false);
+    expect(events).toEqual([['planetCacheFailed', { planetId: 'dom', error: 'Network request failed' }]]);
+  });
+
+  test('explains that offline support needs an active service worker', async () => {
+    expect(await OfflineManager.downloadPlanet('dom')).toBe(false);
+
+    expect(events[0][1].error).toMatch(/not active yet/);
+  });
+});
@@ -0,0 +1,130 @@
+// File: tests/engine/profileManager.test.js
+// Location: jsversehub/tests/engine/profileManager.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/utils/randomColorGenerator.js');
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/storageAdapters.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/profileManager.js');
+
+const StateManager = window.StateManager;
+const ProfileManager = window.ProfileManager;
+
+StateManager.setStorage(window.StorageAdapters.create('localStorage'));
+
+describe('ProfileManager', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    delete window.AuthClient;
+    StateManager.setUserId(null);
+    StateManager.state = StateManager.createDefaultState();
+    ProfileManager.listeners = [];
+    ProfileManager.init();
+  });
+
+  test('keeps progress saved before profiles in the first profile', async () => {
+    StateManager.addXP(250);
+    await StateManager.flush();
+
+    expect(ProfileManager.getProfiles()).toHaveLength(1);
+    expect(ProfileManager.getActiveProfile().id).toBe('default');
+    expect(ProfileManager.getStateId()).toBeNull();
+    expect(JSON.parse(localStorage.getItem('jsversehub-state')).user.totalXP).toBe(250);
+  });
+
+  test('gives each profile its own state, notes, bookmarks and code drafts', async () => {
+    StateManager.completeConcept('basics-section-1');
+    StateManager.saveNotes('basics-section-1', 'var is function scoped');
+    StateManager.setBookmarks(['basics-section-1']);
+    localStorage.setItem(StateManager.getUserKey('jsversehub-code-ex1'), 'let a = 1;');
+
+    const sam = ProfileManager.createProfile('Sam');
+    await ProfileManager.switchProfile(sam.id);
+
+    expect(StateManager.storageKey).toBe(`jsversehub-state:profile:${sam.id}`);
+    expect(StateManager.getState().user.name).toBe('Sam');
+    expect(StateManager.getProgress().completedConcepts).toEqual([]);
+    expect(StateManager.getNotes('basics-section-1')).toBe('');
+    expect(StateManager.getBookmarks()).toEqual([]);
+    expect(localStorage.getItem(StateManager.getUserKey('jsversehub-code-ex1'))).toBeNull();
+
+    await ProfileManager.switchProfile('default');
+    expect(StateManager.getProgress().completedConcepts).toContain('basics-section-1');
+    expect(StateManager.getNotes('basics-section-1')).toBe('var is function scoped');
+    expect(localStorage.getItem(StateManager.getUserKey('jsversehub-code-ex1'))).toBe('let a = 1;');
+  });
+
+  test('switches without a reload by telling listeners the state changed', async () => {
+    const events = [];
+    const removeState = StateManager.addListener((event) => events.push(event));
+    const removeProfile = ProfileManager.addListener((event) => events.push(event));
+
+    const sam = ProfileManager.createProfile('Sam');
+    await ProfileManager.switchProfile(sam.id);
+
+    expect(events).toEqual(expect.arrayContaining(['profileCreated', 'userChanged', 'profileSwitched']));
+    expect(events.indexOf('userChanged')).toBeLessThan(events.indexOf('profileSwitched'));
+    expect(sam.color).toMatch(/^#[0-9a-f]{6}$/i);
+
+    // The choice survives a reload
+    ProfileManager.init();
+    expect(ProfileManager.getActiveProfile().name).toBe('Sam');
+    removeState();
+    removeProfile();
+  });
+
+  test('renames profiles and the learner whose state is loaded', async () => {
+    const sam = ProfileManager.createProfile('Sam');
+    await ProfileManager.switchProfile(sam.id);
+
+    ProfileManager.renameProfile(sam.id, '  Samira ');
+    ProfileManager.renameProfile('default', 'Dad');
+
+    expect(ProfileManager.getProfile(sam.id).name).toBe('Samira');
+    expect(StateManager.getState().user.name).toBe('Samira');
+    expect(() => ProfileManager.renameProfile(sam.id, '   ')).toThrow('Give the profile a name');
+  });
+
+  test('deletes a profile with everything it saved', async () => {
+    const sam = ProfileManager.createProfile('Sam');
+    await ProfileManager.switchProfile(sam.id);
+    StateManager.addXP(100);
+    localStorage.setItem(StateManager.getUserKey('jsversehub-code-ex1'), 'let a = 1;');
+
+    await expect(ProfileManager.deleteProfile(sam.id)).rejects.toThrow('Switch to another profile');
+    await ProfileManager.switchProfile('default');
+    await expect(ProfileManager.deleteProfile('default')).rejects.toThrow('cannot be deleted');
+
+    await ProfileManager.deleteProfile(sam.id);
+
+    expect(ProfileManager.getProfile(sam.id)).toBeNull();
+    expect(Object.keys(localStorage).filter((key) => key.includes(sam.id))).toEqual([]);
+  });
+
+  test('signs an account out before switching profiles', async () => {
+    const sam = ProfileManager.createProfile('Sam');
+    window.AuthClient = {
+      isAuthenticated: () => true,
+      signOut: jest.fn(() => StateManager.switchUser(ProfileManager.getStateId())),
+    };
+    StateManager.setUserId('ada');
+
+    await ProfileManager.switchProfile(sam.id);
+
+    expect(window.AuthClient.signOut).toHaveBeenCalled();
+    expect(StateManager.userId).toBe(`profile:${sam.id}`);
+  });
+});
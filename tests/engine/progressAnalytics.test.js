@@ -0,0 +1,132 @@
+// File: tests/engine/progressAnalytics.test.js
+// Location: jsversehub/tests/engine/progressAnalytics.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/contentAdapter.js');
+require('../../src/engine/conceptLoader.js');
+require('../../src/engine/progressAnalytics.js');
+
+const StateManager = window.StateManager;
+const ProgressAnalytics = window.ProgressAnalytics;
+
+const day = (date) => new Date(`${date}T10:00:00`);
+const answer = (questionId, planetId, correct) => ({
+  questionId,
+  planetId,
+  credit: correct ? 1 : 0,
+  correct,
+  answered: true,
+});
+
+describe('ProgressAnalytics', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    StateManager.resetProgress();
+  });
+
+  test('breaks progress down per planet', () => {
+    StateManager.completeConcept('basics-section-0');
+    StateManager.completeConcept('basics-exercise-0');
+    StateManager.completeQuiz('basics', 3, 5);
+    StateManager.completeQuiz('basics', 5, 5);
+
+    const [basics] = ProgressAnalytics.getPlanetBreakdown();
+
+    expect(basics).toMatchObject({
+      planetId: 'basics',
+      unlocked: true,
+      sections: { completed: 1 },
+      exercises: { completed: 1 },
+      quiz: { passed: true, attempts: 2, bestScore: 100 },
+    });
+    expect(basics.sections.total).toBeGreaterThanOrEqual(1);
+    expect(basics.exercises.total).toBe(window.ConceptLoader.conceptStructure.basics.exercises);
+  });
+
+  test('records time spent per planet and per day', () => {
+    const now = day('2024-03-04');
+    StateManager.recordTimeSpent('basics', 90, now);
+    StateManager.recordTimeSpent('dom', 300, now);
+    StateManager.recordTimeSpent('basics', 0, now);
+
+    expect(StateManager.getStats().totalTimeSpent).toBe(390);
+    expect(StateManager.getActivity()['2024-03-04'].timeSpent).toBe(390);
+    expect(ProgressAnalytics.getTimeByPlanet().map(({ planetId, seconds }) => [planetId, seconds])).toEqual([
+      ['dom', 300],
+      ['basics', 90],
+    ]);
+  });
+
+  test('builds a cumulative XP timeline ending at the current total', () => {
+    StateManager.addXP(150);
+    StateManager.addXP(50);
+
+    const timeline = ProgressAnalytics.getXPTimeline(7);
+
+    expect(timeline).toHaveLength(7);
+    expect(timeline[6]).toMatchObject({ date: StateManager.getDateKey(), xp: 200, total: 200 });
+    expect(timeline[5].total).toBe(0);
+  });
+
+  test('starts the streak calendar on a Sunday and grades activity', () => {
+    const now = day('2024-03-06'); // Wednesday
+    StateManager.recordVisit(day('2024-03-04'));
+    StateManager.logActivity('xp', 120, day('2024-03-05'));
+    StateManager.logActivity('xp', 400, now);
+
+    const calendar = ProgressAnalytics.getStreakCalendar(2, now);
+
+    expect(calendar).toHaveLength(7 + 4);
+    expect(calendar[0]).toMatchObject({ date: '2024-02-25', weekday: 0 });
+    expect(calendar.slice(-3).map((entry) => entry.level)).toEqual([1, 3, 4]);
+  });
+
+  test('keeps the most recent quiz attempts in order', () => {
+    StateManager.completeQuiz('basics', 2, 5);
+    StateManager.completeQuiz('dom', 4, 5);
+
+    expect(ProgressAnalytics.getQuizTrend(1)).toEqual([expect.objectContaining({ planetId: 'dom', percentage: 80 })]);
+    expect(ProgressAnalytics.getQuizTrend().map((attempt) => attempt.percentage)).toEqual([40, 80]);
+  });
+
+  test('ranks weakest topics by the latest answer to each question', () => {
+    StateManager.recordQuestionAnswers([
+      answer('basics-q1', 'basics', false),
+      answer('basics-q2', 'basics', true),
+      answer('dom-q1', 'dom', false),
+      answer('dom-q2', 'dom', false),
+      answer('async-q1', 'async', false),
+    ]);
+    StateManager.recordQuestionAnswers([answer('basics-q1', 'basics', true)], 'review');
+
+    const weakest = ProgressAnalytics.getWeakestTopics();
+
+    expect(weakest.map((topic) => topic.planetId)).toEqual(['dom']);
+    expect(weakest[0]).toMatchObject({ accuracy: 0, answered: 2, missed: 2 });
+  });
+
+  test('clears dashboard data on progress reset', () => {
+    StateManager.recordTimeSpent('basics', 60);
+    StateManager.completeQuiz('basics', 5, 5);
+    StateManager.resetProgress();
+
+    expect(StateManager.getActivity()).toEqual({});
+    expect(StateManager.getQuizAttempts()).toEqual([]);
+    expect(ProgressAnalytics.getTimeByPlanet()).toEqual([]);
+  });
+});
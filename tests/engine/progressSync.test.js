@@ -0,0 +1,182 @@
+// File: tests/engine/progressSync.test.js
+// Location: jsversehub/tests/engine/progressSync.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/progressSync.js');
+
+const StateManager = window.StateManager;
+const ProgressSync = window.ProgressSync;
+
+function response(status, body, etag) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => (name === 'ETag' ? etag : null) },
+    json: async () => body,
+  };
+}
+
+/**
+ * Stand-in for server/progressApi.js: one learner's record with ETags,
+ * served only to requests that send the session cookie
+ */
+function createServer() {
+  const server = { record: null, version: 0, online: true };
+
+  server.save = (body) => {
+    server.version++;
+    server.record = { ...JSON.parse(body), etag: `"v${server.version}"` };
+  };
+
+  global.fetch = jest.fn(async (url, { method = 'GET', headers = {}, body, credentials } = {}) => {
+    if (!server.online) throw new TypeError('Failed to fetch');
+    if (credentials !== 'same-origin') return response(401, { error: 'Sign in to sync progress' });
+    const { record } = server;
+
+    if (method === 'GET') {
+      if (!record) return response(404, { error: 'No saved progress' });
+      if (headers['If-None-Match'] === record.etag) return response(304, null, record.etag);
+      return response(200, record, record.etag);
+    }
+
+    const expected = headers['If-Match'] || (headers['If-None-Match'] === '*' ? null : undefined);
+    if (expected !== (record ? record.etag : null)) {
+      return response(412, { current: record }, record && record.etag);
+    }
+    server.save(body);
+    return response(record ? 200 : 201, {}, server.record.etag);
+  });
+
+  return server;
+}
+
+function remoteState(changes) {
+  const other = new StateManager.constructor();
+  changes(other.state);
+  return JSON.stringify({ state: other.state, changedAt: other.changedAt });
+}
+
+describe('ProgressSync', () => {
+  let server;
+
+  beforeEach(() => {
+    localStorage.clear();
+    StateManager.state = StateManager.createDefaultState();
+    StateManager.changedAt = {};
+    ProgressSync.userId = null;
+    ProgressSync.etag = null;
+    ProgressSync.pending = false;
+    ProgressSync.lastPushed = null;
+    window.AuthClient = { getUserId: () => 'ada' };
+    server = createServer();
+  });
+
+  afterEach(() => {
+    ProgressSync.disconnect();
+    delete global.fetch;
+    delete window.AuthClient;
+  });
+
+  test('pushes local progress under the signed-in account', async () => {
+    StateManager.state.user.totalXP = 400;
+
+    expect(await ProgressSync.connect()).toBe(true);
+
+    expect(server.record.state.user.totalXP).toBe(400);
+    expect(ProgressSync.etag).toBe('"v1"');
+    expect(ProgressSync.status).toBe('idle');
+    expect(JSON.parse(localStorage.getItem('jsversehub-progress-sync'))).toEqual({
+      userId: 'ada',
+      etag: '"v1"',
+      pending: false,
+    });
+  });
+
+  test('pulls and merges progress from another device on start', async () => {
+    server.save(remoteState((state) => {
+      state.progress.completedConcepts.push('basics');
+      state.user.totalXP = 900;
+    }));
+    localStorage.setItem('jsversehub-progress-sync', JSON.stringify({ userId: 'ada' }));
+    StateManager.state.progress.completedConcepts.push('dom');
+
+    await ProgressSync.init();
+
+    expect(StateManager.getState().progress.completedConcepts.sort()).toEqual(['basics', 'dom']);
+    expect(StateManager.getState().user.totalXP).toBe(900);
+    // This device had 'dom', so the merged state goes back to the server
+    expect(server.record.state.progress.completedConcepts.sort()).toEqual(['basics', 'dom']);
+  });
+
+  test('merges and retries when another device saved first', async () => {
+    await ProgressSync.connect();
+    server.save(remoteState((state) => {
+      state.achievements.push({ id: 'first-steps' });
+    }));
+
+    StateManager.addXP(50);
+    expect(await ProgressSync.sync()).toBe(true);
+
+    expect(server.record.state.achievements.map((a) => a.id)).toEqual(['first-steps']);
+    expect(server.record.state.user.totalXP).toBe(50);
+  });
+
+  test('queues changes while offline and pushes them once back online', async () => {
+    await ProgressSync.connect();
+    server.online = false;
+
+    StateManager.addXP(75);
+    ProgressSync.schedulePush();
+    expect(await ProgressSync.sync()).toBe(false);
+    expect(ProgressSync.status).toBe('offline');
+    expect(JSON.parse(localStorage.getItem('jsversehub-progress-sync')).pending).toBe(true);
+
+    server.online = true;
+    window.dispatchEvent(new Event('online'));
+    await ProgressSync.running;
+
+    expect(server.record.state.user.totalXP).toBe(75);
+    expect(ProgressSync.pending).toBe(false);
+  });
+
+  test('skips the push when nothing changed since the last one', async () => {
+    await ProgressSync.connect();
+    fetch.mockClear();
+
+    ProgressSync.schedulePush();
+    await ProgressSync.sync();
+
+    expect(fetch.mock.calls.map(([, options = {}]) => options.method || 'GET')).toEqual(['GET']);
+  });
+
+  test('needs a signed-in account to sync', async () => {
+    window.AuthClient.getUserId = () => null;
+
+    await expect(ProgressSync.connect()).rejects.toThrow(/Sign in/);
+    expect(ProgressSync.userId).toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('ignores a saved sync id that is not the signed-in account', async () => {
+    localStorage.setItem('jsversehub-progress-sync', JSON.stringify({ userId: 'grace', pending: true }));
+
+    await ProgressSync.init();
+
+    expect(ProgressSync.userId).toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,169 @@
+// File: tests/engine/quizAssembler.test.js
+// Location: jsversehub/tests/engine/quizAssembler.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/storageAdapters.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/conceptLoader.js');
+require('../../src/engine/quizAssembler.js');
+
+const StateManager = window.StateManager;
+const ConceptLoader = window.ConceptLoader;
+const QuizAssembler = window.QuizAssembler;
+const QuizScorer = window.QuizScorer;
+
+StateManager.setStorage(window.StorageAdapters.create('memory'));
+
+const sections = ['selection', 'manipulation', 'events'];
+
+/**
+ * A bank of twelve questions over three sections for a quiz that asks six
+ */
+function createQuiz() {
+  const questions = Array.from({ length: 12 }, (_, index) => ({
+    question: `Question ${index + 1}`,
+    type: 'multiple-choice',
+    options: [`right ${index + 1}`, 'wrong 1', 'wrong 2', 'wrong 3'],
+    correctAnswer: 0,
+    section: sections[index % sections.length],
+  }));
+  return ConceptLoader.buildQuiz('dom', questions, { questions: 6, timeLimit: 360 });
+}
+
+function submit(quiz) {
+  const answers = quiz.questions.map((question) => question.correctAnswer);
+  StateManager.completeQuiz('dom', 6, 6, {}, {
+    seed: quiz.seed,
+    questionIds: quiz.questions.map((question) => question.id),
+    answers,
+  });
+}
+
+const ids = (quiz) => quiz.questions.map((question) => question.id);
+
+describe('QuizAssembler', () => {
+  beforeEach(() => {
+    StateManager.state = StateManager.createDefaultState();
+  });
+
+  test('assembles the same attempt from the same seed', () => {
+    const bank = createQuiz();
+    const first = QuizAssembler.assemble('dom', bank, { seed: 42 });
+    const again = QuizAssembler.assemble('dom', bank, { seed: 42 });
+    const other = QuizAssembler.assemble('dom', bank, { seed: 7 });
+
+    expect(first.seed).toBe(42);
+    expect(first.questions).toHaveLength(6);
+    expect(again.questions).toEqual(first.questions);
+    expect(ids(other)).not.toEqual(ids(first));
+    expect(bank.questions).toHaveLength(12);
+  });
+
+  test('balances questions across sections and difficulty', () => {
+    const bank = createQuiz();
+
+    [1, 2, 3, 4, 5].forEach((seed) => {
+      const quiz = QuizAssembler.assemble('dom', bank, { seed });
+      const count = (key, value) => quiz.questions.filter((q) => q[key] === value).length;
+      const perSection = sections.map((section) => count('section', section));
+      const perLevel = ['easy', 'medium', 'hard'].map((level) => count('difficulty', level));
+
+      expect(perSection).toEqual([2, 2, 2]);
+      expect(Math.min(...perLevel)).toBeGreaterThanOrEqual(1);
+      expect(Math.max(...perLevel)).toBeLessThanOrEqual(3);
+    });
+  });
+
+  test('favours the difficulty levels with larger weights', () => {
+    const bank = createQuiz();
+    const hardCount = (weights) =>
+      [1, 2, 3, 4, 5, 6, 7, 8].reduce((sum, seed) => {
+        const quiz = QuizAssembler.assemble('dom', bank, { seed, weights });
+        return sum + quiz.questions.filter((q) => q.difficulty === 'hard').length;
+      }, 0);
+
+    expect(hardCount({ easy: 1, medium: 2, hard: 8 })).toBeGreaterThan(hardCount({ easy: 8, medium: 2, hard: 1 }));
+  });
+
+  test('shuffles options and remaps the answer key', () => {
+    const bank = createQuiz();
+    const quiz = QuizAssembler.assemble('dom', bank, { seed: 3 });
+
+    quiz.questions.forEach((question) => {
+      const authored = bank.questions.find((q) => q.id === question.id);
+      expect([...question.options].sort()).toEqual([...authored.options].sort());
+      expect(question.options[question.correctAnswer]).toBe(authored.options[0]);
+    });
+    expect(quiz.questions.some((question) => question.correctAnswer !== 0)).toBe(true);
+  });
+
+  test('remaps multi-select and ordering keys and keeps positional options', () => {
+    const multi = { id: 'm', type: 'multi-select', options: ['a', 'b', 'c', 'd'], correctAnswer: [0, 2] };
+    const ordering = { id: 'o', type: 'ordering', items: ['1st', '2nd', '3rd', '4th'], correctAnswer: [0, 1, 2, 3] };
+    const positional = { id: 'p', options: ['a', 'b', 'All of the above'], correctAnswer: 2 };
+
+    const shuffledMulti = QuizAssembler.shuffleOptions(multi, 11);
+    expect(shuffledMulti.correctAnswer.map((index) => shuffledMulti.options[index]).sort()).toEqual(['a', 'c']);
+
+    const shuffledOrdering = QuizAssembler.shuffleOptions(ordering, 11);
+    expect(shuffledOrdering.correctAnswer.map((index) => shuffledOrdering.items[index])).toEqual(ordering.items);
+    // The order shown is never already the answer
+    const shownOrder = shuffledOrdering.items.map((item, index) => index);
+    expect(QuizScorer.scoreQuestion(shuffledOrdering, shownOrder).credit).toBeLessThan(1);
+
+    expect(QuizAssembler.shuffleOptions(positional, 11)).toBe(positional);
+  });
+
+  test('avoids questions of earlier attempts on retakes', () => {
+    const bank = createQuiz();
+    const first = QuizAssembler.assemble('dom', bank, { seed: 1 });
+    submit(first);
+
+    const second = QuizAssembler.assemble('dom', bank, { seed: 2 });
+    expect(ids(second).filter((id) => ids(first).includes(id))).toEqual([]);
+    submit(second);
+
+    // With the bank used up, the least recently asked come back first
+    const third = QuizAssembler.assemble('dom', bank, { seed: 3 });
+    expect([...ids(third)].sort()).toEqual([...ids(first)].sort());
+  });
+
+  test('stores the seed with the attempt and rebuilds it as shown', () => {
+    const bank = createQuiz();
+    const quiz = QuizAssembler.assemble('dom', bank);
+    submit(quiz);
+
+    const attempt = QuizAssembler.getLastAttempt('dom');
+    expect(attempt.seed).toBe(quiz.seed);
+    expect(attempt.answers).toHaveLength(6);
+
+    const rebuilt = QuizAssembler.rebuild(bank, attempt);
+    expect(rebuilt.questions).toEqual(quiz.questions);
+    expect(QuizScorer.scoreQuiz(rebuilt.questions, attempt.answers).percentage).toBe(100);
+
+    const changedBank = bank.questions.filter((question) => question.id !== attempt.questionIds[0]);
+    expect(QuizAssembler.rebuild({ ...bank, questions: changedBank }, attempt)).toBeNull();
+  });
+
+  test('generates a question bank larger than the quiz over the sections', async () => {
+    const quiz = await ConceptLoader.loadConceptQuiz('dom', { questions: 8, timeLimit: 480 }, sections);
+
+    expect(quiz.questions).toHaveLength(16);
+    expect(quiz.questionCount).toBe(8);
+    expect(new Set(quiz.questions.map((q) => q.section))).toEqual(new Set(sections));
+  });
+});
@@ -0,0 +1,148 @@
+// File: tests/engine/quizScorer.test.js
+// Location: jsversehub/tests/engine/quizScorer.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/contentAdapter.js');
+
+const QuizScorer = window.QuizScorer;
+const ContentAdapter = window.ContentAdapter;
+
+const questions = {
+  choice: {
+    question: 'Which keyword declares a constant?',
+    options: ['var', 'let', 'const'],
+    correctAnswer: 2,
+  },
+  trueFalse: {
+    type: 'true-false',
+    question: 'This logs 3',
+    code: 'console.log(1 + 2);',
+    correctAnswer: true,
+  },
+  output: {
+    type: 'output',
+    question: 'What does this print?',
+    code: "console.log('a'); console.log('b');",
+    correctAnswer: 'a\nb',
+  },
+  multiSelect: {
+    type: 'multi-select',
+    question: 'Which are primitives?',
+    options: ['string', 'object', 'number', 'symbol'],
+    correctAnswer: [0, 2, 3],
+  },
+  ordering: {
+    type: 'ordering',
+    question: 'Order the event loop',
+    items: ['macrotask', 'script', 'microtasks'],
+    correctAnswer: [1, 2, 0],
+  },
+  fillBlank: {
+    type: 'fill-blank',
+    question: 'Complete the code',
+    code: 'const doubled = numbers.___((n) => n * 2);\n___ doubled;',
+    correctAnswer: ['map', ['return', 'export default']],
+  },
+};
+
+describe('QuizScorer', () => {
+  test('validates answer keys for every type', () => {
+    Object.values(questions).forEach((question) => {
+      expect(QuizScorer.isValidQuestion(question)).toBe(true);
+    });
+
+    expect(QuizScorer.isValidQuestion({ ...questions.choice, correctAnswer: 3 })).toBe(false);
+    expect(QuizScorer.isValidQuestion({ ...questions.ordering, correctAnswer: [0, 0, 1] })).toBe(false);
+    expect(QuizScorer.isValidQuestion({ ...questions.fillBlank, correctAnswer: ['map'] })).toBe(false);
+    expect(QuizScorer.isValidQuestion({ ...questions.choice, type: 'essay' })).toBe(false);
+  });
+
+  test('scores single answers exactly', () => {
+    expect(QuizScorer.scoreQuestion(questions.choice, 2).correct).toBe(true);
+    expect(QuizScorer.scoreQuestion(questions.choice, '2').credit).toBe(0);
+    expect(QuizScorer.scoreQuestion(questions.trueFalse, true).credit).toBe(1);
+    expect(QuizScorer.scoreQuestion(questions.trueFalse, false).credit).toBe(0);
+  });
+
+  test('compares printed output ignoring surrounding whitespace', () => {
+    expect(QuizScorer.scoreQuestion(questions.output, '  a  \r\n\nb\n').correct).toBe(true);
+    expect(QuizScorer.scoreQuestion(questions.output, 'b\na').correct).toBe(false);
+    expect(QuizScorer.scoreQuestion(questions.output, '   ').answered).toBe(false);
+  });
+
+  test('gives partial credit for multi-select and penalizes wrong picks', () => {
+    expect(QuizScorer.scoreQuestion(questions.multiSelect, [0, 2, 3]).credit).toBe(1);
+    expect(QuizScorer.scoreQuestion(questions.multiSelect, [0, 2]).credit).toBe(0.67);
+    expect(QuizScorer.scoreQuestion(questions.multiSelect, [0, 1]).credit).toBe(0);
+    expect(QuizScorer.scoreQuestion(questions.multiSelect, [0, 1, 2, 3]).credit).toBe(0.67);
+  });
+
+  test('gives credit for every item in its correct position', () => {
+    expect(QuizScorer.scoreQuestion(questions.ordering, [1, 2, 0]).correct).toBe(true);
+    expect(QuizScorer.scoreQuestion(questions.ordering, [1, 0, 2]).credit).toBe(0.33);
+    expect(QuizScorer.scoreQuestion(questions.ordering, [0, 1]).credit).toBe(0);
+  });
+
+  test('scores fill-in-the-blank per blank with accepted alternatives', () => {
+    expect(QuizScorer.scoreQuestion(questions.fillBlank, [' map ', 'export  default;']).correct).toBe(true);
+    expect(QuizScorer.scoreQuestion(questions.fillBlank, ['map', '']).credit).toBe(0.5);
+    expect(QuizScorer.scoreQuestion(questions.fillBlank, ['', '']).answered).toBe(false);
+  });
+
+  test('sums question credits into the quiz score', () => {
+    const list = Object.values(questions);
+    const result = QuizScorer.scoreQuiz(list, [2, false, 'a\nb', [0, 2], [1, 2, 0], ['map', 'return']]);
+
+    expect(result.correctCount).toBe(4);
+    expect(result.score).toBe(4.67);
+    expect(result.total).toBe(6);
+    expect(result.percentage).toBe(78);
+    expect(result.results[1]).toMatchObject({ credit: 0, correct: false, answered: true });
+  });
+
+  test('formats answers for the review screen', () => {
+    expect(QuizScorer.formatAnswer(questions.multiSelect, [3, 0])).toBe('string, symbol');
+    expect(QuizScorer.formatAnswer(questions.ordering, [1, 2, 0])).toBe('script → microtasks → macrotask');
+    expect(QuizScorer.formatAnswer(questions.trueFalse, undefined)).toBeNull();
+    expect(QuizScorer.formatCorrectAnswer(questions.fillBlank)).toBe('map | return');
+    expect(QuizScorer.formatCorrectAnswer(questions.output)).toBe('a\nb');
+  });
+});
+
+describe('ContentAdapter question types', () => {
+  test('keeps typed module questions and their snippets', async () => {
+    const content = await ContentAdapter.loadPlanetContent('async');
+    const types = content.quiz.questions.map((question) => question.type);
+
+    expect(types).toEqual(
+      expect.arrayContaining(['multiple-choice', 'output', 'ordering', 'multi-select', 'true-false', 'fill-blank'])
+    );
+    const ordering = content.quiz.questions.find((question) => question.type === 'ordering');
+    expect(ordering.items).toHaveLength(ordering.correctAnswer.length);
+  });
+
+  test('drops module questions with an unusable answer key', () => {
+    const normalized = ContentAdapter.normalizeQuestion({
+      type: 'multi-select',
+      question: 'Pick',
+      options: ['a', 'b'],
+      correct: [4],
+    });
+
+    expect(ContentAdapter.isValidQuestion(normalized)).toBe(false);
+  });
+});
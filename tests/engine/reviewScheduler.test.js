@@ -0,0 +1,131 @@
+// File: tests/engine/reviewScheduler.test.js
+// Location: jsversehub/tests/engine/reviewScheduler.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/quizScorer.js');
+require('../../src/engine/contentAdapter.js');
+require('../../src/engine/conceptLoader.js');
+require('../../src/engine/reviewScheduler.js');
+
+const StateManager = window.StateManager;
+const ReviewScheduler = window.ReviewScheduler;
+
+const day = (date) => new Date(`${date}T10:00:00`);
+const answer = (questionId, overrides = {}) => ({
+  questionId,
+  planetId: 'basics',
+  credit: 1,
+  correct: true,
+  answered: true,
+  ...overrides,
+});
+
+describe('ReviewScheduler', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    StateManager.resetProgress();
+    ReviewScheduler.init();
+  });
+
+  test('grows intervals with SM-2 while a question is remembered', () => {
+    let card = ReviewScheduler.createCard('basics-q1', 'basics');
+    const intervals = [];
+    for (let i = 0; i < 4; i++) {
+      card = ReviewScheduler.reviewCard(card, 5, day('2024-03-01'));
+      intervals.push(card.interval);
+    }
+
+    expect(intervals).toEqual([1, 6, 17, 49]);
+    expect(card.easiness).toBeCloseTo(2.9);
+  });
+
+  test('resets a card that is forgotten and lowers its easiness', () => {
+    let card = ReviewScheduler.createCard('basics-q1', 'basics');
+    card = ReviewScheduler.reviewCard(card, 5, day('2024-03-01'));
+    card = ReviewScheduler.reviewCard(card, 5, day('2024-03-02'));
+    card = ReviewScheduler.reviewCard(card, 1, day('2024-03-08'));
+
+    expect(card).toMatchObject({ repetitions: 0, interval: 1, lapses: 1 });
+    expect(card.easiness).toBeLessThan(2.5);
+    expect(new Date(card.dueDate)).toEqual(new Date(2024, 2, 9));
+  });
+
+  test('maps graded answers to review quality', () => {
+    expect(ReviewScheduler.getQuality(answer('q'))).toBe(5);
+    expect(ReviewScheduler.getQuality(answer('q', { correct: false, credit: 0.5 }))).toBe(3);
+    expect(ReviewScheduler.getQuality(answer('q', { correct: false, credit: 0.25 }))).toBe(2);
+    expect(ReviewScheduler.getQuality(answer('q', { correct: false, credit: 0 }))).toBe(1);
+    expect(ReviewScheduler.getQuality(answer('q', { correct: false, credit: 0, answered: false }))).toBe(0);
+  });
+
+  test('persists per-question history and schedules recorded answers', () => {
+    StateManager.recordQuestionAnswers([
+      answer('basics-q1'),
+      answer('basics-q2', { correct: false, credit: 0 }),
+    ]);
+
+    expect(StateManager.getQuestionHistory('basics-q2')).toEqual([
+      expect.objectContaining({ planetId: 'basics', correct: false, source: 'quiz' }),
+    ]);
+    const schedule = StateManager.getReviewSchedule();
+    expect(Object.keys(schedule)).toEqual(['basics-q1', 'basics-q2']);
+    expect(schedule['basics-q2'].repetitions).toBe(0);
+    expect(schedule['basics-q1'].repetitions).toBe(1);
+  });
+
+  test('builds the daily deck from due cards on unlocked planets', () => {
+    const now = day('2024-03-01');
+    ReviewScheduler.scheduleAnswers([answer('basics-q1', { correct: false, credit: 0 })], now);
+    ReviewScheduler.scheduleAnswers([answer('dom-q1', { planetId: 'dom', correct: false, credit: 0 })], now);
+
+    expect(ReviewScheduler.getDueCards(now)).toHaveLength(0);
+    expect(ReviewScheduler.getDueCards(day('2024-03-02')).map((card) => card.questionId)).toEqual(['basics-q1']);
+
+    StateManager.unlockPlanet('dom');
+    expect(ReviewScheduler.getDueCount(day('2024-03-02'))).toBe(2);
+  });
+
+  test('turns due cards into a review quiz', async () => {
+    const concept = await window.ConceptLoader.loadConcept('async');
+    const [first, second] = concept.quiz.questions;
+    const now = day('2024-03-01');
+    StateManager.unlockPlanet('async');
+    ReviewScheduler.scheduleAnswers(
+      [
+        answer(first.id, { planetId: 'async', correct: false, credit: 0 }),
+        answer(second.id, { planetId: 'async' }),
+        answer('async-removed-question', { planetId: 'async', correct: false, credit: 0 }),
+      ],
+      now
+    );
+
+    const deck = await ReviewScheduler.buildDeck(day('2024-03-02'));
+
+    expect(deck.isReview).toBe(true);
+    expect(deck.questions.map((question) => question.id)).toEqual([first.id, second.id]);
+    expect(deck.questions[0]).toMatchObject({ planetId: 'async', planetTitle: concept.overview.title });
+    expect(deck.timeLimit).toBe(2 * ReviewScheduler.secondsPerCard);
+  });
+
+  test('clears history and schedule on progress reset', () => {
+    StateManager.recordQuestionAnswers([answer('basics-q1')]);
+    StateManager.resetProgress();
+
+    expect(StateManager.getQuestionHistory('basics-q1')).toEqual([]);
+    expect(StateManager.getReviewSchedule()).toEqual({});
+  });
+});
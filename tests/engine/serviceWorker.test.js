@@ -0,0 +1,179 @@
+// File: tests/engine/serviceWorker.test.js
+// Location: jsversehub/tests/engine/serviceWorker.test.js
+
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const source = fs.readFileSync(path.join(__dirname, '../../src/service-worker.js'), 'utf8');
+const ORIGIN = 'https://jsverse.test';
+
+/**
+ * Just enough of Response for the worker and the cache (jest's node
+ * environment has none)
+ */
+class FakeResponse {
+  constructor(body, { status = 200 } = {}) {
+    this.body = body;
+    this.status = status;
+    this.ok = status >= 200 && status < 300;
+  }
+
+  clone() {
+    return new FakeResponse(this.body, { status: this.status });
+  }
+
+  async json() {
+    return JSON.parse(this.body);
+  }
+}
+
+/**
+ * CacheStorage stand-in shared by every worker version, like the browser's
+ */
+function createCacheStorage(fetch) {
+  const stores = new Map();
+  const keyOf = (request) => (typeof request === 'string' ? request : request.url);
+
+  return {
+    stores,
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const entries = stores.get(name);
+      return {
+        async addAll(urls) {
+          const responses = await Promise.all(urls.map((url) => fetch(url)));
+          if (responses.some((response) => !response.ok)) throw new TypeError('Request failed');
+          urls.forEach((url, index) => entries.set(url, responses[index]));
+        },
+        async put(request, response) {
+          entries.set(keyOf(request), response);
+        },
+        async match(request) {
+          const response = entries.get(keyOf(request));
+          return response && response.clone();
+        },
+      };
+    },
+    async match(request) {
+      for (const entries of stores.values()) {
+        const response = entries.get(keyOf(request));
+        if (response) return response.clone();
+      }
+      return undefined;
+    },
+    async keys() {
+      return [...stores.keys()];
+    },
+    async delete(name) {
+      return stores.delete(name);
+    },
+  };
+}
+
+/**
+ * Run the service worker template for one build
+ */
+function startWorker(build, caches, fetch) {
+  const listeners = {};
+  const scope = {
+    __JSV_BUILD: build,
+    registration: { scope: `${ORIGIN}/` },
+    location: { origin: ORIGIN },
+    clients: { claim: jest.fn(() => Promise.resolve()) },
+    skipWaiting: jest.fn(),
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+  };
+  new Function('self', 'caches', 'fetch', 'Response', source)(scope, caches, fetch, FakeResponse);
+
+  return {
+    async dispatch(type, props = {}) {
+      const pending = [];
+      listeners[type]({ ...props, waitUntil: (promise) => pending.push(promise) });
+      await Promise.all(pending);
+    },
+    async message(data) {
+      let reply = null;
+      await this.dispatch('message', { data, ports: [{ postMessage: (message) => { reply = message; } }] });
+      return reply;
+    },
+  };
+}
+
+function buildFor(version) {
+  return {
+    version,
+    precache: ['index.html'],
+    planets: {
+      basics: [`js/basics.${version}.js`],
+      dom: [`js/dom.${version}.js`, `js/dom-events.${version}.js`],
+    },
+  };
+}
+
+describe('Service worker', () => {
+  let network;
+  let fetch;
+  let caches;
+
+  async function install(version) {
+    const worker = startWorker(buildFor(version), caches, fetch);
+    await worker.dispatch('install');
+    await worker.dispatch('activate');
+    return worker;
+  }
+
+  beforeEach(() => {
+    network = { online: true };
+    fetch = jest.fn(async (url) => {
+      if (!network.online) throw new TypeError('Failed to fetch');
+      return new FakeResponse(`// ${url}`);
+    });
+    caches = createCacheStorage(fetch);
+  });
+
+  test('downloads a planet for offline use', async () => {
+    const worker = await install('v1');
+
+    expect(await worker.message({ type: 'CACHE_PLANET', planetId: 'dom' })).toEqual({
+      ok: true,
+      planetId: 'dom',
+      files: ['js/dom.v1.js', 'js/dom-events.v1.js'],
+    });
+    expect(await worker.message({ type: 'GET_OFFLINE_PLANETS' })).toEqual({ ok: true, planetIds: ['dom'] });
+  });
+
+  test('downloads offline planets again for a new version', async () => {
+    const first = await install('v1');
+    await first.message({ type: 'CACHE_PLANET', planetId: 'basics' });
+
+    const second = await install('v2');
+
+    expect(await second.message({ type: 'GET_OFFLINE_PLANETS' })).toEqual({ ok: true, planetIds: ['basics'] });
+    expect(fetch).toHaveBeenCalledWith(`${ORIGIN}/js/basics.v2.js`);
+    expect([...caches.stores.keys()].filter((name) => name.endsWith('-v1'))).toEqual([]);
+  });
+
+  test('keeps an old download that cannot be fetched again and retries with the next version', async () => {
+    const first = await install('v1');
+    await first.message({ type: 'CACHE_PLANET', planetId: 'basics' });
+
+    network.online = false;
+    const second = startWorker(buildFor('v2'), caches, fetch);
+    await second.dispatch('activate');
+
+    expect(await second.message({ type: 'GET_OFFLINE_PLANETS' })).toEqual({ ok: true, planetIds: [] });
+    expect(caches.stores.has('jsversehub-planet-basics-v1')).toBe(true);
+
+    network.online = true;
+    const third = await install('v3');
+
+    expect(await third.message({ type: 'GET_OFFLINE_PLANETS' })).toEqual({ ok: true, planetIds: ['basics'] });
+    expect(caches.stores.has('jsversehub-planet-basics-v1')).toBe(false);
+  });
+});
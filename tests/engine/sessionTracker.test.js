@@ -0,0 +1,177 @@
+// File: tests/engine/sessionTracker.test.js
+// Location: jsversehub/tests/engine/sessionTracker.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/sessionTracker.js');
+
+// sessionTemplate fields in src/assets/data/progress-tracking.json (not
+// plain JSON, it starts with comments)
+const SESSION_TEMPLATE_FIELDS = [
+  'id', 'startTime', 'endTime', 'duration', 'exercisesCompleted', 'pointsEarned',
+  'conceptsLearned', 'errorsEncountered', 'hintsUsed', 'achievements', 'focusAreas',
+];
+
+const StateManager = window.StateManager;
+const SessionTracker = window.SessionTracker;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+let visibility = 'visible';
+Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibility });
+
+function setVisibility(state) {
+  visibility = state;
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+function type() {
+  document.dispatchEvent(new Event('keydown'));
+}
+
+describe('SessionTracker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-04T10:00:00') });
+    visibility = 'visible';
+    StateManager.state = StateManager.createDefaultState();
+    SessionTracker.init();
+  });
+
+  afterEach(() => {
+    SessionTracker.destroy();
+    jest.useRealTimers();
+  });
+
+  test('counts time with recent input and stops when idle', () => {
+    jest.advanceTimersByTime(30 * SECOND);
+    type();
+    jest.advanceTimersByTime(30 * SECOND);
+    expect(StateManager.getStats().totalTimeSpent).toBe(60);
+
+    // Reading without input counts for idleTimeout after the last key
+    jest.advanceTimersByTime(10 * MINUTE);
+    expect(StateManager.getStats().totalTimeSpent).toBe(30 + 120);
+  });
+
+  test('pauses while the tab is hidden', () => {
+    jest.advanceTimersByTime(20 * SECOND);
+    setVisibility('hidden');
+    jest.advanceTimersByTime(5 * MINUTE);
+    type();
+    setVisibility('visible');
+    jest.advanceTimersByTime(40 * SECOND);
+    SessionTracker.commit();
+
+    expect(StateManager.getStats().totalTimeSpent).toBe(60);
+  });
+
+  test('attributes time to the open planet and section', () => {
+    SessionTracker.setContext('basics', 'basics-section-0');
+    jest.advanceTimersByTime(30 * SECOND);
+    SessionTracker.setContext('dom', 'dom-exercise-1');
+    jest.advanceTimersByTime(20 * SECOND);
+    SessionTracker.clearContext();
+    jest.advanceTimersByTime(10 * SECOND);
+    SessionTracker.commit();
+
+    const stats = StateManager.getStats();
+    expect(stats.totalTimeSpent).toBe(60);
+    expect(stats.timeByPlanet).toEqual({ basics: 30, dom: 20 });
+    expect(stats.timeByConcept).toEqual({ 'basics-section-0': 30, 'dom-exercise-1': 20 });
+  });
+
+  test('records sessions in the sessionTemplate format', () => {
+    SessionTracker.setContext('basics', 'basics-exercise-0');
+    StateManager.addXP(50);
+    StateManager.recordSubmission('basics-exercise-0', { passed: false, errors: ['x is not defined'], hintsUsed: 1 });
+    StateManager.recordSubmission('basics-exercise-0', { passed: true, errors: [], hintsUsed: 2 });
+    StateManager.completeConcept('basics-section-0');
+    jest.advanceTimersByTime(90 * SECOND);
+    SessionTracker.commit();
+
+    const [session] = StateManager.getSessions();
+    expect(Object.keys(session).sort()).toEqual([...SESSION_TEMPLATE_FIELDS].sort());
+    expect(session).toMatchObject({
+      startTime: new Date('2024-03-04T10:00:00').toISOString(),
+      duration: 90,
+      exercisesCompleted: 1,
+      pointsEarned: 250,
+      conceptsLearned: ['basics-section-0'],
+      errorsEncountered: 1,
+      hintsUsed: 2,
+      focusAreas: ['basics'],
+    });
+  });
+
+  test('starts a new session after a long pause or another learner', async () => {
+    jest.advanceTimersByTime(40 * MINUTE);
+    expect(StateManager.getSessions()).toHaveLength(1);
+    expect(StateManager.getSessions()[0].duration).toBe(120);
+
+    type();
+    jest.advanceTimersByTime(10 * SECOND);
+    SessionTracker.commit();
+    expect(StateManager.getSessions()).toHaveLength(2);
+
+    jest.advanceTimersByTime(5 * SECOND);
+    StateManager.notifyListeners('userChanging', { userId: null });
+    expect(StateManager.getSessions()[1].duration).toBe(15);
+    expect(SessionTracker.getCurrentSession()).toBeNull();
+  });
+});
+
+describe('StateManager streaks', () => {
+  const at = (date, time = '10:00:00') => new Date(`${date}T${time}`);
+
+  beforeEach(() => {
+    StateManager.state = StateManager.createDefaultState();
+  });
+
+  test('extends the streak when learning continues past midnight', () => {
+    StateManager.recordVisit(at('2024-03-04', '23:50:00'));
+    StateManager.recordTimeSpent('basics', 600, at('2024-03-05', '00:05:00'));
+
+    expect(StateManager.getStats().streakDays).toBe(2);
+    expect(StateManager.getStats().lastVisitDate).toBe('2024-03-05');
+  });
+
+  test('counts calendar days across DST changes', () => {
+    StateManager.recordVisit(at('2024-03-09', '23:30:00'));
+    StateManager.recordVisit(at('2024-03-10', '00:30:00'));
+    StateManager.recordVisit(at('2024-03-11', '00:10:00'));
+    expect(StateManager.getStats().streakDays).toBe(3);
+
+    StateManager.recordVisit(at('2024-03-13'));
+    expect(StateManager.getStats().streakDays).toBe(1);
+  });
+
+  test('uses the date where the learner was, not where they are now', () => {
+    // Last visit on the 4th local time, e.g. late evening before flying east
+    StateManager.state.stats.lastVisit = at('2024-03-05', '04:30:00').toISOString();
+    StateManager.state.stats.lastVisitDate = '2024-03-04';
+    StateManager.state.stats.streakDays = 4;
+
+    StateManager.recordVisit(at('2024-03-05', '09:00:00'));
+    expect(StateManager.getStats().streakDays).toBe(5);
+
+    // Flying back west can make "today" the day before the last visit
+    StateManager.state.stats.lastVisitDate = '2024-03-06';
+    StateManager.recordVisit(at('2024-03-05', '20:00:00'));
+    expect(StateManager.getStats().streakDays).toBe(5);
+    expect(StateManager.getStats().lastVisitDate).toBe('2024-03-06');
+  });
+});
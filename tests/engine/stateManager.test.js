@@ -0,0 +1,150 @@
+// File: tests/engine/stateManager.test.js
+// Location: jsversehub/tests/engine/stateManager.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/storageAdapters.js');
+require('../../src/engine/stateManager.js');
+
+const StateManagerClass = window.StateManager.constructor;
+
+async function createManager(savedState) {
+  localStorage.setItem(
+    'jsversehub-state',
+    typeof savedState === 'string' ? savedState : JSON.stringify(savedState)
+  );
+  const manager = new StateManagerClass();
+  await manager.loadState();
+  return manager;
+}
+
+const legacyState = {
+  user: { name: 'Ada', level: 2, totalXP: 1200 },
+  progress: { unlockedPlanets: ['basics', 'dom'], completedConcepts: ['basics'] },
+  settings: { theme: 'dark' },
+  stats: { quizzesCompleted: 3 },
+  achievements: [{ id: 'level-2' }],
+};
+
+describe('StateManager persistence', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('deep-merges saved nested objects over defaults', async () => {
+    const manager = await createManager(legacyState);
+    const { state } = manager;
+
+    expect(state.settings).toEqual({
+      theme: 'dark',
+      soundEnabled: true,
+      animationsEnabled: true,
+      difficulty: 'normal',
+      fontSize: 'medium',
+      autoSave: true,
+      showHints: true,
+    });
+    expect(state.stats.quizzesCompleted).toBe(3);
+    expect(state.stats.streakDays).toBe(0);
+    expect(state.user.name).toBe('Ada');
+    expect(state.user.joinDate).toBeDefined();
+    expect(state.progress.unlockedPlanets).toEqual(['basics', 'dom']);
+    expect(state.progress.currentPlanet).toBe('basics');
+  });
+
+  test('migrates unversioned state to the latest schema and saves it', async () => {
+    const manager = await createManager(legacyState);
+
+    expect(manager.state.schemaVersion).toBe(manager.schemaVersion);
+    expect(manager.state.submissions).toEqual({});
+    const saved = JSON.parse(localStorage.getItem('jsversehub-state'));
+    expect(saved.schemaVersion).toBe(manager.schemaVersion);
+    expect(saved.settings.soundEnabled).toBe(true);
+  });
+
+  test('runs registered migrations in version order', () => {
+    const manager = new StateManagerClass();
+    const calls = [];
+    const latest = manager.schemaVersion;
+
+    manager.registerMigration(latest + 2, (state) => {
+      calls.push('second');
+      return { ...state, user: { ...state.user, name: state.user.name.toUpperCase() } };
+    });
+    manager.registerMigration(latest + 1, (state) => {
+      calls.push('first');
+      return { ...state, user: { ...state.user, name: `${state.user.name}!` } };
+    });
+
+    const migrated = manager.migrateState({ ...legacyState, schemaVersion: latest });
+
+    expect(calls).toEqual(['first', 'second']);
+    expect(migrated.user.name).toBe('ADA!');
+    expect(migrated.schemaVersion).toBe(latest + 2);
+    expect(manager.schemaVersion).toBe(latest + 2);
+  });
+
+  test('rejects duplicate migration versions', () => {
+    const manager = new StateManagerClass();
+
+    expect(() => manager.registerMigration(2, (state) => state)).toThrow(/already registered/);
+  });
+
+  test('backs up corrupt state before falling back to defaults', async () => {
+    const manager = await createManager('{"user": {');
+
+    const { backupKey } = manager.recoveredFromBackup;
+    expect(backupKey).toMatch(/^jsversehub-state-backup-/);
+    expect(localStorage.getItem(backupKey)).toBe('{"user": {');
+    expect(manager.state.user.totalXP).toBe(0);
+  });
+
+  test('backs up state saved by a newer schema instead of discarding it', async () => {
+    const newer = { ...legacyState, schemaVersion: 999 };
+    const manager = await createManager(newer);
+
+    expect(manager.recoveredFromBackup.error).toMatch(/newer than supported/);
+    expect(localStorage.getItem(manager.recoveredFromBackup.backupKey)).toBe(
+      JSON.stringify(newer)
+    );
+  });
+
+  test('imports exported data through the migration pipeline', () => {
+    const manager = new StateManagerClass();
+    const listener = jest.fn();
+    manager.addListener(listener);
+
+    const imported = manager.importUserData(
+      JSON.stringify({ ...legacyState, exportDate: '2024-01-01', version: '1.0' })
+    );
+
+    expect(imported).toBe(true);
+    expect(manager.state.settings.soundEnabled).toBe(true);
+    expect(manager.state.settings.theme).toBe('dark');
+    expect(manager.state.schemaVersion).toBe(manager.schemaVersion);
+    expect(manager.state.exportDate).toBeUndefined();
+    expect(listener).toHaveBeenCalledWith('dataImported', undefined, manager.state);
+  });
+
+  test('refuses imports that are malformed or from a newer schema', () => {
+    const manager = new StateManagerClass();
+
+    expect(manager.importUserData('not json')).toBe(false);
+    expect(manager.importUserData(JSON.stringify({ user: {} }))).toBe(false);
+    expect(
+      manager.importUserData(JSON.stringify({ ...legacyState, schemaVersion: 999 }))
+    ).toBe(false);
+  });
+});
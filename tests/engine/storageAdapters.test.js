@@ -0,0 +1,148 @@
+// File: tests/engine/storageAdapters.test.js
+// Location: jsversehub/tests/engine/storageAdapters.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/storageAdapters.js');
+require('../../src/engine/stateManager.js');
+
+const StorageAdapters = window.StorageAdapters;
+const StateManagerClass = window.StateManager.constructor;
+
+describe('StorageAdapters', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test.each(['memory', 'localStorage'])('%s adapter stores, batches and removes values', async (name) => {
+    const adapter = await StorageAdapters.create(name).open();
+
+    await adapter.setItems([['a', '1'], ['b', '2']]);
+    await adapter.setItem('c', '3');
+    await adapter.setItems([['a', null], ['b', '22']]);
+    await adapter.removeItem('c');
+
+    expect(await adapter.getItem('a')).toBeNull();
+    expect(await adapter.getItem('b')).toBe('22');
+    expect(await adapter.keys()).toEqual(['b']);
+  });
+
+  test('falls back to the next backend that opens', async () => {
+    class BrokenAdapter {
+      static isAvailable() {
+        return true;
+      }
+
+      async open() {
+        throw new Error('quota exceeded');
+      }
+    }
+    StorageAdapters.register('broken', BrokenAdapter);
+
+    const adapter = await StorageAdapters.connect(['indexedDB', 'broken', 'memory']);
+
+    expect(adapter.name).toBe('memory');
+    expect(JSVLogger.warn).toHaveBeenCalledWith(expect.stringContaining('broken'), expect.any(Error));
+  });
+
+  test('rejects unknown adapters', () => {
+    expect(() => StorageAdapters.create('cookies')).toThrow(/Unknown storage adapter/);
+  });
+});
+
+describe('StateManager storage', () => {
+  let storage;
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    storage = StorageAdapters.create('memory');
+    jest.spyOn(storage, 'setItems');
+    manager = new StateManagerClass().setStorage(storage);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('debounces saves into one write of the latest state', async () => {
+    jest.useFakeTimers();
+
+    manager.addXP(10);
+    manager.unlockPlanet('dom');
+    manager.updateSettings({ theme: 'cosmic' });
+    expect(storage.setItems).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(manager.saveDelay);
+    await manager.writeQueue;
+
+    expect(storage.setItems).toHaveBeenCalledTimes(1);
+    const saved = JSON.parse(await storage.getItem(manager.storageKey));
+    expect(saved.user.totalXP).toBe(10);
+    expect(saved.settings.theme).toBe('cosmic');
+  });
+
+  test('flush writes pending changes right away', async () => {
+    manager.saveNotes('basics', 'let vs const');
+
+    expect(await manager.flush()).toBe(true);
+    expect(JSON.parse(await storage.getItem(manager.storageKey)).notes).toEqual({ basics: 'let vs const' });
+    expect(await manager.flush()).toBe(true);
+    expect(storage.setItems).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports failed writes without losing the in-memory state', async () => {
+    storage.setItems.mockRejectedValueOnce(new Error('QuotaExceededError'));
+    manager.addXP(5);
+
+    expect(await manager.flush()).toBe(false);
+    expect(manager.state.user.totalXP).toBe(5);
+  });
+
+  test('loads state saved by another session', async () => {
+    await storage.setItem(manager.storageKey, JSON.stringify({ ...manager.state, bookmarks: ['dom'] }));
+
+    await manager.loadState();
+
+    expect(manager.getBookmarks()).toEqual(['dom']);
+  });
+
+  test('moves state from localStorage into a new backend', async () => {
+    const saved = { ...manager.createDefaultState(), user: { name: 'Ada', level: 3, totalXP: 2100 } };
+    localStorage.setItem(manager.storageKey, JSON.stringify(saved));
+
+    await manager.loadState();
+
+    expect(manager.state.user.name).toBe('Ada');
+    expect(JSON.parse(await storage.getItem(manager.storageKey)).user.totalXP).toBe(2100);
+    expect(localStorage.getItem(manager.storageKey)).toBeNull();
+  });
+
+  test('moves v2 notes and bookmarks from localStorage into the state', async () => {
+    const v2 = { ...manager.createDefaultState(), schemaVersion: 2 };
+    delete v2.notes;
+    delete v2.bookmarks;
+    await storage.setItem(manager.storageKey, JSON.stringify(v2));
+    localStorage.setItem('jsversehub-notes-basics', 'Hoisting!');
+    localStorage.setItem('jsversehub-bookmarks', '["async","dom"]');
+
+    await manager.loadState();
+
+    expect(manager.getNotes('basics')).toBe('Hoisting!');
+    expect(manager.getBookmarks()).toEqual(['async', 'dom']);
+    expect(localStorage.getItem('jsversehub-notes-basics')).toBeNull();
+    expect(localStorage.getItem('jsversehub-bookmarks')).toBeNull();
+  });
+});
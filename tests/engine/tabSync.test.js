@@ -0,0 +1,217 @@
+// File: tests/engine/tabSync.test.js
+// Location: jsversehub/tests/engine/tabSync.test.js
+
+/**
+ * @jest-environment jsdom
+ */
+
+global.JSVLogger = {
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+};
+window.JSVLogger = global.JSVLogger;
+
+require('../../src/engine/curriculumGraph.js');
+require('../../src/engine/stateManager.js');
+require('../../src/engine/tabSync.js');
+
+const StateManager = window.StateManager;
+const StateManagerClass = StateManager.constructor;
+const TabSync = window.TabSync;
+const TabSyncClass = TabSync.constructor;
+
+// Another tab: its own StateManager, serialized the way flush() publishes it
+function createOtherTab() {
+  const tab = new StateManagerClass();
+  tab.publishState = jest.fn();
+  return tab;
+}
+
+function publish(tab) {
+  return [JSON.stringify(tab.state), { ...tab.changedAt }];
+}
+
+describe('StateManager.mergeRemoteState', () => {
+  let events;
+  let removeListener;
+
+  beforeEach(() => {
+    StateManager.state = StateManager.createDefaultState();
+    StateManager.changedAt = {};
+    events = [];
+    removeListener = StateManager.addListener((event, data, state, meta) => events.push([event, data, meta]));
+  });
+
+  afterEach(() => {
+    removeListener();
+  });
+
+  test('keeps progress made in both tabs', () => {
+    StateManager.state.progress.completedConcepts.push('basics');
+    StateManager.state.achievements.push({ id: 'first-steps' });
+    StateManager.state.user.totalXP = 300;
+
+    const other = createOtherTab();
+    other.state.progress.completedConcepts.push('basics', 'dom');
+    other.state.progress.unlockedPlanets.push('dom');
+    other.state.achievements.push({ id: 'first-steps' }, { id: 'dom-explorer' });
+    other.state.user.totalXP = 1250;
+    other.state.user.level = 2;
+    other.state.stats.timeByPlanet = { dom: 90 };
+
+    expect(StateManager.mergeRemoteState(...publish(other))).toBe(true);
+
+    const state = StateManager.getState();
+    expect(state.progress.completedConcepts).toEqual(['basics', 'dom']);
+    expect(state.progress.unlockedPlanets).toContain('dom');
+    expect(state.achievements.map((a) => a.id)).toEqual(['first-steps', 'dom-explorer']);
+    expect(state.user).toMatchObject({ totalXP: 1250, level: 2 });
+    expect(state.stats.timeByPlanet).toEqual({ dom: 90 });
+  });
+
+  test('replays remote changes to listeners as ordinary events', () => {
+    const other = createOtherTab();
+    other.state.progress.completedConcepts.push('async');
+    other.state.achievements.push({ id: 'async-master' });
+    other.state.user.totalXP = 100;
+
+    StateManager.mergeRemoteState(...publish(other));
+
+    const remote = { remote: true };
+    expect(events).toEqual([
+      ['conceptCompleted', 'async', remote],
+      ['achievementEarned', { id: 'async-master' }, remote],
+      ['xpGained', 100, remote],
+    ]);
+  });
+
+  test('never lowers XP', () => {
+    StateManager.state.user.totalXP = 500;
+    const other = createOtherTab();
+    other.state.user.totalXP = 200;
+
+    StateManager.mergeRemoteState(...publish(other));
+
+    expect(StateManager.getState().user.totalXP).toBe(500);
+    expect(events).toEqual([]);
+  });
+
+  test('takes settings from whichever tab changed them last', () => {
+    const other = createOtherTab();
+    other.updateSettings({ theme: 'cosmic' });
+    other.changedAt.settings = 1000;
+
+    StateManager.updateSettings({ fontSize: 'large' });
+    StateManager.changedAt.settings = 2000;
+    StateManager.mergeRemoteState(...publish(other));
+    expect(StateManager.getState().settings).toMatchObject({ theme: 'galaxy', fontSize: 'large' });
+
+    other.changedAt.settings = 3000;
+    StateManager.mergeRemoteState(...publish(other));
+    expect(StateManager.getState().settings).toMatchObject({ theme: 'cosmic', fontSize: 'medium' });
+    expect(events.pop()).toEqual(['settingsUpdated', StateManager.getState().settings, { remote: true }]);
+  });
+
+  test('follows a reset made in another tab', () => {
+    StateManager.state.progress.completedConcepts.push('basics');
+    StateManager.state.user.totalXP = 900;
+
+    const other = createOtherTab();
+    other.resetProgress();
+
+    expect(StateManager.mergeRemoteState(...publish(other))).toBe(true);
+    expect(StateManager.getState().progress.completedConcepts).toEqual([]);
+    expect(StateManager.getState().user.totalXP).toBe(0);
+    expect(events).toEqual([['progressReset', undefined, { remote: true }]]);
+  });
+
+  test('does not save when nothing changed', () => {
+    const saveState = jest.spyOn(StateManager, 'saveState');
+
+    expect(StateManager.mergeRemoteState(JSON.stringify(StateManager.state))).toBe(false);
+    expect(StateManager.mergeRemoteState('{"user":')).toBe(false);
+    expect(saveState).not.toHaveBeenCalled();
+    saveState.mockRestore();
+  });
+});
+
+describe('TabSync', () => {
+  let channels;
+
+  beforeEach(() => {
+    StateManager.state = StateManager.createDefaultState();
+    StateManager.changedAt = {};
+    channels = [];
+    global.BroadcastChannel = class {
+      constructor(name) {
+        this.name = name;
+        channels.push(this);
+      }
+
+      postMessage(data) {
+        channels
+          .filter((channel) => channel !== this && channel.name === this.name)
+          .forEach((channel) => channel.onmessage({ data }));
+      }
+
+      close() {
+        channels = channels.filter((channel) => channel !== this);
+      }
+    };
+  });
+
+  afterEach(() => {
+    TabSync.close();
+    delete global.BroadcastChannel;
+  });
+
+  test('publishes saved state to other tabs over BroadcastChannel', async () => {
+    TabSync.init();
+    const otherTab = new TabSyncClass().init();
+    const merge = jest.spyOn(StateManager, 'mergeRemoteState');
+
+    StateManager.completeConcept('basics');
+    await StateManager.flush();
+
+    expect(TabSync.transport).toBe('broadcastChannel');
+    // Sent by this tab: the other tab's listener merges it, this one does not
+    expect(merge).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(merge.mock.calls[0][0]).progress.completedConcepts).toEqual(['basics']);
+
+    otherTab.close();
+    merge.mockRestore();
+  });
+
+  test('falls back to storage events without BroadcastChannel', () => {
+    delete global.BroadcastChannel;
+    TabSync.init();
+    expect(TabSync.transport).toBe('storage');
+
+    const other = createOtherTab();
+    other.state.progress.completedConcepts.push('dom');
+    const message = { tabId: 'other-tab', key: 'jsversehub-state', state: JSON.stringify(other.state), changedAt: {} };
+    window.dispatchEvent(new StorageEvent('storage', { key: 'jsversehub-sync', newValue: JSON.stringify(message) }));
+
+    expect(StateManager.getState().progress.completedConcepts).toEqual(['dom']);
+  });
+
+  test('ignores its own messages', () => {
+    TabSync.init();
+
+    expect(TabSync.receive({ tabId: TabSync.tabId, state: '{}', changedAt: {} })).toBe(false);
+  });
+
+  test('ignores state from tabs signed in to another account', () => {
+    TabSync.init();
+
+    const other = createOtherTab();
+    other.state.progress.completedConcepts.push('dom');
+    const message = { tabId: 'other-tab', state: JSON.stringify(other.state), changedAt: {} };
+
+    expect(TabSync.receive({ ...message, key: 'jsversehub-state:grace' })).toBe(false);
+    expect(StateManager.getState().progress.completedConcepts).toEqual([]);
+  });
+});
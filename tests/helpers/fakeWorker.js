@@ -0,0 +1,59 @@
+// File: tests/helpers/fakeWorker.js
+// Location: jsversehub/tests/helpers/fakeWorker.js
+
+/**
+ * Minimal Worker stand-in that evaluates the real CodeRunner sandbox
+ * source against a fake worker global scope (jsdom has no Web Workers)
+ */
+class FakeWorker {
+  constructor() {
+    this.handles = new Set();
+    const track = (setter, clearer) => [
+      (callback, delay, ...args) => {
+        const id = setter(callback, delay, ...args);
+        this.handles.add(() => clearer(id));
+        return id;
+      },
+      clearer,
+    ];
+    const [setTimeoutFn, clearTimeoutFn] = track(setTimeout, clearTimeout);
+    const [setIntervalFn, clearIntervalFn] = track(setInterval, clearInterval);
+
+    // Like a real worker global, the messaging API and app storage live on
+    // the scope's prototype
+    const workerPrototype = {
+      postMessage: (data) => {
+        if (!this.terminated && this.onmessage) this.onmessage({ data });
+      },
+      indexedDB: {},
+      fetch: jest.fn(),
+    };
+    this.scope = Object.assign(Object.create(workerPrototype), {
+      setTimeout: setTimeoutFn,
+      clearTimeout: clearTimeoutFn,
+      setInterval: setIntervalFn,
+      clearInterval: clearIntervalFn,
+      addEventListener: jest.fn(),
+    });
+    new Function('self', window.CodeRunner.getWorkerSource())(this.scope);
+  }
+
+  postMessage(data) {
+    setTimeout(() => this.scope.onmessage({ data }), 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+    this.handles.forEach((clear) => clear());
+  }
+}
+
+/**
+ * Route CodeRunner through FakeWorker for the current test file
+ */
+function installFakeWorker() {
+  global.Worker = FakeWorker;
+  URL.createObjectURL = jest.fn(() => 'blob:sandbox');
+}
+
+module.exports = { FakeWorker, installFakeWorker };
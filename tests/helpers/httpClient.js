@@ -0,0 +1,47 @@
+// File: tests/helpers/httpClient.js
+// Location: jsversehub/tests/helpers/httpClient.js
+
+const http = require('http');
+
+/**
+ * Start an Express app on a free port and return a small fetch-like client
+ * (jest's node environment has no fetch)
+ */
+async function startServer(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const { port } = server.address();
+
+  function request(method, url, { body, headers = {}, rawBody } = {}) {
+    const payload = rawBody !== undefined ? rawBody : body !== undefined ? JSON.stringify(body) : null;
+    const requestHeaders = payload !== null ? { 'Content-Type': 'application/json', ...headers } : headers;
+
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, method, path: url, headers: requestHeaders }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+        });
+        res.on('end', () => {
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            text,
+            json: () => JSON.parse(text),
+          });
+        });
+      });
+      req.on('error', reject);
+      if (payload !== null) req.write(payload);
+      req.end();
+    });
+  }
+
+  return {
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startServer };
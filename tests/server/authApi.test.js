@@ -0,0 +1,169 @@
+// File: tests/server/authApi.test.js
+// Location: jsversehub/tests/server/authApi.test.js
+
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const AccountStore = require('../../server/accountStore');
+const createAuthApi = require('../../server/authApi');
+const { startServer } = require('../helpers/httpClient.js');
+
+function sessionCookie(response) {
+  const header = (response.headers['set-cookie'] || []).find((cookie) => cookie.startsWith('jsverse_session='));
+  return header ? header.split(';')[0] : null;
+}
+
+describe('Auth API', () => {
+  let dataDir;
+  let store;
+  let server;
+
+  function request(method, url, { cookie, ...options } = {}) {
+    return server.request(method, `/api/auth${url}`, { ...options, headers: cookie ? { Cookie: cookie } : {} });
+  }
+
+  function signUp(username = 'ada', password = 'analytical-engine', name = 'Ada Lovelace') {
+    return request('POST', '/signup', { body: { username, password, name } });
+  }
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsversehub-auth-'));
+    store = new AccountStore(path.join(dataDir, 'accounts.json'));
+
+    const app = express();
+    app.use('/api/auth', createAuthApi({ store }));
+    server = await startServer(app);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('signs up with an HttpOnly session cookie', async () => {
+    const response = await signUp();
+    expect(response.status).toBe(201);
+    expect(response.json().user).toMatchObject({ username: 'ada', name: 'Ada Lovelace' });
+
+    const [cookie] = response.headers['set-cookie'];
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/SameSite=Strict/);
+
+    const session = await request('GET', '/session', { cookie: sessionCookie(response) });
+    expect(session.status).toBe(200);
+    expect(session.json().user.username).toBe('ada');
+    expect((await request('GET', '/session')).status).toBe(401);
+  });
+
+  test('signs in with the right password only', async () => {
+    await signUp();
+
+    const wrong = await request('POST', '/signin', { body: { username: 'ada', password: 'difference-engine' } });
+    const unknown = await request('POST', '/signin', { body: { username: 'grace', password: 'analytical-engine' } });
+    expect(wrong.status).toBe(401);
+    expect(unknown.json()).toEqual(wrong.json());
+
+    const right = await request('POST', '/signin', { body: { username: 'ADA', password: 'analytical-engine' } });
+    expect(right.status).toBe(200);
+    expect(sessionCookie(right)).toBeTruthy();
+  });
+
+  test('treats usernames named like Object.prototype members as free', async () => {
+    expect((await request('POST', '/signin', { body: { username: '__proto__', password: 'analytical-engine' } })).status).toBe(401);
+    expect((await request('POST', '/signin', { body: { username: 'constructor', password: 'analytical-engine' } })).status).toBe(401);
+
+    const response = await signUp('constructor');
+    expect(response.status).toBe(201);
+    expect((await request('GET', '/session', { cookie: sessionCookie(response) })).json().user.username).toBe('constructor');
+  });
+
+  test('slows down repeated wrong passwords', async () => {
+    await signUp();
+
+    for (let i = 0; i < 5; i++) {
+      await request('POST', '/signin', { body: { username: 'ada', password: `guess-${i}-wrong` } });
+    }
+    const locked = await request('POST', '/signin', { body: { username: 'ada', password: 'analytical-engine' } });
+
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('forgets failed sign-ins of the least recent usernames beyond the limit', async () => {
+    await server.close();
+    const app = express();
+    app.use('/api/auth', createAuthApi({ store, maxTrackedUsernames: 2 }));
+    server = await startServer(app);
+    await signUp();
+
+    const failSignIn = (username) => request('POST', '/signin', { body: { username, password: 'not-the-password' } });
+    for (let i = 0; i < 5; i++) {
+      await failSignIn('ada');
+    }
+    expect((await failSignIn('ada')).status).toBe(429);
+
+    await failSignIn('made-up-1');
+    expect((await failSignIn('ada')).status).toBe(429);
+    await failSignIn('made-up-2');
+    await failSignIn('made-up-3');
+
+    expect((await request('POST', '/signin', { body: { username: 'ada', password: 'analytical-engine' } })).status).toBe(200);
+  });
+
+  test('forgets usernames whose failed sign-ins have expired', async () => {
+    await signUp();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    for (let i = 0; i < 5; i++) {
+      await request('POST', '/signin', { body: { username: 'ada', password: `guess-${i}-wrong` } });
+    }
+    expect((await request('POST', '/signin', { body: { username: 'ada', password: 'analytical-engine' } })).status).toBe(429);
+
+    clock.mockReturnValue(now + 15 * 60 * 1000);
+    expect((await request('POST', '/signin', { body: { username: 'ada', password: 'analytical-engine' } })).status).toBe(200);
+    clock.mockRestore();
+  });
+
+  test('ends the session on sign out', async () => {
+    const cookie = sessionCookie(await signUp());
+
+    expect((await request('POST', '/signout', { cookie })).status).toBe(204);
+    expect((await request('GET', '/session', { cookie })).status).toBe(401);
+  });
+
+  test('treats a malformed session cookie as signed out', async () => {
+    const cookie = 'jsverse_session=%E0';
+
+    expect((await request('GET', '/session', { cookie })).status).toBe(401);
+
+    const signedOut = await request('POST', '/signout', { cookie });
+    expect(signedOut.status).toBe(204);
+    expect(signedOut.headers['set-cookie'][0]).toMatch(/^jsverse_session=;/);
+  });
+
+  test('stores salted password hashes and hashed session tokens', async () => {
+    const cookie = sessionCookie(await signUp());
+    await signUp('grace', 'analytical-engine', 'Grace');
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'accounts.json'), 'utf8'));
+    expect(JSON.stringify(saved)).not.toContain('analytical-engine');
+    expect(JSON.stringify(saved)).not.toContain(cookie.split('=')[1]);
+    expect(saved.accounts.ada.passwordHash).not.toBe(saved.accounts.grace.passwordHash);
+  });
+
+  test('validates sign-up details', async () => {
+    await signUp();
+
+    expect((await signUp('ada', 'another-password')).status).toBe(409);
+    expect((await signUp('a', 'analytical-engine')).status).toBe(400);
+    expect((await signUp('../ada', 'analytical-engine')).status).toBe(400);
+    expect((await signUp('grace', 'short')).status).toBe(400);
+    expect((await request('POST', '/signin', { body: { username: 'ada' } })).status).toBe(400);
+  });
+});
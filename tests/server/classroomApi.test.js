@@ -0,0 +1,204 @@
+// File: tests/server/classroomApi.test.js
+// Location: jsversehub/tests/server/classroomApi.test.js
+
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const ClassroomStore = require('../../server/classroomStore');
+const createClassroomApi = require('../../server/classroomApi');
+const { startServer } = require('../helpers/httpClient.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function answer(questionId, credit, answered = true) {
+  return { questionId, planetId: 'basics', credit, correct: credit === 1, answered };
+}
+
+describe('Classroom API', () => {
+  let dataDir;
+  let store;
+  let server;
+
+  function request(method, url, { token, ...options } = {}) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    return server.request(method, `/api/classes${url}`, { ...options, headers });
+  }
+
+  async function createClass(name = 'Cohort 7') {
+    return (await request('POST', '/', { body: { name } })).json();
+  }
+
+  async function join(code, name) {
+    return (await request('POST', `/${code}/learners`, { body: { name } })).json();
+  }
+
+  function report(code, learner, body) {
+    return request('POST', `/${code}/learners/${learner.learnerId}/reports`, { token: learner.learnerToken, body });
+  }
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsversehub-classes-'));
+    store = new ClassroomStore(path.join(dataDir, 'classrooms.json'));
+
+    const app = express();
+    app.use('/api/classes', createClassroomApi({ store }));
+    server = await startServer(app);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('builds the dashboard from learner reports', async () => {
+    const classroom = await createClass();
+    expect(classroom.code).toMatch(/^[A-Z2-9]{6}$/);
+
+    const ada = await join(classroom.code.toLowerCase(), 'Ada');
+    const grace = await join(classroom.code, 'Grace');
+    expect(ada.className).toBe('Cohort 7');
+
+    const now = new Date().toISOString();
+    expect((await report(classroom.code, ada, {
+      events: [
+        { type: 'questionsAnswered', timestamp: now, data: { answers: [answer('q1', 1), answer('q2', 0.5)] } },
+        { type: 'quizCompleted', timestamp: now, data: { planetId: 'basics', percentage: 75 } }
+      ],
+      planets: { basics: 80, dom: 0 }
+    })).status).toBe(204);
+    await report(classroom.code, grace, {
+      events: [{ type: 'questionsAnswered', timestamp: now, data: { answers: [answer('q1', 0), answer('q2', 0, false)] } }],
+      planets: { basics: 40, dom: 10 }
+    });
+
+    const response = await request('GET', `/${classroom.code}/dashboard`, { token: classroom.instructorToken });
+    expect(response.status).toBe(200);
+    const dashboard = response.json();
+
+    expect(dashboard.planets).toEqual(['basics', 'dom']);
+    expect(dashboard.learners.map((learner) => [learner.name, learner.planets])).toEqual([
+      ['Ada', { basics: 80, dom: 0 }],
+      ['Grace', { basics: 40, dom: 10 }]
+    ]);
+    expect(dashboard.learners[0].quizzes.basics).toEqual({ attempts: 1, bestScore: 75, lastScore: 75 });
+    expect(dashboard.questions).toEqual([
+      expect.objectContaining({ questionId: 'q2', partial: 1, unanswered: 1, learners: 2, averageCredit: 0.25 }),
+      expect.objectContaining({ questionId: 'q1', correct: 1, incorrect: 1, learners: 2, averageCredit: 0.5 })
+    ]);
+    expect(dashboard.inactive).toEqual([]);
+  });
+
+  test('lists learners who have not been active for N days', async () => {
+    const classroom = await createClass();
+    const ada = await join(classroom.code, 'Ada');
+    await join(classroom.code, 'Grace');
+
+    const { learners } = await store.getClass(classroom.code);
+    Object.values(learners).forEach((learner) => {
+      learner.lastActiveAt = new Date(Date.now() - 10 * DAY_MS).toISOString();
+    });
+    await report(classroom.code, ada, {
+      events: [{ type: 'conceptCompleted', timestamp: new Date(Date.now() - 2 * DAY_MS).toISOString() }]
+    });
+
+    const dashboard = async (days) =>
+      (await request('GET', `/${classroom.code}/dashboard?inactiveDays=${days}`, { token: classroom.instructorToken })).json();
+
+    expect((await dashboard(7)).inactive.map((learner) => [learner.name, learner.daysInactive])).toEqual([['Grace', 10]]);
+    expect((await dashboard(2)).inactive.map((learner) => learner.name)).toEqual(['Grace', 'Ada']);
+  });
+
+  test('requires the right token for each endpoint', async () => {
+    const classroom = await createClass();
+    const ada = await join(classroom.code, 'Ada');
+
+    expect((await request('GET', `/${classroom.code}/dashboard`)).status).toBe(401);
+    expect((await request('GET', `/${classroom.code}/dashboard`, { token: ada.learnerToken })).status).toBe(401);
+    expect((await report(classroom.code, { ...ada, learnerToken: classroom.instructorToken }, { events: [] })).status).toBe(401);
+
+    expect((await request('GET', '/ZZZZZZ/dashboard', { token: classroom.instructorToken })).status).toBe(404);
+    expect((await request('POST', '/not-a-code/learners', { body: { name: 'Ada' } })).status).toBe(400);
+  });
+
+  test('lets learners leave and instructors remove learners', async () => {
+    const classroom = await createClass();
+    const ada = await join(classroom.code, 'Ada');
+    const grace = await join(classroom.code, 'Grace');
+
+    expect((await request('DELETE', `/${classroom.code}/learners/${ada.learnerId}`, { token: grace.learnerToken })).status).toBe(401);
+    expect((await request('DELETE', `/${classroom.code}/learners/${ada.learnerId}`, { token: ada.learnerToken })).status).toBe(204);
+    expect(
+      (await request('DELETE', `/${classroom.code}/learners/${grace.learnerId}`, { token: classroom.instructorToken })).status
+    ).toBe(204);
+
+    const { learners } = (await request('GET', `/${classroom.code}/dashboard`, { token: classroom.instructorToken })).json();
+    expect(learners).toEqual([]);
+  });
+
+  test('validates names and reports', async () => {
+    const classroom = await createClass();
+    const ada = await join(classroom.code, 'Ada');
+
+    expect((await request('POST', '/', { body: { name: ' ' } })).status).toBe(400);
+    expect((await request('POST', `/${classroom.code}/learners`, { body: {} })).status).toBe(400);
+    expect((await report(classroom.code, ada, { events: 'all of them' })).status).toBe(400);
+    expect((await report(classroom.code, ada, { events: [], planets: { basics: 140 } })).status).toBe(400);
+    expect((await report(classroom.code, ada, {
+      events: [{ type: 'questionsAnswered', timestamp: new Date().toISOString(), data: { answers: [{ questionId: 'q1' }] } }]
+    })).status).toBe(400);
+  });
+
+  test('rejects ids that name Object.prototype members', async () => {
+    const classroom = await createClass();
+    const ada = await join(classroom.code, 'Ada');
+    const timestamp = new Date().toISOString();
+
+    expect((await report(classroom.code, ada, {
+      events: [{ type: 'quizCompleted', timestamp, data: { planetId: '__proto__', percentage: 90 } }]
+    })).status).toBe(400);
+    expect((await report(classroom.code, ada, {
+      events: [{ type: 'questionsAnswered', timestamp, data: { answers: [answer('constructor', 1)] } }]
+    })).status).toBe(400);
+    expect((await report(classroom.code, ada, { events: [], planets: JSON.parse('{"__proto__": 50}') })).status).toBe(400);
+  });
+
+  test('keeps reported ids out of Object.prototype in the store', async () => {
+    const { code } = await store.createClass({ name: 'Cohort 7' });
+    const { learnerId } = await store.joinClass(code, { name: 'Ada' });
+    const timestamp = new Date().toISOString();
+
+    await store.recordReport(code, learnerId, {
+      events: [
+        { type: 'quizCompleted', timestamp, data: { planetId: '__proto__', percentage: 90 } },
+        { type: 'questionsAnswered', timestamp, data: { answers: [{ ...answer('constructor', 1), planetId: '__proto__' }] } }
+      ]
+    });
+
+    expect({}.attempts).toBeUndefined();
+    expect({}.bestScore).toBeUndefined();
+    const reopened = new ClassroomStore(path.join(dataDir, 'classrooms.json'));
+    await reopened.recordReport(code, learnerId, {
+      events: [{ type: 'quizCompleted', timestamp, data: { planetId: '__proto__', percentage: 70 } }]
+    });
+    expect({}.attempts).toBeUndefined();
+    expect((await reopened.getDashboard(code)).learners[0].quizzes.__proto__).toMatchObject({ attempts: 2, bestScore: 90 });
+  });
+
+  test('keeps classes in the JSON file with hashed tokens', async () => {
+    const classroom = await createClass();
+    await join(classroom.code, 'Ada');
+
+    const saved = fs.readFileSync(path.join(dataDir, 'classrooms.json'), 'utf8');
+    expect(saved).not.toContain(classroom.instructorToken);
+
+    const reopened = new ClassroomStore(path.join(dataDir, 'classrooms.json'));
+    const dashboard = await reopened.getDashboard(classroom.code);
+    expect(dashboard.learners.map((learner) => learner.name)).toEqual(['Ada']);
+    expect(reopened.isInstructor(await reopened.getClass(classroom.code), classroom.instructorToken)).toBe(true);
+  });
+});
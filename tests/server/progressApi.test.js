@@ -0,0 +1,169 @@
+// File: tests/server/progressApi.test.js
+// Location: jsversehub/tests/server/progressApi.test.js
+
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const AccountStore = require('../../server/accountStore');
+const ProgressStore = require('../../server/progressStore');
+const createProgressApi = require('../../server/progressApi');
+const { startServer } = require('../helpers/httpClient.js');
+
+function progressFor(totalXP) {
+  return {
+    state: {
+      user: { name: 'Ada', level: 1, totalXP },
+      progress: { completedConcepts: [], unlockedPlanets: ['basics'] },
+      stats: {},
+    },
+    changedAt: { settings: 1000 },
+  };
+}
+
+describe('Progress API', () => {
+  let dataDir;
+  let store;
+  let accountStore;
+  let server;
+  let adaCookie;
+
+  // Requests are made as the signed-in "ada" unless another cookie is given
+  function request(method, url, { cookie = adaCookie, headers = {}, ...options } = {}) {
+    return server.request(method, `/api${url}`, { ...options, headers: cookie ? { ...headers, Cookie: cookie } : headers });
+  }
+
+  async function signIn(username) {
+    await accountStore.createAccount({ username, password: 'analytical-engine', name: username });
+    const { token } = await accountStore.createSession(username);
+    return `jsverse_session=${token}`;
+  }
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsversehub-api-'));
+    store = new ProgressStore(path.join(dataDir, 'progress.json'));
+    accountStore = new AccountStore(path.join(dataDir, 'accounts.json'));
+    adaCookie = await signIn('ada');
+
+    const app = express();
+    app.use('/api', createProgressApi({ store, accountStore }));
+    server = await startServer(app);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('saves progress and returns it with an ETag', async () => {
+    const created = await request('PUT', '/progress/ada', { body: progressFor(100) });
+    expect(created.status).toBe(201);
+    const etag = created.headers.etag;
+    expect(etag).toMatch(/^"[0-9a-f]+"$/);
+
+    const read = await request('GET', '/progress/ada');
+    expect(read.status).toBe(200);
+    expect(read.headers.etag).toBe(etag);
+    expect(read.json()).toMatchObject(progressFor(100));
+
+    const unchanged = await request('GET', '/progress/ada', { headers: { 'If-None-Match': etag } });
+    expect(unchanged.status).toBe(304);
+  });
+
+  test('rejects writes based on stale progress', async () => {
+    const first = await request('PUT', '/progress/ada', { body: progressFor(100) });
+    const staleEtag = first.headers.etag;
+
+    const second = await request('PUT', '/progress/ada', {
+      body: progressFor(200),
+      headers: { 'If-Match': staleEtag },
+    });
+    expect(second.status).toBe(200);
+
+    const conflict = await request('PUT', '/progress/ada', {
+      body: progressFor(150),
+      headers: { 'If-Match': staleEtag },
+    });
+    expect(conflict.status).toBe(412);
+    expect(conflict.headers.etag).toBe(second.headers.etag);
+    expect(conflict.json().current.state.user.totalXP).toBe(200);
+  });
+
+  test('requires a precondition to overwrite saved progress', async () => {
+    await request('PUT', '/progress/ada', { body: progressFor(100) });
+
+    expect((await request('PUT', '/progress/ada', { body: progressFor(300) })).status).toBe(428);
+    expect(
+      (await request('PUT', '/progress/ada', { body: progressFor(300), headers: { 'If-None-Match': '*' } })).status
+    ).toBe(412);
+  });
+
+  test('keeps progress in the JSON file across restarts', async () => {
+    await request('PUT', '/progress/ada', { body: progressFor(100) });
+
+    const reopened = new ProgressStore(path.join(dataDir, 'progress.json'));
+    expect((await reopened.getProgress('ada')).state.user.totalXP).toBe(100);
+  });
+
+  test('creates a profile with the first save and lets it be renamed', async () => {
+    await request('PUT', '/progress/ada', { body: progressFor(1200) });
+
+    expect((await request('GET', '/profiles/ada')).json()).toMatchObject({ userId: 'ada', name: 'Ada', totalXP: 1200 });
+
+    const renamed = await request('PUT', '/profiles/ada', { body: { name: 'Ada L.' } });
+    expect(renamed.json().name).toBe('Ada L.');
+    expect((await request('GET', '/profiles/ada')).json().name).toBe('Ada L.');
+  });
+
+  test('only serves progress to the signed-in owner', async () => {
+    await request('PUT', '/progress/ada', { body: progressFor(100) });
+
+    expect((await request('GET', '/progress/ada', { cookie: null })).status).toBe(401);
+    expect((await request('GET', '/progress/ada', { cookie: 'jsverse_session=forged' })).status).toBe(401);
+    expect((await request('PUT', '/progress/ada', { body: progressFor(900), cookie: null })).status).toBe(401);
+    expect((await request('GET', '/progress/ada', { cookie: 'jsverse_session=%E0' })).status).toBe(401);
+
+    const graceCookie = await signIn('grace');
+    expect((await request('GET', '/progress/ada', { cookie: graceCookie })).status).toBe(403);
+    expect((await request('PUT', '/profiles/ada', { body: { name: 'Grace' }, cookie: graceCookie })).status).toBe(403);
+    expect((await request('GET', '/progress/grace', { cookie: graceCookie })).status).toBe(404);
+  });
+
+  test('does not list the profiles of other learners', async () => {
+    await request('PUT', '/progress/ada', { body: progressFor(100) });
+
+    expect((await request('GET', '/profiles')).status).toBe(404);
+  });
+
+  test('treats ids named like Object.prototype members as new learners', async () => {
+    const cookie = await signIn('constructor');
+
+    expect((await request('GET', '/progress/constructor', { cookie })).status).toBe(404);
+    expect((await request('GET', '/profiles/constructor', { cookie })).status).toBe(404);
+
+    expect((await request('PUT', '/progress/constructor', { body: progressFor(100), cookie })).status).toBe(201);
+    expect((await request('GET', '/progress/constructor', { cookie })).json().state.user.totalXP).toBe(100);
+  });
+
+  test('applies every write made while the file is first read', async () => {
+    const reopened = new ProgressStore(path.join(dataDir, 'progress.json'));
+    await Promise.all(['ada', 'grace', 'alan'].map((userId) => reopened.putProgress(userId, progressFor(1), null)));
+
+    const again = new ProgressStore(path.join(dataDir, 'progress.json'));
+    expect(Object.keys((await again.load()).progress).sort()).toEqual(['ada', 'alan', 'grace']);
+  });
+
+  test('validates ids and bodies', async () => {
+    expect((await request('GET', '/progress/..%2Fetc')).status).toBe(400);
+    expect((await request('GET', '/progress/ada')).status).toBe(404);
+    expect((await request('PUT', '/progress/ada', { body: { state: [] } })).status).toBe(400);
+    expect((await request('PUT', '/profiles/ada', { body: { name: '' } })).status).toBe(400);
+
+    const malformed = await request('PUT', '/progress/ada', { rawBody: '{"state":' });
+    expect(malformed.status).toBe(400);
+  });
+});
@@ -32,37 +32,39 @@ const sessionStorageMock = {
 };
 global.sessionStorage = sessionStorageMock;
 
-// Mock canvas context
-HTMLCanvasElement.prototype.getContext = jest.fn(() => ({
-  fillStyle: '',
-  strokeStyle: '',
-  lineWidth: 1,
-  fillRect: jest.fn(),
-  clearRect: jest.fn(),
-  beginPath: jest.fn(),
-  arc: jest.fn(),
-  fill: jest.fn(),
-  stroke: jest.fn(),
-  closePath: jest.fn(),
-  moveTo: jest.fn(),
-  lineTo: jest.fn(),
-  save: jest.fn(),
-  restore: jest.fn(),
-  scale: jest.fn(),
-  rotate: jest.fn(),
-  translate: jest.fn(),
-  transform: jest.fn(),
-  setTransform: jest.fn(),
-  resetTransform: jest.fn(),
-  createLinearGradient: jest.fn(() => ({
-    addColorStop: jest.fn(),
-  })),
-  createRadialGradient: jest.fn(() => ({
-    addColorStop: jest.fn(),
-  })),
-  measureText: jest.fn(() => ({ width: 0 })),
-  drawImage: jest.fn(),
-}));
+// Mock canvas context (server tests run in the node environment)
+if (typeof HTMLCanvasElement !== 'undefined') {
+  HTMLCanvasElement.prototype.getContext = jest.fn(() => ({
+    fillStyle: '',
+    strokeStyle: '',
+    lineWidth: 1,
+    fillRect: jest.fn(),
+    clearRect: jest.fn(),
+    beginPath: jest.fn(),
+    arc: jest.fn(),
+    fill: jest.fn(),
+    stroke: jest.fn(),
+    closePath: jest.fn(),
+    moveTo: jest.fn(),
+    lineTo: jest.fn(),
+    save: jest.fn(),
+    restore: jest.fn(),
+    scale: jest.fn(),
+    rotate: jest.fn(),
+    translate: jest.fn(),
+    transform: jest.fn(),
+    setTransform: jest.fn(),
+    resetTransform: jest.fn(),
+    createLinearGradient: jest.fn(() => ({
+      addColorStop: jest.fn(),
+    })),
+    createRadialGradient: jest.fn(() => ({
+      addColorStop: jest.fn(),
+    })),
+    measureText: jest.fn(() => ({ width: 0 })),
+    drawImage: jest.fn(),
+  }));
+}
 
 // Mock requestAnimationFrame
 global.requestAnimationFrame = jest.fn((cb) => setTimeout(cb, 16));
@@ -1,9 +1,11 @@
 // webpack.config.js - Webpack Build Configuration for JSVerseHub
 
 const path = require("path");
+const webpack = require("webpack");
 const HtmlWebpackPlugin = require("html-webpack-plugin");
 const MiniCssExtractPlugin = require("mini-css-extract-plugin");
 const CopyWebpackPlugin = require("copy-webpack-plugin");
+const ServiceWorkerPlugin = require("./scripts/service-worker-plugin.js");
 
 const isProduction = process.env.NODE_ENV === "production";
 
@@ -142,6 +144,11 @@ module.exports = {
           }
         : false,
     }),
+    // Routing mode for Navigation: "history" needs a server that answers
+    // every route with index.html, static hosts need "hash"
+    new webpack.DefinePlugin({
+      "process.env.ROUTING_MODE": JSON.stringify(process.env.ROUTING_MODE || ""),
+    }),
     // Copy static assets that aren't imported in JS
     new CopyWebpackPlugin({
       patterns: [
@@ -149,8 +156,25 @@ module.exports = {
           from: "public/images/planets",
           to: "images/planets",
         },
+        // Loaded by URL rather than imported, kept for offline use
+        {
+          from: "src/assets/fonts",
+          to: "fonts",
+        },
+        {
+          from: "src/assets/icons",
+          to: "icons",
+        },
+        {
+          from: "src/assets/sounds",
+          to: "sounds",
+        },
       ],
     }),
+    // Generates sw.js with the precache list and per-planet concept chunks
+    new ServiceWorkerPlugin({
+      template: path.resolve(__dirname, "src/service-worker.js"),
+    }),
     // Note: CSS is injected via style-loader in JavaScript bundles
   ],
 
@@ -199,6 +223,13 @@ module.exports = {
     },
     compress: true,
     port: 3000,
+    // Progress sync API: run `PORT=3001 npm run start:dev` alongside
+    proxy: [
+      {
+        context: ["/api"],
+        target: process.env.API_URL || "http://localhost:3001",
+      },
+    ],
     open: true,
     hot: true,
     historyApiFallback: {